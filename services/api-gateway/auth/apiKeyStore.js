@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const yaml = require('yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { logger } = require('../middleware/logging');
+
+// Prefix of keys issued by generateApiKey(), so leaked keys are easy to spot
+const KEY_PREFIX = 'optk_';
+
+// Editors often write a file in several steps, so wait for them to settle
+const DEFAULT_WATCH_DEBOUNCE = 200;
+
+// Schema for the API key file (API_KEYS_FILE). Only hashes are stored, never keys.
+const apiKeyFileSchema = {
+  type: 'object',
+  required: ['keys'],
+  additionalProperties: false,
+  properties: {
+    keys: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'hash'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+          description: { type: 'string' },
+          hash: { type: 'string', pattern: '^sha256:[0-9a-f]{64}$' },
+          scopes: {
+            type: 'array',
+            uniqueItems: true,
+            items: { type: 'string', minLength: 1 },
+            default: []
+          },
+          expiresAt: { type: 'string', format: 'date-time' },
+          disabled: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+addFormats(ajv);
+const validateApiKeyFile = ajv.compile(apiKeyFileSchema);
+
+/**
+ * Hash an API key for storage and lookup. Keys are long random strings,
+ * so a fast hash is enough (no salt or key stretching needed).
+ * @param {string} apiKey
+ * @returns {string} 'sha256:<hex>'
+ */
+function hashApiKey(apiKey) {
+  return `sha256:${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+}
+
+/**
+ * Create a new random API key
+ * @returns {{key: string, hash: string}} The key (give it to the client once) and the hash to store
+ */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, hash: hashApiKey(key) };
+}
+
+/**
+ * API keys loaded from a YAML/JSON file of hashed keys with scopes and expiry.
+ * Reloadable like the route table: an invalid file is rejected and the
+ * current keys stay in use.
+ *
+ * Events: 'reload' (key count), 'reloadFailed' (error)
+ */
+class ApiKeyStore extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - API key file; without one, every key is rejected
+   * @param {number} [options.debounce=200] - Milliseconds to wait after a file change before reloading
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.debounce = options.debounce ?? DEFAULT_WATCH_DEBOUNCE;
+    this.keys = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Read and validate the key file, then swap it in.
+   * Throws (leaving the current keys untouched) if the file is invalid.
+   * @returns {number} Number of keys loaded
+   */
+  load() {
+    if (!this.file) return 0;
+
+    const content = fs.readFileSync(this.file, 'utf8');
+    const data = path.extname(this.file) === '.json' ? JSON.parse(content) : yaml.parse(content) || {};
+
+    if (!validateApiKeyFile(data)) {
+      throw new Error(`Invalid API key file: ${ajv.errorsText(validateApiKeyFile.errors, { separator: '; ' })}`);
+    }
+
+    const keys = new Map();
+    const ids = new Set();
+    data.keys.forEach(record => {
+      if (ids.has(record.id)) {
+        throw new Error(`Invalid API key file: duplicate key id "${record.id}"`);
+      }
+      ids.add(record.id);
+      keys.set(record.hash, {
+        ...record,
+        expiresAt: record.expiresAt ? Date.parse(record.expiresAt) : null
+      });
+    });
+
+    this.keys = keys;
+    return keys.size;
+  }
+
+  /**
+   * Like load(), but logs and reports failures instead of throwing
+   * @returns {{success: boolean, keys?: number, error?: string}}
+   */
+  reload() {
+    try {
+      const count = this.load();
+      logger.info('API keys reloaded', { file: this.file, keys: count });
+      this.emit('reload', count);
+      return { success: true, keys: count };
+    } catch (error) {
+      logger.error('API key reload failed, keeping current keys', { file: this.file, error: error.message });
+      this.emit('reloadFailed', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Look up the key a client presented
+   * @param {string} apiKey - Raw key from the request
+   * @returns {{valid: boolean, key?: Object, reason?: string}} reason is 'unknown', 'disabled' or 'expired'
+   */
+  verify(apiKey) {
+    const record = this.keys.get(hashApiKey(apiKey));
+
+    if (!record) return { valid: false, reason: 'unknown' };
+    if (record.disabled) return { valid: false, reason: 'disabled', key: record };
+    if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+      return { valid: false, reason: 'expired', key: record };
+    }
+
+    return { valid: true, key: record };
+  }
+
+  /**
+   * Keys for the admin API (hashes left out)
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.keys.values()).map(({ hash, expiresAt, ...record }) => ({
+      ...record,
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString()
+    }));
+  }
+
+  /**
+   * Reload automatically when the file changes
+   */
+  watch() {
+    if (this.watcher || !this.file) return;
+
+    // Watch the directory: Secret and ConfigMap updates replace the file rather than write to it
+    const fileName = path.basename(this.file);
+    this.watcher = fs.watch(path.dirname(this.file), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), this.debounce);
+    });
+
+    this.watcher.on('error', (error) => {
+      logger.error('API key file watcher failed', { file: this.file, error: error.message });
+    });
+
+    // Do not keep the process alive just for the watcher
+    if (this.watcher.unref) this.watcher.unref();
+  }
+
+  /**
+   * Stop watching the file
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+// Issue a key from the command line: node auth/apiKeyStore.js <id> [scope...]
+if (require.main === module) {
+  const [id, ...scopes] = process.argv.slice(2);
+  if (!id) {
+    console.error('Usage: node apiKeyStore.js <id> [scope...]');
+    process.exit(1);
+  }
+
+  const { key, hash } = generateApiKey();
+  console.log(`API key (give it to the client, it is not stored): ${key}\n`);
+  console.log('Add to the API key file:');
+  console.log(yaml.stringify({ keys: [{ id, hash, scopes }] }));
+}
+
+module.exports = {
+  ApiKeyStore,
+  hashApiKey,
+  generateApiKey,
+  apiKeyFileSchema
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Identity headers the gateway forwards upstream, in the order they are signed
+const IDENTITY_HEADERS = [
+  'x-auth-type',
+  'x-auth-subject',
+  'x-auth-email',
+  'x-auth-roles',
+  'x-auth-permissions',
+  'x-auth-api-key',
+  'x-auth-scopes',
+  'x-auth-timestamp'
+];
+
+const SIGNATURE_HEADER = 'x-auth-signature';
+const SIGNATURE_VERSION = 'v1';
+
+// How old a signature backends accept by default, in milliseconds
+const DEFAULT_MAX_AGE = 5 * 60 * 1000;
+
+/**
+ * HMAC over the request line and identity headers, so a signature cannot be
+ * replayed on another request or with other identity values
+ * @private
+ */
+function computeSignature(secret, method, url, headers) {
+  const payload = [method.toUpperCase(), url, ...IDENTITY_HEADERS.map(name => headers[name] || '')].join('\n');
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Headers describing a verified identity, signed with the gateway secret
+ * @param {Object} identity - { type, subject, email, roles, permissions, apiKey, scopes }
+ * @param {Object} request - { method, url } as sent upstream (url is x-original-url)
+ * @param {string} secret - Shared with backend services (GATEWAY_IDENTITY_SECRET)
+ * @returns {Object} Header names mapped to values, including x-auth-signature
+ */
+function signIdentity(identity, request, secret) {
+  const headers = {
+    'x-auth-type': identity.type,
+    'x-auth-timestamp': String(Date.now())
+  };
+
+  if (identity.subject) headers['x-auth-subject'] = identity.subject;
+  if (identity.email) headers['x-auth-email'] = identity.email;
+  if (identity.roles && identity.roles.length) headers['x-auth-roles'] = identity.roles.join(',');
+  if (identity.permissions && identity.permissions.length) headers['x-auth-permissions'] = identity.permissions.join(',');
+  if (identity.apiKey) headers['x-auth-api-key'] = identity.apiKey;
+  if (identity.scopes && identity.scopes.length) headers['x-auth-scopes'] = identity.scopes.join(',');
+
+  headers[SIGNATURE_HEADER] = `${SIGNATURE_VERSION}=${computeSignature(secret, request.method, request.url, headers)}`;
+  return headers;
+}
+
+/**
+ * Check the identity headers the gateway added to a request (for backend services)
+ * @param {Object} req - Incoming request ({ method, headers }, lowercase header names)
+ * @param {Object} options
+ * @param {string} options.secret - GATEWAY_IDENTITY_SECRET
+ * @param {number} [options.maxAge=300000] - Oldest signature accepted, in milliseconds
+ * @returns {{valid: boolean, identity?: Object, error?: string}}
+ */
+function verifyIdentityHeaders(req, options) {
+  const { secret, maxAge = DEFAULT_MAX_AGE } = options;
+  const { headers } = req;
+  const signature = headers[SIGNATURE_HEADER];
+
+  if (!signature) return { valid: false, error: 'Missing identity signature' };
+
+  const [version, digest] = signature.split('=');
+  if (version !== SIGNATURE_VERSION || !digest) {
+    return { valid: false, error: 'Unsupported identity signature' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, req.method, headers['x-original-url'] || '', headers));
+  const actual = Buffer.from(digest);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, error: 'Invalid identity signature' };
+  }
+
+  const age = Date.now() - Number(headers['x-auth-timestamp']);
+  if (!(age <= maxAge)) {
+    return { valid: false, error: 'Identity signature expired' };
+  }
+
+  const list = value => (value ? value.split(',') : []);
+  return {
+    valid: true,
+    identity: {
+      type: headers['x-auth-type'],
+      subject: headers['x-auth-subject'] || null,
+      email: headers['x-auth-email'] || null,
+      roles: list(headers['x-auth-roles']),
+      permissions: list(headers['x-auth-permissions']),
+      apiKey: headers['x-auth-api-key'] || null,
+      scopes: list(headers['x-auth-scopes'])
+    }
+  };
+}
+
+module.exports = {
+  IDENTITY_HEADERS,
+  SIGNATURE_HEADER,
+  signIdentity,
+  verifyIdentityHeaders
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../middleware/logging');
+
+// Defaults matching the tokens issued by services/auth/jwt.js
+const DEFAULT_OPTIONS = {
+  issuer: 'OptimaCore',
+  audience: 'optima-client',
+  algorithms: ['RS256'],
+  // How long fetched JWKS keys are trusted before refetching
+  jwksCacheMaxAge: 10 * 60 * 1000,
+  // Minimum time between refetches triggered by an unknown key id
+  jwksRefetchInterval: 30 * 1000,
+  jwksTimeout: 5000
+};
+
+/**
+ * Verifies access tokens issued by the JWTService, against its public key
+ * (PEM) or a JWKS endpoint. JWKS keys are cached and refetched when a token
+ * names a key id we have not seen (key rotation).
+ */
+class JwtVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.publicKey] - PEM public key
+   * @param {string} [options.jwksUri] - JWKS URL, used when no public key is set
+   * @param {string} [options.issuer='OptimaCore']
+   * @param {string} [options.audience='optima-client']
+   * @param {string[]} [options.algorithms=['RS256']]
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.publicKey = this.options.publicKey ? crypto.createPublicKey(this.options.publicKey) : null;
+    this.jwks = new Map();
+    this.jwksFetchedAt = 0;
+    this.jwksRequest = null;
+  }
+
+  /**
+   * Whether a key source is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.publicKey || this.options.jwksUri);
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token
+   * @returns {Promise<{valid: boolean, payload?: Object, error?: string}>}
+   */
+  async verify(token) {
+    try {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded) {
+        return { valid: false, error: 'Malformed token' };
+      }
+
+      const key = await this._getKey(decoded.header.kid);
+      const payload = jwt.verify(token, key, {
+        algorithms: this.options.algorithms,
+        issuer: this.options.issuer,
+        audience: this.options.audience
+      });
+
+      // Refresh tokens are only good for getting new access tokens
+      if (payload.type === 'refresh') {
+        return { valid: false, error: 'Refresh tokens cannot be used for authentication' };
+      }
+
+      return { valid: true, payload };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getKey(kid) {
+    if (this.publicKey) return this.publicKey;
+    if (!this.options.jwksUri) {
+      throw new Error('No JWT public key or JWKS URI configured');
+    }
+
+    const stale = Date.now() - this.jwksFetchedAt > this.options.jwksCacheMaxAge;
+    const unknown = !this.jwks.has(kid || null);
+    const mayRefetch = Date.now() - this.jwksFetchedAt > this.options.jwksRefetchInterval;
+
+    if (stale || (unknown && mayRefetch)) {
+      await this._refreshJwks();
+    }
+
+    // Tokens without a kid are accepted when the set has a single key
+    const key = kid ? this.jwks.get(kid) : (this.jwks.size === 1 ? this.jwks.values().next().value : null);
+    if (!key) {
+      throw new Error(`Unknown signing key${kid ? ` "${kid}"` : ''}`);
+    }
+    return key;
+  }
+
+  /**
+   * Fetch the JWKS (one request at a time). A failed fetch keeps the cached keys.
+   * @private
+   */
+  _refreshJwks() {
+    if (!this.jwksRequest) {
+      this.jwksRequest = this._fetchJwks()
+        .then(({ keys = [] }) => {
+          const jwks = new Map();
+          keys
+            .filter(jwk => jwk.kty && (!jwk.use || jwk.use === 'sig'))
+            .forEach(jwk => jwks.set(jwk.kid || null, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+
+          this.jwks = jwks;
+          this.jwksFetchedAt = Date.now();
+        })
+        .catch(error => {
+          // Back off until the next refetch interval instead of fetching on every request
+          this.jwksFetchedAt = Math.max(this.jwksFetchedAt, Date.now() - this.options.jwksCacheMaxAge + this.options.jwksRefetchInterval);
+          logger.error('Failed to fetch JWKS', { uri: this.options.jwksUri, error: error.message });
+        })
+        .finally(() => {
+          this.jwksRequest = null;
+        });
+    }
+    return this.jwksRequest;
+  }
+
+  /**
+   * @private
+   */
+  _fetchJwks() {
+    const uri = this.options.jwksUri;
+    const transport = uri.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.get(uri, { timeout: this.options.jwksTimeout }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            return reject(new Error(`JWKS endpoint answered ${res.statusCode}`));
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`JWKS endpoint did not answer within ${this.options.jwksTimeout}ms`)));
+      req.on('error', reject);
+    });
+  }
+}
+
+JwtVerifier.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  JwtVerifier
+};
@@ -0,0 +1,143 @@
+// Statuses a shared cache may store when the upstream gives them an explicit lifetime
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+// Headers that describe the connection, not the response, and are never stored
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @param {string} [header] - e.g. 'public, max-age=60, stale-while-revalidate=30'
+ * @returns {Object} Directive names (lowercase) mapped to their value, or true if they have none
+ */
+function parseCacheControl(header) {
+  const directives = {};
+  if (!header) return directives;
+
+  String(header).split(',').forEach(part => {
+    const [name, ...rest] = part.trim().split('=');
+    if (!name) return;
+
+    const value = rest.join('=').trim().replace(/^"|"$/g, '');
+    directives[name.toLowerCase()] = value === '' ? true : value;
+  });
+
+  return directives;
+}
+
+/**
+ * Read a delta-seconds directive
+ * @returns {number|null} Null if missing or invalid
+ */
+function getSeconds(directives, name) {
+  const value = parseInt(directives[name], 10);
+  return Number.isNaN(value) || value < 0 ? null : value;
+}
+
+/**
+ * Freshness lifetime of a response, in seconds, for a shared cache
+ * (s-maxage, then max-age, then Expires minus Date)
+ * @param {Object} headers - Response headers (lowercase names)
+ * @param {Object} directives - Parsed response Cache-Control
+ * @returns {number|null} Null when the upstream gave no explicit lifetime
+ */
+function getFreshnessLifetime(headers, directives) {
+  const sharedMaxAge = getSeconds(directives, 's-maxage');
+  if (sharedMaxAge !== null) return sharedMaxAge;
+
+  const maxAge = getSeconds(directives, 'max-age');
+  if (maxAge !== null) return maxAge;
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = headers.date ? Date.parse(headers.date) : Date.now();
+    // An invalid Expires means "already expired"
+    if (Number.isNaN(expires)) return 0;
+    return Math.max(0, Math.floor((expires - (Number.isNaN(date) ? Date.now() : date)) / 1000));
+  }
+
+  return null;
+}
+
+/**
+ * Why a response may not be stored by a shared cache
+ * @param {Object} response - { statusCode, headers }
+ * @param {Object} [request] - { headers } of the request that produced it
+ * @returns {string|null} Reason, or null if it may be stored
+ */
+function getUncacheableReason(response, request = { headers: {} }) {
+  const { statusCode, headers } = response;
+  const directives = parseCacheControl(headers['cache-control']);
+
+  if (!CACHEABLE_STATUSES.includes(statusCode)) return 'status';
+  if (directives['no-store'] || directives.private || directives['no-cache']) return 'cache-control';
+  if (headers['set-cookie']) return 'set-cookie';
+  if (headers.vary && headers.vary.trim() === '*') return 'vary';
+  if (getFreshnessLifetime(headers, directives) === null) return 'no-lifetime';
+
+  // Responses to authenticated requests are private unless the upstream says otherwise
+  if ((request.headers.authorization || request.identity) && !(directives.public || directives['s-maxage'] || directives['must-revalidate'])) {
+    return 'authorization';
+  }
+
+  return null;
+}
+
+/**
+ * Header names a response varies on
+ * @param {string} [header] - Vary header
+ * @returns {string[]} Lowercase, sorted names
+ */
+function parseVary(header) {
+  if (!header) return [];
+  return header
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Whether a client's conditional request is satisfied by a stored response (answer 304)
+ * @param {Object} requestHeaders - Client request headers
+ * @param {Object} entry - Stored response ({ headers })
+ * @returns {boolean}
+ */
+function isNotModified(requestHeaders, entry) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  const { etag } = entry.headers;
+
+  // If-None-Match takes precedence over If-Modified-Since (weak comparison)
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+
+    const weak = value => value.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(candidate => weak(candidate) === weak(etag));
+  }
+
+  const ifModifiedSince = Date.parse(requestHeaders['if-modified-since']);
+  const lastModified = Date.parse(entry.headers['last-modified']);
+  if (Number.isNaN(ifModifiedSince) || Number.isNaN(lastModified)) return false;
+
+  return lastModified <= ifModifiedSince;
+}
+
+module.exports = {
+  CACHEABLE_STATUSES,
+  HOP_BY_HOP_HEADERS,
+  parseCacheControl,
+  getSeconds,
+  getFreshnessLifetime,
+  getUncacheableReason,
+  parseVary,
+  isNotModified
+};
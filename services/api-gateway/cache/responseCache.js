@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const { logger } = require('../middleware/logging');
+const metrics = require('../metrics');
+const {
+  HOP_BY_HOP_HEADERS,
+  parseCacheControl,
+  getSeconds,
+  getFreshnessLifetime,
+  getUncacheableReason,
+  parseVary,
+  isNotModified
+} = require('./cacheControl');
+
+// Values of the x-cache response header
+const CACHE_STATUS = {
+  HIT: 'HIT',
+  MISS: 'MISS',
+  STALE: 'STALE'
+};
+
+// Default cache settings (overridable per route)
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  // Largest response body stored, in bytes
+  maxEntrySize: 1048576,
+  // Cap on the freshness lifetime an upstream can ask for, in seconds
+  maxTtl: 86400,
+  // Milliseconds to wait for Redis before proxying without the cache
+  timeout: 100,
+  prefix: 'gateway:cache'
+};
+
+// Headers set by the gateway itself, never stored with a response
+const GATEWAY_HEADERS = ['x-cache', 'x-storage-source', 'x-gateway-hedge', 'age'];
+
+// Headers of a stored response repeated on a 304 Not Modified
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary'];
+
+// Client validators and directives that must not leak into a background revalidation
+const CLIENT_CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since', 'cache-control', 'pragma'];
+
+/**
+ * Drop connection-level and gateway headers from upstream response headers
+ * @param {Object} headers
+ * @returns {Object} Headers worth storing
+ */
+function filterHeaders(headers) {
+  const stored = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!HOP_BY_HOP_HEADERS.includes(name) && !GATEWAY_HEADERS.includes(name)) {
+      stored[name] = value;
+    }
+  });
+  return stored;
+}
+
+/**
+ * Shared HTTP response cache for one route, stored through RedisClient so
+ * every gateway replica serves the same entries.
+ *
+ * Follows the upstream's Cache-Control (max-age, s-maxage, no-store, private,
+ * no-cache, must-revalidate, stale-while-revalidate, stale-if-error), Expires,
+ * Vary and validators (ETag, Last-Modified). Only responses with an explicit
+ * lifetime are stored. Redis errors and timeouts never fail a request: it is
+ * proxied as a miss.
+ */
+class ResponseCache {
+  /**
+   * @param {string} name - Route name
+   * @param {Object} client - RedisClient (getWithSource, set, del)
+   * @param {Object} [options]
+   * @param {number} [options.maxEntrySize=1048576] - Largest body stored, in bytes
+   * @param {number} [options.maxTtl=86400] - Longest freshness lifetime, in seconds
+   * @param {number} [options.timeout=100] - Milliseconds to wait for a lookup
+   * @param {Function} [options.revalidate] - (req, headers, method) => Promise<http.IncomingMessage>;
+   *   sends a `method` (always GET) request upstream for stale-while-revalidate
+   */
+  constructor(name, client, options = {}) {
+    this.name = name;
+    this.client = client;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.revalidating = new Set();
+    this.available = true;
+  }
+
+  /**
+   * Express middleware: answer GET/HEAD requests from the cache when possible,
+   * otherwise remember the lookup so the upstream response can be stored
+   */
+  async handle(req, res, next) {
+    if (!['GET', 'HEAD'].includes(req.method)) return next();
+
+    const directives = parseCacheControl(req.headers['cache-control']);
+    if (directives['no-store']) return next();
+
+    try {
+      req.cache = await this._withTimeout(this.lookup(req));
+      this._setAvailable(true);
+    } catch (error) {
+      this._setAvailable(false, error);
+      req.cache = { key: this.getKey(req), storageKey: null, entry: null, source: null };
+    }
+
+    const { entry, source } = req.cache;
+    const state = entry ? this.getState(entry, req.headers) : null;
+
+    if (state === 'fresh') {
+      return this.serve(req, res, entry, source, CACHE_STATUS.HIT);
+    }
+    if (state === 'stale-while-revalidate') {
+      this.serve(req, res, entry, source, CACHE_STATUS.STALE);
+      this.revalidateInBackground(req);
+      return;
+    }
+
+    metrics.recordCache(this.name, CACHE_STATUS.MISS);
+    next();
+  }
+
+  /**
+   * Find the stored response for a request, following Vary
+   * @returns {Promise<{key: string, storageKey: string|null, entry: Object|null, source: string|null}>}
+   */
+  async lookup(req) {
+    const key = this.getKey(req);
+    if (this.client.connected === false) {
+      throw new Error('Redis client is not connected');
+    }
+
+    const { value, source } = await this.client.getWithSource(key);
+    if (!value || !value.vary) {
+      return { key, storageKey: value ? key : null, entry: value, source };
+    }
+
+    // The URL varies: the base key only lists the headers it varies on
+    const storageKey = this.getVariantKey(key, value.vary, req.headers);
+    const variant = await this.client.getWithSource(storageKey);
+    return { key, storageKey, entry: variant.value, source: variant.source };
+  }
+
+  /**
+   * @param {Object} entry - Stored response
+   * @param {Object} requestHeaders - Client request headers
+   * @returns {string} 'fresh', 'stale-while-revalidate' (serve and refresh) or 'stale'
+   */
+  getState(entry, requestHeaders) {
+    const directives = parseCacheControl(requestHeaders['cache-control']);
+    const noCache = directives['no-cache'] || requestHeaders.pragma === 'no-cache';
+    const maxAge = getSeconds(directives, 'max-age');
+    const age = this.getAge(entry);
+
+    // The client asked for a response validated with the upstream
+    if (noCache || maxAge === 0) return 'stale';
+
+    if (age < entry.freshness && (maxAge === null || age <= maxAge)) return 'fresh';
+    if (!entry.mustRevalidate && age < entry.freshness + entry.staleWhileRevalidate) return 'stale-while-revalidate';
+    return 'stale';
+  }
+
+  /**
+   * Current age of a stored response, in seconds
+   * @param {Object} entry
+   * @returns {number}
+   */
+  getAge(entry) {
+    return entry.age + Math.max(0, Date.now() - entry.storedAt) / 1000;
+  }
+
+  /**
+   * Answer from a stored response (304 if the client's validators match)
+   * @param {string} status - One of CACHE_STATUS
+   */
+  serve(req, res, entry, source, status) {
+    const headers = {
+      ...entry.headers,
+      age: String(Math.floor(this.getAge(entry))),
+      'x-cache': status,
+      'x-storage-source': source || 'redis-l2',
+    };
+    metrics.recordCache(this.name, status);
+
+    if (isNotModified(req.headers, entry)) {
+      const notModified = {};
+      [...NOT_MODIFIED_HEADERS, 'age', 'x-cache', 'x-storage-source'].forEach(name => {
+        if (headers[name] !== undefined) notModified[name] = headers[name];
+      });
+      res.writeHead(304, notModified);
+      return res.end();
+    }
+
+    const body = Buffer.from(entry.body, 'base64');
+    if (entry.status !== 204) {
+      headers['content-length'] = String(body.length);
+    }
+    res.writeHead(entry.status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Answer a failed request from a stale response the upstream allowed
+   * with stale-if-error
+   * @returns {boolean} True if the response was sent
+   */
+  serveStaleIfError(req, res) {
+    const entry = req.cache && req.cache.entry;
+    if (!entry || res.headersSent || entry.mustRevalidate) return false;
+    if (this.getAge(entry) >= entry.freshness + entry.staleIfError) return false;
+
+    logger.warn('Serving stale response after upstream error', { route: this.name, url: req.originalUrl });
+    this.serve(req, res, entry, req.cache.source, CACHE_STATUS.STALE);
+    return true;
+  }
+
+  /**
+   * Inspect an upstream response on its way to the client: tag it as a miss
+   * and store it if cacheable. Successful unsafe requests invalidate the URL.
+   * @param {http.IncomingMessage} response - Upstream response (headers may be modified)
+   */
+  capture(req, response) {
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      if (response.statusCode < 400) this.invalidate(req);
+      return;
+    }
+
+    response.headers['x-cache'] = CACHE_STATUS.MISS;
+
+    // HEAD responses have no body to store
+    if (req.method !== 'GET' || !req.cache) return;
+    if (getUncacheableReason(response, req)) return;
+
+    const { statusCode, headers } = response;
+    this._collect(response)
+      .then(body => body && this.store(req, { statusCode, headers: filterHeaders(headers) }, body))
+      .catch(error => logger.warn('Failed to store cached response', { route: this.name, error: error.message }));
+  }
+
+  /**
+   * Store a response for the request's URL (and Vary headers)
+   * @param {Object} response - { statusCode, headers } with stored headers only
+   * @param {Buffer} body
+   * @returns {Promise<boolean>} False if the response would already be unusable
+   */
+  async store(req, response, body) {
+    const { statusCode, headers } = response;
+    const directives = parseCacheControl(headers['cache-control']);
+    const entry = {
+      status: statusCode,
+      headers,
+      body: body.toString('base64'),
+      storedAt: Date.now(),
+      age: parseInt(headers.age, 10) || 0,
+      freshness: Math.min(getFreshnessLifetime(headers, directives) || 0, this.options.maxTtl),
+      staleWhileRevalidate: getSeconds(directives, 'stale-while-revalidate') || 0,
+      staleIfError: getSeconds(directives, 'stale-if-error') || 0,
+      mustRevalidate: Boolean(directives['must-revalidate'] || directives['proxy-revalidate']),
+    };
+
+    // Keep the entry as long as it can be served fresh or stale
+    const staleWindow = entry.mustRevalidate ? 0 : Math.max(entry.staleWhileRevalidate, entry.staleIfError);
+    const ttl = Math.ceil(entry.freshness - entry.age + staleWindow);
+    if (ttl <= 0) return false;
+
+    const key = this.getKey(req);
+    const vary = parseVary(headers.vary);
+
+    if (vary.length === 0) {
+      await this.client.set(key, entry, ttl);
+    } else {
+      await this.client.set(key, { vary }, ttl);
+      await this.client.set(this.getVariantKey(key, vary, req.headers), entry, ttl);
+    }
+    return true;
+  }
+
+  /**
+   * Drop the stored responses for the request's URL
+   */
+  invalidate(req) {
+    this.client.del(this.getKey(req)).catch(error => {
+      logger.warn('Failed to invalidate cached response', { route: this.name, error: error.message });
+    });
+  }
+
+  /**
+   * Refresh a stale entry with a conditional request, once at a time per entry.
+   * A 304 extends the stored response, a new cacheable response replaces it,
+   * and a 5xx or error keeps it (it may still be served with stale-if-error).
+   * The refresh is a GET even for a HEAD hit: the entry serves GETs too and needs a body.
+   */
+  revalidateInBackground(req) {
+    const { storageKey, entry } = req.cache;
+    if (!this.options.revalidate || this.revalidating.has(storageKey)) return;
+    this.revalidating.add(storageKey);
+
+    const headers = { ...req.headers };
+    CLIENT_CONDITIONAL_HEADERS.forEach(name => delete headers[name]);
+    if (entry.headers.etag) headers['if-none-match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['if-modified-since'] = entry.headers['last-modified'];
+
+    Promise.resolve()
+      .then(() => this.options.revalidate(req, headers, 'GET'))
+      .then(response => this._applyRevalidation(req, entry, response))
+      .catch(error => {
+        logger.warn('Cache revalidation failed', { route: this.name, url: req.originalUrl, error: error.message });
+      })
+      .finally(() => this.revalidating.delete(storageKey));
+  }
+
+  /**
+   * Redis key for a URL on this route (hashed to bound the key length)
+   * @returns {string}
+   */
+  getKey(req) {
+    const url = crypto.createHash('sha256').update(req.originalUrl).digest('hex').slice(0, 32);
+    return `${this.options.prefix}:${this.name}:${url}`;
+  }
+
+  /**
+   * Redis key for one variant of a URL
+   * @param {string} key - Key of the URL
+   * @param {string[]} vary - Header names the response varies on
+   * @param {Object} requestHeaders
+   * @returns {string}
+   */
+  getVariantKey(key, vary, requestHeaders) {
+    const values = vary.map(name => `${name}:${requestHeaders[name] || ''}`).join('\n');
+    return `${key}:${crypto.createHash('sha256').update(values).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * @private
+   */
+  async _applyRevalidation(req, entry, response) {
+    const { statusCode } = response;
+
+    if (statusCode === 304) {
+      response.resume();
+      // Validators and lifetime from the 304 update the stored response
+      const updated = filterHeaders(response.headers);
+      delete updated['content-length'];
+      const headers = { ...entry.headers, ...updated };
+      await this.store(req, { statusCode: entry.status, headers }, Buffer.from(entry.body, 'base64'));
+      return;
+    }
+
+    if (statusCode >= 500) {
+      response.resume();
+      return;
+    }
+
+    if (getUncacheableReason(response, req)) {
+      response.resume();
+      await this.client.del(req.cache.storageKey);
+      return;
+    }
+
+    // A body-less answer (e.g. to a HEAD) must not replace the stored GET response
+    if (response.req && response.req.method !== 'GET') {
+      response.resume();
+      return;
+    }
+
+    const body = await this._collect(response);
+    if (body) {
+      await this.store(req, { statusCode, headers: filterHeaders(response.headers) }, body);
+    }
+  }
+
+  /**
+   * Buffer a response body alongside whoever else reads it
+   * @private
+   * @returns {Promise<Buffer|null>} Null if incomplete or larger than maxEntrySize
+   */
+  _collect(response) {
+    return new Promise(resolve => {
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size <= this.options.maxEntrySize) chunks.push(chunk);
+      });
+      response.on('close', () => {
+        resolve(response.complete && size <= this.options.maxEntrySize ? Buffer.concat(chunks) : null);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Cache lookup timed out after ${this.options.timeout}ms`)), this.options.timeout);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Log when the cache becomes unavailable or recovers (once per change)
+   * @private
+   */
+  _setAvailable(available, error) {
+    if (available === this.available) return;
+    this.available = available;
+
+    if (available) {
+      logger.info('Response cache recovered', { route: this.name });
+    } else {
+      logger.warn('Response cache unavailable, proxying without it', { route: this.name, error: error.message });
+    }
+  }
+}
+
+ResponseCache.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  ResponseCache,
+  CACHE_STATUS
+};
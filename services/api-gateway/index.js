@@ -1,16 +1,90 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const express = require('express');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const rateLimit = require('./middleware/rateLimit');
-const { requestLogger, responseLogger } = require('./middleware/logging');
-const routes = require('./routes');
-const { PORT = 8080, NODE_ENV = 'development' } = process.env;
+const { AUTH_MODE, createAuthPolicy } = require('./middleware/auth');
+const { logger, requestLogger, responseLogger } = require('./middleware/logging');
+const { RouteTable } = require('./routes');
+const { UpstreamPool } = require('./upstream/pool');
+const { CircuitBreaker } = require('./upstream/circuitBreaker');
+const { RetryBudget } = require('./upstream/retryBudget');
+const { HedgePolicy, HedgedRequest } = require('./upstream/hedging');
+const { ResponseCache } = require('./cache/responseCache');
+const { ApiKeyStore } = require('./auth/apiKeyStore');
+const { JwtVerifier } = require('./auth/jwtVerifier');
+const { IDENTITY_HEADERS, SIGNATURE_HEADER, signIdentity } = require('./auth/identity');
+const { WebSocketProxy, rejectUpgrade } = require('./websocket/proxy');
+const metrics = require('./metrics');
+const {
+  PORT = 8080,
+  NODE_ENV = 'development',
+  ROUTES_FILE,
+  ROUTES_WATCH = 'true',
+  GATEWAY_ADMIN_TOKEN,
+  GATEWAY_IDENTITY_SECRET,
+  API_KEYS_FILE,
+  JWT_PUBLIC_KEY,
+  JWT_PUBLIC_KEY_PATH,
+  JWT_JWKS_URI,
+  JWT_ISSUER,
+  JWT_AUDIENCE,
+} = process.env;
+
+// Upstream errors that mean the request timed out rather than failed
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'];
+
+// Upstream errors worth retrying on another attempt
+const RETRYABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE', 'EAI_AGAIN'];
+
+// Retry policy used when a route does not set its own
+const DEFAULT_RETRY = {
+  attempts: 1,
+  methods: ['GET', 'HEAD', 'OPTIONS'],
+  backoff: 50,
+};
+
+/**
+ * Whether a URL is under a route's mount path (like Express path matching)
+ */
+const matchesRoutePath = (routePath, url) => {
+  const pathname = url.split('?')[0];
+  return routePath === '/' || pathname === routePath || pathname.startsWith(`${routePath}/`);
+};
 
 class ApiGateway {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.routesFile] - Route table file (default: ROUTES_FILE or routes/routes.yaml)
+   * @param {boolean} [options.watchRoutes] - Reload routes when the file changes (default: ROUTES_WATCH)
+   * @param {string} [options.adminToken] - Token for the /admin endpoints (default: GATEWAY_ADMIN_TOKEN, disabled if unset)
+   * @param {Object} [options.cacheClient] - RedisClient for the response cache (default: created when a route enables caching)
+   * @param {ApiKeyStore} [options.apiKeys] - API keys for routes that require one (default: loaded from API_KEYS_FILE)
+   * @param {JwtVerifier} [options.jwtVerifier] - Verifier for routes that require a JWT (default: from the JWT_* variables)
+   * @param {string} [options.identitySecret] - Key signing the identity headers sent upstream (default: GATEWAY_IDENTITY_SECRET)
+   */
+  constructor(options = {}) {
     this.app = express();
     this.port = PORT;
     this.env = NODE_ENV;
+    this.watchRoutes = options.watchRoutes ?? ROUTES_WATCH !== 'false';
+    this.adminToken = options.adminToken ?? GATEWAY_ADMIN_TOKEN;
+    this.healthChecksRunning = false;
+    this.cacheClient = options.cacheClient || null;
+    this.ownsCacheClient = false;
+    this.identitySecret = options.identitySecret ?? GATEWAY_IDENTITY_SECRET;
+    this.apiKeys = options.apiKeys || this.createApiKeyStore();
+    this.jwtVerifier = options.jwtVerifier || this.createJwtVerifier();
+    // WebSocket proxies by route name, kept across route table reloads with their open connections
+    this.webSockets = new Map();
+    this.routeTable = new RouteTable({
+      file: options.routesFile || ROUTES_FILE,
+      build: (routes) => this.buildRouter(routes),
+      dispose: (router) => router.upstreams.forEach(pool => pool.stopHealthChecks()),
+    });
     
     this.initializeMiddlewares();
     this.initializeRoutes();
@@ -32,51 +106,42 @@ class ApiGateway {
   }
 
   initializeRoutes() {
-    // Apply rate limiting to all routes
-    this.app.use(rateLimit.global);
+    // Apply rate limiting to all routes. Polling requests of established
+    // Socket.IO sessions are limited per session instead of per IP.
+    this.app.use((req, res, next) => {
+      const webSocket = this.getWebSocketSession(req);
+      return webSocket ? webSocket.limitPolling(req, res, next) : rateLimit.global(req, res, next);
+    });
     
     // Health check endpoint
     this.app.get('/health', (req, res) => {
+      const upstreams = this.getUpstreamStatus();
+      const degraded = Object.values(upstreams).some(pool => (
+        pool.healthy < pool.total || (pool.circuitBreaker && pool.circuitBreaker.state !== 'closed')
+      ));
+      
+      // Always 200: upstream outages must not get the gateway itself restarted
       res.status(200).json({
-        status: 'UP',
+        status: degraded ? 'DEGRADED' : 'UP',
         timestamp: new Date().toISOString(),
         service: 'api-gateway',
         environment: this.env,
+        upstreams,
       });
     });
     
-    // Setup proxy routes
-    routes.forEach(route => {
-      const { path, target, rateLimit: routeRateLimit } = route;
-      const proxyOptions = {
-        target,
-        changeOrigin: true,
-        pathRewrite: { [`^${path}`]: '' },
-        onProxyReq: (proxyReq, req) => {
-          // Add original URL to headers
-          proxyReq.setHeader('x-original-url', req.originalUrl);
-          proxyReq.setHeader('x-forwarded-for', req.ip);
-          
-          // Add API key to headers if present
-          if (req.apiKey) {
-            proxyReq.setHeader('x-api-key', req.apiKey);
-          }
-        },
-        onProxyRes: (proxyRes, req, res) => {
-          // Add storage source to response headers
-          proxyRes.headers['x-storage-source'] = 'api-gateway';
-        },
-        logLevel: this.env === 'development' ? 'debug' : 'error',
-      };
-      
-      // Apply route-specific rate limiting if defined
-      if (routeRateLimit) {
-        this.app.use(path, routeRateLimit, createProxyMiddleware(proxyOptions));
-      } else {
-        this.app.use(path, createProxyMiddleware(proxyOptions));
-      }
+    // Upstream policy metrics (retries, timeouts, circuit breaker state)
+    this.app.get('/metrics', (req, res) => {
+      res.status(200).json(metrics.getMetrics());
     });
     
+    // Route table administration
+    this.initializeAdminRoutes();
+    
+    // Proxy routes, dispatched through the hot-reloadable route table
+    this.routeTable.load();
+    this.app.use((req, res, next) => this.routeTable.handle(req, res, next));
+    
     // 404 handler
     this.app.use((req, res) => {
       res.status(404).json({
@@ -87,6 +152,736 @@ class ApiGateway {
     });
   }
 
+  initializeAdminRoutes() {
+    // Admin endpoints are only exposed when a token is configured
+    if (!this.adminToken) return;
+    
+    const admin = express.Router();
+    admin.use((req, res, next) => {
+      const token = Buffer.from(req.get('x-admin-token') || '');
+      const expected = Buffer.from(this.adminToken);
+      
+      if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        return res.status(401).json({ status: 'error', message: 'Invalid admin token' });
+      }
+      next();
+    });
+    
+    admin.get('/routes', (req, res) => {
+      const { version, loadedAt } = this.routeTable.current;
+      res.status(200).json({ version, loadedAt, routes: this.routeTable.getRoutes() });
+    });
+    
+    admin.post('/routes/reload', (req, res) => {
+      const result = this.routeTable.reload();
+      res.status(result.success ? 200 : 422).json({
+        status: result.success ? 'ok' : 'error',
+        ...result,
+      });
+    });
+    
+    admin.get('/api-keys', (req, res) => {
+      res.status(200).json({ keys: this.apiKeys.list() });
+    });
+    
+    admin.post('/api-keys/reload', (req, res) => {
+      const result = this.apiKeys.reload();
+      res.status(result.success ? 200 : 422).json({
+        status: result.success ? 'ok' : 'error',
+        ...result,
+      });
+    });
+    
+    this.app.use('/admin', admin);
+  }
+
+  /**
+   * API key store, loaded from API_KEYS_FILE (no keys if unset)
+   * @returns {ApiKeyStore}
+   */
+  createApiKeyStore() {
+    const store = new ApiKeyStore({ file: API_KEYS_FILE });
+    store.load();
+    return store;
+  }
+
+  /**
+   * JWT verifier for the JWTService's tokens, from its public key or a JWKS endpoint
+   * @returns {JwtVerifier}
+   */
+  createJwtVerifier() {
+    const publicKey = JWT_PUBLIC_KEY || (JWT_PUBLIC_KEY_PATH && fs.readFileSync(JWT_PUBLIC_KEY_PATH, 'utf8'));
+    
+    return new JwtVerifier({
+      publicKey: publicKey || undefined,
+      jwksUri: JWT_JWKS_URI,
+      ...(JWT_ISSUER && { issuer: JWT_ISSUER }),
+      ...(JWT_AUDIENCE && { audience: JWT_AUDIENCE }),
+    });
+  }
+
+  /**
+   * Authentication middleware for a route, or null if it is public.
+   * Throws (rejecting the route table) when the credentials it needs are not configured.
+   * @returns {Function|null}
+   */
+  createRouteAuth(route) {
+    const { auth } = route;
+    if (!auth || auth.mode === AUTH_MODE.NONE) return null;
+    
+    // Backends trust the identity headers, so they must be signed
+    if (!this.identitySecret) {
+      throw new Error(`Route "${route.name}" requires authentication but GATEWAY_IDENTITY_SECRET is not set`);
+    }
+    if (auth.mode !== AUTH_MODE.API_KEY && !this.jwtVerifier.isConfigured()) {
+      throw new Error(`Route "${route.name}" requires a JWT but no JWT public key or JWKS URI is configured`);
+    }
+    
+    return createAuthPolicy({ route: route.name, ...auth }, { apiKeys: this.apiKeys, jwt: this.jwtVerifier });
+  }
+
+  /**
+   * Build the request handler for a validated route list (called on every route table load)
+   * @param {Array<Object>} routes - Route definitions, most specific path first
+   * @returns {Function} Express router
+   */
+  buildRouter(routes) {
+    const router = express.Router();
+    const upstreams = new Map();
+    const breakers = new Map();
+    const websockets = new Map();
+    
+    routes.forEach(route => {
+      const handlers = [];
+      const auth = this.createRouteAuth(route);
+      const pool = new UpstreamPool(route.name, route.targets || [route.target], route.loadBalancing);
+      const policy = this.createUpstreamPolicy(route, pool);
+      upstreams.set(route.name, pool);
+      if (policy.breaker) breakers.set(route.name, policy.breaker);
+      if (policy.websocket) websockets.set(route.name, { route, pool, auth, proxy: policy.websocket });
+      
+      // Routes added by a reload start probing straight away
+      if (this.healthChecksRunning) {
+        pool.startHealthChecks();
+      }
+      
+      if (route.methods) {
+        handlers.push(this.createMethodFilter(route.methods));
+      }
+      
+      // Unauthenticated requests are rejected before they count against rate limits
+      if (auth) {
+        handlers.push(auth);
+      }
+      
+      // Apply route-specific rate limiting if defined
+      if (route.rateLimit) {
+        handlers.push(rateLimit.createRouteRateLimiter({ name: route.name, ...route.rateLimit }));
+      }
+      
+      // Cache hits are answered before they count against the upstream policies
+      if (policy.cache) {
+        handlers.push((req, res, next) => policy.cache.handle(req, res, next));
+      }
+      
+      const proxy = createProxyMiddleware(this.createProxyOptions(route, pool, policy, () => proxy));
+      handlers.push(this.createRequestPolicy(route, pool, policy));
+      handlers.push((req, res, next) => {
+        // Kept so a retry can re-enter the proxy
+        req.proxyNext = next;
+        
+        if (policy.hedging && policy.hedging.isEligible(req)) {
+          return this.hedgeRequest(req, res, route, pool, policy);
+        }
+        proxy(req, res, next);
+      });
+      router.use(route.path, ...handlers);
+    });
+    
+    // Exposed for /health, for WebSocket upgrades and for stopping health checks when the table is replaced
+    router.upstreams = upstreams;
+    router.breakers = breakers;
+    router.websockets = websockets;
+    return router;
+  }
+
+  /**
+   * Circuit breaker, retry budget, retry, hedging, caching and WebSocket settings for a route
+   * @param {Object} route - Route definition
+   * @param {UpstreamPool} pool - Upstreams of the route
+   * @returns {{breaker: CircuitBreaker|null, budget: RetryBudget, retry: Object, hedging: HedgePolicy|null, cache: ResponseCache|null, websocket: WebSocketProxy|null}}
+   */
+  createUpstreamPolicy(route, pool) {
+    const breakerOptions = route.circuitBreaker || {};
+    const breaker = breakerOptions.enabled === false ? null : new CircuitBreaker(route.name, breakerOptions);
+    const retry = { ...DEFAULT_RETRY, ...route.retry };
+    // Hedging is opt-in: it sends some requests twice
+    const hedging = route.hedging && route.hedging.enabled !== false ? new HedgePolicy(route.hedging) : null;
+    
+    // A hedge would reach an upstream that does not know the session
+    if (hedging && route.websocket && route.websocket.enabled !== false) {
+      throw new Error(`Route "${route.name}" cannot combine hedging with WebSocket sticky sessions`);
+    }
+    
+    if (breaker) {
+      breaker.on('stateChange', ({ from, to }) => {
+        metrics.recordCircuitStateChange(route.name, from, to);
+        const log = to === 'closed' ? logger.info : logger.warn;
+        log.call(logger, 'Circuit breaker state changed', { route: route.name, from, to });
+      });
+    }
+    
+    return {
+      breaker,
+      budget: new RetryBudget(retry.budget),
+      retry,
+      hedging,
+      cache: this.createResponseCache(route, pool),
+      websocket: this.getWebSocketProxy(route),
+    };
+  }
+
+  /**
+   * WebSocket proxy for a route that enables one, reconfigured if it already exists
+   * @returns {WebSocketProxy|null}
+   */
+  getWebSocketProxy(route) {
+    if (!route.websocket || route.websocket.enabled === false) return null;
+    
+    const { enabled, ...options } = route.websocket;
+    let proxy = this.webSockets.get(route.name);
+    if (proxy) {
+      proxy.configure(options);
+    } else {
+      proxy = new WebSocketProxy(route.name, options);
+      this.webSockets.set(route.name, proxy);
+    }
+    return proxy;
+  }
+
+  /**
+   * WebSocket route a request targets, if its route proxies WebSockets
+   * @returns {{route: Object, pool: UpstreamPool, auth: Function|null, proxy: WebSocketProxy}|undefined}
+   */
+  getWebSocketTarget(req) {
+    const { current } = this.routeTable;
+    const route = current && current.routes.find(candidate => matchesRoutePath(candidate.path, req.url));
+    return route && current.router.websockets.get(route.name);
+  }
+
+  /**
+   * Proxy of the Socket.IO session a request belongs to. Only requests under
+   * the WebSocket route's path count: a `sid` on any other route is ignored.
+   * @returns {WebSocketProxy|null}
+   */
+  getWebSocketSession(req) {
+    const target = this.getWebSocketTarget(req);
+    return target && target.proxy.sticky.hasSession(req) ? target.proxy : null;
+  }
+
+  /**
+   * Proxy a WebSocket upgrade to the route it targets (upgrades bypass Express)
+   */
+  handleUpgrade(req, socket, head) {
+    const target = this.getWebSocketTarget(req);
+    
+    if (!target) {
+      return rejectUpgrade(socket, 404, { status: 'error', message: 'Route not found', path: req.url });
+    }
+    
+    const { route } = target;
+    
+    // Express request fields the upstream request helpers rely on
+    req.originalUrl = req.url;
+    req.ip = socket.remoteAddress;
+    
+    const proxy = () => target.proxy.handleUpgrade(req, socket, head, {
+      pool: target.pool,
+      cookiePath: route.path,
+      connect: (upstream) => {
+        const proxyReq = this.createUpstreamRequest(req, upstream, route);
+        // The response timeout must not apply to the upgraded connection
+        proxyReq.on('upgrade', (proxyRes, upstreamSocket) => upstreamSocket.setTimeout(0));
+        return proxyReq;
+      },
+    });
+    
+    if (!target.auth) return proxy();
+    
+    // Let the route's auth policy answer through the raw socket
+    const headers = {};
+    const res = {
+      set: (name, value) => { headers[name] = value; return res; },
+      status: (code) => { res.statusCode = code; return res; },
+      json: (body) => rejectUpgrade(socket, res.statusCode, body, headers),
+    };
+    target.auth(req, res, proxy);
+  }
+
+  /**
+   * Response cache for a route that enables one
+   * @returns {ResponseCache|null}
+   */
+  createResponseCache(route, pool) {
+    if (!route.cache || route.cache.enabled === false) return null;
+    
+    return new ResponseCache(route.name, this.getCacheClient(), {
+      ...route.cache,
+      // stale-while-revalidate refreshes go straight to an upstream of the pool
+      revalidate: (req, headers, method) => {
+        const upstream = pool.acquire();
+        if (!upstream) {
+          return Promise.reject(new Error('No healthy upstream available'));
+        }
+        
+        const release = this.createRelease(pool, upstream);
+        return this.sendUpstreamRequest(req, upstream, route, headers, method).response.then(
+          (response) => {
+            release();
+            this.rewriteResponseHeaders(response.headers, route);
+            return response;
+          },
+          (err) => {
+            release(true);
+            throw err;
+          }
+        );
+      },
+    });
+  }
+
+  /**
+   * Shared RedisClient for response caching, created on first use
+   */
+  getCacheClient() {
+    if (!this.cacheClient) {
+      const RedisClient = require('../redis/client');
+      this.cacheClient = new RedisClient();
+      this.ownsCacheClient = true;
+    }
+    return this.cacheClient;
+  }
+
+  /**
+   * Load balancing state of the active routes, keyed by route name
+   * @returns {Object}
+   */
+  getUpstreamStatus() {
+    const status = {};
+    const { current } = this.routeTable;
+    
+    if (current) {
+      current.router.upstreams.forEach((pool, name) => {
+        const breaker = current.router.breakers.get(name);
+        status[name] = {
+          ...pool.getStatus(),
+          circuitBreaker: breaker ? breaker.getStatus() : null,
+        };
+      });
+    }
+    
+    return status;
+  }
+
+  createRequestPolicy(route, pool, policy) {
+    return (req, res, next) => {
+      const finishCircuit = policy.breaker ? policy.breaker.begin() : () => {};
+      
+      // Fail fast while the circuit is open instead of piling up on a broken upstream
+      if (!finishCircuit) {
+        const retryAfter = Math.max(1, Math.ceil(policy.breaker.getRetryAfter() / 1000));
+        metrics.recordCircuitRejection(route.name);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(503).json({
+          status: 'error',
+          message: 'Upstream service unavailable, please try again later',
+          route: route.name,
+          retryAfter,
+        });
+      }
+      
+      metrics.recordRequest(route.name);
+      policy.budget.recordRequest();
+      req.finishCircuit = finishCircuit;
+      req.proxyAttempt = 0;
+      // Requests the client abandons say nothing about upstream health
+      res.on('close', () => finishCircuit('ignore'));
+      
+      if (!this.assignUpstream(req, res, pool, policy.websocket)) {
+        finishCircuit('ignore');
+        return res.status(503).json({
+          status: 'error',
+          message: 'No healthy upstream available',
+          route: route.name,
+        });
+      }
+      
+      next();
+    };
+  }
+
+  /**
+   * Pick an upstream for the next attempt of a request
+   * @param {WebSocketProxy} [websocket] - Keeps Socket.IO sessions on their upstream
+   * @returns {boolean} False if no upstream is healthy
+   */
+  assignUpstream(req, res, pool, websocket) {
+    const upstream = websocket ? websocket.sticky.acquire(req, pool) : pool.acquire();
+    if (!upstream) return false;
+    
+    req.upstream = upstream;
+    // Called once the upstream answers or fails; client aborts are released on close
+    req.releaseUpstream = this.createRelease(pool, upstream);
+    const { releaseUpstream } = req;
+    res.on('close', () => releaseUpstream());
+    
+    return true;
+  }
+
+  /**
+   * Hand an acquired upstream back to its pool, once, with the time it took
+   * @returns {Function} `release(failed, cancelled)`; cancelled attempts record no latency
+   */
+  createRelease(pool, upstream) {
+    const startedAt = performance.now();
+    let released = false;
+    
+    return (failed = false, cancelled = false) => {
+      if (released) return;
+      released = true;
+      pool.release(upstream, cancelled ? null : performance.now() - startedAt, failed);
+    };
+  }
+
+  /**
+   * Proxy an idempotent request, sending a hedge to a second target if the
+   * first one is slow (or fails). The first response wins; the other is aborted.
+   * Hedged requests bypass http-proxy-middleware, whose responses are piped
+   * to the client as soon as they arrive.
+   */
+  hedgeRequest(req, res, route, pool, policy) {
+    const { hedging, cache } = policy;
+    hedging.budget.recordRequest();
+    
+    const hedged = new HedgedRequest({
+      delay: hedging.getDelay(),
+      send: (upstream) => this.sendUpstreamRequest(req, upstream, route),
+      acquireHedge: () => {
+        const primary = req.upstream;
+        if (res.destroyed || !pool.getHealthy().some(upstream => upstream !== primary)) return null;
+        
+        if (!hedging.budget.tryRetry()) {
+          metrics.recordHedgeBudgetExhausted(route.name);
+          return null;
+        }
+        
+        const upstream = pool.acquire({ exclude: [primary] });
+        metrics.recordHedge(route.name);
+        return { upstream, release: this.createRelease(pool, upstream) };
+      },
+    });
+    
+    hedged.on('attemptFailed', ({ error, upstream, role }) => {
+      metrics.recordUpstreamError(route.name, TIMEOUT_ERROR_CODES.includes(error.code));
+      logger.warn('Hedged upstream attempt failed', {
+        route: route.name,
+        target: upstream.url,
+        role,
+        code: error.code,
+      });
+    });
+    res.on('close', () => hedged.cancel());
+    
+    hedged.start({ upstream: req.upstream, release: req.releaseUpstream }).then(
+      ({ response, winner, hedged: wasHedged, primaryLatencyMs }) => {
+        hedging.tracker.record(primaryLatencyMs);
+        req.finishCircuit(response.statusCode >= 500 ? 'failure' : 'success');
+        if (winner === 'hedge') {
+          metrics.recordHedgeWin(route.name);
+        }
+        
+        if (response.statusCode >= 500 && cache && cache.serveStaleIfError(req, res)) {
+          response.resume();
+          return;
+        }
+        
+        this.rewriteResponseHeaders(response.headers, route);
+        if (cache) {
+          cache.capture(req, response);
+        }
+        
+        const headers = { ...response.headers };
+        delete headers.connection;
+        delete headers['keep-alive'];
+        if (wasHedged) {
+          headers['x-gateway-hedge'] = winner;
+        }
+        
+        res.writeHead(response.statusCode, headers);
+        response.pipe(res);
+      },
+      (err) => {
+        req.finishCircuit('failure');
+        logger.error('Upstream request failed', {
+          route: route.name,
+          target: req.upstream.url,
+          attempts: hedged.attempts.length,
+          code: err.code,
+          error: err.message,
+        });
+        
+        if (!cache || !cache.serveStaleIfError(req, res)) {
+          this.sendUpstreamError(res, route, TIMEOUT_ERROR_CODES.includes(err.code));
+        }
+      }
+    );
+  }
+
+  /**
+   * Send a body-less request to one upstream (used for hedged requests and cache revalidation)
+   * @param {Object} [headers] - Headers to send instead of the client's
+   * @param {string} [method] - Method to send instead of the client's
+   * @returns {{response: Promise<http.IncomingMessage>, abort: Function}}
+   */
+  sendUpstreamRequest(req, upstream, route, headers = req.headers, method = req.method) {
+    const proxyReq = this.createUpstreamRequest(req, upstream, route, headers, method);
+    
+    const response = new Promise((resolve, reject) => {
+      proxyReq.on('response', resolve);
+      proxyReq.on('error', reject);
+    });
+    proxyReq.end();
+    
+    return { response, abort: () => proxyReq.destroy() };
+  }
+
+  /**
+   * Request to one upstream with the route's path rewrite, timeouts and headers (not sent yet)
+   * @param {Object} [headers] - Headers to send instead of the client's
+   * @param {string} [method] - Method to send instead of the client's
+   * @returns {http.ClientRequest}
+   */
+  createUpstreamRequest(req, upstream, route, headers = req.headers, method = req.method) {
+    const target = new URL(upstream.url);
+    const transport = target.protocol === 'https:' ? https : http;
+    // Same rewrite as the proxy's pathRewrite, applied to the original URL
+    const url = route.stripPrefix ? req.originalUrl.replace(new RegExp(`^${route.path}`), '') : req.originalUrl;
+    
+    const proxyReq = transport.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      method,
+      path: target.pathname.replace(/\/$/, '') + (url.startsWith('/') ? url : `/${url}`),
+      headers: { ...headers, host: target.host },
+    });
+    this.applyUpstreamTimeouts(proxyReq, route);
+    this.setUpstreamRequestHeaders(proxyReq, req, route);
+    
+    return proxyReq;
+  }
+
+  /**
+   * Whether a failed attempt may be retried (and spend the retry budget if so)
+   */
+  shouldRetry(req, res, err, route, policy) {
+    const { retry, budget } = policy;
+    const hasBody = Number(req.headers['content-length']) > 0 || Boolean(req.headers['transfer-encoding']);
+    
+    if (res.headersSent || res.destroyed || hasBody) return false;
+    if (req.proxyAttempt >= retry.attempts || !retry.methods.includes(req.method)) return false;
+    if (!RETRYABLE_ERROR_CODES.includes(err.code)) return false;
+    
+    if (!budget.tryRetry()) {
+      metrics.recordRetryBudgetExhausted(route.name);
+      return false;
+    }
+    
+    return true;
+  }
+
+  createMethodFilter(methods) {
+    const allowed = methods.includes('GET') && !methods.includes('HEAD') ? [...methods, 'HEAD'] : methods;
+    
+    return (req, res, next) => {
+      if (allowed.includes(req.method)) return next();
+      
+      res.set('Allow', allowed.join(', '));
+      res.status(405).json({
+        status: 'error',
+        message: `Method ${req.method} not allowed`,
+        path: req.originalUrl,
+      });
+    };
+  }
+
+  /**
+   * Fail an upstream request with ETIMEDOUT when it does not connect or respond in time
+   */
+  applyUpstreamTimeouts(proxyReq, route) {
+    const { timeout, connectTimeout } = route;
+    
+    // Fail with ETIMEDOUT (not a generic socket hang up) so onError can answer 504
+    proxyReq.setTimeout(timeout, () => {
+      const error = new Error(`Upstream did not respond within ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      proxyReq.destroy(error);
+    });
+    
+    proxyReq.on('socket', (socket) => {
+      if (!socket.connecting) return;
+      
+      const timer = setTimeout(() => {
+        const error = new Error(`Upstream connection not established within ${connectTimeout}ms`);
+        error.code = 'ETIMEDOUT';
+        proxyReq.destroy(error);
+      }, connectTimeout);
+      socket.once('connect', () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * Gateway and route-specific headers for a request to the upstream
+   */
+  setUpstreamRequestHeaders(proxyReq, req, route) {
+    const requestHeaders = (route.headers && route.headers.request) || {};
+    
+    // Add original URL to headers
+    proxyReq.setHeader('x-original-url', req.originalUrl);
+    proxyReq.setHeader('x-forwarded-for', req.ip);
+    
+    // Identity headers only ever come from the gateway
+    IDENTITY_HEADERS.forEach(name => proxyReq.removeHeader(name));
+    proxyReq.removeHeader(SIGNATURE_HEADER);
+    
+    if (req.identity) {
+      const identityHeaders = signIdentity(req.identity, { method: req.method, url: req.originalUrl }, this.identitySecret);
+      Object.entries(identityHeaders).forEach(([name, value]) => proxyReq.setHeader(name, value));
+      
+      // Backends get the verified key id instead of the key itself
+      if (req.identity.apiKey) {
+        proxyReq.removeHeader('x-api-key');
+      }
+    } else if (req.apiKey) {
+      // Add API key to headers if present
+      proxyReq.setHeader('x-api-key', req.apiKey);
+    }
+    
+    (requestHeaders.remove || []).forEach(name => proxyReq.removeHeader(name));
+    Object.entries(requestHeaders.set || {}).forEach(([name, value]) => proxyReq.setHeader(name, value));
+  }
+
+  /**
+   * Gateway and route-specific headers for a response from the upstream
+   * @param {Object} headers - Upstream response headers, modified in place
+   */
+  rewriteResponseHeaders(headers, route) {
+    const responseHeaders = (route.headers && route.headers.response) || {};
+    
+    // Add storage source to response headers
+    headers['x-storage-source'] = 'api-gateway';
+    
+    (responseHeaders.remove || []).forEach(name => {
+      delete headers[name.toLowerCase()];
+    });
+    Object.entries(responseHeaders.set || {}).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+  }
+
+  /**
+   * Answer a request whose upstream attempts all failed (504 on timeout, 502 otherwise)
+   */
+  sendUpstreamError(res, route, timedOut) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    
+    res.status(timedOut ? 504 : 502).json({
+      status: 'error',
+      message: timedOut ? 'Upstream service timed out' : 'Upstream service unavailable',
+      route: route.name,
+    });
+  }
+
+  createProxyOptions(route, pool, policy, getProxy) {
+    const { path, stripPrefix } = route;
+    
+    return {
+      // Placeholder required by http-proxy-middleware; `router` picks the real upstream
+      target: pool.upstreams[0].url,
+      router: (req) => req.upstream.url,
+      changeOrigin: true,
+      pathRewrite: stripPrefix ? { [`^${path}`]: '' } : undefined,
+      onProxyReq: (proxyReq, req) => {
+        this.applyUpstreamTimeouts(proxyReq, route);
+        this.setUpstreamRequestHeaders(proxyReq, req, route);
+      },
+      onProxyRes: (proxyRes, req, res) => {
+        req.releaseUpstream();
+        req.finishCircuit(proxyRes.statusCode >= 500 ? 'failure' : 'success');
+        
+        // http-proxy leaves a response that is already finished alone
+        if (proxyRes.statusCode >= 500 && policy.cache && policy.cache.serveStaleIfError(req, res)) {
+          proxyRes.resume();
+          return;
+        }
+        
+        this.rewriteResponseHeaders(proxyRes.headers, route);
+        if (policy.cache) {
+          policy.cache.capture(req, proxyRes);
+        }
+        if (policy.websocket) {
+          policy.websocket.sticky.bindHandshake(req, proxyRes, req.upstream, route.path);
+        }
+      },
+      onError: (err, req, res) => {
+        const timedOut = TIMEOUT_ERROR_CODES.includes(err.code);
+        const failedUpstream = req.upstream.url;
+        req.releaseUpstream(true);
+        metrics.recordUpstreamError(route.name, timedOut);
+        
+        if (this.shouldRetry(req, res, err, route, policy)) {
+          req.proxyAttempt++;
+          metrics.recordRetry(route.name);
+          logger.warn('Retrying upstream request', {
+            route: route.name,
+            target: failedUpstream,
+            attempt: req.proxyAttempt,
+            code: err.code,
+          });
+          
+          const delay = policy.retry.backoff * Math.pow(2, req.proxyAttempt - 1) * (0.5 + Math.random() / 2);
+          setTimeout(() => {
+            if (res.destroyed) return;
+            if (this.assignUpstream(req, res, pool, policy.websocket)) {
+              getProxy()(req, res, req.proxyNext);
+            } else {
+              req.finishCircuit('failure');
+              res.status(503).json({ status: 'error', message: 'No healthy upstream available', route: route.name });
+            }
+          }, delay);
+          return;
+        }
+        
+        req.finishCircuit('failure');
+        logger.error('Upstream request failed', {
+          route: route.name,
+          target: failedUpstream,
+          attempts: req.proxyAttempt + 1,
+          code: err.code,
+          error: err.message,
+        });
+        
+        if (!policy.cache || !policy.cache.serveStaleIfError(req, res)) {
+          this.sendUpstreamError(res, route, timedOut);
+        }
+      },
+      logLevel: this.env === 'development' ? 'debug' : 'error',
+    };
+  }
+
   initializeErrorHandling() {
     // Error handling middleware
     this.app.use((err, req, res, next) => {
@@ -96,7 +891,9 @@ class ApiGateway {
         return next(err);
       }
       
-      res.status(err.status || 500).json({
+      // Upstream connection failures surface as 502 Bad Gateway
+      const status = err.status || (err.code === 'ECONNREFUSED' ? 502 : 500);
+      res.status(status).json({
         status: 'error',
         message: err.message || 'Internal Server Error',
         ...(this.env === 'development' && { stack: err.stack }),
@@ -105,9 +902,18 @@ class ApiGateway {
   }
 
   start() {
+    if (this.watchRoutes) {
+      this.routeTable.watch();
+      this.apiKeys.watch();
+    }
+    
+    this.healthChecksRunning = true;
+    this.routeTable.current.router.upstreams.forEach(pool => pool.startHealthChecks());
+    
     this.server = this.app.listen(this.port, () => {
       console.log(`API Gateway running on port ${this.port} in ${this.env} mode`);
     });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
 
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
@@ -119,6 +925,17 @@ class ApiGateway {
   }
 
   stop() {
+    this.routeTable.unwatch();
+    this.apiKeys.unwatch();
+    this.healthChecksRunning = false;
+    this.routeTable.current.router.upstreams.forEach(pool => pool.stopHealthChecks());
+    
+    this.webSockets.forEach(proxy => proxy.closeAll());
+    
+    if (this.ownsCacheClient) {
+      this.cacheClient.close();
+    }
+    
     if (this.server) {
       this.server.close();
     }
@@ -0,0 +1,231 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Build zeroed counters for one route
+ * @returns {Object}
+ */
+function createRouteMetrics() {
+  return {
+    requests: 0,
+    upstream_errors: 0,
+    timeouts: 0,
+    retries: 0,
+    retry_budget_exhausted: 0,
+    hedges: 0,
+    hedge_wins: 0,
+    hedge_budget_exhausted: 0,
+    cache: {
+      hit: 0,
+      miss: 0,
+      stale: 0,
+    },
+    websocket: {
+      connections: 0,
+      opened: 0,
+      rejected: 0,
+      idle_closed: 0,
+      oversized_frames: 0,
+    },
+    auth_rejections: {
+      unauthorized: 0,
+      forbidden: 0,
+    },
+    circuit_rejections: 0,
+    circuit_state: 'closed',
+    circuit_transitions: {
+      open: 0,
+      'half-open': 0,
+      closed: 0,
+    },
+  };
+}
+
+class GatewayMetrics extends EventEmitter {
+  constructor() {
+    super();
+    this.routes = {};
+    this.lastUpdated = new Date().toISOString();
+  }
+
+  /**
+   * Record a request proxied by a route
+   * @param {string} route - Route name
+   */
+  recordRequest(route) {
+    this._route(route).requests++;
+    this._touch();
+  }
+
+  /**
+   * Record a failed upstream attempt
+   * @param {string} route - Route name
+   * @param {boolean} timedOut - Whether the attempt timed out
+   */
+  recordUpstreamError(route, timedOut) {
+    const metrics = this._route(route);
+    metrics.upstream_errors++;
+    if (timedOut) metrics.timeouts++;
+    this._touch();
+    this.emit('metrics', { type: 'upstream_error', route, timedOut });
+  }
+
+  /**
+   * Record a retried request
+   * @param {string} route - Route name
+   */
+  recordRetry(route) {
+    this._route(route).retries++;
+    this._touch();
+  }
+
+  /**
+   * Record a retry skipped because the retry budget was spent
+   * @param {string} route - Route name
+   */
+  recordRetryBudgetExhausted(route) {
+    this._route(route).retry_budget_exhausted++;
+    this._touch();
+  }
+
+  /**
+   * Record a hedge attempt sent for a slow or failed request
+   * @param {string} route - Route name
+   */
+  recordHedge(route) {
+    this._route(route).hedges++;
+    this._touch();
+  }
+
+  /**
+   * Record a hedged request answered by the hedge rather than the primary
+   * @param {string} route - Route name
+   */
+  recordHedgeWin(route) {
+    this._route(route).hedge_wins++;
+    this._touch();
+  }
+
+  /**
+   * Record a hedge skipped because the hedge budget was spent
+   * @param {string} route - Route name
+   */
+  recordHedgeBudgetExhausted(route) {
+    this._route(route).hedge_budget_exhausted++;
+    this._touch();
+  }
+
+  /**
+   * Record how the response cache answered a request
+   * @param {string} route - Route name
+   * @param {string} status - 'HIT', 'MISS' or 'STALE'
+   */
+  recordCache(route, status) {
+    this._route(route).cache[status.toLowerCase()]++;
+    this._touch();
+  }
+
+  /**
+   * Record a WebSocket connection event
+   * @param {string} route - Route name
+   * @param {string} event - 'opened', 'closed', 'rejected' (connection limit), 'idle_closed' or 'oversized_frame'
+   */
+  recordWebSocket(route, event) {
+    const { websocket } = this._route(route);
+    switch (event) {
+      case 'opened':
+        websocket.opened++;
+        websocket.connections++;
+        break;
+      case 'closed':
+        websocket.connections = Math.max(0, websocket.connections - 1);
+        break;
+      case 'oversized_frame':
+        websocket.oversized_frames++;
+        break;
+      default:
+        websocket[event]++;
+    }
+    this._touch();
+  }
+
+  /**
+   * Record a request rejected by the route's authentication policy
+   * @param {string} route - Route name
+   * @param {number} status - 401 or 403
+   */
+  recordAuthRejection(route, status) {
+    this._route(route).auth_rejections[status === 403 ? 'forbidden' : 'unauthorized']++;
+    this._touch();
+  }
+
+  /**
+   * Record a request rejected by an open circuit breaker
+   * @param {string} route - Route name
+   */
+  recordCircuitRejection(route) {
+    this._route(route).circuit_rejections++;
+    this._touch();
+  }
+
+  /**
+   * Record a circuit breaker state change
+   * @param {string} route - Route name
+   * @param {string} from - Previous state
+   * @param {string} to - New state
+   */
+  recordCircuitStateChange(route, from, to) {
+    const metrics = this._route(route);
+    metrics.circuit_state = to;
+    metrics.circuit_transitions[to]++;
+    this._touch();
+    this.emit('metrics', { type: 'circuit_state', route, from, to });
+  }
+
+  /**
+   * Get current metrics
+   * @returns {Object} Per-route counters
+   */
+  getMetrics() {
+    const routes = JSON.parse(JSON.stringify(this.routes));
+
+    Object.values(routes).forEach(route => {
+      // Share of requests that were hedged, and share of hedges that answered first
+      route.hedge_rate = route.requests > 0 ? route.hedges / route.requests : 0;
+      route.hedge_win_rate = route.hedges > 0 ? route.hedge_wins / route.hedges : 0;
+    });
+
+    return {
+      routes,
+      last_updated: this.lastUpdated,
+    };
+  }
+
+  /**
+   * Reset all metrics
+   */
+  reset() {
+    this.routes = {};
+    this._touch();
+  }
+
+  /**
+   * @private
+   */
+  _route(route) {
+    if (!this.routes[route]) {
+      this.routes[route] = createRouteMetrics();
+    }
+    return this.routes[route];
+  }
+
+  /**
+   * @private
+   */
+  _touch() {
+    this.lastUpdated = new Date().toISOString();
+  }
+}
+
+// Export a singleton instance
+const metrics = new GatewayMetrics();
+module.exports = metrics;
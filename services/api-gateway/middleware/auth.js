@@ -0,0 +1,156 @@
+const { logger } = require('./logging');
+const metrics = require('../metrics');
+
+// Route auth modes: which credentials a request must present
+const AUTH_MODE = {
+  NONE: 'none',
+  API_KEY: 'apiKey',
+  JWT: 'jwt',
+  BOTH: 'both',
+};
+
+// Scope that grants every other scope
+const WILDCARD_SCOPE = '*';
+
+const sendUnauthorized = (res, route, mode, message, code) => {
+  metrics.recordAuthRejection(route, 401);
+
+  const challenges = [];
+  if (mode !== AUTH_MODE.API_KEY) challenges.push('Bearer realm="api-gateway"');
+  if (mode !== AUTH_MODE.JWT) challenges.push('ApiKey realm="api-gateway", header="x-api-key"');
+  res.set('WWW-Authenticate', challenges.join(', '));
+
+  return res.status(401).json({ status: 'error', message, code });
+};
+
+const sendForbidden = (res, route, message, details) => {
+  metrics.recordAuthRejection(route, 403);
+  return res.status(403).json({ status: 'error', message, code: 'INSUFFICIENT_PERMISSIONS', ...details });
+};
+
+/**
+ * Check the API key in `x-api-key` against the key store
+ * @returns {{key?: Object, message?: string, code?: string}}
+ */
+const authenticateApiKey = (req, apiKeys) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    return { message: 'API key required', code: 'API_KEY_REQUIRED' };
+  }
+
+  const { valid, key, reason } = apiKeys.verify(apiKey);
+  if (!valid) {
+    return {
+      message: reason === 'expired' ? 'API key expired' : 'Invalid API key',
+      code: reason === 'expired' ? 'API_KEY_EXPIRED' : 'INVALID_API_KEY',
+      keyId: key && key.id,
+    };
+  }
+
+  return { key };
+};
+
+/**
+ * Check the bearer token in `Authorization` with the JWT verifier
+ * @returns {Promise<{payload?: Object, message?: string, code?: string}>}
+ */
+const authenticateJwt = async (req, jwtVerifier) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (!token || scheme.toLowerCase() !== 'bearer') {
+    return { message: 'Authentication required', code: 'AUTH_REQUIRED' };
+  }
+
+  const { valid, payload, error } = await jwtVerifier.verify(token);
+  if (!valid) {
+    return { message: 'Invalid or expired token', code: 'INVALID_TOKEN', error };
+  }
+
+  return { payload };
+};
+
+/**
+ * Middleware enforcing a route's auth policy. Verified requests get
+ * `req.identity` (forwarded upstream as signed headers) and, for JWTs,
+ * `req.user` like the service-side authenticate() middleware.
+ * @param {Object} options
+ * @param {string} options.route - Route name (metrics and logs)
+ * @param {string} options.mode - 'apiKey', 'jwt' or 'both' (API key and JWT)
+ * @param {string[]} [options.scopes] - API key scopes required, all of them
+ * @param {string[]} [options.roles] - JWT roles accepted, any of them
+ * @param {string[]} [options.permissions] - JWT permissions required, all of them
+ * @param {Object} credentials
+ * @param {ApiKeyStore} [credentials.apiKeys] - Required for 'apiKey' and 'both'
+ * @param {JwtVerifier} [credentials.jwt] - Required for 'jwt' and 'both'
+ * @returns {Function} Express middleware
+ */
+const createAuthPolicy = (options, credentials) => {
+  const {
+    route,
+    mode,
+    scopes = [],
+    roles = [],
+    permissions = [],
+  } = options;
+  const requiresApiKey = mode === AUTH_MODE.API_KEY || mode === AUTH_MODE.BOTH;
+  const requiresJwt = mode === AUTH_MODE.JWT || mode === AUTH_MODE.BOTH;
+
+  return async (req, res, next) => {
+    const identity = { type: mode };
+
+    if (requiresApiKey) {
+      const { key, message, code, keyId } = authenticateApiKey(req, credentials.apiKeys);
+      if (!key) {
+        logger.warn('API key rejected', { route, code, keyId });
+        return sendUnauthorized(res, route, mode, message, code);
+      }
+
+      const granted = key.scopes.includes(WILDCARD_SCOPE) ? scopes : key.scopes;
+      const missing = scopes.filter(scope => !granted.includes(scope));
+      if (missing.length > 0) {
+        return sendForbidden(res, route, 'API key is missing required scopes', { requiredScopes: scopes, keyId: key.id });
+      }
+
+      identity.apiKey = key.id;
+      identity.scopes = key.scopes;
+    }
+
+    if (requiresJwt) {
+      const { payload, message, code, error } = await authenticateJwt(req, credentials.jwt);
+      if (!payload) {
+        if (error) logger.warn('Invalid token', { route, error });
+        return sendUnauthorized(res, route, mode, message, code);
+      }
+
+      const userRoles = payload.roles || [];
+      if (roles.length > 0 && !roles.some(role => userRoles.includes(role))) {
+        return sendForbidden(res, route, 'Insufficient permissions', { requiredRoles: roles });
+      }
+
+      const userPermissions = payload.permissions || [];
+      if (!permissions.every(permission => userPermissions.includes(permission))) {
+        return sendForbidden(res, route, 'Insufficient permissions', { requiredPermissions: permissions });
+      }
+
+      identity.subject = payload.sub;
+      identity.email = payload.email;
+      identity.roles = userRoles;
+      identity.permissions = userPermissions;
+
+      req.user = {
+        id: payload.sub,
+        email: payload.email,
+        roles: userRoles,
+        permissions: userPermissions,
+        jti: payload.jti,
+      };
+    }
+
+    req.identity = identity;
+    next();
+  };
+};
+
+module.exports = {
+  AUTH_MODE,
+  createAuthPolicy,
+};
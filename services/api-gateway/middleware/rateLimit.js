@@ -1,83 +1,261 @@
-const rateLimit = require('express-rate-limit');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-
-// In-memory store for rate limiting (consider Redis for production)
-const rateLimiterMemory = new RateLimiterMemory({
-  points: 100, // 100 points
-  duration: 60, // Per 60 seconds per IP
-  blockDuration: 60 * 5, // Block for 5 minutes if limit is exceeded
-});
+const { logger } = require('./logging');
+const {
+  ALGORITHM,
+  normalizeRule,
+  RedisRateLimitStore,
+  MemoryRateLimitStore,
+} = require('./rateLimitStore');
+
+const {
+  NODE_ENV = 'development',
+  RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000,
+  RATE_LIMIT_MAX_REQUESTS = 100,
+} = process.env;
+
+// 'redis' shares limits across gateway replicas, 'memory' keeps them per process
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || (NODE_ENV === 'production' ? 'redis' : 'memory');
+
+// How each identity type is read from a request. Limiters try them in `keyBy` order.
+const IDENTITY_RESOLVERS = {
+  // Set by the authentication middleware from the JWT `sub` claim
+  user: (req) => req.user && (req.user.id || req.user.sub),
+  // Id of the key verified by the authentication middleware. Unverified `x-api-key` headers are
+  // ignored: a client could otherwise send a new made-up key with each request to get a fresh limit.
+  apiKey: (req) => (req.identity && req.identity.apiKey) || null,
+  ip: (req) => req.ip,
+};
+
+// Stores are created on first use so requiring this module never opens a Redis connection
+let redisStore;
+let memoryStore = null;
+let ownsRedisClient = false;
+let usingFallback = false;
+
+const getMemoryStore = () => {
+  if (!memoryStore) {
+    memoryStore = new MemoryRateLimitStore();
+  }
+  return memoryStore;
+};
+
+const getRedisStore = () => {
+  if (redisStore === undefined) {
+    if (RATE_LIMIT_STORE === 'redis') {
+      const RedisClient = require('../../redis/client');
+      redisStore = new RedisRateLimitStore(new RedisClient());
+      ownsRedisClient = true;
+    } else {
+      redisStore = null;
+    }
+  }
+  return redisStore;
+};
+
+/**
+ * Share limits through an existing RedisClient instead of creating one
+ * @param {Object|null} redisClient - RedisClient instance, or null for local limits only
+ * @param {Object} [options] - RedisRateLimitStore options (prefix, timeout)
+ */
+const useRedisClient = (redisClient, options = {}) => {
+  redisStore = redisClient ? new RedisRateLimitStore(redisClient, options) : null;
+  ownsRedisClient = false;
+  usingFallback = false;
+};
+
+/**
+ * Consume from the shared store, falling back to local limiting while Redis is unreachable.
+ * Local limits are per replica, so the effective limit is higher until Redis recovers.
+ */
+const consume = async (key, rule) => {
+  const store = getRedisStore();
+
+  if (store && store.isAvailable()) {
+    try {
+      const result = await store.consume(key, rule);
+      if (usingFallback) {
+        usingFallback = false;
+        logger.info('Redis rate limit store recovered, sharing limits again');
+      }
+      return result;
+    } catch (error) {
+      if (!usingFallback) {
+        logger.warn('Redis rate limit store failed, falling back to local limits', { error: error.message });
+      }
+      usingFallback = true;
+      return getMemoryStore().consume(key, rule);
+    }
+  }
+
+  if (store && !usingFallback) {
+    usingFallback = true;
+    logger.warn('Redis rate limit store unavailable, falling back to local limits');
+  }
+
+  return getMemoryStore().consume(key, rule);
+};
+
+/**
+ * Find the first identity in `keyBy` present on the request
+ */
+const resolveIdentity = (req, keyBy) => {
+  for (const type of keyBy) {
+    const resolver = typeof type === 'function' ? type : IDENTITY_RESOLVERS[type];
+    if (!resolver) {
+      throw new Error(`Unknown rate limit key type: ${type}`);
+    }
+
+    const value = resolver(req);
+    if (value) {
+      return { type: typeof type === 'function' ? 'custom' : type, value };
+    }
+  }
+  return null;
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} [options.name] - Limit name, shared by every replica (default: the mount path)
+ * @param {string} [options.algorithm='sliding-window'] - 'sliding-window' or 'token-bucket'
+ * @param {number} [options.windowMs] - Window length (token bucket: time to refill `max` tokens)
+ * @param {number} [options.max] - Requests allowed per window
+ * @param {number} [options.burst] - Token bucket size (default: max)
+ * @param {Array<string|Function>} [options.keyBy=['ip']] - Identities to limit by, in order of preference
+ *   ('user', 'apiKey', 'ip' or a `(req) => string` function). Requests with none of them are not limited.
+ * @param {string} [options.message] - Message returned with 429 responses
+ * @param {boolean} [options.legacyHeaders=false] - Also send `X-RateLimit-*` headers
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = (options = {}) => {
+  const {
+    name,
+    keyBy = ['ip'],
+    message = 'Too many requests, please try again later',
+    legacyHeaders = false,
+  } = options;
+
+  const rule = normalizeRule({
+    algorithm: options.algorithm,
+    limit: options.max,
+    windowMs: options.windowMs,
+    burst: options.burst,
+  });
+
+  return async (req, res, next) => {
+    let identity;
+    let result;
+
+    try {
+      identity = resolveIdentity(req, keyBy);
+      if (!identity) return next();
+
+      const scope = name || req.baseUrl || '/';
+      result = await consume(`${scope}:${identity.type}:${identity.value}`, rule);
+    } catch (error) {
+      // Never turn a limiter failure into an outage
+      logger.error('Rate limiting failed, allowing request', { error: error.message });
+      return next();
+    }
+
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (legacyHeaders) {
+      res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(resetSeconds),
+      });
+    }
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message,
+        retryAfter,
+      });
+    }
+
+    next();
+  };
+};
 
 // Rate limiter by IP
-const globalRateLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+const globalRateLimiter = createRateLimiter({
+  name: 'global',
+  windowMs: Number(RATE_LIMIT_WINDOW_MS),
+  max: Number(RATE_LIMIT_MAX_REQUESTS),
   message: 'Too many requests from this IP, please try again later',
-  handler: (req, res, next, options) => {
-    res.status(options.statusCode).json({
-      status: 'error',
-      message: options.message,
-      retryAfter: req.rateLimit.resetTime - Date.now(),
-    });
-  },
 });
 
-// Rate limiter by API key
+// Rate limiter by API key (token bucket so clients can burst after idling)
+const apiKeyLimiter = createRateLimiter({
+  name: 'api-key',
+  algorithm: ALGORITHM.TOKEN_BUCKET,
+  windowMs: 60 * 1000, // 100 requests per minute on average
+  max: 100,
+  // Requests whose key was not verified are limited by IP
+  keyBy: ['apiKey', 'ip'],
+  legacyHeaders: true,
+});
+
 const apiKeyRateLimiter = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
-  
+
   // Skip rate limiting if no API key is provided
   if (!apiKey) return next();
-  
-  // Use API key as the unique identifier
-  const key = `api-key:${apiKey}`;
-  
-  rateLimiterMemory.consume(key, 1)
-    .then((rateLimiterRes) => {
-      // Set rate limit headers
-      res.set({
-        'X-RateLimit-Limit': rateLimiterMemory.points,
-        'X-RateLimit-Remaining': rateLimiterRes.remainingPoints,
-        'X-RateLimit-Reset': Math.ceil(rateLimiterRes.msBeforeNext / 1000),
-      });
-      
-      // Store API key in request for later use
-      req.apiKey = apiKey;
-      next();
-    })
-    .catch((rateLimiterRes) => {
-      // Rate limit exceeded
-      const retryAfter = Math.ceil(rateLimiterRes.msBeforeNext / 1000);
-      res.set('Retry-After', String(retryAfter));
-      res.status(429).json({
-        status: 'error',
-        message: 'Too many requests, please try again later',
-        retryAfter,
-      });
-    });
+
+  return apiKeyLimiter(req, res, () => {
+    // Store API key in request for later use
+    req.apiKey = apiKey;
+    next();
+  });
 };
 
-// Route-specific rate limiting
+// Route-specific rate limiting, per user when authenticated, then per API key, then per IP
 const createRouteRateLimiter = (options = {}) => {
   const {
     windowMs = 15 * 60 * 1000, // 15 minutes
     max = 100, // Max requests per windowMs
     message = 'Too many requests, please try again later',
   } = options;
-  
-  return rateLimit({
+
+  return createRateLimiter({
+    keyBy: ['user', 'apiKey', 'ip'],
+    ...options,
     windowMs,
     max,
     message,
-    standardHeaders: true,
-    legacyHeaders: false,
   });
 };
 
+/**
+ * Release store resources (closes the Redis connection if this module opened it)
+ */
+const closeRateLimitStores = async () => {
+  if (memoryStore) {
+    memoryStore.close();
+    memoryStore = null;
+  }
+  if (redisStore && ownsRedisClient) {
+    await redisStore.redisClient.close();
+  }
+  redisStore = undefined;
+  ownsRedisClient = false;
+  usingFallback = false;
+};
+
 module.exports = {
   global: globalRateLimiter,
   apiKey: apiKeyRateLimiter,
   createRouteRateLimiter,
+  createRateLimiter,
+  useRedisClient,
+  closeRateLimitStores,
+  ALGORITHM,
 };
@@ -0,0 +1,312 @@
+// Rate limiting algorithms supported by both stores
+const ALGORITHM = {
+  SLIDING_WINDOW: 'sliding-window',
+  TOKEN_BUCKET: 'token-bucket'
+};
+
+// Milliseconds a Redis call may take before the limiter falls back to local limiting
+const DEFAULT_REDIS_TIMEOUT = 100;
+
+// Interval for dropping idle keys from the in-memory store
+const MEMORY_SWEEP_INTERVAL = 60 * 1000;
+
+/*
+ * Sliding window counter: the previous window's count is weighted by how much of it
+ * still overlaps the sliding window. Uses Redis TIME so replicas with skewed clocks agree.
+ * Returns { allowed, remaining, retryAfterMs, resetMs }.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local index = math.floor(now / window)
+local state = redis.call('HMGET', KEYS[1], 'window', 'current', 'previous')
+local current = tonumber(state[2]) or 0
+local previous = tonumber(state[3]) or 0
+local stored = tonumber(state[1]) or index
+if stored ~= index then
+  previous = stored == index - 1 and current or 0
+  current = 0
+end
+local elapsed = now - index * window
+local used = previous * (1 - elapsed / window) + current
+local allowed = 0
+local retry = 0
+if used + cost <= limit then
+  allowed = 1
+  current = current + cost
+  used = used + cost
+elseif previous > 0 and current + cost <= limit then
+  retry = math.ceil((1 - (limit - current - cost) / previous) * window - elapsed)
+else
+  retry = window - elapsed
+end
+redis.call('HSET', KEYS[1], 'window', index, 'current', current, 'previous', previous)
+redis.call('PEXPIRE', KEYS[1], window * 2)
+return { allowed, math.max(0, math.floor(limit - used)), retry, window - elapsed }
+`;
+
+/*
+ * Token bucket: refills continuously at limit / windowMs tokens per millisecond up to `capacity`.
+ * Returns { allowed, remaining, retryAfterMs, resetMs }.
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(state[1]) or capacity
+local updated = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * rate)
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+  allowed = 1
+  tokens = tokens - cost
+else
+  retry = math.ceil((cost - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate))
+return { allowed, math.floor(tokens), retry, math.ceil((capacity - tokens) / rate) }
+`;
+
+/**
+ * Check a rate limit rule and normalise its settings
+ * @param {Object} rule - Rate limit rule
+ * @returns {Object} Rule with defaults applied
+ */
+function normalizeRule(rule) {
+  const algorithm = rule.algorithm || ALGORITHM.SLIDING_WINDOW;
+  if (!Object.values(ALGORITHM).includes(algorithm)) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+  if (!(rule.limit > 0) || !(rule.windowMs > 0)) {
+    throw new Error('Rate limit rules require a positive limit and windowMs');
+  }
+
+  return {
+    algorithm,
+    limit: rule.limit,
+    windowMs: rule.windowMs,
+    // Token bucket only: bucket size, allowing short bursts above the average rate
+    burst: rule.burst || rule.limit,
+    cost: rule.cost || 1
+  };
+}
+
+/**
+ * Convert a script reply into a consume() result
+ * @private
+ */
+function toResult(rule, [allowed, remaining, retryAfterMs, resetMs]) {
+  return {
+    allowed: allowed === 1,
+    limit: rule.algorithm === ALGORITHM.TOKEN_BUCKET ? rule.burst : rule.limit,
+    remaining,
+    retryAfterMs,
+    resetMs
+  };
+}
+
+/**
+ * Rate limit store shared by every gateway replica, backed by the RedisClient
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {Object} redisClient - RedisClient instance (services/redis/client)
+   * @param {Object} [options]
+   * @param {string} [options.prefix='ratelimit'] - Key prefix (added after the client's own keyPrefix)
+   * @param {number} [options.timeout=100] - Milliseconds before a call is treated as failed
+   */
+  constructor(redisClient, options = {}) {
+    this.redisClient = redisClient;
+    this.prefix = options.prefix || 'ratelimit';
+    this.timeout = options.timeout || DEFAULT_REDIS_TIMEOUT;
+    this.commandsDefined = false;
+  }
+
+  /**
+   * Whether the Redis connection can serve commands right now
+   * @returns {boolean}
+   */
+  isAvailable() {
+    const client = this.redisClient && this.redisClient.client;
+    return Boolean(client && client.status === 'ready');
+  }
+
+  /**
+   * Consume from a limit
+   * @param {string} key - Limit key (route and identity)
+   * @param {Object} rule - Normalised rule
+   * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterMs, resetMs }
+   */
+  async consume(key, rule) {
+    const client = this.redisClient.client;
+    this._defineCommands(client);
+
+    const redisKey = `${this.prefix}:${key}`;
+    const call = rule.algorithm === ALGORITHM.TOKEN_BUCKET
+      ? client.rateLimitTokenBucket(redisKey, rule.burst, rule.limit / rule.windowMs, rule.cost)
+      : client.rateLimitSlidingWindow(redisKey, rule.windowMs, rule.limit, rule.cost);
+
+    return toResult(rule, await this._withTimeout(call));
+  }
+
+  /**
+   * Register the Lua scripts on the ioredis client
+   * @private
+   */
+  _defineCommands(client) {
+    if (this.commandsDefined || typeof client.rateLimitSlidingWindow === 'function') {
+      this.commandsDefined = true;
+      return;
+    }
+
+    client.defineCommand('rateLimitSlidingWindow', { numberOfKeys: 1, lua: SLIDING_WINDOW_SCRIPT });
+    client.defineCommand('rateLimitTokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_SCRIPT });
+    this.commandsDefined = true;
+  }
+
+  /**
+   * Reject if Redis does not answer in time, so a slow Redis cannot stall every request
+   * @private
+   */
+  _withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Rate limit store timed out after ${this.timeout}ms`)), this.timeout);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+/**
+ * Per-process rate limit store. Used on its own in development and as the
+ * fallback when Redis is unreachable.
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sweepInterval=60000] - Milliseconds between sweeps of idle keys
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.sweepTimer = setInterval(() => this._sweep(), options.sweepInterval || MEMORY_SWEEP_INTERVAL);
+
+    // Do not keep the process alive just for the sweep
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Consume from a limit (same semantics as the Redis scripts)
+   * @param {string} key - Limit key (route and identity)
+   * @param {Object} rule - Normalised rule
+   * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterMs, resetMs }
+   */
+  async consume(key, rule) {
+    const now = Date.now();
+    const reply = rule.algorithm === ALGORITHM.TOKEN_BUCKET
+      ? this._tokenBucket(key, rule, now)
+      : this._slidingWindow(key, rule, now);
+
+    return toResult(rule, reply);
+  }
+
+  /**
+   * @private
+   */
+  _slidingWindow(key, { windowMs, limit, cost }, now) {
+    const index = Math.floor(now / windowMs);
+    const state = this.entries.get(key) || { window: index, current: 0, previous: 0 };
+
+    if (state.window !== index) {
+      state.previous = state.window === index - 1 ? state.current : 0;
+      state.current = 0;
+      state.window = index;
+    }
+
+    const elapsed = now - index * windowMs;
+    let used = state.previous * (1 - elapsed / windowMs) + state.current;
+    let allowed = 0;
+    let retry = 0;
+
+    if (used + cost <= limit) {
+      allowed = 1;
+      state.current += cost;
+      used += cost;
+    } else if (state.previous > 0 && state.current + cost <= limit) {
+      retry = Math.ceil((1 - (limit - state.current - cost) / state.previous) * windowMs - elapsed);
+    } else {
+      retry = windowMs - elapsed;
+    }
+
+    state.expiresAt = now + windowMs * 2;
+    this.entries.set(key, state);
+
+    return [allowed, Math.max(0, Math.floor(limit - used)), retry, windowMs - elapsed];
+  }
+
+  /**
+   * @private
+   */
+  _tokenBucket(key, { burst, limit, windowMs, cost }, now) {
+    const rate = limit / windowMs;
+    const state = this.entries.get(key) || { tokens: burst, updated: now };
+
+    state.tokens = Math.min(burst, state.tokens + Math.max(0, now - state.updated) * rate);
+    state.updated = now;
+
+    let allowed = 0;
+    let retry = 0;
+
+    if (state.tokens >= cost) {
+      allowed = 1;
+      state.tokens -= cost;
+    } else {
+      retry = Math.ceil((cost - state.tokens) / rate);
+    }
+
+    state.expiresAt = now + Math.ceil(burst / rate);
+    this.entries.set(key, state);
+
+    return [allowed, Math.floor(state.tokens), retry, Math.ceil((burst - state.tokens) / rate)];
+  }
+
+  /**
+   * Drop keys that have been idle long enough to be back at their full limit
+   * @private
+   */
+  _sweep() {
+    const now = Date.now();
+    for (const [key, state] of this.entries) {
+      if (state.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Stop the sweep timer and drop all state
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  ALGORITHM,
+  normalizeRule,
+  RedisRateLimitStore,
+  MemoryRateLimitStore
+};
@@ -1,37 +1,12 @@
-const { createRouteRateLimiter } = require('../middleware/rateLimit');
+const { RouteTable, DEFAULT_ROUTES_FILE, expandEnvVars } = require('./routeTable');
+const { HTTP_METHODS, routeSchema, routeTableSchema } = require('./schema');
 
-// Route configuration
-const routes = [
-  // API Service
-  {
-    path: '/api',
-    target: process.env.API_SERVICE_URL || 'http://localhost:3001',
-    rateLimit: createRouteRateLimiter({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100, // Limit each IP to 100 requests per windowMs
-      message: 'Too many requests to the API service, please try again later',
-    }),
-  },
-  
-  // Frontend Service
-  {
-    path: '/',
-    target: process.env.FRONTEND_SERVICE_URL || 'http://localhost:3000',
-    rateLimit: createRouteRateLimiter({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 200, // Higher limit for frontend assets
-    }),
-  },
-  
-  // Authentication Service (example)
-  {
-    path: '/auth',
-    target: process.env.AUTH_SERVICE_URL || 'http://localhost:3002',
-    rateLimit: createRouteRateLimiter({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 50, // Stricter limit for auth endpoints
-    }),
-  },
-];
-
-module.exports = routes;
+// Routes are defined in routes.yaml (or the file named by ROUTES_FILE) and hot-reloaded
+module.exports = {
+  RouteTable,
+  DEFAULT_ROUTES_FILE,
+  HTTP_METHODS,
+  routeSchema,
+  routeTableSchema,
+  expandEnvVars,
+};
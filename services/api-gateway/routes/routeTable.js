@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const yaml = require('yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { logger } = require('../middleware/logging');
+const { routeTableSchema } = require('./schema');
+
+// Route table shipped with the gateway (overridable with ROUTES_FILE)
+const DEFAULT_ROUTES_FILE = path.join(__dirname, 'routes.yaml');
+
+// Editors often write a file in several steps, so wait for them to settle
+const DEFAULT_WATCH_DEBOUNCE = 200;
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true });
+addFormats(ajv);
+const validateRouteTable = ajv.compile(routeTableSchema);
+
+/**
+ * Replace ${VAR} / ${VAR:default} with environment values (same syntax as services/config.js)
+ */
+const expandEnvVars = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([^:}]+)(?::([^}]+))?}/g, (_, varName, defaultValue) => {
+      return process.env[varName] || (defaultValue || '');
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(expandEnvVars);
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const result = {};
+    for (const key in value) {
+      result[key] = expandEnvVars(value[key]);
+    }
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Route table loaded from a YAML/JSON file. Each load builds a complete new
+ * router and swaps it in at once: requests already in flight finish on the
+ * router they started with, new requests use the new one.
+ *
+ * Events: 'reload' (snapshot), 'reloadFailed' (error)
+ */
+class RouteTable extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.build - `(routes) => router`, builds the request handler for a validated route list
+   * @param {Function} [options.dispose] - `(router) => void`, releases a replaced router's resources
+   * @param {string} [options.file] - Route table file (default: routes/routes.yaml)
+   * @param {number} [options.debounce=200] - Milliseconds to wait after a file change before reloading
+   */
+  constructor(options = {}) {
+    super();
+
+    if (typeof options.build !== 'function') {
+      throw new Error('Route table requires a build function');
+    }
+
+    this.build = options.build;
+    this.dispose = options.dispose;
+    this.file = path.resolve(options.file || DEFAULT_ROUTES_FILE);
+    this.debounce = options.debounce ?? DEFAULT_WATCH_DEBOUNCE;
+    this.current = null;
+    this.version = 0;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Read, validate and build the route table, then swap it in.
+   * Throws (leaving the current table untouched) if the file is invalid.
+   * @returns {Object} The new snapshot ({ version, routes, loadedAt })
+   */
+  load() {
+    const routes = this._read();
+    const router = this.build(routes);
+    const previous = this.current;
+
+    this.version++;
+    this.current = {
+      version: this.version,
+      routes,
+      router,
+      loadedAt: new Date().toISOString()
+    };
+
+    // In-flight requests keep their reference to the old router; only background work stops
+    if (previous && this.dispose) {
+      this.dispose(previous.router);
+    }
+
+    return this.current;
+  }
+
+  /**
+   * Like load(), but logs and reports failures instead of throwing
+   * @returns {{success: boolean, version: number, routes?: number, error?: string}}
+   */
+  reload() {
+    try {
+      const snapshot = this.load();
+      logger.info('Route table reloaded', { file: this.file, version: snapshot.version, routes: snapshot.routes.length });
+      this.emit('reload', snapshot);
+      return { success: true, version: snapshot.version, routes: snapshot.routes.length };
+    } catch (error) {
+      logger.error('Route table reload failed, keeping current routes', {
+        file: this.file,
+        version: this.version,
+        error: error.message
+      });
+      this.emit('reloadFailed', error);
+      return { success: false, version: this.version, error: error.message };
+    }
+  }
+
+  /**
+   * Express middleware dispatching to the current router
+   */
+  handle(req, res, next) {
+    if (!this.current) {
+      return next(new Error('Route table not loaded'));
+    }
+    return this.current.router(req, res, next);
+  }
+
+  /**
+   * Route definitions currently in use
+   * @returns {Array<Object>}
+   */
+  getRoutes() {
+    return this.current ? this.current.routes : [];
+  }
+
+  /**
+   * Reload automatically when the file changes
+   */
+  watch() {
+    if (this.watcher) return;
+
+    // Watch the directory: editors and ConfigMap updates replace the file rather than write to it
+    const fileName = path.basename(this.file);
+    this.watcher = fs.watch(path.dirname(this.file), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), this.debounce);
+    });
+
+    this.watcher.on('error', (error) => {
+      logger.error('Route table watcher failed', { file: this.file, error: error.message });
+    });
+
+    // Do not keep the process alive just for the watcher
+    if (this.watcher.unref) this.watcher.unref();
+  }
+
+  /**
+   * Stop watching the file
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Parse and validate the route file
+   * @private
+   */
+  _read() {
+    const content = fs.readFileSync(this.file, 'utf8');
+    // YAML is a superset of JSON, so this handles both
+    const table = expandEnvVars(yaml.parse(content) || {});
+
+    if (!validateRouteTable(table)) {
+      throw new Error(`Invalid route table: ${ajv.errorsText(validateRouteTable.errors, { separator: '; ' })}`);
+    }
+
+    const names = new Set();
+    const paths = new Set();
+    table.routes.forEach(route => {
+      if (names.has(route.name)) {
+        throw new Error(`Invalid route table: duplicate route name "${route.name}"`);
+      }
+      if (paths.has(route.path)) {
+        throw new Error(`Invalid route table: duplicate route path "${route.path}"`);
+      }
+      names.add(route.name);
+      paths.add(route.path);
+    });
+
+    // Most specific path first, so "/" cannot shadow "/auth"
+    return [...table.routes].sort((a, b) => b.path.length - a.path.length);
+  }
+}
+
+module.exports = {
+  RouteTable,
+  DEFAULT_ROUTES_FILE,
+  expandEnvVars
+};
@@ -0,0 +1,266 @@
+// HTTP methods a route can be restricted to
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Headers to add/overwrite and headers to drop, on the way to or from the upstream
+const headerRewriteSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    set: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    remove: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// Upstream URL, optionally weighted
+const targetSchema = {
+  oneOf: [
+    { type: 'string', format: 'uri' },
+    {
+      type: 'object',
+      required: ['url'],
+      additionalProperties: false,
+      properties: {
+        url: { type: 'string', format: 'uri' },
+        weight: { type: 'integer', minimum: 1 }
+      }
+    }
+  ]
+};
+
+const loadBalancingSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    strategy: { type: 'string', enum: ['round-robin', 'least-outstanding', 'ewma'], default: 'round-robin' },
+    // Weight of the newest latency sample (ewma only)
+    ewmaAlpha: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    healthCheck: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string', pattern: '^/' },
+        interval: { type: 'integer', minimum: 100 },
+        timeout: { type: 'integer', minimum: 1 },
+        unhealthyThreshold: { type: 'integer', minimum: 1 },
+        healthyThreshold: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
+
+// Retries for idempotent requests that failed before the upstream answered
+const retrySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    attempts: { type: 'integer', minimum: 0, maximum: 5 },
+    methods: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', enum: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'] }
+    },
+    // Base delay in milliseconds, doubled on each attempt
+    backoff: { type: 'integer', minimum: 0 },
+    budget: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ratio: { type: 'number', minimum: 0, maximum: 1 },
+        minPerSecond: { type: 'number', minimum: 0 },
+        window: { type: 'integer', minimum: 1000 }
+      }
+    }
+  }
+};
+
+const circuitBreakerSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    failureThreshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    minimumRequests: { type: 'integer', minimum: 1 },
+    window: { type: 'integer', minimum: 1000 },
+    openDuration: { type: 'integer', minimum: 1 },
+    halfOpenRequests: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Second attempt to another target for slow idempotent requests
+const hedgingSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    // Milliseconds to wait for the first attempt, or 'p95' for the route's observed p95
+    delay: { type: 'string', pattern: '^(p95|[0-9]+)$', default: 'p95' },
+    minDelay: { type: 'integer', minimum: 0 },
+    methods: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', enum: ['GET', 'HEAD', 'OPTIONS'] }
+    },
+    budget: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ratio: { type: 'number', minimum: 0, maximum: 1 },
+        minPerSecond: { type: 'number', minimum: 0 },
+        window: { type: 'integer', minimum: 1000 }
+      }
+    }
+  }
+};
+
+// Shared response cache, driven by the upstream's Cache-Control headers
+const cacheSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    // Largest response body stored, in bytes
+    maxEntrySize: { type: 'integer', minimum: 1 },
+    // Cap on the lifetime an upstream can ask for, in seconds
+    maxTtl: { type: 'integer', minimum: 1 },
+    // Milliseconds to wait for Redis before proxying without the cache
+    timeout: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Credentials a route requires; the verified identity is forwarded upstream as signed headers
+const authSchema = {
+  type: 'object',
+  required: ['mode'],
+  additionalProperties: false,
+  properties: {
+    // 'both' requires an API key and a JWT
+    mode: { type: 'string', enum: ['none', 'apiKey', 'jwt', 'both'] },
+    // API key scopes required (all of them)
+    scopes: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 }
+    },
+    // JWT roles accepted (any of them)
+    roles: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 }
+    },
+    // JWT permissions required (all of them)
+    permissions: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// WebSocket upgrades and Socket.IO long-polling, kept on one upstream per session
+const websocketSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    // 'cookie' sets a cookie naming the upstream, 'sid' follows the Engine.IO session id only
+    sticky: { type: 'string', enum: ['cookie', 'sid'] },
+    cookieName: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+    // Milliseconds without traffic before a connection is closed
+    idleTimeout: { type: 'integer', minimum: 1000 },
+    // Open connections per gateway replica, in total and per client IP
+    maxConnections: { type: 'integer', minimum: 1 },
+    maxConnectionsPerIp: { type: 'integer', minimum: 1 },
+    // Largest frame a client may send, in bytes
+    maxFrameSize: { type: 'integer', minimum: 1 },
+    // Long-polling requests per session per minute
+    maxPollingRequests: { type: 'integer', minimum: 1 }
+  }
+};
+
+// A route proxies to a single `target` or a load-balanced pool of `targets`
+const routeSchema = {
+  type: 'object',
+  required: ['name', 'path'],
+  oneOf: [
+    { required: ['target'] },
+    { required: ['targets'] }
+  ],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+    path: { type: 'string', pattern: '^/' },
+    target: { type: 'string', format: 'uri' },
+    targets: { type: 'array', minItems: 1, items: targetSchema },
+    loadBalancing: loadBalancingSchema,
+    methods: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', enum: HTTP_METHODS }
+    },
+    // Milliseconds to wait for the upstream to respond before answering 504
+    timeout: { type: 'integer', minimum: 1, default: 30000 },
+    // Milliseconds to wait for the TCP connection to the upstream
+    connectTimeout: { type: 'integer', minimum: 1, default: 5000 },
+    retry: retrySchema,
+    circuitBreaker: circuitBreakerSchema,
+    hedging: hedgingSchema,
+    cache: cacheSchema,
+    auth: authSchema,
+    websocket: websocketSchema,
+    // Remove the route path before forwarding (/api/users -> /users)
+    stripPrefix: { type: 'boolean', default: true },
+    headers: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        request: headerRewriteSchema,
+        response: headerRewriteSchema
+      }
+    },
+    rateLimit: {
+      type: 'object',
+      required: ['max'],
+      additionalProperties: false,
+      properties: {
+        algorithm: { type: 'string', enum: ['sliding-window', 'token-bucket'] },
+        windowMs: { type: 'integer', minimum: 1 },
+        max: { type: 'integer', minimum: 1 },
+        burst: { type: 'integer', minimum: 1 },
+        keyBy: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', enum: ['user', 'apiKey', 'ip'] }
+        },
+        message: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Schema for the gateway route table file (routes.yaml)
+const routeTableSchema = {
+  type: 'object',
+  required: ['routes'],
+  additionalProperties: false,
+  properties: {
+    routes: {
+      type: 'array',
+      items: routeSchema
+    }
+  }
+};
+
+module.exports = {
+  HTTP_METHODS,
+  routeSchema,
+  routeTableSchema
+};
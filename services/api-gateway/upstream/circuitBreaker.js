@@ -0,0 +1,206 @@
+const { EventEmitter } = require('events');
+
+// Breaker states
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Default breaker settings (overridable per route)
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  failureThreshold: 0.5,
+  minimumRequests: 20,
+  window: 10000,
+  openDuration: 30000,
+  halfOpenRequests: 1
+};
+
+// Number of buckets the rolling window is split into
+const WINDOW_BUCKETS = 10;
+
+/**
+ * Circuit breaker for one route. Opens when the failure ratio over the rolling
+ * window reaches `failureThreshold` (with at least `minimumRequests` requests),
+ * rejects everything for `openDuration`, then lets `halfOpenRequests` probes
+ * through: all succeeding closes it, any failing re-opens it.
+ *
+ * Emits 'stateChange' ({ from, to }).
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {string} name - Route name
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=0.5] - Failure ratio (0-1) that opens the breaker
+   * @param {number} [options.minimumRequests=20] - Requests in the window before the ratio is considered
+   * @param {number} [options.window=10000] - Rolling window in milliseconds
+   * @param {number} [options.openDuration=30000] - Milliseconds to reject requests before probing
+   * @param {number} [options.halfOpenRequests=1] - Probe requests allowed while half-open
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.state = STATE.CLOSED;
+    this.openedAt = 0;
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+    this.bucketSize = this.options.window / WINDOW_BUCKETS;
+    this.buckets = [];
+  }
+
+  /**
+   * Ask to send a request
+   * @returns {Function|null} `finish(outcome)` to call once with 'success', 'failure'
+   *   or 'ignore' (e.g. client aborted), or null if the breaker rejects the request
+   */
+  begin() {
+    if (this.state === STATE.OPEN) {
+      if (Date.now() - this.openedAt < this.options.openDuration) {
+        return null;
+      }
+      this._transition(STATE.HALF_OPEN);
+    }
+
+    const halfOpen = this.state === STATE.HALF_OPEN;
+    if (halfOpen) {
+      if (this.halfOpenInFlight >= this.options.halfOpenRequests) {
+        return null;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    let finished = false;
+    return (outcome) => {
+      if (finished) return;
+      finished = true;
+
+      if (halfOpen) {
+        this.halfOpenInFlight--;
+      }
+      if (outcome !== 'ignore') {
+        this._record(outcome === 'success', halfOpen);
+      }
+    };
+  }
+
+  /**
+   * Milliseconds until an open breaker lets a probe through
+   * @returns {number}
+   */
+  getRetryAfter() {
+    if (this.state !== STATE.OPEN) return 0;
+    return Math.max(0, this.options.openDuration - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Breaker state for /health and metrics
+   * @returns {Object}
+   */
+  getStatus() {
+    const { requests, failures } = this._totals();
+    return {
+      state: this.state,
+      requests,
+      failures,
+      retryAfterMs: this.getRetryAfter()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _record(success, fromHalfOpen) {
+    if (fromHalfOpen) {
+      // A late result from a probe sent before the breaker re-opened changes nothing
+      if (this.state !== STATE.HALF_OPEN) return;
+
+      if (!success) {
+        this._transition(STATE.OPEN);
+      } else if (++this.halfOpenSuccesses >= this.options.halfOpenRequests) {
+        this._transition(STATE.CLOSED);
+      }
+      return;
+    }
+
+    const bucket = this._currentBucket();
+    bucket.requests++;
+    if (!success) bucket.failures++;
+
+    if (this.state === STATE.CLOSED && !success) {
+      const { requests, failures } = this._totals();
+      if (requests >= this.options.minimumRequests && failures / requests >= this.options.failureThreshold) {
+        this._transition(STATE.OPEN);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _transition(to) {
+    const from = this.state;
+    if (from === to) return;
+
+    this.state = to;
+    this.halfOpenSuccesses = 0;
+
+    if (to === STATE.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (to === STATE.CLOSED) {
+      // Start counting afresh so old failures cannot re-open it straight away
+      this.buckets = [];
+    }
+
+    this.emit('stateChange', { from, to });
+  }
+
+  /**
+   * @private
+   */
+  _currentBucket() {
+    const start = Math.floor(Date.now() / this.bucketSize) * this.bucketSize;
+    let bucket = this.buckets[this.buckets.length - 1];
+
+    if (!bucket || bucket.start !== start) {
+      // Pruned here too, or a route that never fails would keep every bucket
+      this._dropExpired();
+      bucket = { start, requests: 0, failures: 0 };
+      this.buckets.push(bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Drop the buckets that left the rolling window
+   * @private
+   */
+  _dropExpired() {
+    const cutoff = Date.now() - this.options.window;
+    this.buckets = this.buckets.filter(bucket => bucket.start + this.bucketSize > cutoff);
+  }
+
+  /**
+   * Totals over the rolling window
+   * @private
+   */
+  _totals() {
+    this._dropExpired();
+
+    return this.buckets.reduce((totals, bucket) => ({
+      requests: totals.requests + bucket.requests,
+      failures: totals.failures + bucket.failures
+    }), { requests: 0, failures: 0 });
+  }
+}
+
+CircuitBreaker.STATE = STATE;
+CircuitBreaker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  CircuitBreaker,
+  STATE
+};
@@ -0,0 +1,145 @@
+const http = require('http');
+const https = require('https');
+const { logger } = require('../middleware/logging');
+
+// Default active health check settings (overridable per route)
+const DEFAULT_OPTIONS = {
+  path: '/health',
+  interval: 10000,
+  timeout: 2000,
+  unhealthyThreshold: 3,
+  healthyThreshold: 2
+};
+
+/**
+ * Probe a URL once
+ * @param {string} url - URL to GET
+ * @param {number} timeout - Milliseconds before the probe fails
+ * @returns {Promise<number>} Response status code
+ */
+const probe = (url, timeout) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const req = client.get(url, { timeout }, (res) => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Health check timed out after ${timeout}ms`)));
+  req.on('error', reject);
+});
+
+/**
+ * Periodically probes every upstream of a pool. Upstreams are ejected after
+ * `unhealthyThreshold` consecutive failures and re-admitted after
+ * `healthyThreshold` consecutive successes.
+ */
+class HealthChecker {
+  /**
+   * @param {Object} pool - UpstreamPool to check
+   * @param {Object} [options]
+   * @param {string} [options.path='/health'] - Path probed on each upstream
+   * @param {number} [options.interval=10000] - Milliseconds between probes
+   * @param {number} [options.timeout=2000] - Milliseconds before a probe fails
+   * @param {number} [options.unhealthyThreshold=3] - Consecutive failures before ejecting
+   * @param {number} [options.healthyThreshold=2] - Consecutive successes before re-admitting
+   * @param {Function} [options.probe] - `(url, timeout) => Promise<statusCode>` (default: HTTP GET)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.probe = options.probe || probe;
+    this.timer = null;
+    this.running = false;
+    this.state = new Map(pool.upstreams.map(upstream => [upstream, {
+      successes: 0,
+      failures: 0,
+      lastCheck: null,
+      lastError: null
+    }]));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.checkAll(), this.options.interval);
+    // Do not keep the process alive just for health checks
+    if (this.timer.unref) this.timer.unref();
+
+    this.checkAll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Probe every upstream once (skipped if the previous round is still running)
+   * @returns {Promise<void>}
+   */
+  async checkAll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await Promise.all(this.pool.upstreams.map(upstream => this._check(upstream)));
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Health check state of one upstream
+   * @returns {Object}
+   */
+  getState(upstream) {
+    const { lastCheck, lastError } = this.state.get(upstream);
+    return { lastCheck, lastError };
+  }
+
+  /**
+   * @private
+   */
+  async _check(upstream) {
+    const state = this.state.get(upstream);
+    const url = new URL(this.options.path, upstream.url).toString();
+
+    let error = null;
+    try {
+      const status = await this.probe(url, this.options.timeout);
+      if (status < 200 || status >= 400) {
+        error = `Unexpected status ${status}`;
+      }
+    } catch (probeError) {
+      error = probeError.message;
+    }
+
+    state.lastCheck = new Date().toISOString();
+    state.lastError = error;
+
+    if (error) {
+      state.failures++;
+      state.successes = 0;
+
+      if (upstream.healthy && state.failures >= this.options.unhealthyThreshold) {
+        this.pool.setHealthy(upstream, false);
+        logger.warn('Upstream ejected', { route: this.pool.name, upstream: upstream.url, failures: state.failures, error });
+      }
+    } else {
+      state.successes++;
+      state.failures = 0;
+
+      if (!upstream.healthy && state.successes >= this.options.healthyThreshold) {
+        this.pool.setHealthy(upstream, true);
+        logger.info('Upstream re-admitted', { route: this.pool.name, upstream: upstream.url });
+      }
+    }
+  }
+}
+
+HealthChecker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  HealthChecker,
+  probe
+};
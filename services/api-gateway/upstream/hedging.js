@@ -0,0 +1,292 @@
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const { RetryBudget } = require('./retryBudget');
+
+// Default hedging settings (overridable per route)
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  delay: 'p95',
+  minDelay: 5,
+  methods: ['GET', 'HEAD'],
+  budget: {
+    ratio: 0.1,
+    minPerSecond: 1,
+    window: 10000
+  }
+};
+
+// Responses needed before a 'p95' delay is trusted; until then only failures are hedged
+const MIN_SAMPLES = 20;
+
+// Percentiles are read on every hedged request: re-sort after this many new samples
+// or this many milliseconds, whichever comes first, rather than on every read
+const RESORT_EVERY = 50;
+const RESORT_INTERVAL = 1000;
+
+/**
+ * Latency percentiles over the most recent responses of a route (ring buffer).
+ * Percentiles may lag the newest samples by up to RESORT_EVERY samples or RESORT_INTERVAL ms.
+ */
+class LatencyTracker {
+  /**
+   * @param {number} [size=1000] - Samples kept
+   */
+  constructor(size = 1000) {
+    this.size = size;
+    this.samples = [];
+    this.next = 0;
+    this.sorted = null;
+    this.sortedAt = 0;
+    // Samples recorded since the last sort
+    this.unsorted = 0;
+  }
+
+  /**
+   * @param {number} latencyMs
+   */
+  record(latencyMs) {
+    this.samples[this.next] = latencyMs;
+    this.next = (this.next + 1) % this.size;
+    this.unsorted++;
+  }
+
+  /**
+   * @returns {number} Samples currently held
+   */
+  get count() {
+    return this.samples.length;
+  }
+
+  /**
+   * @param {number} p - Percentile between 0 and 1
+   * @returns {number|null} Null without samples
+   */
+  percentile(p) {
+    if (this.samples.length === 0) return null;
+
+    const now = Date.now();
+    if (!this.sorted || (this.unsorted > 0 &&
+        (this.unsorted >= RESORT_EVERY || now - this.sortedAt >= RESORT_INTERVAL))) {
+      this.sorted = [...this.samples].sort((a, b) => a - b);
+      this.sortedAt = now;
+      this.unsorted = 0;
+    }
+    return this.sorted[Math.min(this.sorted.length - 1, Math.floor(this.sorted.length * p))];
+  }
+}
+
+/**
+ * Hedging settings and state for one route: which requests may be hedged,
+ * how long to wait before hedging, and how many hedges the budget allows.
+ */
+class HedgePolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.delay='p95'] - Milliseconds before hedging, or 'p95' for the route's observed p95
+   * @param {number} [options.minDelay=5] - Lower bound for the delay
+   * @param {string[]} [options.methods=['GET','HEAD']] - Methods that may be hedged
+   * @param {Object} [options.budget] - Hedges allowed per request (see RetryBudget), default 10% plus 1/s
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      budget: { ...DEFAULT_OPTIONS.budget, ...options.budget }
+    };
+    this.fixedDelay = this.options.delay === 'p95' ? null : Number(this.options.delay);
+    this.tracker = new LatencyTracker();
+    this.budget = new RetryBudget(this.options.budget);
+  }
+
+  /**
+   * Only idempotent requests without a body are hedged: they are sent twice
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  isEligible(req) {
+    const hasBody = Number(req.headers['content-length']) > 0 || Boolean(req.headers['transfer-encoding']);
+    return !hasBody && this.options.methods.includes(req.method);
+  }
+
+  /**
+   * Milliseconds to wait for the primary before hedging
+   * @returns {number|null} Null while a 'p95' delay has too few samples
+   */
+  getDelay() {
+    if (this.fixedDelay !== null) {
+      return Math.max(this.options.minDelay, this.fixedDelay);
+    }
+    if (this.tracker.count < MIN_SAMPLES) {
+      return null;
+    }
+    return Math.max(this.options.minDelay, this.tracker.percentile(0.95));
+  }
+}
+
+/**
+ * One hedged request. The primary attempt is sent first; if it has not
+ * answered after `delay` ms, or fails before that, a hedge attempt goes to
+ * another upstream. The first response wins and the other attempt is aborted.
+ *
+ * Attempts are `{ upstream, release(failed, cancelled) }`, where `release` hands
+ * the upstream back to its pool. Emits 'attemptFailed' ({ error, upstream, role }).
+ */
+class HedgedRequest extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - (upstream) => { response: Promise<http.IncomingMessage>, abort() }
+   * @param {Function} options.acquireHedge - () => attempt, or null to skip the hedge
+   * @param {number|null} options.delay - Milliseconds before hedging, null to hedge only on failure
+   */
+  constructor({ send, acquireHedge, delay }) {
+    super();
+    this.send = send;
+    this.acquireHedge = acquireHedge;
+    this.delay = delay;
+    this.attempts = [];
+    this.hedgeTried = false;
+    this.settled = false;
+    this.timer = null;
+  }
+
+  /**
+   * @param {Object} primary - Attempt for the upstream already assigned to the request
+   * @returns {Promise<{response: http.IncomingMessage, upstream: Object, winner: string, hedged: boolean, primaryLatencyMs: number}>}
+   *   Rejects with the last error when every attempt failed
+   */
+  start(primary) {
+    return new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+      this._startAttempt(primary, 'primary');
+
+      if (this.delay !== null) {
+        this.timer = setTimeout(() => this._hedge(), this.delay);
+      }
+    });
+  }
+
+  /**
+   * Abort every attempt still in flight (e.g. the client went away)
+   */
+  cancel() {
+    if (this.settled) return;
+    this.settled = true;
+    clearTimeout(this.timer);
+    this.attempts.forEach(attempt => this._abort(attempt));
+  }
+
+  /**
+   * @private
+   */
+  _startAttempt(target, role) {
+    const attempt = { ...target, role, startedAt: performance.now(), pending: true };
+    const { response, abort } = this.send(target.upstream);
+    attempt.abort = abort;
+    this.attempts.push(attempt);
+
+    response.then(
+      (res) => this._onResponse(attempt, res),
+      (error) => this._onError(attempt, error)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _onResponse(attempt, res) {
+    attempt.pending = false;
+
+    // Lost a race decided in the same tick
+    if (this.settled) {
+      res.destroy();
+      attempt.release(false, true);
+      return;
+    }
+
+    this.settled = true;
+    clearTimeout(this.timer);
+    attempt.release(false);
+
+    const primary = this.attempts[0];
+    this.attempts.forEach(other => {
+      if (other !== attempt) this._abort(other);
+    });
+
+    this.resolve({
+      response: res,
+      upstream: attempt.upstream,
+      winner: attempt.role,
+      hedged: this.attempts.length > 1,
+      // A losing primary was cut short, so its latency is only a lower bound
+      primaryLatencyMs: performance.now() - primary.startedAt
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onError(attempt, error) {
+    // Errors from attempts we aborted ourselves
+    if (!attempt.pending) return;
+
+    attempt.pending = false;
+    attempt.release(true);
+    this.lastError = error;
+    this.emit('attemptFailed', { error, upstream: attempt.upstream, role: attempt.role });
+
+    if (this.settled) return;
+
+    // Do not wait for the delay: the primary already failed
+    if (!this.hedgeTried) {
+      clearTimeout(this.timer);
+      this._hedge();
+      return;
+    }
+
+    this._rejectIfDone();
+  }
+
+  /**
+   * @private
+   */
+  _hedge() {
+    if (this.settled || this.hedgeTried) return;
+    this.hedgeTried = true;
+
+    const hedge = this.acquireHedge();
+    if (hedge) {
+      this._startAttempt(hedge, 'hedge');
+    } else {
+      this._rejectIfDone();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _rejectIfDone() {
+    if (this.attempts.some(attempt => attempt.pending)) return;
+
+    this.settled = true;
+    this.reject(this.lastError);
+  }
+
+  /**
+   * @private
+   */
+  _abort(attempt) {
+    if (!attempt.pending) return;
+    attempt.pending = false;
+    attempt.abort();
+    attempt.release(false, true);
+  }
+}
+
+HedgePolicy.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  HedgePolicy,
+  HedgedRequest,
+  LatencyTracker
+};
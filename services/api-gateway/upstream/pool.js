@@ -0,0 +1,220 @@
+const { HealthChecker } = require('./healthCheck');
+
+// Load balancing strategies
+const STRATEGY = {
+  ROUND_ROBIN: 'round-robin',
+  LEAST_OUTSTANDING: 'least-outstanding',
+  EWMA: 'ewma'
+};
+
+// Weight of the newest latency sample in the moving average
+const DEFAULT_EWMA_ALPHA = 0.3;
+
+/**
+ * One upstream target and its load/health state
+ */
+class Upstream {
+  constructor(url, weight = 1) {
+    this.url = url;
+    this.weight = weight;
+    this.healthy = true;
+    this.outstanding = 0;
+    this.latencyEwma = null;
+    this.requests = 0;
+    this.failures = 0;
+    // Smooth weighted round-robin state
+    this.currentWeight = 0;
+  }
+
+  toJSON() {
+    return {
+      url: this.url,
+      weight: this.weight,
+      healthy: this.healthy,
+      outstanding: this.outstanding,
+      latencyMs: this.latencyEwma === null ? null : Math.round(this.latencyEwma),
+      requests: this.requests,
+      failures: this.failures
+    };
+  }
+}
+
+/**
+ * Pool of upstream targets for one route
+ */
+class UpstreamPool {
+  /**
+   * @param {string} name - Route name
+   * @param {Array<string|{url: string, weight: number}>} targets - Upstream URLs
+   * @param {Object} [options]
+   * @param {string} [options.strategy='round-robin'] - 'round-robin', 'least-outstanding' or 'ewma'
+   * @param {number} [options.ewmaAlpha=0.3] - Weight of the newest latency sample (ewma only)
+   * @param {Object} [options.healthCheck] - Active health check settings (see HealthChecker)
+   */
+  constructor(name, targets, options = {}) {
+    this.name = name;
+    this.strategy = options.strategy || STRATEGY.ROUND_ROBIN;
+    this.ewmaAlpha = options.ewmaAlpha || DEFAULT_EWMA_ALPHA;
+
+    if (!Object.values(STRATEGY).includes(this.strategy)) {
+      throw new Error(`Unknown load balancing strategy: ${this.strategy}`);
+    }
+
+    this.upstreams = targets.map(target => (
+      typeof target === 'string' ? new Upstream(target) : new Upstream(target.url, target.weight)
+    ));
+    this.cursor = 0;
+
+    this.healthChecker = options.healthCheck && options.healthCheck.enabled !== false
+      ? new HealthChecker(this, options.healthCheck)
+      : null;
+  }
+
+  /**
+   * Upstreams currently accepting traffic
+   * @returns {Upstream[]}
+   */
+  getHealthy() {
+    return this.upstreams.filter(upstream => upstream.healthy);
+  }
+
+  /**
+   * Pick an upstream for a request and count it as outstanding.
+   * Every acquire() must be paired with a release().
+   * @param {Object} [options]
+   * @param {Upstream[]} [options.exclude] - Upstreams not to pick (e.g. the one a hedged request already went to)
+   * @param {Upstream} [options.prefer] - Upstream to pick if it is a candidate (e.g. a sticky session's)
+   * @returns {Upstream|null} Null when no upstream is healthy
+   */
+  acquire(options = {}) {
+    const exclude = options.exclude || [];
+    const candidates = this.getHealthy().filter(upstream => !exclude.includes(upstream));
+    if (candidates.length === 0) return null;
+
+    const upstream = options.prefer && candidates.includes(options.prefer)
+      ? options.prefer
+      : this._pick(candidates);
+
+    upstream.outstanding++;
+    upstream.requests++;
+    return upstream;
+  }
+
+  /**
+   * Pick one of the candidates with the pool's strategy
+   * @private
+   */
+  _pick(candidates) {
+    switch (this.strategy) {
+      case STRATEGY.LEAST_OUTSTANDING:
+        return this._pickLowest(candidates, u => u.outstanding / u.weight);
+      case STRATEGY.EWMA:
+        // Upstreams without samples score 0, so each gets probed with real traffic first
+        return this._pickLowest(candidates, u => ((u.latencyEwma || 0) * (u.outstanding + 1)) / u.weight);
+      default:
+        return this._pickWeightedRoundRobin(candidates);
+    }
+  }
+
+  /**
+   * Record the outcome of a request started with acquire()
+   * @param {Upstream} upstream - Upstream returned by acquire()
+   * @param {number|null} latencyMs - Time until the upstream answered (or failed), null if the request was cancelled
+   * @param {boolean} [failed=false] - Whether the upstream failed to answer
+   */
+  release(upstream, latencyMs, failed = false) {
+    upstream.outstanding = Math.max(0, upstream.outstanding - 1);
+    if (failed) upstream.failures++;
+    if (latencyMs === null) return;
+
+    upstream.latencyEwma = upstream.latencyEwma === null
+      ? latencyMs
+      : this.ewmaAlpha * latencyMs + (1 - this.ewmaAlpha) * upstream.latencyEwma;
+  }
+
+  /**
+   * Mark an upstream healthy or unhealthy (used by the health checker)
+   * @param {Upstream} upstream
+   * @param {boolean} healthy
+   */
+  setHealthy(upstream, healthy) {
+    upstream.healthy = healthy;
+    // Start re-admitted upstreams from a clean slate
+    upstream.currentWeight = 0;
+    if (healthy) upstream.latencyEwma = null;
+  }
+
+  startHealthChecks() {
+    if (this.healthChecker) this.healthChecker.start();
+  }
+
+  stopHealthChecks() {
+    if (this.healthChecker) this.healthChecker.stop();
+  }
+
+  /**
+   * Pool state for the /health endpoint
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      strategy: this.strategy,
+      healthy: this.getHealthy().length,
+      total: this.upstreams.length,
+      healthChecks: Boolean(this.healthChecker),
+      targets: this.upstreams.map(upstream => ({
+        ...upstream.toJSON(),
+        ...(this.healthChecker ? this.healthChecker.getState(upstream) : {})
+      }))
+    };
+  }
+
+  /**
+   * Smooth weighted round-robin (as in nginx): spreads heavier upstreams evenly instead of in bursts
+   * @private
+   */
+  _pickWeightedRoundRobin(candidates) {
+    let total = 0;
+    let best = null;
+
+    candidates.forEach(upstream => {
+      upstream.currentWeight += upstream.weight;
+      total += upstream.weight;
+      if (!best || upstream.currentWeight > best.currentWeight) {
+        best = upstream;
+      }
+    });
+
+    best.currentWeight -= total;
+    return best;
+  }
+
+  /**
+   * Lowest score wins. Ties rotate so equal upstreams share the load.
+   * @private
+   */
+  _pickLowest(candidates, score) {
+    const start = this.cursor++ % candidates.length;
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const upstream = candidates[(start + i) % candidates.length];
+      const value = score(upstream);
+      if (value < bestScore) {
+        best = upstream;
+        bestScore = value;
+      }
+    }
+
+    return best;
+  }
+}
+
+UpstreamPool.STRATEGY = STRATEGY;
+
+module.exports = {
+  UpstreamPool,
+  Upstream,
+  STRATEGY
+};
@@ -0,0 +1,98 @@
+// Default retry budget (overridable per route)
+const DEFAULT_OPTIONS = {
+  ratio: 0.2,
+  minPerSecond: 5,
+  window: 10000
+};
+
+// Number of buckets the rolling window is split into
+const WINDOW_BUCKETS = 10;
+
+/**
+ * Caps retries to a share of recent traffic so retries cannot multiply the
+ * load on an upstream that is already struggling. Over the rolling window,
+ * retries may not exceed `ratio` x requests plus a floor of `minPerSecond`.
+ */
+class RetryBudget {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ratio=0.2] - Retries allowed per request
+   * @param {number} [options.minPerSecond=5] - Retries always allowed per second, for low-traffic routes
+   * @param {number} [options.window=10000] - Rolling window in milliseconds
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.bucketSize = this.options.window / WINDOW_BUCKETS;
+    this.buckets = [];
+  }
+
+  /**
+   * Count a request towards the budget
+   */
+  recordRequest() {
+    this._currentBucket().requests++;
+  }
+
+  /**
+   * Spend one retry if the budget allows it
+   * @returns {boolean} True if the retry may go ahead
+   */
+  tryRetry() {
+    if (this.getAvailable() < 1) {
+      return false;
+    }
+
+    this._currentBucket().retries++;
+    return true;
+  }
+
+  /**
+   * Retries left in the current window
+   * @returns {number}
+   */
+  getAvailable() {
+    this._dropExpired();
+
+    let requests = 0;
+    let retries = 0;
+    this.buckets.forEach(bucket => {
+      requests += bucket.requests;
+      retries += bucket.retries;
+    });
+
+    const floor = this.options.minPerSecond * (this.options.window / 1000);
+    return Math.floor(floor + requests * this.options.ratio - retries);
+  }
+
+  /**
+   * @private
+   */
+  _currentBucket() {
+    const start = Math.floor(Date.now() / this.bucketSize) * this.bucketSize;
+    let bucket = this.buckets[this.buckets.length - 1];
+
+    if (!bucket || bucket.start !== start) {
+      // Pruned here too, or a route that never retries would keep every bucket
+      this._dropExpired();
+      bucket = { start, requests: 0, retries: 0 };
+      this.buckets.push(bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Drop the buckets that left the rolling window
+   * @private
+   */
+  _dropExpired() {
+    const cutoff = Date.now() - this.options.window;
+    this.buckets = this.buckets.filter(bucket => bucket.start + this.bucketSize > cutoff);
+  }
+}
+
+RetryBudget.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  RetryBudget
+};
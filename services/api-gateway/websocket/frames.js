@@ -0,0 +1,107 @@
+const { Transform } = require('stream');
+
+// Close codes sent to clients (RFC 6455, section 7.4.1)
+const CLOSE_CODE = {
+  GOING_AWAY: 1001,
+  MESSAGE_TOO_BIG: 1009,
+  TRY_AGAIN_LATER: 1013
+};
+
+// 2 bytes, 8 bytes of extended payload length, 4 bytes of masking key
+const MAX_HEADER_SIZE = 14;
+
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Close frame as sent by a server (unmasked)
+ * @param {number} code - Close code
+ * @param {string} [reason] - Short reason (at most 123 bytes)
+ * @returns {Buffer}
+ */
+function createCloseFrame(code, reason = '') {
+  const payload = Buffer.concat([Buffer.from([code >> 8, code & 0xff]), Buffer.from(reason).subarray(0, 123)]);
+  return Buffer.concat([Buffer.from([0x88, payload.length]), payload]);
+}
+
+/**
+ * Passes WebSocket frames through unchanged, reading only their headers,
+ * and stops at the first frame whose payload is larger than `maxFrameSize`.
+ *
+ * Events: 'frameTooLarge' (payload length)
+ */
+class FrameLimiter extends Transform {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxFrameSize - Largest payload accepted, in bytes
+   */
+  constructor(options) {
+    super();
+    this.maxFrameSize = options.maxFrameSize;
+    // Bytes of the current frame header seen so far
+    this.header = EMPTY;
+    // Payload bytes of the current frame still to pass through
+    this.remaining = 0;
+    this.blocked = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.blocked) return callback();
+
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (this.remaining > 0) {
+        const skipped = Math.min(this.remaining, chunk.length - offset);
+        this.remaining -= skipped;
+        offset += skipped;
+        continue;
+      }
+
+      const take = Math.min(MAX_HEADER_SIZE - this.header.length, chunk.length - offset);
+      this.header = Buffer.concat([this.header, chunk.subarray(offset, offset + take)]);
+      offset += take;
+
+      const frame = this._parseHeader();
+      if (!frame) continue;
+
+      // Bytes read past the header belong to the payload
+      offset -= this.header.length - frame.headerSize;
+      this.header = EMPTY;
+
+      if (frame.payloadLength > this.maxFrameSize) {
+        this.blocked = true;
+        this.emit('frameTooLarge', frame.payloadLength);
+        return callback();
+      }
+      this.remaining = frame.payloadLength;
+    }
+
+    callback(null, chunk);
+  }
+
+  /**
+   * @private
+   * @returns {{headerSize: number, payloadLength: number}|null} Null until the header is complete
+   */
+  _parseHeader() {
+    const { header } = this;
+    if (header.length < 2) return null;
+
+    let payloadLength = header[1] & 0x7f;
+    let headerSize = 2;
+    if (payloadLength === 126) headerSize += 2;
+    if (payloadLength === 127) headerSize += 8;
+    if (header[1] & 0x80) headerSize += 4;
+    if (header.length < headerSize) return null;
+
+    if (payloadLength === 126) payloadLength = header.readUInt16BE(2);
+    if (payloadLength === 127) payloadLength = Number(header.readBigUInt64BE(2));
+
+    return { headerSize, payloadLength };
+  }
+}
+
+module.exports = {
+  CLOSE_CODE,
+  FrameLimiter,
+  createCloseFrame
+};
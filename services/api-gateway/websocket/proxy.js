@@ -0,0 +1,289 @@
+const http = require('http');
+const { logger } = require('../middleware/logging');
+const metrics = require('../metrics');
+const { ALGORITHM, createRateLimiter } = require('../middleware/rateLimit');
+const { StickySessions, getSessionId } = require('./sticky');
+const { CLOSE_CODE, FrameLimiter, createCloseFrame } = require('./frames');
+
+const DEFAULT_OPTIONS = {
+  // Close connections with no traffic in either direction for this long (ms).
+  // Must be longer than the Socket.IO ping interval plus ping timeout (45s by default).
+  idleTimeout: 60000,
+  // Open connections per route, per gateway replica
+  maxConnections: 10000,
+  maxConnectionsPerIp: 100,
+  // Largest frame a client may send, in bytes
+  maxFrameSize: 1024 * 1024,
+  // Long-polling requests per session per minute (Socket.IO holds one GET open and POSTs each batch of packets)
+  maxPollingRequests: 300
+};
+
+/**
+ * Answer an upgrade request with a plain HTTP response and close the socket
+ * @param {net.Socket} socket - Client socket
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} [headers] - Extra headers
+ */
+function rejectUpgrade(socket, status, body, headers = {}) {
+  if (!socket.writable) {
+    socket.destroy();
+    return;
+  }
+
+  const payload = JSON.stringify(body);
+  const lines = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Connection: close',
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${payload}`);
+}
+
+/**
+ * Status line and headers of a response, as written to a raw socket
+ * @private
+ */
+function formatHead(statusCode, statusMessage, headers) {
+  const lines = [`HTTP/1.1 ${statusCode} ${statusMessage}`];
+  Object.entries(headers).forEach(([name, value]) => {
+    [].concat(value).forEach(item => lines.push(`${name}: ${item}`));
+  });
+  return `${lines.join('\r\n')}\r\n\r\n`;
+}
+
+/**
+ * WebSocket connections of one route: sticky upstream selection, connection
+ * limits, idle timeout and client frame size limit. Lives across route table
+ * reloads so open connections and sessions stay accounted for.
+ */
+class WebSocketProxy {
+  /**
+   * @param {string} name - Route name
+   * @param {Object} [options] - See DEFAULT_OPTIONS, plus `sticky` and `cookieName` (see StickySessions)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.sticky = new StickySessions();
+    this.connections = new Set();
+    this.connectionsByIp = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Apply new settings. Open connections keep the limits they started with.
+   */
+  configure(options = {}) {
+    const { sticky, cookieName, ...limits } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...limits };
+    this.sticky.configure({
+      ...(sticky && { mode: sticky }),
+      ...(cookieName && { cookieName })
+    });
+    // Sessions share the client's IP behind NATs and proxies, so polling is limited per session instead
+    this.pollingLimiter = createRateLimiter({
+      name: `websocket:${this.name}`,
+      algorithm: ALGORITHM.TOKEN_BUCKET,
+      windowMs: 60 * 1000,
+      max: this.options.maxPollingRequests,
+      keyBy: [getSessionId],
+      message: 'Too many polling requests for this session'
+    });
+  }
+
+  /**
+   * Express middleware limiting the long-polling requests of a known session.
+   * Used instead of the global per-IP limit for requests under the route's path.
+   */
+  limitPolling(req, res, next) {
+    return this.pollingLimiter(req, res, next);
+  }
+
+  /**
+   * Proxy an upgrade request to an upstream of the pool
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - Bytes the client sent after the request
+   * @param {Object} context
+   * @param {UpstreamPool} context.pool - Upstreams of the route
+   * @param {string} context.cookiePath - Path of the stickiness cookie
+   * @param {Function} context.connect - `(upstream) => http.ClientRequest`, the request to send (not ended)
+   */
+  handleUpgrade(req, socket, head, context) {
+    const ip = socket.remoteAddress;
+    const { maxConnections, maxConnectionsPerIp } = this.options;
+
+    if (this.connections.size >= maxConnections) {
+      metrics.recordWebSocket(this.name, 'rejected');
+      return rejectUpgrade(socket, 503, {
+        status: 'error',
+        message: 'Too many WebSocket connections, please try again later',
+        route: this.name
+      }, { 'Retry-After': '5' });
+    }
+    if ((this.connectionsByIp.get(ip) || 0) >= maxConnectionsPerIp) {
+      metrics.recordWebSocket(this.name, 'rejected');
+      return rejectUpgrade(socket, 429, {
+        status: 'error',
+        message: 'Too many WebSocket connections from this address',
+        route: this.name
+      });
+    }
+
+    const upstream = this.sticky.acquire(req, context.pool);
+    if (!upstream) {
+      return rejectUpgrade(socket, 503, { status: 'error', message: 'No healthy upstream available', route: this.name });
+    }
+
+    // Counted from the handshake on, so concurrent handshakes cannot overshoot the limits
+    const untrack = this._track(socket, ip);
+    const startedAt = performance.now();
+    const proxyReq = context.connect(upstream);
+
+    socket.on('error', () => proxyReq.destroy());
+    socket.on('close', () => proxyReq.destroy());
+
+    proxyReq.on('error', (err) => {
+      untrack();
+
+      // The client went away during the handshake
+      if (socket.destroyed) {
+        context.pool.release(upstream, null);
+        return;
+      }
+
+      context.pool.release(upstream, performance.now() - startedAt, true);
+      metrics.recordUpstreamError(this.name, err.code === 'ETIMEDOUT');
+      logger.error('WebSocket upstream connection failed', { route: this.name, target: upstream.url, code: err.code, error: err.message });
+      rejectUpgrade(socket, err.code === 'ETIMEDOUT' ? 504 : 502, {
+        status: 'error',
+        message: 'Upstream service unavailable',
+        route: this.name
+      });
+    });
+
+    // The upstream refused the upgrade (e.g. unknown session, or draining): pass its answer on
+    proxyReq.on('response', (proxyRes) => {
+      untrack();
+      context.pool.release(upstream, performance.now() - startedAt);
+      this.sticky.bindHandshake(req, proxyRes, upstream, context.cookiePath);
+      socket.write(formatHead(proxyRes.statusCode, proxyRes.statusMessage, { ...proxyRes.headers, connection: 'close' }));
+      proxyRes.pipe(socket);
+    });
+
+    proxyReq.on('upgrade', (proxyRes, upstreamSocket, upstreamHead) => {
+      this.sticky.bindHandshake(req, proxyRes, upstream, context.cookiePath);
+      socket.write(formatHead(101, 'Switching Protocols', proxyRes.headers));
+      metrics.recordWebSocket(this.name, 'opened');
+      this._pipe(socket, upstreamSocket, head, upstreamHead, () => {
+        untrack();
+        context.pool.release(upstream, null);
+        metrics.recordWebSocket(this.name, 'closed');
+      });
+    });
+
+    proxyReq.end();
+  }
+
+  /**
+   * Close every open connection (gateway shutdown)
+   */
+  closeAll() {
+    this.connections.forEach(socket => {
+      if (socket.closeConnection) {
+        socket.closeConnection(CLOSE_CODE.GOING_AWAY, 'Gateway shutting down');
+      } else {
+        socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Relay frames both ways until either side closes
+   * @private
+   */
+  _pipe(socket, upstreamSocket, head, upstreamHead, onClose) {
+    const limiter = new FrameLimiter({ maxFrameSize: this.options.maxFrameSize });
+    let closing = false;
+    let closed = false;
+
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      socket.destroy();
+      upstreamSocket.destroy();
+      onClose();
+    };
+
+    // Tell the client why, then drop both sides (without waiting long for a client that does not close)
+    socket.closeConnection = (code, reason) => {
+      if (closing || closed) return;
+      closing = true;
+      upstreamSocket.unpipe(socket);
+      upstreamSocket.destroy();
+      socket.end(createCloseFrame(code, reason));
+      setTimeout(finish, 1000).unref();
+    };
+
+    limiter.on('frameTooLarge', (size) => {
+      metrics.recordWebSocket(this.name, 'oversized_frame');
+      logger.warn('WebSocket frame too large, closing connection', { route: this.name, size, limit: this.options.maxFrameSize });
+      socket.closeConnection(CLOSE_CODE.MESSAGE_TOO_BIG, 'Frame too large');
+    });
+
+    // Reads from the client and writes from the upstream both count as activity
+    socket.setTimeout(this.options.idleTimeout, () => {
+      metrics.recordWebSocket(this.name, 'idle_closed');
+      socket.closeConnection(CLOSE_CODE.GOING_AWAY, 'Idle timeout');
+    });
+
+    socket.setNoDelay(true);
+    upstreamSocket.setNoDelay(true);
+    socket.on('close', finish);
+    // Let the client receive what the upstream sent before it closed
+    upstreamSocket.on('close', () => {
+      if (!closing) socket.end();
+    });
+    // Socket errors are followed by 'close', which cleans up
+    upstreamSocket.on('error', () => {});
+
+    if (upstreamHead && upstreamHead.length) socket.write(upstreamHead);
+    if (head && head.length) socket.unshift(head);
+
+    socket.pipe(limiter).pipe(upstreamSocket);
+    upstreamSocket.pipe(socket);
+  }
+
+  /**
+   * Count a connection against the limits
+   * @private
+   * @returns {Function} Stops counting it (idempotent)
+   */
+  _track(socket, ip) {
+    this.connections.add(socket);
+    this.connectionsByIp.set(ip, (this.connectionsByIp.get(ip) || 0) + 1);
+
+    let tracked = true;
+    return () => {
+      if (!tracked) return;
+      tracked = false;
+      this.connections.delete(socket);
+
+      const count = this.connectionsByIp.get(ip) - 1;
+      if (count > 0) {
+        this.connectionsByIp.set(ip, count);
+      } else {
+        this.connectionsByIp.delete(ip);
+      }
+    };
+  }
+}
+
+WebSocketProxy.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  WebSocketProxy,
+  rejectUpgrade
+};
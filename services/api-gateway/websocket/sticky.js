@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+// Stickiness modes
+const STICKY_MODE = {
+  // Cookie naming the upstream, set on the handshake (works across gateway replicas), then `sid`
+  COOKIE: 'cookie',
+  // Engine.IO session id only, learned from handshake responses (per gateway replica)
+  SID: 'sid'
+};
+
+const DEFAULT_OPTIONS = {
+  mode: STICKY_MODE.COOKIE,
+  cookieName: 'gateway_upstream',
+  // Milliseconds a session is remembered after its last request
+  ttl: 60 * 60 * 1000,
+  maxSessions: 100000
+};
+
+// Engine.IO handshake response: `0{"sid":"...",...}` (EIO 4) or `<length>:0{"sid":"...",...}` (EIO 3)
+const HANDSHAKE_SID = /"sid":"([^"]+)"/;
+
+/**
+ * Opaque id of an upstream for the stickiness cookie, so internal URLs are not exposed
+ * @param {Upstream} upstream
+ * @returns {string}
+ */
+function getUpstreamId(upstream) {
+  return crypto.createHash('sha256').update(upstream.url).digest('hex').slice(0, 16);
+}
+
+/**
+ * Engine.IO session id of a request (`sid` query parameter)
+ * @param {Object} req - Request with `url`
+ * @returns {string|null}
+ */
+function getSessionId(req) {
+  const query = req.url.split('?')[1];
+  return query ? new URLSearchParams(query).get('sid') : null;
+}
+
+/**
+ * Keeps every request of a Socket.IO session (polling requests and the
+ * WebSocket upgrade) on the upstream that created it.
+ */
+class StickySessions {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode='cookie'] - 'cookie' or 'sid'
+   * @param {string} [options.cookieName='gateway_upstream']
+   * @param {number} [options.ttl=3600000] - Milliseconds a session is remembered after its last request
+   * @param {number} [options.maxSessions=100000] - Sessions remembered, least recently used are dropped first
+   */
+  constructor(options = {}) {
+    // Map order is recency order: entries are re-inserted when used
+    this.sessions = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Apply new settings (route table reloads keep the remembered sessions)
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Acquire the upstream a request is bound to, or a new one from the pool.
+   * A session whose upstream is gone or unhealthy moves to another upstream.
+   * @param {Object} req
+   * @param {UpstreamPool} pool
+   * @returns {Upstream|null}
+   */
+  acquire(req, pool) {
+    const upstreamId = this.getBoundUpstreamId(req);
+    const bound = upstreamId && pool.upstreams.find(upstream => getUpstreamId(upstream) === upstreamId);
+    return pool.acquire({ prefer: bound || undefined });
+  }
+
+  /**
+   * Id of the upstream a request is bound to, by session id then by cookie
+   * @returns {string|null}
+   */
+  getBoundUpstreamId(req) {
+    const session = this._touch(getSessionId(req));
+    if (session) return session.upstreamId;
+
+    if (this.options.mode === STICKY_MODE.COOKIE) {
+      return this._readCookie(req.headers.cookie);
+    }
+    return null;
+  }
+
+  /**
+   * Whether a request belongs to a session this gateway knows about
+   * @returns {boolean}
+   */
+  hasSession(req) {
+    const sid = getSessionId(req);
+    return Boolean(sid && this._get(sid));
+  }
+
+  /**
+   * Bind the session created by a handshake response to its upstream: set the
+   * cookie on the response headers and remember the session id from the body.
+   * A refused handshake (e.g. by a draining server) clears the cookie instead, so
+   * the client's next attempt is not sent back to the same upstream.
+   * Call before the response headers are written.
+   * @param {Object} req - Client request
+   * @param {http.IncomingMessage} proxyRes - Upstream response
+   * @param {Upstream} upstream - Upstream that answered
+   * @param {string} cookiePath - Path of the route
+   */
+  bindHandshake(req, proxyRes, upstream, cookiePath) {
+    const upstreamId = getUpstreamId(upstream);
+    const cookie = this.options.mode === STICKY_MODE.COOKIE ? this._readCookie(req.headers.cookie) : null;
+
+    if (proxyRes.statusCode >= 400 && !getSessionId(req)) {
+      if (cookie) this._setCookie(proxyRes, `${this.options.cookieName}=; Path=${cookiePath}; Max-Age=0; HttpOnly; SameSite=Lax`);
+      return;
+    }
+
+    if (this.options.mode === STICKY_MODE.COOKIE && cookie !== upstreamId) {
+      this._setCookie(proxyRes, this.getCookie(upstream, cookiePath));
+    }
+
+    // Only polling handshakes (no sid yet) carry a new session id
+    if (getSessionId(req) || proxyRes.statusCode !== 200) return;
+
+    let head = '';
+    const onData = (chunk) => {
+      head += chunk.toString('utf8');
+      const match = HANDSHAKE_SID.exec(head);
+      if (match || head.length > 1024) {
+        proxyRes.removeListener('data', onData);
+        if (match) this.remember(match[1], upstreamId);
+      }
+    };
+    proxyRes.on('data', onData);
+  }
+
+  /**
+   * Set-Cookie value binding a client to an upstream
+   * @returns {string}
+   */
+  getCookie(upstream, cookiePath) {
+    return `${this.options.cookieName}=${getUpstreamId(upstream)}; Path=${cookiePath}; HttpOnly; SameSite=Lax`;
+  }
+
+  /**
+   * Remember which upstream owns a session
+   * @param {string} sid - Engine.IO session id
+   * @param {string} upstreamId
+   */
+  remember(sid, upstreamId) {
+    this.sessions.delete(sid);
+    this.sessions.set(sid, { upstreamId, expiresAt: Date.now() + this.options.ttl });
+
+    // Drop the least recently used sessions
+    while (this.sessions.size > this.options.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _get(sid) {
+    const session = this.sessions.get(sid);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(sid);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Look up a session and extend it
+   * @private
+   */
+  _touch(sid) {
+    const session = sid && this._get(sid);
+    if (!session) return null;
+
+    this.remember(sid, session.upstreamId);
+    return session;
+  }
+
+  /**
+   * Add a Set-Cookie header to a response
+   * @private
+   */
+  _setCookie(proxyRes, cookie) {
+    const cookies = [].concat(proxyRes.headers['set-cookie'] || []);
+    proxyRes.headers['set-cookie'] = [...cookies, cookie];
+  }
+
+  /**
+   * @private
+   */
+  _readCookie(header) {
+    if (!header) return null;
+
+    const prefix = `${this.options.cookieName}=`;
+    const cookie = header.split(';').map(part => part.trim()).find(part => part.startsWith(prefix));
+    return cookie ? cookie.slice(prefix.length) : null;
+  }
+}
+
+StickySessions.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  STICKY_MODE,
+  StickySessions,
+  getUpstreamId,
+  getSessionId
+};
@@ -0,0 +1,200 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_FAILOVER = {
+  // How often the primary is asked whether it is still the primary (ms)
+  checkInterval: 5000,
+  // Rounds over the host list before giving up on finding a primary
+  maxAttempts: 10,
+  // Pause between rounds, doubled every round up to maxRetryDelay (ms)
+  retryDelay: 500,
+  maxRetryDelay: 5000
+};
+
+// The connection to the primary is gone, or the server is no longer the primary
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EHOSTUNREACH',
+  '08000', '08001', '08003', '08004', '08006', // connection exceptions
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03', // cannot_connect_now
+  '25006' // read_only_sql_transaction: the server was demoted to a standby
+]);
+
+// Failures to connect: the statement never reached the server, so running it again is safe
+const NOT_SENT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', '08001', '08004', '57P03']);
+
+// pg reports lost connections and connect timeouts without a code
+const CONNECTION_ERROR_MESSAGE = /Connection terminated|timeout exceeded when trying to connect|Client has encountered a connection error/i;
+
+const PRIMARY_CHECK_QUERY = 'SELECT pg_is_in_recovery() AS in_recovery';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether an error means the primary is unreachable or no longer the primary
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+  return Boolean(error) && (CONNECTION_ERROR_CODES.has(error.code) || CONNECTION_ERROR_MESSAGE.test(error.message));
+}
+
+/**
+ * Whether a failed statement never reached the server
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNotSent(error) {
+  return Boolean(error) && (NOT_SENT_ERROR_CODES.has(error.code) || /timeout exceeded when trying to connect/i.test(error.message));
+}
+
+/**
+ * Parse the host list: 'host:port' strings or `{ host, port }` objects
+ * @param {Array<string|Object>} hosts
+ * @param {number} [defaultPort=5432]
+ * @returns {Array<{host: string, port: number}>}
+ */
+function parseHosts(hosts, defaultPort = 5432) {
+  return hosts.map(entry => {
+    if (typeof entry !== 'string') return { ...entry, port: Number(entry.port) || defaultPort };
+    const [host, port] = entry.split(':');
+    return { host, port: Number(port) || defaultPort };
+  });
+}
+
+/**
+ * Finds the primary among a list of hosts and watches it.
+ *
+ * Events:
+ * - `failover-detected` `{ host, port, error }`: the primary is unreachable or was demoted
+ * - `primary-changed` `{ pool, host, port, previous }`: a primary was found (possibly the same
+ *   host once it is back); the pool is connected to it
+ * - `failover-failed` `{ attempts, error }`: no primary found after `maxAttempts` rounds
+ */
+class FailoverManager extends EventEmitter {
+  /**
+   * @param {Object} options - See DEFAULT_FAILOVER
+   * @param {Array<{host: string, port: number}>} options.hosts - Candidate primaries, the current one first
+   * @param {Function} options.createPool - `({ host, port }) => Pool`
+   */
+  constructor({ hosts, createPool, ...options }) {
+    super();
+    this.options = { ...DEFAULT_FAILOVER, ...options };
+    this.hosts = hosts;
+    this.createPool = createPool;
+    this.current = hosts[0];
+    this.status = 'healthy';
+    this.failovers = 0;
+    this.lastFailoverAt = null;
+    this.recovery = null;
+    this.timer = null;
+  }
+
+  /**
+   * Check periodically that the pool's server is still the primary
+   * @param {Function} getPool - Returns the current primary pool
+   */
+  start(getPool) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkPrimary(getPool()), this.options.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Ask the primary whether it still is one; start a failover if not, or if it does not answer
+   * @param {Pool} pool
+   * @returns {Promise<boolean>} Whether it is the primary
+   */
+  async checkPrimary(pool) {
+    if (this.recovery) return false;
+    try {
+      const { rows } = await pool.query(PRIMARY_CHECK_QUERY);
+      if (!rows[0].in_recovery) return true;
+      const error = new Error(`${this.current.host}:${this.current.port} is in recovery`);
+      error.code = '25006';
+      this.recover(error).catch(() => {});
+    } catch (error) {
+      if (isConnectionError(error)) this.recover(error).catch(() => {});
+    }
+    return false;
+  }
+
+  /**
+   * Find the primary after a connection error. Concurrent callers share one failover.
+   * @param {Error} error - The error that revealed the failure
+   * @returns {Promise<Pool>} Pool connected to the primary
+   */
+  recover(error) {
+    if (!this.recovery) {
+      this.recovery = this.failover(error).finally(() => {
+        this.recovery = null;
+      });
+    }
+    return this.recovery;
+  }
+
+  /**
+   * @private
+   */
+  async failover(error) {
+    const previous = this.current;
+    const { maxAttempts, retryDelay, maxRetryDelay } = this.options;
+    this.status = 'failing_over';
+    this.emit('failover-detected', { ...previous, error });
+
+    let lastError = error;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (attempt > 0) await sleep(Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay));
+
+      // The old primary last: a restarted one may come back as a standby
+      const candidates = [...this.hosts.filter(host => host !== previous), previous];
+      for (const host of candidates) {
+        const pool = this.createPool(host);
+        try {
+          const { rows } = await pool.query(PRIMARY_CHECK_QUERY);
+          if (!rows[0].in_recovery) {
+            this.current = host;
+            this.status = 'healthy';
+            this.failovers++;
+            this.lastFailoverAt = new Date().toISOString();
+            this.emit('primary-changed', { pool, ...host, previous });
+            return pool;
+          }
+        } catch (probeError) {
+          lastError = probeError;
+        }
+        pool.end().catch(() => {});
+      }
+    }
+
+    this.status = 'unavailable';
+    this.emit('failover-failed', { attempts: maxAttempts, error: lastError });
+    throw lastError;
+  }
+
+  /**
+   * @returns {{status: string, host: string, port: number, failovers: number, lastFailoverAt: string|null}}
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      host: this.current.host,
+      port: this.current.port,
+      failovers: this.failovers,
+      lastFailoverAt: this.lastFailoverAt
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_FAILOVER,
+  FailoverManager,
+  isConnectionError,
+  isNotSent,
+  parseHosts
+};
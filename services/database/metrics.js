@@ -0,0 +1,132 @@
+const { EventEmitter } = require('events');
+
+// Upper bounds of the query duration histogram buckets (ms); slower queries land in +Inf
+const DURATION_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Build zeroed metrics for one query name
+ * @returns {Object} Fresh per-query state
+ */
+function createQueryMetrics() {
+  return {
+    count: 0,
+    errors: 0,
+    prepared: 0,
+    slow: 0,
+    duration: {
+      sum: 0,
+      min: Number.MAX_SAFE_INTEGER,
+      max: 0,
+      // Cumulative counts, as in Prometheus: buckets[i] counts durations <= DURATION_BUCKETS[i]
+      buckets: new Array(DURATION_BUCKETS.length + 1).fill(0),
+    },
+  };
+}
+
+/**
+ * Estimate a percentile from cumulative bucket counts: the upper bound of the bucket it falls in
+ * @param {number[]} buckets - Cumulative counts, the last one being +Inf
+ * @param {number} p - 0 to 1
+ * @param {number} max - Slowest duration seen, used for the +Inf bucket
+ * @returns {number}
+ */
+function bucketPercentile(buckets, p, max) {
+  const total = buckets[buckets.length - 1];
+  if (total === 0) return 0;
+  const index = buckets.findIndex(count => count >= total * p);
+  return index < DURATION_BUCKETS.length ? Math.min(DURATION_BUCKETS[index], max) : max;
+}
+
+class DatabaseMetrics extends EventEmitter {
+  constructor() {
+    super();
+    this.queries = {};
+    this._touch();
+  }
+
+  /**
+   * Record a query in the duration histogram of its name
+   * @param {string} queryName - `queryName` option, or the statement type
+   * @param {number} durationMs
+   * @param {Object} [details]
+   * @param {boolean} [details.error=false] - The query failed
+   * @param {boolean} [details.prepared=false] - It ran as a named prepared statement
+   */
+  recordQuery(queryName, durationMs, { error = false, prepared = false } = {}) {
+    const metrics = this._query(queryName);
+    const { duration } = metrics;
+    metrics.count++;
+    if (error) metrics.errors++;
+    if (prepared) metrics.prepared++;
+
+    duration.sum += durationMs;
+    duration.min = Math.min(duration.min, durationMs);
+    duration.max = Math.max(duration.max, durationMs);
+    DURATION_BUCKETS.forEach((bound, i) => {
+      if (durationMs <= bound) duration.buckets[i]++;
+    });
+    duration.buckets[DURATION_BUCKETS.length]++;
+    this._touch();
+  }
+
+  /**
+   * Record a query over the slow-query threshold
+   * @param {string} queryName
+   * @param {number} durationMs
+   */
+  recordSlowQuery(queryName, durationMs) {
+    this._query(queryName).slow++;
+    this._touch();
+    this.emit('metrics', { type: 'slow_query', queryName, durationMs });
+  }
+
+  /**
+   * Get current metrics
+   * @returns {Object} Per-query counters and duration histograms
+   */
+  getMetrics() {
+    const queries = JSON.parse(JSON.stringify(this.queries));
+
+    Object.values(queries).forEach(({ count, duration }) => {
+      duration.avg = count > 0 ? Math.round((duration.sum / count) * 100) / 100 : 0;
+      duration.p50 = bucketPercentile(duration.buckets, 0.5, duration.max);
+      duration.p95 = bucketPercentile(duration.buckets, 0.95, duration.max);
+      duration.p99 = bucketPercentile(duration.buckets, 0.99, duration.max);
+    });
+
+    return {
+      buckets: [...DURATION_BUCKETS, '+Inf'],
+      queries,
+      last_updated: this.lastUpdated,
+    };
+  }
+
+  /**
+   * Reset all metrics
+   */
+  reset() {
+    this.queries = {};
+    this._touch();
+  }
+
+  /**
+   * @private
+   */
+  _query(queryName) {
+    if (!this.queries[queryName]) {
+      this.queries[queryName] = createQueryMetrics();
+    }
+    return this.queries[queryName];
+  }
+
+  /**
+   * @private
+   */
+  _touch() {
+    this.lastUpdated = new Date().toISOString();
+  }
+}
+
+// Export a singleton instance
+const metrics = new DatabaseMetrics();
+module.exports = metrics;
@@ -1,10 +1,24 @@
 const { Pool } = require('pg');
+const { EventEmitter } = require('events');
 const { promisify } = require('util');
 const metrics = require('../metrics');
 const config = require('../../config');
+const { ReplicaRouter, MAX_LSN, PRIMARY_WAL_QUERY } = require('./routing');
+const { FailoverManager, isConnectionError, isNotSent, parseHosts } = require('./failover');
+const { registerReadinessCheck } = require('../health');
 
-class DatabasePool {
+// Run a query on a pool; the result keeps the pool that ran it as a non-enumerable
+// `pool` property, so the slow-query log can capture the plan on the same database
+async function queryOn(pool, query, params) {
+  const result = await pool.query(query, params);
+  Object.defineProperty(result, 'pool', { value: pool });
+  return result;
+}
+
+// Emits 'failover-detected', 'primary-changed' and 'failover-failed' (see ./failover)
+class DatabasePool extends EventEmitter {
   constructor() {
+    super();
     this.primaryPool = this.createPool(config.database);
     this.replicaPools = [];
     
@@ -15,10 +29,23 @@ class DatabasePool {
       );
     }
     
-    // Add promisified methods
-    this.query = promisify(this.primaryPool.query).bind(this.primaryPool);
-    this.connect = promisify(this.primaryPool.connect).bind(this.primaryPool);
-    this.end = promisify(this.primaryPool.end).bind(this.primaryPool);
+    // Read routing by replica lag, latency and read-your-writes
+    this.replicaRouter = new ReplicaRouter(config.database.replicaRouting);
+    
+    // Failover to whichever of `hosts` ('host:port' or { host, port }) is the primary
+    // once the current one is unreachable or demoted
+    const hosts = parseHosts(
+      config.database.hosts || [{ host: config.database.host, port: config.database.port }],
+      config.database.port
+    );
+    this.failover = new FailoverManager({
+      ...config.database.failover,
+      hosts,
+      createPool: host => this.createPool({ ...config.database, ...host })
+    });
+    this.setupFailover();
+    
+    this.bindPrimary();
     
     // Setup metrics collection
     this.setupMetrics();
@@ -55,53 +82,113 @@ class DatabasePool {
     pool.on('error', (err) => {
       console.error('Unexpected error on idle client', err);
       metrics.increment('db.errors', { error_type: 'pool' });
+      
+      // Idle clients are the first to notice a primary shutting down
+      if (pool === this.primaryPool && isConnectionError(err)) {
+        this.failover.recover(err).catch(() => {});
+      }
     });
     
     return pool;
   }
   
+  // Add promisified methods of the current primary pool
+  bindPrimary() {
+    this.query = promisify(this.primaryPool.query).bind(this.primaryPool);
+    this.connect = promisify(this.primaryPool.connect).bind(this.primaryPool);
+    this.end = promisify(this.primaryPool.end).bind(this.primaryPool);
+  }
+  
+  setupFailover() {
+    this.failover.on('failover-detected', ({ host, port, error }) => {
+      console.error(`Primary ${host}:${port} lost, looking for a primary:`, error.message);
+      metrics.increment('db.failover.detected', { code: error.code || 'unknown' });
+      this.emit('failover-detected', { host, port, error });
+    });
+    
+    // Move to the pool of the new primary; queries still running on the old one finish or fail
+    this.failover.on('primary-changed', ({ pool, host, port, previous }) => {
+      const oldPool = this.primaryPool;
+      this.primaryPool = pool;
+      this.bindPrimary();
+      oldPool.end().catch(() => {});
+      
+      console.warn(`Primary is now ${host}:${port} (was ${previous.host}:${previous.port})`);
+      metrics.increment('db.failover.completed');
+      this.emit('primary-changed', { host, port, previous });
+    });
+    
+    this.failover.on('failover-failed', ({ attempts, error }) => {
+      console.error(`No primary found after ${attempts} attempts:`, error);
+      metrics.increment('db.failover.failed');
+      this.emit('failover-failed', { attempts, error });
+    });
+    
+    this.failover.start(() => this.primaryPool);
+  }
+  
   setupMetrics() {
     // Track pool metrics
     setInterval(() => {
       metrics.gauge('db.pool.total', this.primaryPool.totalCount);
       metrics.gauge('db.pool.idle', this.primaryPool.idleCount);
       metrics.gauge('db.pool.waiting', this.primaryPool.waitingCount);
-      
-      // Track replica lag if replicas are configured
-      this.replicaPools.forEach((pool, index) => {
-        pool.query('SELECT EXTRACT(EPOCH FROM (NOW() - pg_last_xact_replay_timestamp())) as lag_seconds')
-          .then(res => {
-            metrics.gauge('db.replica.lag_seconds', parseFloat(res.rows[0].lag_seconds || 0), { replica: index });
-          })
-          .catch(err => {
-            console.error(`Error checking replica ${index} lag:`, err);
-            metrics.increment('db.replica.errors', { replica: index });
-          });
-      });
     }, 10000); // Every 10 seconds
+    
+    // Track replica lag and replay position, which read routing depends on
+    if (this.replicaPools.length > 0) {
+      this.checkReplicas();
+      setInterval(() => this.checkReplicas(), this.replicaRouter.options.checkInterval);
+    }
   }
   
-  // Get a read replica pool in a round-robin fashion
-  getReplicaPool() {
-    if (this.replicaPools.length === 0) {
-      return this.primaryPool; // Fallback to primary if no replicas
-    }
-    
-    // Simple round-robin selection
-    this.replicaIndex = ((this.replicaIndex || 0) + 1) % this.replicaPools.length;
-    return this.replicaPools[this.replicaIndex];
+  // Check the lag of every replica against the primary's WAL position, so a replica
+  // whose WAL receiver stopped is seen lagging. Without the primary, against the WAL it received.
+  async checkReplicas() {
+    const primaryLsn = await this.primaryPool.query(PRIMARY_WAL_QUERY)
+      .then(({ rows }) => rows[0].lsn, () => null);
+    const states = await this.replicaRouter.check(this.replicaPools, primaryLsn);
+    states.forEach((state, index) => {
+      if (state.healthy) {
+        metrics.gauge('db.replica.lag_seconds', state.lagSeconds, { replica: index });
+        if (state.lagSeconds > this.replicaRouter.options.maxLagSeconds) {
+          metrics.increment('db.replica.excluded', { replica: index, reason: 'lag' });
+        }
+      } else {
+        console.error(`Error checking replica ${index} lag:`, state.error);
+        metrics.increment('db.replica.errors', { replica: index });
+      }
+    });
+    return states;
+  }
+  
+  // Get the pool a read goes to: the lowest-latency replica that is healthy, within the lag
+  // threshold and, for a session that wrote, has replayed its last write. Otherwise the primary.
+  getReplicaPool(session) {
+    const { pool, reason } = this.replicaRouter.select(this.replicaPools, session);
+    metrics.increment('db.read.routed', { target: pool ? 'replica' : 'primary', reason });
+    return pool || this.primaryPool;
   }
   
-  // Execute a read query (can use read replicas)
-  async readQuery(text, params = []) {
+  // Execute a read query (can use read replicas).
+  // Pass the same `session` object to the reads and writes of a request (or user session)
+  // to read its own writes. With a `name`, the query runs as that prepared statement.
+  async readQuery(text, params = [], options = {}) {
     const start = process.hrtime();
-    const pool = this.getReplicaPool();
+    const pool = this.getReplicaPool(options.session);
+    const onReplica = pool !== this.primaryPool;
+    const query = options.name ? { name: options.name, text } : text;
     
     try {
-      const result = await pool.query(text, params);
+      const result = onReplica
+        ? await this.queryReplica(pool, query, params)
+        : await this.queryPrimary(query, params, { retry: true });
       const [seconds, nanoseconds] = process.hrtime(start);
       const duration = (seconds * 1000) + (nanoseconds / 1e6);
       
+      if (onReplica && this.replicaRouter.state(pool).healthy) {
+        this.replicaRouter.recordLatency(pool, duration);
+      }
       metrics.timing('db.query.duration', duration, { query: this.getQueryName(text), type: 'read' });
       metrics.increment('db.query.total', { type: 'read', status: 'success' });
       
@@ -113,18 +200,26 @@ class DatabasePool {
     }
   }
   
-  // Execute a write query (always uses primary)
-  async writeQuery(text, params = []) {
+  // Execute a write query (always uses primary).
+  // With a `session`, records the primary's WAL position so its later reads see this write.
+  // With `idempotent`, the write is run again on the new primary after a failover.
+  // With a `name`, the query runs as that prepared statement.
+  async writeQuery(text, params = [], options = {}) {
     const start = process.hrtime();
+    const query = options.name ? { name: options.name, text } : text;
     
     try {
-      const result = await this.primaryPool.query(text, params);
+      const result = await this.queryPrimary(query, params, { retry: options.idempotent });
       const [seconds, nanoseconds] = process.hrtime(start);
       const duration = (seconds * 1000) + (nanoseconds / 1e6);
       
       metrics.timing('db.query.duration', duration, { query: this.getQueryName(text), type: 'write' });
       metrics.increment('db.query.total', { type: 'write', status: 'success' });
       
+      if (options.session && this.replicaPools.length > 0) {
+        options.session.lsn = await this.getWalPosition();
+      }
+      
       return result;
     } catch (error) {
       metrics.increment('db.query.total', { type: 'write', status: 'error' });
@@ -133,6 +228,71 @@ class DatabasePool {
     }
   }
   
+  // Run a query on the primary. After a connection error, wait for the failover and run it
+  // once more on the new primary if that is safe: with `retry`, or if it never reached the server.
+  // `query` is SQL text or a pg query config.
+  async queryPrimary(query, params, { retry = false } = {}) {
+    const pool = this.primaryPool;
+    
+    try {
+      return await queryOn(pool, query, params);
+    } catch (error) {
+      if (!isConnectionError(error)) throw error;
+      
+      // Another query may have found the new primary already
+      if (pool === this.primaryPool) {
+        await this.failover.recover(error).catch(() => {
+          throw error;
+        });
+      }
+      if (!retry && !isNotSent(error)) throw error;
+      
+      metrics.increment('db.query.retried', { reason: 'failover' });
+      return queryOn(this.primaryPool, query, params);
+    }
+  }
+  
+  // Run a read on a replica. A replica that cannot be reached gets no reads until its next
+  // check, and the read goes to the primary instead.
+  async queryReplica(pool, query, params) {
+    try {
+      return await queryOn(pool, query, params);
+    } catch (error) {
+      if (!isConnectionError(error)) throw error;
+      
+      const state = this.replicaRouter.state(pool);
+      state.healthy = false;
+      state.error = error;
+      metrics.increment('db.query.retried', { reason: 'replica_unavailable' });
+      return this.queryPrimary(query, params, { retry: true });
+    }
+  }
+  
+  // Primary status for the readiness check: not ready while failing over
+  getHealth() {
+    const primary = this.failover.getStatus();
+    return {
+      ready: primary.status === 'healthy',
+      primary,
+      replicas: {
+        total: this.replicaPools.length,
+        healthy: this.replicaPools.filter(pool => this.replicaRouter.state(pool).healthy).length
+      }
+    };
+  }
+  
+  // Current WAL position of the primary. If it cannot be read, the highest position,
+  // which keeps the session's reads on the primary.
+  async getWalPosition() {
+    try {
+      const { rows } = await this.primaryPool.query(PRIMARY_WAL_QUERY);
+      return rows[0].lsn;
+    } catch (error) {
+      console.error('Error reading the primary WAL position:', error);
+      return MAX_LSN;
+    }
+  }
+  
   // Extract a simple query name for metrics
   getQueryName(sql) {
     // Get first word (SELECT, INSERT, etc.)
@@ -142,6 +302,7 @@ class DatabasePool {
   
   // Close all database connections
   async close() {
+    this.failover.stop();
     await Promise.all([
       this.primaryPool.end(),
       ...this.replicaPools.map(pool => pool.end())
@@ -152,6 +313,9 @@ class DatabasePool {
 // Create a singleton instance
 const dbPool = new DatabasePool();
 
+// Not ready while failing over or without a primary
+registerReadinessCheck('database', () => dbPool.getHealth());
+
 // Handle process termination
 process.on('SIGTERM', async () => {
   await dbPool.close();
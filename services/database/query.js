@@ -1,11 +1,29 @@
 const dbPool = require('./pool');
 const { promisify } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('../logger');
+const config = require('../../config');
+const metrics = require('./metrics');
+const { StatementCache } = require('./statements');
+const { SlowQueryLog } = require('./slow-query');
+const { runTransaction } = require('./transaction');
+const sql = require('./sql');
 
 class QueryExecutor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.statements] - Prepared statement cache options (see ./statements)
+   * @param {Object} [options.slowQuery] - Slow-query log options (see ./slow-query)
+   */
+  constructor(options = {}) {
     this.pool = dbPool;
     this.logger = logger.child({ module: 'database:query' });
+    this.statements = new StatementCache(options.statements);
+    this.slowQueries = new SlowQueryLog(options.slowQuery, {
+      connect: pool => (pool || this.pool).connect(),
+      logger: logger.child({ module: 'database:slow-query' })
+    });
   }
 
   /**
@@ -15,12 +33,17 @@ class QueryExecutor {
    * @param {Object} [options] - Query options
    * @param {boolean} [options.usePrimary=false] - Force using primary database
    * @param {string} [options.queryName] - Name for logging and metrics
+   * @param {Object} [options.session] - Object shared by the queries of a request or user session:
+   *   reads after a write go to the primary or to a replica that replayed the write
+   * @param {boolean} [options.prepare] - Run as a named prepared statement: true from the first
+   *   execution, false never. By default, queries with parameters are prepared once they ran a few times.
    * @returns {Promise<Object>} Query result
    */
   async query(text, params = [], options = {}) {
-    const { usePrimary = false, queryName } = options;
+    const { usePrimary = false, queryName, session, prepare } = options;
     const startTime = Date.now();
     const queryId = Math.random().toString(36).substring(2, 10);
+    const statementName = this.statements.nameFor(text, params, prepare);
     const logContext = {
       queryId,
       query: queryName || this._getQueryName(text),
@@ -31,29 +54,37 @@ class QueryExecutor {
     try {
       this.logger.debug(logContext, 'Executing database query');
       
-      // Use primary for writes or when explicitly requested
-      const result = usePrimary
-        ? await this.pool.writeQuery(text, params)
-        : await this.pool.readQuery(text, params);
-
+      const result = await this._execute(text, params, { usePrimary, session, statementName });
       const duration = Date.now() - startTime;
       
-      this.logger.debug({
-        ...logContext,
-        rowCount: result?.rowCount,
-        durationMs: duration
-      }, 'Query completed successfully');
+      metrics.recordQuery(logContext.query, duration, { prepared: Boolean(statementName) });
+      if (this.slowQueries.isSlow(duration)) {
+        metrics.recordSlowQuery(logContext.query, duration);
+        this.slowQueries.record({
+          queryName: logContext.query,
+          text,
+          params,
+          loggedParams: logContext.params,
+          durationMs: duration,
+          rowCount: result?.rowCount,
+          pool: result?.pool
+        }).catch(error => {
+          this.logger.error({ ...logContext, error: error.message }, 'Slow query logging failed');
+        });
+      }
 
       return result;
     } catch (error) {
+      const duration = Date.now() - startTime;
       const errorContext = {
         ...logContext,
         error: error.message,
         stack: error.stack,
         code: error.code,
-        durationMs: Date.now() - startTime
+        durationMs: duration
       };
       
+      metrics.recordQuery(logContext.query, duration, { error: true, prepared: Boolean(statementName) });
       this.logger.error(errorContext, 'Database query failed');
       
       // Enhance error with context
@@ -66,37 +97,58 @@ class QueryExecutor {
   }
 
   /**
-   * Execute a transaction
-   * @param {Function} callback - Async function that receives a client and performs queries
-   * @returns {Promise<*>} The result of the callback
+   * Run a query on the primary (writes, or when requested) or a replica, as a prepared
+   * statement when it has a name
+   * @private
    */
-  async transaction(callback) {
-    const client = await this.pool.connect();
-    const queryClient = {
-      query: (text, params) => client.query(text, params),
-      release: (err) => client.release(err)
-    };
+  async _execute(text, params, { usePrimary, session, statementName }) {
+    const run = name => (usePrimary
+      ? this.pool.writeQuery(text, params, { session, name })
+      : this.pool.readQuery(text, params, { session, name }));
 
     try {
-      await client.query('BEGIN');
-      const result = await callback(queryClient);
-      await client.query('COMMIT');
-      return result;
+      return await run(statementName);
+    } catch (error) {
+      // 'cached plan must not change result type': the columns of a prepared statement's
+      // result changed (e.g. SELECT * after ALTER TABLE). It failed before running.
+      if (!statementName || error.code !== '0A000') throw error;
+      this.statements.forget(text);
+      return run(null);
+    }
+  }
+
+  /**
+   * Execute a transaction. On serialization failure or deadlock (40001, 40P01) it is rolled
+   * back and the callback runs again after a jittered backoff, so the callback should only
+   * have effects in the database.
+   * @param {Function} callback - Async function that receives a Transaction and performs queries;
+   *   `client.transaction(callback)` nests a transaction in a SAVEPOINT
+   * @param {Object} [options] - Transaction options (see ./transaction)
+   * @param {string} [options.isolationLevel] - 'READ COMMITTED', 'REPEATABLE READ' or 'SERIALIZABLE'
+   * @param {boolean} [options.readOnly=false]
+   * @param {boolean} [options.deferrable=false] - With SERIALIZABLE and readOnly
+   * @param {number} [options.statementTimeout] - statement_timeout within the transaction (ms)
+   * @param {number} [options.maxRetries=3] - Retries on serialization failure or deadlock
+   * @returns {Promise<*>} The result of the callback
+   */
+  async transaction(callback, options = {}) {
+    try {
+      return await runTransaction(() => this.pool.connect(), callback, options, (error, retry, delay) => {
+        this.logger.warn({ code: error.code, error: error.message, retry, delayMs: delay }, 'Retrying transaction');
+      });
     } catch (error) {
-      await client.query('ROLLBACK');
-      this.logger.error({ error: error.message, stack: error.stack }, 'Transaction failed');
+      this.logger.error({ error: error.message, stack: error.stack, code: error.code, attempts: error.attempts }, 'Transaction failed');
       throw error;
-    } finally {
-      client.release();
     }
   }
 
   /**
    * Execute multiple queries in a transaction
    * @param {Array<{text: string, params: Array}>} queries - Array of query objects
+   * @param {Object} [options] - Transaction options, as for transaction()
    * @returns {Promise<Array>} Array of query results
    */
-  async batch(queries) {
+  async batch(queries, options = {}) {
     return this.transaction(async (client) => {
       const results = [];
       for (const query of queries) {
@@ -104,7 +156,7 @@ class QueryExecutor {
         results.push(result);
       }
       return results;
-    });
+    }, options);
   }
 
   /**
@@ -131,81 +183,163 @@ class QueryExecutor {
 
   /**
    * Insert a row and return the inserted row
-   * @param {string} table - Table name
+   * @param {string} table - Table name, optionally schema-qualified ('sales.orders')
    * @param {Object} data - Column-value pairs
-   * @param {string} [returning='*'] - Columns to return
+   * @param {string|string[]} [returning='*'] - Columns to return
    * @returns {Promise<Object>} Inserted row
    */
   async insert(table, data, returning = '*') {
-    const keys = Object.keys(data);
-    const values = Object.values(data);
-    const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
-    const columns = keys.map(k => `"${k}"`).join(', ');
-    
-    const text = `
-      INSERT INTO "${table}" (${columns})
-      VALUES (${placeholders})
-      RETURNING ${returning}
-    `;
-    
-    const result = await this.query(text, values, { usePrimary: true });
+    const { text, values } = sql.buildInsert(table, data, { returning });
+    const result = await this.query(text, values, { usePrimary: true, queryName: `insert:${table}` });
     return result.rows[0];
   }
 
+  /**
+   * Insert rows with multi-row INSERTs, as many rows per statement as the parameter limit
+   * allows. Several statements run in one transaction.
+   * @param {string} table - Table name
+   * @param {Object[]} rows - Column-value pairs; columns missing from a row get their DEFAULT
+   * @param {Object} [options]
+   * @param {string|string[]} [options.returning='*'] - Columns to return
+   * @param {Object} [options.onConflict] - Upsert (see upsert())
+   * @returns {Promise<Array>} Inserted rows
+   */
+  async insertMany(table, rows, { returning = '*', onConflict } = {}) {
+    if (rows.length === 0) return [];
+
+    const columns = new Set(rows.flatMap(row => Object.keys(row)));
+    const chunkSize = Math.floor(sql.MAX_PARAMETERS / columns.size);
+    const queryName = `insert:${table}`;
+    if (rows.length <= chunkSize) {
+      const { text, values } = sql.buildInsert(table, rows, { returning, onConflict });
+      const result = await this.query(text, values, { usePrimary: true, queryName, prepare: false });
+      return result.rows;
+    }
+
+    return this.transaction(async (client) => {
+      const inserted = [];
+      for (let i = 0; i < rows.length; i += chunkSize) {
+        const { text, values } = sql.buildInsert(table, rows.slice(i, i + chunkSize), { returning, onConflict });
+        const result = await client.query(text, values);
+        inserted.push(...result.rows);
+      }
+      return inserted;
+    });
+  }
+
+  /**
+   * Insert rows, or update the rows they conflict with (INSERT ... ON CONFLICT DO UPDATE)
+   * @param {string} table - Table name
+   * @param {Object|Object[]} rows - Column-value pairs
+   * @param {Object} options
+   * @param {string[]} [options.target] - Columns of the unique index that detects conflicts
+   * @param {string} [options.constraint] - Or the name of the unique constraint
+   * @param {string[]|boolean} [options.update=true] - Columns set from the new row; true for all
+   *   inserted columns outside the target, false to keep the existing row (DO NOTHING)
+   * @param {string|string[]} [options.returning='*'] - Columns to return
+   * @returns {Promise<Array>} Inserted or updated rows
+   */
+  async upsert(table, rows, { target, constraint, update = true, returning = '*' }) {
+    return this.insertMany(table, Array.isArray(rows) ? rows : [rows], {
+      returning,
+      onConflict: { target, constraint, update }
+    });
+  }
+
   /**
    * Update rows and return the updated rows
    * @param {string} table - Table name
    * @param {Object} data - Column-value pairs to update
-   * @param {Object} where - Conditions for the WHERE clause
-   * @param {string} [returning='*'] - Columns to return
+   * @param {Object} where - Conditions for the WHERE clause: equality, `null` for IS NULL,
+   *   an array for any of its values. Required.
+   * @param {string|string[]} [returning='*'] - Columns to return
    * @returns {Promise<Array>} Updated rows
    */
   async update(table, data, where, returning = '*') {
-    const setClause = Object.keys(data)
-      .map((key, i) => `"${key}" = $${i + 1}`)
-      .join(', ');
-    
-    const whereClause = Object.keys(where)
-      .map((key, i) => `"${key}" = $${i + Object.keys(data).length + 1}`)
-      .join(' AND ');
-    
-    const values = [...Object.values(data), ...Object.values(where)];
-    
-    const text = `
-      UPDATE "${table}"
-      SET ${setClause}
-      WHERE ${whereClause}
-      RETURNING ${returning}
-    `;
-    
-    const result = await this.query(text, values, { usePrimary: true });
+    const { text, values } = sql.buildUpdate(table, data, where, { returning });
+    const result = await this.query(text, values, { usePrimary: true, queryName: `update:${table}` });
     return result.rows;
   }
 
   /**
    * Delete rows and return the deleted rows
    * @param {string} table - Table name
-   * @param {Object} where - Conditions for the WHERE clause
-   * @param {string} [returning='*'] - Columns to return
+   * @param {Object} where - Conditions for the WHERE clause, as for update(). Required.
+   * @param {string|string[]} [returning='*'] - Columns to return
    * @returns {Promise<Array>} Deleted rows
    */
   async delete(table, where, returning = '*') {
-    const whereClause = Object.keys(where)
-      .map((key, i) => `"${key}" = $${i + 1}`)
-      .join(' AND ');
-    
-    const values = Object.values(where);
-    
-    const text = `
-      DELETE FROM "${table}"
-      WHERE ${whereClause}
-      RETURNING ${returning}
-    `;
-    
-    const result = await this.query(text, values, { usePrimary: true });
+    const { text, values } = sql.buildDelete(table, where, { returning });
+    const result = await this.query(text, values, { usePrimary: true, queryName: `delete:${table}` });
     return result.rows;
   }
 
+  /**
+   * Get a page of rows by keyset pagination: rows after the cursor in `orderBy` order.
+   * The sort keys must identify a row, e.g. ['created_at', 'id'].
+   * @param {string} table - Table name
+   * @param {Object} options
+   * @param {string|Array} options.orderBy - Columns, or `{ column, direction }` objects
+   * @param {string} [options.cursor] - `nextCursor` of the previous page
+   * @param {number} [options.limit=50] - Rows per page
+   * @param {Object} [options.where] - Conditions, as for update()
+   * @param {string|string[]} [options.columns='*'] - Columns to select; must include the sort keys
+   * @param {Object} [options.session] - As for query()
+   * @returns {Promise<{rows: Array, nextCursor: string|null}>} No cursor after the last page
+   */
+  async paginate(table, { orderBy, cursor, limit = 50, where, columns = '*', session } = {}) {
+    // One row more than the page tells whether there is a next page
+    const { text, values } = sql.buildKeysetQuery(table, {
+      orderBy,
+      after: cursor ? sql.decodeCursor(cursor) : null,
+      limit: limit + 1,
+      where,
+      columns
+    });
+    const { rows } = await this.query(text, values, { queryName: `paginate:${table}`, session });
+
+    const page = rows.slice(0, limit);
+    return {
+      rows: page,
+      nextCursor: rows.length > limit ? sql.encodeCursor(page[page.length - 1], orderBy) : null
+    };
+  }
+
+  /**
+   * Bulk load rows with COPY ... FROM STDIN, for imports too large for insertMany().
+   * Rows are streamed, so `rows` can be an async iterable (e.g. a parsed file).
+   * Arrays are loaded as Postgres arrays and other objects as JSON: stringify arrays meant for json columns.
+   * @param {string} table - Table name
+   * @param {string[]} columns - Columns to load
+   * @param {Iterable<Object>|AsyncIterable<Object>} rows - Column-value pairs
+   * @returns {Promise<number>} Rows loaded
+   */
+  async copyFrom(table, columns, rows) {
+    // Only bulk loads need pg-copy-streams
+    const { from: copyFromStdin } = require('pg-copy-streams');
+    const startTime = Date.now();
+    const queryName = `copy:${table}`;
+    const client = await this.pool.connect();
+    let releaseError;
+
+    try {
+      const stream = client.query(copyFromStdin(sql.copyStatement(table, columns)));
+      await pipeline(Readable.from(encodeCopyRows(rows, columns)), stream);
+
+      metrics.recordQuery(queryName, Date.now() - startTime);
+      this.logger.info({ query: queryName, rowCount: stream.rowCount, durationMs: Date.now() - startTime }, 'Bulk load completed');
+      return stream.rowCount;
+    } catch (error) {
+      releaseError = error;
+      metrics.recordQuery(queryName, Date.now() - startTime, { error: true });
+      this.logger.error({ query: queryName, error: error.message, code: error.code }, 'Bulk load failed');
+      throw error;
+    } finally {
+      // A connection whose COPY failed midway is not reused
+      client.release(releaseError);
+    }
+  }
+
   /**
    * Sanitize parameters for logging
    * @private
@@ -231,5 +365,19 @@ class QueryExecutor {
   }
 }
 
+/**
+ * COPY text lines of rows
+ * @param {Iterable<Object>|AsyncIterable<Object>} rows
+ * @param {string[]} columns
+ */
+async function* encodeCopyRows(rows, columns) {
+  for await (const row of rows) {
+    yield sql.encodeCopyRow(row, columns);
+  }
+}
+
 // Export a singleton instance
-module.exports = new QueryExecutor();
+module.exports = new QueryExecutor({
+  statements: config.database.statements,
+  slowQuery: config.database.slowQuery
+});
@@ -0,0 +1,151 @@
+const DEFAULT_ROUTING = {
+  // Replicas further behind the primary than this get no reads (seconds)
+  maxLagSeconds: 10,
+  // How often replica lag and replay position are checked (ms)
+  checkInterval: 10000,
+  // Weight of the newest latency sample in each replica's moving average
+  latencyAlpha: 0.3
+};
+
+// Lag is 0 while a replica has replayed everything it received: without writes on the
+// primary, the last replayed transaction only gets older
+const REPLICA_STATUS_QUERY = `
+  SELECT
+    pg_last_wal_replay_lsn()::text AS replay_lsn,
+    pg_last_wal_receive_lsn()::text AS receive_lsn,
+    EXTRACT(EPOCH FROM (NOW() - pg_last_xact_replay_timestamp())) AS replay_age_seconds
+`;
+
+// WAL position of the primary, which replicas are compared with
+const PRIMARY_WAL_QUERY = 'SELECT pg_current_wal_lsn()::text AS lsn';
+
+// Beyond any WAL position a replica can reach
+const MAX_LSN = 'FFFFFFFF/FFFFFFFF';
+
+/**
+ * Parse a Postgres LSN ('16/B374D848') into a comparable number
+ * @param {string} lsn
+ * @returns {bigint}
+ */
+function parseLsn(lsn) {
+  const [high, low] = lsn.split('/');
+  return (BigInt(`0x${high}`) << 32n) + BigInt(`0x${low}`);
+}
+
+/**
+ * Lag of a replica from its status row (see REPLICA_STATUS_QUERY)
+ * @param {Object} status
+ * @param {string|null} primaryLsn - WAL position of the primary, if known
+ * @returns {number} Seconds, Infinity for a replica that is behind and replayed nothing yet
+ */
+function replicaLag({ replay_lsn: replayLsn, receive_lsn: receiveLsn, replay_age_seconds: replayAge }, primaryLsn) {
+  const target = primaryLsn || receiveLsn;
+  if (!target || parseLsn(replayLsn) >= parseLsn(target)) return 0;
+  return replayAge === null || replayAge === undefined ? Infinity : parseFloat(replayAge);
+}
+
+/**
+ * Picks the replica a read goes to: replicas that are failing, lagging more than
+ * `maxLagSeconds` or not checked yet are left out, and the one with the lowest latency
+ * wins. Reads of a session that wrote go to replicas that replayed its last write.
+ */
+class ReplicaRouter {
+  /**
+   * @param {Object} [options] - See DEFAULT_ROUTING
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_ROUTING, ...options };
+    // pg Pool => { lagSeconds, replayLsn, latency, healthy, error }
+    this.states = new Map();
+  }
+
+  /**
+   * State of a replica
+   * @param {Pool} pool
+   * @returns {Object}
+   */
+  state(pool) {
+    if (!this.states.has(pool)) {
+      this.states.set(pool, { lagSeconds: null, replayLsn: null, latency: null, healthy: false, error: null });
+    }
+    return this.states.get(pool);
+  }
+
+  /**
+   * Check the lag and replay position of every replica. A replica that replayed everything
+   * up to `primaryLsn` has no lag; one behind it lags by the age of its last replayed
+   * transaction, which keeps growing when its WAL receiver has stopped.
+   * @param {Pool[]} pools
+   * @param {string|null} [primaryLsn] - WAL position of the primary, read before the replicas.
+   *   Without it, replicas are compared with the WAL they received, which misses stalled receivers.
+   * @returns {Promise<Object[]>} State of each replica
+   */
+  check(pools, primaryLsn = null) {
+    return Promise.all(pools.map(async pool => {
+      const state = this.state(pool);
+      const start = Date.now();
+      try {
+        const { rows } = await pool.query(REPLICA_STATUS_QUERY);
+        state.lagSeconds = replicaLag(rows[0], primaryLsn);
+        state.replayLsn = rows[0].replay_lsn;
+        state.healthy = true;
+        state.error = null;
+        this.recordLatency(pool, Date.now() - start);
+      } catch (error) {
+        state.healthy = false;
+        state.error = error;
+      }
+      return state;
+    }));
+  }
+
+  /**
+   * Record how long a query on a replica took
+   * @param {Pool} pool
+   * @param {number} ms
+   */
+  recordLatency(pool, ms) {
+    const state = this.state(pool);
+    const alpha = this.options.latencyAlpha;
+    state.latency = state.latency === null ? ms : alpha * ms + (1 - alpha) * state.latency;
+  }
+
+  /**
+   * Pick the replica for a read
+   * @param {Pool[]} pools
+   * @param {Object} [session] - `{ lsn }`: the reader's last write on the primary
+   * @returns {{pool: Pool|null, reason: string}} No pool when the read should go to the primary
+   */
+  select(pools, session) {
+    if (pools.length === 0) return { pool: null, reason: 'no_replicas' };
+
+    const { maxLagSeconds } = this.options;
+    const writtenAt = session && session.lsn ? parseLsn(session.lsn) : null;
+
+    const candidates = pools.filter(pool => {
+      const { healthy, lagSeconds } = this.state(pool);
+      return healthy && lagSeconds !== null && lagSeconds <= maxLagSeconds;
+    });
+    if (candidates.length === 0) return { pool: null, reason: 'replicas_lagging' };
+
+    const caughtUp = writtenAt === null ? candidates : candidates.filter(pool => {
+      const { replayLsn } = this.state(pool);
+      return replayLsn !== null && parseLsn(replayLsn) >= writtenAt;
+    });
+    if (caughtUp.length === 0) return { pool: null, reason: 'read_your_writes' };
+
+    const pool = caughtUp.reduce((best, candidate) =>
+      (this.state(candidate).latency || 0) < (this.state(best).latency || 0) ? candidate : best
+    );
+    return { pool, reason: 'replica' };
+  }
+}
+
+module.exports = {
+  DEFAULT_ROUTING,
+  MAX_LSN,
+  PRIMARY_WAL_QUERY,
+  REPLICA_STATUS_QUERY,
+  ReplicaRouter,
+  parseLsn
+};
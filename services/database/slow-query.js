@@ -0,0 +1,118 @@
+const DEFAULT_SLOW_QUERY = {
+  // Opt-in: without it, slow queries only show in the duration histograms
+  enabled: false,
+  // Queries taking at least this long are logged (ms)
+  thresholdMs: 500,
+  // Capture the plan with EXPLAIN (ANALYZE, BUFFERS), which runs the query again
+  explain: true,
+  // Writes are explained in a transaction that is rolled back, but sequences still advance
+  // and triggers still run, so they are only explained on request
+  explainWrites: false,
+  // A query name is explained at most once per interval; later slow runs are logged without a plan (ms)
+  explainInterval: 60000,
+  // statement_timeout of the EXPLAIN (ms)
+  explainTimeout: 30000
+};
+
+// Statements that read only; anything else is explained as a write
+const READ_QUERY = /^\s*(select|values|table)\b/i;
+
+/**
+ * Writes queries over the threshold to a structured log, with the plan
+ * `EXPLAIN (ANALYZE, BUFFERS)` captures for them. Plans are captured on the database
+ * that ran the query (a replica's plan and cache differ from the primary's),
+ * after the query returned, so the caller does not wait for them.
+ */
+class SlowQueryLog {
+  /**
+   * @param {Object} [options] - See DEFAULT_SLOW_QUERY
+   * @param {Object} dependencies
+   * @param {Function} dependencies.connect - `(pool) => Promise<Client>`: a client of the pool
+   *   that ran the query, or of the primary when it is not known
+   * @param {Object} dependencies.logger - Where slow queries are written
+   */
+  constructor(options = {}, { connect, logger }) {
+    this.options = { ...DEFAULT_SLOW_QUERY, ...options };
+    this.connect = connect;
+    this.logger = logger;
+    // Query name => epoch ms of its last EXPLAIN
+    this.explainedAt = new Map();
+  }
+
+  /**
+   * @param {number} durationMs
+   * @returns {boolean} Whether a query that took this long is logged
+   */
+  isSlow(durationMs) {
+    return this.options.enabled && durationMs >= this.options.thresholdMs;
+  }
+
+  /**
+   * Log a slow query, with its plan when one is due
+   * @param {Object} query
+   * @param {string} query.queryName
+   * @param {string} query.text - SQL query string
+   * @param {Array} query.params - Parameters, to run the EXPLAIN with
+   * @param {Array} query.loggedParams - Parameters as they may be logged
+   * @param {number} query.durationMs
+   * @param {number} [query.rowCount]
+   * @param {Pool} [query.pool] - Pool that ran the query, where it is explained
+   * @returns {Promise<Object>} The log entry
+   */
+  async record({ queryName, text, params, loggedParams, durationMs, rowCount, pool }) {
+    const entry = {
+      queryName,
+      durationMs,
+      thresholdMs: this.options.thresholdMs,
+      rowCount,
+      query: text.trim(),
+      params: loggedParams
+    };
+
+    if (this.shouldExplain(queryName, text)) {
+      this.explainedAt.set(queryName, Date.now());
+      try {
+        entry.plan = await this.explain(text, params, pool);
+      } catch (error) {
+        entry.explainError = error.message;
+      }
+    }
+
+    this.logger.warn(entry, 'Slow query');
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  shouldExplain(queryName, text) {
+    const { explain, explainWrites, explainInterval } = this.options;
+    if (!explain || (!explainWrites && !READ_QUERY.test(text))) return false;
+
+    const last = this.explainedAt.get(queryName);
+    return last === undefined || Date.now() - last >= explainInterval;
+  }
+
+  /**
+   * Run EXPLAIN (ANALYZE, BUFFERS) in a transaction that is always rolled back
+   * @private
+   * @returns {Promise<Object>} The plan, as JSON
+   */
+  async explain(text, params, pool) {
+    const client = await this.connect(pool);
+    try {
+      await client.query(READ_QUERY.test(text) ? 'BEGIN READ ONLY' : 'BEGIN');
+      await client.query(`SET LOCAL statement_timeout = ${Number(this.options.explainTimeout)}`);
+      const { rows } = await client.query(`EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${text}`, params);
+      return rows[0]['QUERY PLAN'];
+    } finally {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_SLOW_QUERY,
+  SlowQueryLog
+};
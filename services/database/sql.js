@@ -0,0 +1,308 @@
+// Most bind parameters one statement can carry (the protocol counts them in 16 bits)
+const MAX_PARAMETERS = 65535;
+
+/**
+ * Quote an identifier (column, constraint...) so any name is safe to put in SQL
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+  if (typeof name !== 'string' || name.length === 0 || name.includes('\0')) {
+    throw new Error(`Invalid identifier: ${JSON.stringify(name)}`);
+  }
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a table name, optionally schema-qualified: 'orders', 'sales.orders' or ['sales', 'orders']
+ * @param {string|string[]} table
+ * @returns {string}
+ */
+function quoteTable(table) {
+  const parts = Array.isArray(table) ? table : String(table).split('.');
+  if (parts.length > 2) {
+    throw new Error(`Invalid table name: ${JSON.stringify(table)}`);
+  }
+  return parts.map(quoteIdentifier).join('.');
+}
+
+/**
+ * RETURNING clause: '*', an array of columns, or a comma-separated list of columns
+ * @param {string|string[]} [returning]
+ * @returns {string} Empty without columns to return
+ */
+function returningClause(returning) {
+  if (!returning || returning.length === 0) return '';
+  if (returning === '*') return ' RETURNING *';
+  const columns = Array.isArray(returning) ? returning : returning.split(',').map(column => column.trim());
+  return ` RETURNING ${columns.map(quoteIdentifier).join(', ')}`;
+}
+
+/**
+ * Conditions ANDed together: `null` matches IS NULL, an array matches any of its values
+ * @param {Object} where - Column-value pairs
+ * @param {Array} values - Parameters so far; the conditions' values are appended
+ * @returns {string}
+ */
+function whereClause(where, values) {
+  const columns = Object.keys(where || {});
+  if (columns.length === 0) {
+    // Without conditions every row would change: refuse rather than guess
+    throw new Error('A WHERE condition is required');
+  }
+  return columns.map(column => {
+    const value = where[column];
+    if (value === null) return `${quoteIdentifier(column)} IS NULL`;
+    values.push(value);
+    return Array.isArray(value)
+      ? `${quoteIdentifier(column)} = ANY($${values.length})`
+      : `${quoteIdentifier(column)} = $${values.length}`;
+  }).join(' AND ');
+}
+
+/**
+ * ON CONFLICT clause of an upsert
+ * @param {Object} onConflict
+ * @param {string[]} [onConflict.target] - Columns of the unique index
+ * @param {string} [onConflict.constraint] - Or the name of the unique constraint
+ * @param {string[]|boolean} [onConflict.update=true] - Columns taken from the new row; true for
+ *   every inserted column outside the target, false to leave the existing row (DO NOTHING)
+ * @param {string[]} columns - Inserted columns
+ * @returns {string}
+ */
+function conflictClause({ target, constraint, update = true }, columns) {
+  let clause = ' ON CONFLICT';
+  if (constraint) {
+    clause += ` ON CONSTRAINT ${quoteIdentifier(constraint)}`;
+  } else if (target && target.length > 0) {
+    clause += ` (${target.map(quoteIdentifier).join(', ')})`;
+  }
+
+  const updated = update === true
+    ? columns.filter(column => !(target || []).includes(column))
+    : update || [];
+  if (updated.length === 0) return `${clause} DO NOTHING`;
+  if (!constraint && !(target && target.length > 0)) {
+    throw new Error('DO UPDATE needs a conflict target or constraint');
+  }
+  return `${clause} DO UPDATE SET ${updated.map(column =>
+    `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`
+  ).join(', ')}`;
+}
+
+/**
+ * INSERT of one or more rows. Columns missing from a row get their DEFAULT.
+ * @param {string|string[]} table
+ * @param {Object|Object[]} rows - Column-value pairs
+ * @param {Object} [options]
+ * @param {string|string[]} [options.returning='*']
+ * @param {Object} [options.onConflict] - Upsert: see conflictClause
+ * @returns {{text: string, values: Array}}
+ */
+function buildInsert(table, rows, { returning = '*', onConflict } = {}) {
+  const list = Array.isArray(rows) ? rows : [rows];
+  const columns = [...new Set(list.flatMap(row => Object.keys(row)))];
+  if (list.length === 0 || columns.length === 0) {
+    throw new Error('Nothing to insert');
+  }
+
+  const values = [];
+  const tuples = list.map(row => `(${columns.map(column => {
+    if (!(column in row) || row[column] === undefined) return 'DEFAULT';
+    values.push(row[column]);
+    return `$${values.length}`;
+  }).join(', ')})`);
+
+  let text = `INSERT INTO ${quoteTable(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${tuples.join(', ')}`;
+  if (onConflict) text += conflictClause(onConflict, columns);
+  text += returningClause(returning);
+  return { text, values };
+}
+
+/**
+ * UPDATE of the rows matching `where`
+ * @param {string|string[]} table
+ * @param {Object} data - Column-value pairs to set
+ * @param {Object} where - See whereClause
+ * @param {Object} [options]
+ * @param {string|string[]} [options.returning='*']
+ * @returns {{text: string, values: Array}}
+ */
+function buildUpdate(table, data, where, { returning = '*' } = {}) {
+  const columns = Object.keys(data).filter(column => data[column] !== undefined);
+  if (columns.length === 0) {
+    throw new Error('Nothing to update');
+  }
+
+  const values = columns.map(column => data[column]);
+  const set = columns.map((column, i) => `${quoteIdentifier(column)} = $${i + 1}`).join(', ');
+  const text = `UPDATE ${quoteTable(table)} SET ${set} WHERE ${whereClause(where, values)}${returningClause(returning)}`;
+  return { text, values };
+}
+
+/**
+ * DELETE of the rows matching `where`
+ * @param {string|string[]} table
+ * @param {Object} where - See whereClause
+ * @param {Object} [options]
+ * @param {string|string[]} [options.returning='*']
+ * @returns {{text: string, values: Array}}
+ */
+function buildDelete(table, where, { returning = '*' } = {}) {
+  const values = [];
+  const text = `DELETE FROM ${quoteTable(table)} WHERE ${whereClause(where, values)}${returningClause(returning)}`;
+  return { text, values };
+}
+
+/**
+ * Normalize an ORDER BY option: 'id', ['created_at', 'id'] or [{ column, direction: 'desc' }]
+ * @private
+ */
+function sortKeys(orderBy) {
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(key => {
+    const { column, direction = 'asc' } = typeof key === 'string' ? { column: key } : key;
+    const dir = direction.toLowerCase();
+    if (dir !== 'asc' && dir !== 'desc') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    return { column, direction: dir };
+  });
+}
+
+/**
+ * Keyset (seek) pagination: the page after a cursor, without OFFSET. The sort keys must
+ * identify a row (end with a unique column such as `id`) and should not be NULL.
+ * @param {string|string[]} table
+ * @param {Object} options
+ * @param {string|Array} options.orderBy - Sort keys
+ * @param {Array} [options.after] - Sort key values of the last row of the previous page
+ * @param {number} [options.limit=50]
+ * @param {Object} [options.where] - Extra conditions, see whereClause
+ * @param {string|string[]} [options.columns='*'] - Selected columns
+ * @returns {{text: string, values: Array}}
+ */
+function buildKeysetQuery(table, { orderBy, after, limit = 50, where, columns = '*' }) {
+  const keys = sortKeys(orderBy);
+  const values = [];
+  const conditions = where && Object.keys(where).length > 0 ? [whereClause(where, values)] : [];
+
+  if (after) {
+    if (after.length !== keys.length) {
+      throw new Error(`The cursor has ${after.length} values for ${keys.length} sort keys`);
+    }
+    const start = values.length;
+    values.push(...after);
+    // (a > $1) OR (a = $1 AND b > $2) ..., which also works for mixed directions
+    const seek = keys.map((key, i) => {
+      const equal = keys.slice(0, i).map((previous, j) => `${quoteIdentifier(previous.column)} = $${start + j + 1}`);
+      const beyond = `${quoteIdentifier(key.column)} ${key.direction === 'asc' ? '>' : '<'} $${start + i + 1}`;
+      return `(${[...equal, beyond].join(' AND ')})`;
+    });
+    conditions.push(`(${seek.join(' OR ')})`);
+  }
+
+  values.push(limit);
+  const select = columns === '*' ? '*' : (Array.isArray(columns) ? columns : [columns]).map(quoteIdentifier).join(', ');
+  const text = [
+    `SELECT ${select} FROM ${quoteTable(table)}`,
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : null,
+    `ORDER BY ${keys.map(key => `${quoteIdentifier(key.column)} ${key.direction.toUpperCase()}`).join(', ')}`,
+    `LIMIT $${values.length}`
+  ].filter(Boolean).join(' ');
+  return { text, values };
+}
+
+/**
+ * Opaque cursor for the page after a row
+ * @param {Object} row - Last row of a page; must hold the sort key columns
+ * @param {string|Array} orderBy - Sort keys, as for buildKeysetQuery
+ * @returns {string}
+ */
+function encodeCursor(row, orderBy) {
+  return Buffer.from(JSON.stringify(sortKeys(orderBy).map(key => row[key.column]))).toString('base64url');
+}
+
+/**
+ * Sort key values of a cursor from encodeCursor
+ * @param {string} cursor
+ * @returns {Array}
+ */
+function decodeCursor(cursor) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    values = null;
+  }
+  if (!Array.isArray(values)) {
+    throw new Error('Invalid cursor');
+  }
+  return values;
+}
+
+/**
+ * COPY ... FROM STDIN statement for bulk loads
+ * @param {string|string[]} table
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function copyStatement(table, columns) {
+  return `COPY ${quoteTable(table)} (${columns.map(quoteIdentifier).join(', ')}) FROM STDIN`;
+}
+
+/**
+ * Text of a value as Postgres parses it: dates in ISO format, bytea in hex, objects as JSON
+ * @private
+ */
+function valueText(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Array literal, e.g. {1,2} or {"a b",NULL}, for array columns
+ * @private
+ */
+function arrayLiteral(array) {
+  return `{${array.map(item => {
+    if (item === null || item === undefined) return 'NULL';
+    if (Array.isArray(item)) return arrayLiteral(item);
+    if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+    return `"${valueText(item).replace(/[\\"]/g, '\\$&')}"`;
+  }).join(',')}}`;
+}
+
+/**
+ * One value in COPY text format
+ * @private
+ */
+function copyValue(value) {
+  if (value === null || value === undefined) return '\\N';
+  const text = Array.isArray(value) ? arrayLiteral(value) : valueText(value);
+  return text.replace(/[\\\t\n\r]/g, char => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' }[char]));
+}
+
+/**
+ * One row in COPY text format: tab-separated, newline-terminated
+ * @param {Object} row - Column-value pairs
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function encodeCopyRow(row, columns) {
+  return `${columns.map(column => copyValue(row[column])).join('\t')}\n`;
+}
+
+module.exports = {
+  MAX_PARAMETERS,
+  buildDelete,
+  buildInsert,
+  buildKeysetQuery,
+  buildUpdate,
+  copyStatement,
+  decodeCursor,
+  encodeCopyRow,
+  encodeCursor,
+  quoteIdentifier,
+  quoteTable
+};
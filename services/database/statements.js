@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+const DEFAULT_STATEMENTS = {
+  enabled: true,
+  // A query text runs as a named prepared statement from this execution on
+  prepareAfter: 3,
+  // Most statements prepared on one connection. Names are not handed out beyond this,
+  // so no connection holds more.
+  maxStatements: 200,
+  // Query texts whose executions are counted; the oldest is forgotten beyond this
+  maxTracked: 2000
+};
+
+/**
+ * Decides which queries run as named prepared statements. pg parses a named statement
+ * once per connection, on its first execution there, and reuses the parsed statement
+ * afterwards; connections of a new pool (after a failover) prepare theirs again.
+ *
+ * Only queries with parameters are prepared: the text of a query without parameters may
+ * hold several statements, which a prepared statement cannot.
+ */
+class StatementCache {
+  /**
+   * @param {Object} [options] - See DEFAULT_STATEMENTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_STATEMENTS, ...options };
+    // Query text => executions so far
+    this.executions = new Map();
+    // Query text => statement name
+    this.names = new Map();
+    // Query texts that must not be prepared
+    this.unprepared = new Set();
+  }
+
+  /**
+   * Name of the prepared statement a query runs as
+   * @param {string} text - SQL query string
+   * @param {Array} params - Query parameters
+   * @param {boolean} [prepare] - true to prepare on first use, false never to
+   * @returns {string|null} Null to run the text unnamed
+   */
+  nameFor(text, params, prepare) {
+    if (prepare === false || this.unprepared.has(text)) return null;
+    if (this.names.has(text)) return this.names.get(text);
+    if (!this.options.enabled || params.length === 0) return null;
+    if (this.names.size >= this.options.maxStatements) return null;
+
+    const executions = (this.executions.get(text) || 0) + 1;
+    if (prepare !== true && executions < this.options.prepareAfter) {
+      this.track(text, executions);
+      return null;
+    }
+
+    this.executions.delete(text);
+    const name = `stmt_${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}`;
+    this.names.set(text, name);
+    return name;
+  }
+
+  /**
+   * Run a query text unnamed from now on, e.g. after 'cached plan must not change result type'
+   * @param {string} text
+   */
+  forget(text) {
+    // The name stays counted: connections keep the statement until they close
+    this.unprepared.add(text);
+  }
+
+  /**
+   * @private
+   */
+  track(text, executions) {
+    this.executions.delete(text);
+    this.executions.set(text, executions);
+    if (this.executions.size > this.options.maxTracked) {
+      this.executions.delete(this.executions.keys().next().value);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_STATEMENTS,
+  StatementCache
+};
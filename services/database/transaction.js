@@ -0,0 +1,181 @@
+const ISOLATION_LEVELS = {
+  READ_COMMITTED: 'READ COMMITTED',
+  REPEATABLE_READ: 'REPEATABLE READ',
+  SERIALIZABLE: 'SERIALIZABLE'
+};
+
+const DEFAULT_TRANSACTION = {
+  // One of ISOLATION_LEVELS (or its key, e.g. 'serializable'); the server default if not set
+  isolationLevel: null,
+  readOnly: false,
+  // With SERIALIZABLE and readOnly: wait for a snapshot that cannot fail serialization
+  deferrable: false,
+  // statement_timeout of every statement in the transaction (ms); the server default if not set
+  statementTimeout: null,
+  // Runs of the callback after the first one, on serialization failure or deadlock
+  maxRetries: 3,
+  backoff: {
+    initialDelay: 20,
+    maxDelay: 1000,
+    factor: 2,
+    // Share of the delay added at random, so conflicting transactions do not retry in lockstep
+    jitter: 1
+  }
+};
+
+// serialization_failure and deadlock_detected: the transaction was rolled back and can run again
+const RETRYABLE_ERROR_CODES = new Set(['40001', '40P01']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve an isolation level option to its SQL
+ * @param {string} level - 'SERIALIZABLE', 'serializable', 'repeatable read', 'REPEATABLE_READ'...
+ * @returns {string}
+ */
+function isolationLevel(level) {
+  const key = String(level).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!ISOLATION_LEVELS[key]) {
+    throw new Error(`Unknown isolation level: ${level}`);
+  }
+  return ISOLATION_LEVELS[key];
+}
+
+/**
+ * BEGIN statement for the transaction options
+ * @param {Object} options - See DEFAULT_TRANSACTION
+ * @returns {string}
+ */
+function beginStatement({ isolationLevel: level, readOnly, deferrable }) {
+  const modes = [];
+  if (level) modes.push(`ISOLATION LEVEL ${isolationLevel(level)}`);
+  if (readOnly) modes.push('READ ONLY');
+  if (deferrable) modes.push('DEFERRABLE');
+  return ['BEGIN', ...modes].join(' ');
+}
+
+/**
+ * Delay before a transaction runs again
+ * @param {number} retry - 1 for the first retry
+ * @param {Object} backoff - See DEFAULT_TRANSACTION.backoff
+ * @returns {number} ms
+ */
+function retryDelay(retry, { initialDelay, maxDelay, factor, jitter }) {
+  const delay = Math.min(initialDelay * Math.pow(factor, retry - 1), maxDelay);
+  return Math.round(delay * (1 + Math.random() * jitter));
+}
+
+/**
+ * Client handed to transaction callbacks
+ */
+class Transaction {
+  /**
+   * @param {Client} client - pg client the transaction runs on
+   * @param {number} [depth=0] - Nesting level: 0 for the transaction, 1 and up for savepoints
+   * @param {Object} [state] - Shared by a transaction and its savepoints
+   */
+  constructor(client, depth = 0, state = { retryableError: null }) {
+    this.client = client;
+    this.depth = depth;
+    this.state = state;
+    this.savepoints = 0;
+  }
+
+  /**
+   * Run a query in the transaction
+   * @param {string|Object} text - SQL query string or pg query config
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Object>} Query result
+   */
+  async query(text, params) {
+    try {
+      return await this.client.query(text, params);
+    } catch (error) {
+      // Remembered in case the callback catches it: the transaction still has to run again
+      if (RETRYABLE_ERROR_CODES.has(error.code)) this.state.retryableError = error;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a nested transaction in a SAVEPOINT: if the callback throws, only its statements
+   * are rolled back, and the error is rethrown for the caller to handle or let through
+   * @param {Function} callback - Async function that receives the nested Transaction
+   * @returns {Promise<*>} The result of the callback
+   */
+  async transaction(callback) {
+    const savepoint = `sp_${this.depth + 1}_${++this.savepoints}`;
+    await this.client.query(`SAVEPOINT ${savepoint}`);
+
+    try {
+      const result = await callback(new Transaction(this.client, this.depth + 1, this.state));
+      await this.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      // After a serialization failure or deadlock the whole transaction runs again
+      if (!this.state.retryableError) {
+        await this.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run a callback in a transaction, retrying it on serialization failure or deadlock.
+ * The callback may run several times, so it should not have effects outside the database.
+ * @param {Function} connect - Resolves to a pg client
+ * @param {Function} callback - Async function that receives a Transaction
+ * @param {Object} [options] - See DEFAULT_TRANSACTION
+ * @param {Function} [onRetry] - `(error, retry, delay)` before each retry
+ * @returns {Promise<*>} The result of the callback
+ */
+async function runTransaction(connect, callback, options = {}, onRetry = () => {}) {
+  const settings = { ...DEFAULT_TRANSACTION, ...options, backoff: { ...DEFAULT_TRANSACTION.backoff, ...options.backoff } };
+  const begin = beginStatement(settings);
+
+  for (let retry = 0; ; retry++) {
+    const client = await connect();
+    const transaction = new Transaction(client);
+    let releaseError;
+    let delay;
+
+    try {
+      await client.query(begin);
+      if (settings.statementTimeout) {
+        await client.query(`SET LOCAL statement_timeout = ${Number(settings.statementTimeout)}`);
+      }
+      const result = await callback(transaction);
+      // The callback caught the failure, but the transaction is aborted: COMMIT would only roll it back
+      if (transaction.state.retryableError) throw transaction.state.retryableError;
+      await transaction.query('COMMIT');
+      return result;
+    } catch (error) {
+      // A client that cannot roll back is not given back to the pool
+      await client.query('ROLLBACK').catch(rollbackError => {
+        releaseError = rollbackError;
+      });
+      const retryableError = RETRYABLE_ERROR_CODES.has(error.code) ? error : transaction.state.retryableError;
+      if (!retryableError || retry >= settings.maxRetries) {
+        error.attempts = retry + 1;
+        throw error;
+      }
+
+      delay = retryDelay(retry + 1, settings.backoff);
+      onRetry(retryableError, retry + 1, delay);
+    } finally {
+      client.release(releaseError);
+    }
+
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  DEFAULT_TRANSACTION,
+  ISOLATION_LEVELS,
+  RETRYABLE_ERROR_CODES,
+  Transaction,
+  beginStatement,
+  runTransaction
+};
@@ -9,6 +9,7 @@ class HealthService {
     this.app = express();
     this.server = null;
     this.components = new Map();
+    this.readinessChecks = new Map();
     this.startTime = new Date();
     this.requestCount = 0;
     
@@ -148,6 +149,13 @@ class HealthService {
     return this;
   }
   
+  // Register a readiness check: the service is not ready while it returns `ready: false`
+  // (e.g. while draining), even if it is healthy
+  registerReadinessCheck(name, checkFunction) {
+    this.readinessChecks.set(name, checkFunction);
+    return this;
+  }
+  
   // Check application health
   async checkAppHealth() {
     return {
@@ -236,12 +244,34 @@ class HealthService {
   // Get readiness status (similar to health but with different thresholds)
   async getReadinessStatus() {
     const health = await this.getHealthStatus();
-    const isReady = health.status === 'healthy';
+    const checks = { ...health.checks };
+    let isReady = health.status === 'healthy';
+    
+    await Promise.all([...this.readinessChecks.entries()].map(([name, check]) =>
+      Promise.resolve()
+        .then(() => check())
+        .then(result => {
+          const ready = result.ready !== false;
+          checks[name] = {
+            status: ready ? 'ready' : 'not_ready',
+            ...result
+          };
+          if (!ready) isReady = false;
+        })
+        .catch(error => {
+          console.error(`Readiness check failed for ${name}:`, error);
+          checks[name] = {
+            status: 'not_ready',
+            error: error.message
+          };
+          isReady = false;
+        })
+    ));
     
     return {
       status: isReady ? 'ready' : 'not_ready',
       timestamp: new Date().toISOString(),
-      checks: health.checks,
+      checks,
       meta: health.meta
     };
   }
@@ -335,6 +365,9 @@ module.exports = {
   // Convenience methods that use the singleton instance
   registerComponent: (name, checkFunction) => 
     healthService.registerComponent(name, checkFunction),
+  
+  registerReadinessCheck: (name, checkFunction) => 
+    healthService.registerReadinessCheck(name, checkFunction),
     
   getHealthStatus: () => healthService.getHealthStatus(),
   getReadinessStatus: () => healthService.getReadinessStatus(),
@@ -2,6 +2,9 @@ const Redis = require('ioredis');
 const fs = require('fs');
 const path = require('path');
 const metrics = require('./metrics');
+const WriteBehindQueue = require('./write-behind');
+const L1Cache = require('./l1-cache');
+const { ValueSerializer } = require('./codecs');
 const { v4: uuidv4 } = require('uuid');
 const { URL } = require('url');
 
@@ -14,6 +17,61 @@ const AZURE_REDIS_PORTS = {
   ssl: 6380
 };
 
+// Stampede protection defaults (overridable via config/redis.json "stampede")
+const DEFAULT_STAMPEDE_OPTIONS = {
+  coalesce: true,
+  lock: {
+    enabled: false,
+    ttl: 5000,
+    waitTimeout: 3000,
+    retryDelay: 50
+  },
+  earlyRefresh: {
+    enabled: true,
+    beta: 1
+  }
+};
+
+// Delete a lock only if it still holds our token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Add a key to a tag set and keep the set alive at least as long as its longest-lived member
+const TAG_KEY_SCRIPT = `
+local existed = redis.call('EXISTS', KEYS[1])
+redis.call('SADD', KEYS[1], ARGV[1])
+local ttl = tonumber(ARGV[2])
+if ttl <= 0 then
+  redis.call('PERSIST', KEYS[1])
+  return 1
+end
+local current = redis.call('TTL', KEYS[1])
+if existed == 0 or (current >= 0 and current < ttl) then
+  redis.call('EXPIRE', KEYS[1], ttl)
+end
+return 1
+`;
+
+// Prefix for the sets that track which keys carry a tag
+const TAG_KEY_PREFIX = '__tag:';
+
+// Prefix for read-through load locks, kept apart from cached values so patterns cannot match them
+const LOCK_KEY_PREFIX = '__lock:';
+
+// Number of keys deleted (and SCAN/SSCAN COUNT hint) per invalidation round trip
+const INVALIDATION_BATCH_SIZE = 500;
+
+// Where a value returned by getWithSource() came from (matches telemetry storage_source)
+const STORAGE_SOURCE = {
+  L1: 'memory-l1',
+  L2: 'redis-l2',
+  ORIGIN: 'origin'
+};
+
 // Cache strategies
 const CACHE_STRATEGY = {
   CACHE_ASIDE: 'CACHE_ASIDE',
@@ -30,19 +88,196 @@ class RedisClient {
    * @param {string} options.strategy - Cache strategy (default: CACHE_ASIDE)
    * @param {Function} options.loader - Function to load data on cache miss (required for READ_THROUGH)
    * @param {Function} options.writer - Function to write data (required for WRITE_THROUGH/WRITE_BEHIND)
+   * @param {Function} options.batchWriter - Function receiving a key-value object of queued writes (WRITE_BEHIND only)
+   * @param {Object} options.writeBehind - Overrides for the `writeBehind` config section
+   * @param {Object} options.stampede - Overrides for the `stampede` config section (READ_THROUGH only)
+   * @param {Object} options.l1 - Overrides for the `l1` config section (in-process cache in front of Redis)
+   * @param {Object} options.serialization - Overrides for the `serialization` config section (codec, compression)
    */
   constructor(options = {}) {
     this.config = this._loadConfig(options.configPath);
     this.strategy = options.strategy || CACHE_STRATEGY.CACHE_ASIDE;
     this.loader = options.loader;
     this.writer = options.writer;
+    this.batchWriter = options.batchWriter;
     this.client = null;
+    this.writeBehind = null;
+    this.l1 = null;
+    this.subscriber = null;
+    this.inflight = new Map();
     this.connected = false;
     this.connectionId = uuidv4();
+    this.stampede = this._resolveStampedeOptions(options.stampede);
+    this.serializer = new ValueSerializer({ ...this.config.serialization, ...options.serialization });
     
     this._validateOptions();
     this._initClient();
+    this._defineCommands();
     this._setupEventListeners();
+    this._initWriteBehind(options.writeBehind);
+    this._initL1(options.l1);
+  }
+
+  /**
+   * Create the in-process L1 cache and subscribe to cross-instance invalidations
+   * @param {Object} overrides - Options overriding the `l1` config section
+   */
+  _initL1(overrides = {}) {
+    const l1Options = { ...this.config.l1, ...overrides };
+    if (!l1Options.enabled) return;
+    
+    this.l1 = new L1Cache({
+      ...l1Options,
+      onEvict: (key, reason) => metrics.recordL1Eviction(reason)
+    });
+    
+    // Channels are not prefixed by ioredis, so scope them by key prefix ourselves
+    this.invalidationChannel = `${this.config.connection.keyPrefix || ''}${l1Options.channel || 'l1:invalidate'}`;
+    this.l1Synced = false;
+    
+    // Subscribed connections cannot run other commands, so use a dedicated one
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('message', (channel, message) => {
+      if (channel === this.invalidationChannel) {
+        this._handleInvalidation(message);
+      }
+    });
+    
+    this.subscriber.on('ready', () => {
+      this.l1Synced = true;
+    });
+    
+    // Invalidations sent while we were disconnected are lost, so start over
+    this.subscriber.on('close', () => {
+      if (this.l1Synced) {
+        console.warn('[Redis] L1 invalidation channel disconnected, clearing L1 cache');
+      }
+      this.l1Synced = false;
+      this.l1.clear();
+    });
+    
+    this.subscriber.on('error', (error) => {
+      metrics.recordError('l1_subscriber', error);
+    });
+    
+    this.subscriber.subscribe(this.invalidationChannel).catch(error => {
+      console.error('[Redis] Failed to subscribe to L1 invalidation channel:', error);
+      metrics.recordError('l1_subscriber', error);
+    });
+  }
+
+  /**
+   * Apply an invalidation published by another instance
+   * @param {string} message - JSON message ({ origin, keys } or { origin, flush: true })
+   */
+  _handleInvalidation(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch (error) {
+      console.warn('[Redis] Ignoring malformed L1 invalidation message:', message);
+      return;
+    }
+    
+    // Our own writes were already applied locally
+    if (payload.origin === this.connectionId) return;
+    
+    if (payload.flush) {
+      this.l1.clear();
+      metrics.recordL1Invalidation(this.l1.size, true);
+      return;
+    }
+    
+    (payload.keys || []).forEach(key => this.l1.delete(key));
+    metrics.recordL1Invalidation((payload.keys || []).length, true);
+  }
+
+  /**
+   * Drop keys from the local L1 and tell other instances to do the same
+   * @param {string[]} cacheKeys - Prefixed cache keys
+   * @param {Object} [options]
+   * @param {boolean} [options.flush=false] - Invalidate everything
+   */
+  async _invalidate(cacheKeys, { flush = false } = {}) {
+    if (!this.l1) return;
+    
+    if (flush) {
+      this.l1.clear();
+    } else {
+      cacheKeys.forEach(key => this.l1.delete(key));
+    }
+    metrics.recordL1Invalidation(cacheKeys.length, false);
+    
+    const message = flush
+      ? { origin: this.connectionId, flush: true }
+      : { origin: this.connectionId, keys: cacheKeys };
+    
+    try {
+      await this.client.publish(this.invalidationChannel, JSON.stringify(message));
+    } catch (error) {
+      // Other instances fall back to the L1 TTL
+      console.error('[Redis] Failed to publish L1 invalidation:', error);
+      metrics.recordError('l1_publish', error);
+    }
+  }
+
+  /**
+   * Cache a serialized value in L1 if it is enabled and in sync
+   * @param {string} cacheKey - Prefixed cache key
+   * @param {Buffer|string|null} raw - Serialized value
+   * @param {Object} [options]
+   * @param {number} [options.epoch] - L1 epoch read before fetching the value
+   * @param {number} [options.pttl=-1] - Remaining Redis TTL in ms, as PTTL reports it (-1 without
+   *   expiry, -2 once gone); L1 never outlives it
+   */
+  _storeL1(cacheKey, raw, { epoch, pttl = -1 } = {}) {
+    if (!this.l1 || !this.l1Synced || raw === null || raw === undefined) return;
+    // Expired in Redis between the read and the PTTL
+    if (pttl === 0 || pttl === -2) return;
+    
+    const ttl = pttl > 0 ? Math.min(this.l1.options.ttl, pttl) : this.l1.options.ttl;
+    
+    this.l1.set(cacheKey, raw, { size: raw.length, ttl, epoch });
+  }
+
+  /**
+   * Merge stampede protection defaults, config and constructor overrides
+   * @param {Object} overrides - Options overriding the `stampede` config section
+   * @returns {Object} Resolved stampede options
+   */
+  _resolveStampedeOptions(overrides = {}) {
+    const configured = this.config.stampede || {};
+    return {
+      ...DEFAULT_STAMPEDE_OPTIONS,
+      ...configured,
+      ...overrides,
+      lock: { ...DEFAULT_STAMPEDE_OPTIONS.lock, ...configured.lock, ...overrides.lock },
+      earlyRefresh: {
+        ...DEFAULT_STAMPEDE_OPTIONS.earlyRefresh,
+        ...configured.earlyRefresh,
+        ...overrides.earlyRefresh
+      }
+    };
+  }
+
+  /**
+   * Create the durable write-behind queue when using the WRITE_BEHIND strategy
+   * @param {Object} overrides - Options overriding the `writeBehind` config section
+   */
+  _initWriteBehind(overrides = {}) {
+    if (this.strategy !== CACHE_STRATEGY.WRITE_BEHIND) return;
+
+    const configured = this.config.writeBehind || {};
+    this.writeBehind = new WriteBehindQueue(this.client, {
+      ...configured,
+      ...overrides,
+      backoff: { ...configured.backoff, ...overrides.backoff },
+      writer: this.writer,
+      batchWriter: this.batchWriter,
+      serialize: (value) => this._serializeValue(value),
+      parse: (value) => this._parseValue(value)
+    });
+    this.writeBehind.start();
   }
 
   /**
@@ -145,6 +380,17 @@ class RedisClient {
     }
   }
 
+  /**
+   * Register the Lua scripts on the ioredis client, so calls send EVALSHA instead of the script body
+   * @private
+   */
+  _defineCommands() {
+    if (typeof this.client.cacheTagKey === 'function') return;
+    
+    this.client.defineCommand('cacheTagKey', { numberOfKeys: 1, lua: TAG_KEY_SCRIPT });
+    this.client.defineCommand('cacheReleaseLock', { numberOfKeys: 1, lua: RELEASE_LOCK_SCRIPT });
+  }
+
   /**
    * Set up event listeners for the Redis client
    */
@@ -288,9 +534,13 @@ class RedisClient {
       throw new Error('Loader function is required for READ_THROUGH strategy');
     }
     
-    if ((this.strategy === CACHE_STRATEGY.WRITE_THROUGH || 
-         this.strategy === CACHE_STRATEGY.WRITE_BEHIND) && 
-        typeof this.writer !== 'function') {
+    if (this.strategy === CACHE_STRATEGY.WRITE_THROUGH && typeof this.writer !== 'function') {
+      throw new Error('Writer function is required for WRITE_THROUGH/WRITE_BEHIND strategy');
+    }
+    
+    if (this.strategy === CACHE_STRATEGY.WRITE_BEHIND &&
+        typeof this.writer !== 'function' &&
+        typeof this.batchWriter !== 'function') {
       throw new Error('Writer function is required for WRITE_THROUGH/WRITE_BEHIND strategy');
     }
   }
@@ -308,25 +558,28 @@ class RedisClient {
 
     const startTime = performance.now();
     
+    // Binary-safe variants (getBuffer, mgetBuffer) count as their plain command
+    const commandName = command.replace(/Buffer$/, '').toLowerCase();
+    
     try {
       const result = await this.client[command](...args);
-      const duration = metrics.recordCommandTime(command, startTime);
+      const duration = metrics.recordCommandTime(commandName, startTime);
       
-      if (command.toLowerCase() === 'get') {
+      if (commandName === 'get') {
         if (result === null) {
           metrics.recordMiss();
         } else {
           metrics.recordHit();
         }
-      } else if (command.toLowerCase() === 'set') {
+      } else if (commandName === 'set') {
         metrics.recordSet(args[0], args[2] || this.config.cacheOptions?.defaultTtl || 0);
-      } else if (command.toLowerCase() === 'del') {
+      } else if (commandName === 'del') {
         metrics.recordDel(args[0]);
       }
       
       return result;
     } catch (error) {
-      metrics.recordError(command, error);
+      metrics.recordError(commandName, error);
       throw error;
     }
   }
@@ -337,25 +590,50 @@ class RedisClient {
    * @returns {Promise<any>} Cached value or null if not found
    */
   async get(key) {
+    const { value } = await this.getWithSource(key);
+    return value;
+  }
+
+  /**
+   * Get a value from cache along with the tier that served it
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: any, source: string|null}>} Value and one of RedisClient.STORAGE_SOURCE (null on a miss)
+   */
+  async getWithSource(key) {
     const cacheKey = this._getCacheKey(key);
     const startTime = performance.now();
     
     try {
+      // Serve from the in-process cache when it is in sync with the invalidation channel
+      if (this.l1 && this.l1Synced) {
+        const local = this.l1.lookup(cacheKey);
+        if (local.hit) {
+          metrics.recordL1Hit();
+          return { value: this._parseValue(local.value), source: STORAGE_SOURCE.L1 };
+        }
+        metrics.recordL1Miss();
+      }
+      
+      const epoch = this.l1 ? this.l1.epoch : undefined;
+      
       // For READ_THROUGH strategy, use the loader on cache miss
       if (this.strategy === CACHE_STRATEGY.READ_THROUGH) {
-        return this._readThrough(cacheKey);
+        const { value, raw, source, pttl } = await this._readThrough(cacheKey);
+        this._storeL1(cacheKey, raw, { epoch, pttl });
+        return { value, source };
       }
       
-      // For other strategies, just get from cache
-      const result = await this._executeCommand('get', cacheKey);
+      // For other strategies, just get from cache (with the TTL left, which bounds L1)
+      const { value: result, pttl } = await this._getWithTtl(cacheKey);
       
       if (result === null) {
         metrics.recordMiss();
-        return null;
+        return { value: null, source: null };
       }
       
       metrics.recordHit();
-      return this._parseValue(result);
+      this._storeL1(cacheKey, result, { epoch, pttl });
+      return { value: this._parseValue(result), source: STORAGE_SOURCE.L2 };
     } catch (error) {
       metrics.recordError('get', error);
       throw error;
@@ -369,9 +647,11 @@ class RedisClient {
    * @param {string} key - Cache key
    * @param {any} value - Value to cache
    * @param {number} ttl - Time to live in seconds (default: from config)
+   * @param {Object} [options] - Set options
+   * @param {string[]} [options.tags] - Tags to attach to the key for invalidateTag()
    * @returns {Promise<boolean>} True if successful
    */
-  async set(key, value, ttl = null) {
+  async set(key, value, ttl = null, options = {}) {
     const cacheKey = this._getCacheKey(key);
     const ttlMs = ttl || this.config.cacheOptions?.defaultTtl || 0;
     const serialized = this._serializeValue(value);
@@ -383,14 +663,9 @@ class RedisClient {
         await this.writer(key, value);
       }
       
-      // For WRITE_BEHIND, we'd typically use a queue, but for simplicity, we'll just write directly
-      if (this.strategy === CACHE_STRATEGY.WRITE_BEHIND && this.writer) {
-        // In a real implementation, this would be added to a queue
-        setImmediate(() => {
-          this.writer(key, value).catch(err => {
-            console.error('Background write failed:', err);
-          });
-        });
+      // For WRITE_BEHIND, persist the write in the durable queue before caching it
+      if (this.writeBehind) {
+        await this.writeBehind.enqueue(key, value);
       }
       
       // Set in Redis
@@ -401,6 +676,14 @@ class RedisClient {
       }
       
       metrics.recordSet(cacheKey, ttlMs);
+      
+      if (options.tags && options.tags.length > 0) {
+        await this._tagKeys([cacheKey], options.tags, ttlMs);
+      }
+      
+      // Other instances drop their copy; ours is replaced with the new value
+      await this._invalidate([cacheKey]);
+      this._storeL1(cacheKey, serialized, { pttl: ttlMs > 0 ? ttlMs * 1000 : -1 });
       return true;
     } catch (error) {
       metrics.recordError('set', error);
@@ -419,6 +702,7 @@ class RedisClient {
     const cacheKey = this._getCacheKey(key);
     try {
       const result = await this._executeCommand('del', cacheKey);
+      await this._invalidate([cacheKey]);
       return result > 0;
     } catch (error) {
       metrics.recordError('del', error);
@@ -440,7 +724,7 @@ class RedisClient {
     const startTime = performance.now();
     
     try {
-      const results = await this._executeCommand('mget', ...cacheKeys);
+      const results = await this._executeCommand('mgetBuffer', ...cacheKeys);
       const parsedResults = {};
       
       keys.forEach((key, index) => {
@@ -465,9 +749,11 @@ class RedisClient {
    * Set multiple keys at once
    * @param {Object} items - Key-value pairs to set
    * @param {number} ttl - Time to live in seconds (applies to all items)
+   * @param {Object} [options] - Set options
+   * @param {string[]} [options.tags] - Tags to attach to every key for invalidateTag()
    * @returns {Promise<boolean>} True if successful
    */
-  async mset(items, ttl = null) {
+  async mset(items, ttl = null, options = {}) {
     if (!items || typeof items !== 'object' || Object.keys(items).length === 0) {
       return false;
     }
@@ -481,13 +767,9 @@ class RedisClient {
         await this.writer(items);
       }
       
-      // For WRITE_BEHIND, queue the write
-      if (this.strategy === CACHE_STRATEGY.WRITE_BEHIND && this.writer) {
-        setImmediate(() => {
-          this.writer(items).catch(err => {
-            console.error('Background batch write failed:', err);
-          });
-        });
+      // For WRITE_BEHIND, queue the writes
+      if (this.writeBehind) {
+        await this.writeBehind.enqueueMany(items);
       }
       
       // Add all items to the pipeline
@@ -506,6 +788,13 @@ class RedisClient {
       
       // Execute the pipeline
       await pipeline.exec();
+      
+      const cacheKeys = Object.keys(items).map(key => this._getCacheKey(key));
+      if (options.tags && options.tags.length > 0) {
+        await this._tagKeys(cacheKeys, options.tags, ttlMs);
+      }
+      
+      await this._invalidate(cacheKeys);
       return true;
     } catch (error) {
       metrics.recordError('mset', error);
@@ -513,6 +802,95 @@ class RedisClient {
     }
   }
 
+  /**
+   * Delete every key that was set with the given tag
+   * @param {string} tag - Tag name
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async invalidateTag(tag) {
+    const tagKey = this._getTagKey(tag);
+    const startTime = performance.now();
+    let deleted = 0;
+    
+    try {
+      // SSCAN so a large tag set never blocks the server
+      let cursor = '0';
+      do {
+        const [nextCursor, members] = await this.client.sscan(tagKey, cursor, 'COUNT', INVALIDATION_BATCH_SIZE);
+        cursor = nextCursor;
+        deleted += await this._unlinkKeys(members);
+      } while (cursor !== '0');
+      
+      await this.client.unlink(tagKey);
+      
+      metrics.recordInvalidation('tag', deleted);
+      return deleted;
+    } catch (error) {
+      metrics.recordError('invalidate_tag', error);
+      throw error;
+    } finally {
+      metrics.recordCommandTime('invalidate_tag', startTime);
+    }
+  }
+
+  /**
+   * Delete every key carrying any of the given tags
+   * @param {string[]} tags - Tag names
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async invalidateTags(tags) {
+    let deleted = 0;
+    for (const tag of tags) {
+      deleted += await this.invalidateTag(tag);
+    }
+    return deleted;
+  }
+
+  /**
+   * Delete every key matching a glob pattern using SCAN (never KEYS).
+   * In cluster mode every master node is scanned.
+   * @param {string} pattern - Glob pattern relative to the key prefix (e.g. 'product:42:*')
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async invalidatePattern(pattern) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('A non-empty pattern is required for invalidatePattern');
+    }
+    
+    // SCAN does not apply the ioredis keyPrefix, so add it to the pattern ourselves
+    // and strip it from results before deleting through the prefixed client
+    const connectionPrefix = this.config.connection.keyPrefix || '';
+    const match = this._escapeGlob(connectionPrefix) + this._getCacheKey(pattern);
+    const nodes = this.config.cluster.enabled && this.client.isCluster
+      ? this.client.nodes('master')
+      : [this.client];
+    const startTime = performance.now();
+    let deleted = 0;
+    
+    try {
+      for (const node of nodes) {
+        let cursor = '0';
+        do {
+          const [nextCursor, rawKeys] = await node.scan(cursor, 'MATCH', match, 'COUNT', INVALIDATION_BATCH_SIZE);
+          cursor = nextCursor;
+          
+          const keys = rawKeys
+            .map(rawKey => rawKey.substring(connectionPrefix.length))
+            .filter(key => !this._isInternalKey(key));
+          deleted += await this._unlinkKeys(keys);
+        } while (cursor !== '0');
+      }
+      
+      metrics.recordInvalidation('pattern', deleted);
+      return deleted;
+    } catch (error) {
+      metrics.recordError('invalidate_pattern', error);
+      throw error;
+    } finally {
+      metrics.recordCommandTime('invalidate_pattern', startTime);
+    }
+  }
+
   /**
    * Check if a key exists in cache
    * @param {string} key - Cache key
@@ -539,6 +917,7 @@ class RedisClient {
     const cacheKey = this._getCacheKey(key);
     try {
       const result = await this._executeCommand('expire', cacheKey, ttl);
+      await this._invalidate([cacheKey]);
       return result === 1;
     } catch (error) {
       metrics.recordError('expire', error);
@@ -561,6 +940,21 @@ class RedisClient {
     }
   }
 
+  /**
+   * Get write-behind queue depth, lag and dead letters
+   * @returns {Promise<Object|null>} Queue state, or null when not using WRITE_BEHIND
+   */
+  async getWriteBehindStatus() {
+    if (!this.writeBehind) return null;
+    
+    const [state, deadLetters] = await Promise.all([
+      this.writeBehind.getQueueState(),
+      this.writeBehind.getDeadLetters()
+    ]);
+    
+    return { ...state, deadLetters };
+  }
+
   /**
    * Flush all keys (use with caution in production!)
    * @returns {Promise<boolean>} True if successful
@@ -568,6 +962,7 @@ class RedisClient {
   async flush() {
     try {
       await this._executeCommand('flushdb');
+      await this._invalidate([], { flush: true });
       return true;
     } catch (error) {
       metrics.recordError('flushdb', error);
@@ -621,6 +1016,7 @@ class RedisClient {
         keyspace_misses: 0,
         dbsize: dbsize || 0,
         metrics: metrics.getMetrics(),
+        l1: this.l1 ? this.l1.getStats() : null,
         azure: {
           cacheName: this.config.azure.cacheName,
           sku: this.config.azure.skuName,
@@ -704,6 +1100,17 @@ class RedisClient {
   async close() {
     if (!this.client) return;
     
+    // Drain queued writes while the connection is still open
+    if (this.writeBehind) {
+      await this.writeBehind.close();
+    }
+    
+    if (this.subscriber) {
+      this.subscriber.disconnect();
+      this.subscriber = null;
+      this.l1.clear();
+    }
+    
     try {
       // For cluster, disconnect all nodes
       if (this.config.cluster.enabled && this.client.disconnect) {
@@ -750,12 +1157,21 @@ class RedisClient {
    * @private
    */
   async _readThrough(key) {
-    // First try to get from cache
-    const cached = await this._executeCommand('get', key);
+    // First try to get from cache, along with the remaining TTL for early refresh
+    const { value: cached, pttl } = await this._getWithTtl(key);
     
     if (cached !== null) {
       metrics.recordHit();
-      return this._parseValue(cached);
+      
+      // XFetch: refresh in the background shortly before the key expires
+      if (this._shouldRefreshEarly(key, pttl)) {
+        metrics.recordEarlyRefresh();
+        this._loadSingleFlight(key).catch(error => {
+          console.error(`[Redis] Early refresh failed for ${key}:`, error);
+        });
+      }
+      
+      return { value: this._parseValue(cached), raw: cached, source: STORAGE_SOURCE.L2, pttl };
     }
     
     // Cache miss - load data using the provided loader
@@ -765,33 +1181,267 @@ class RedisClient {
       throw new Error('No loader function provided for read-through caching');
     }
     
-    // Get the original key without the prefix
-    const originalKey = this._getOriginalKey(key);
+    return this._loadSingleFlight(key);
+  }
+
+  /**
+   * Get a value and its remaining TTL (ms) in one round trip
+   * @private
+   */
+  async _getWithTtl(key) {
+    if (!this.connected) {
+      throw new Error('Redis client is not connected');
+    }
+    
+    const startTime = performance.now();
     
-    // Load the data
-    let data;
     try {
-      data = await this.loader(originalKey);
+      const [[getError, value], [ttlError, pttl]] = await this.client.pipeline()
+        .getBuffer(key)
+        .pttl(key)
+        .exec();
+      
+      if (getError || ttlError) {
+        throw getError || ttlError;
+      }
+      
+      metrics.recordCommandTime('get', startTime);
+      return { value, pttl };
     } catch (error) {
-      metrics.recordError('loader', error);
+      metrics.recordError('get', error);
       throw error;
     }
+  }
+
+  /**
+   * Decide whether to refresh a key before it expires (XFetch)
+   * @private
+   */
+  _shouldRefreshEarly(key, pttl) {
+    const { earlyRefresh } = this.stampede;
     
-    // If we got data, cache it
-    if (data !== null && data !== undefined) {
+    // Keys without a TTL never expire, and a refresh may already be running
+    if (!earlyRefresh.enabled || pttl <= 0 || this.inflight.has(key)) {
+      return false;
+    }
+    
+    // Refresh with a probability that rises as expiry approaches,
+    // scaled by how long the loader takes to recompute the value
+    const delta = this.loaderDurationMs || 0;
+    return -delta * earlyRefresh.beta * Math.log(Math.random()) >= pttl;
+  }
+
+  /**
+   * Load a key, sharing one loader call between concurrent callers in this process
+   * @private
+   * @returns {Promise<{value: any, raw: string|null, source: string}>}
+   */
+  _loadSingleFlight(key) {
+    if (!this.stampede.coalesce) {
+      return this._loadAndCache(key);
+    }
+    
+    const pending = this.inflight.get(key);
+    if (pending) {
+      metrics.recordCoalesced();
+      return pending;
+    }
+    
+    const promise = this._loadAndCache(key).finally(() => {
+      this.inflight.delete(key);
+    });
+    this.inflight.set(key, promise);
+    
+    return promise;
+  }
+
+  /**
+   * Run the loader and cache its result, optionally under a distributed lock
+   * @private
+   */
+  async _loadAndCache(key) {
+    const lockToken = this.stampede.lock.enabled ? await this._acquireLoadLock(key) : null;
+    
+    // Another instance is loading this key - wait for it to populate the cache
+    if (lockToken === false) {
+      const { value, pttl } = await this._waitForValue(key);
+      if (value !== null) {
+        metrics.recordCoalesced();
+        return { value: this._parseValue(value), raw: value, source: STORAGE_SOURCE.L2, pttl };
+      }
+    }
+    
+    try {
+      // Get the original key without the prefix
+      const originalKey = this._getOriginalKey(key);
+      
+      // Load the data
+      let data;
+      const loadStart = performance.now();
+      try {
+        data = await this.loader(originalKey);
+      } catch (error) {
+        metrics.recordError('loader', error);
+        throw error;
+      }
+      this._recordLoaderDuration(performance.now() - loadStart);
+      
+      // If we got data, cache it
       const ttl = this.config.cacheOptions?.defaultTtl || 0;
-      const serialized = this._serializeValue(data);
+      let serialized = null;
+      if (data !== null && data !== undefined) {
+        serialized = this._serializeValue(data);
+        
+        if (ttl > 0) {
+          await this._executeCommand('set', key, serialized, 'EX', ttl);
+        } else {
+          await this._executeCommand('set', key, serialized);
+        }
+        
+        metrics.recordSet(key, ttl);
+      }
       
-      if (ttl > 0) {
-        await this._executeCommand('set', key, serialized, 'EX', ttl);
+      return { value: data, raw: serialized, source: STORAGE_SOURCE.ORIGIN, pttl: ttl > 0 ? ttl * 1000 : -1 };
+    } finally {
+      if (lockToken) {
+        await this._releaseLoadLock(key, lockToken);
+      }
+    }
+  }
+
+  /**
+   * Keep a moving average of loader time, used as the XFetch delta
+   * @private
+   */
+  _recordLoaderDuration(durationMs) {
+    this.loaderDurationMs = this.loaderDurationMs === undefined
+      ? durationMs
+      : this.loaderDurationMs * 0.8 + durationMs * 0.2;
+  }
+
+  /**
+   * Try to take the cross-instance load lock for a key
+   * @private
+   * @returns {Promise<string|false|null>} Lock token, false if another instance holds the lock, null if locking failed
+   */
+  async _acquireLoadLock(key) {
+    const token = uuidv4();
+    try {
+      const result = await this.client.set(this._getLockKey(key), token, 'PX', this.stampede.lock.ttl, 'NX');
+      return result === 'OK' ? token : false;
+    } catch (error) {
+      // Fail open: a broken lock must not block reads
+      metrics.recordError('lock', error);
+      return null;
+    }
+  }
+
+  /**
+   * Release the load lock if we still own it
+   * @private
+   */
+  async _releaseLoadLock(key, token) {
+    try {
+      await this.client.cacheReleaseLock(this._getLockKey(key), token);
+    } catch (error) {
+      // The lock expires on its own
+      metrics.recordError('lock', error);
+    }
+  }
+
+  /**
+   * Poll the cache while another instance loads a key
+   * @private
+   * @returns {Promise<{value: Buffer|null, pttl: number}>} Raw cached value and its remaining TTL (ms),
+   *   or a null value if it did not appear in time
+   */
+  async _waitForValue(key) {
+    const { waitTimeout, retryDelay } = this.stampede.lock;
+    const deadline = Date.now() + waitTimeout;
+    
+    while (Date.now() < deadline) {
+      const result = await this._getWithTtl(key);
+      if (result.value !== null) {
+        return result;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+    
+    return { value: null, pttl: -2 };
+  }
+
+  /**
+   * Record keys in their tag sets
+   * @private
+   */
+  async _tagKeys(cacheKeys, tags, ttlSeconds) {
+    // Tag sets live on their own slots, so issue one command per set rather than a pipeline
+    await Promise.all(tags.flatMap(tag =>
+      cacheKeys.map(cacheKey =>
+        this.client.cacheTagKey(this._getTagKey(tag), cacheKey, ttlSeconds)
+      )
+    ));
+  }
+
+  /**
+   * Delete keys in cluster-safe batches and invalidate them in L1
+   * @private
+   * @returns {Promise<number>} Number of keys that existed
+   */
+  async _unlinkKeys(cacheKeys) {
+    let deleted = 0;
+    
+    for (let i = 0; i < cacheKeys.length; i += INVALIDATION_BATCH_SIZE) {
+      const batch = cacheKeys.slice(i, i + INVALIDATION_BATCH_SIZE);
+      
+      // Multi-key UNLINK fails with CROSSSLOT in cluster mode
+      if (this.config.cluster.enabled) {
+        const results = await Promise.all(batch.map(key => this.client.unlink(key)));
+        deleted += results.reduce((sum, count) => sum + count, 0);
       } else {
-        await this._executeCommand('set', key, serialized);
+        deleted += await this.client.unlink(...batch);
       }
       
-      metrics.recordSet(key, ttl);
+      batch.forEach(key => metrics.recordDel(key));
+      await this._invalidate(batch);
     }
     
-    return data;
+    return deleted;
+  }
+
+  /**
+   * Get the Redis key of a tag set
+   * @private
+   */
+  _getTagKey(tag) {
+    return this._getCacheKey(`${TAG_KEY_PREFIX}${tag}`);
+  }
+
+  /**
+   * Get the Redis key of the load lock of a cache key
+   * @private
+   */
+  _getLockKey(cacheKey) {
+    return this._getCacheKey(`${LOCK_KEY_PREFIX}${this._getOriginalKey(cacheKey)}`);
+  }
+
+  /**
+   * Check whether a key belongs to the client's own bookkeeping (tag sets, load locks, write-behind queue)
+   * @private
+   */
+  _isInternalKey(cacheKey) {
+    if (cacheKey.startsWith(this._getCacheKey(TAG_KEY_PREFIX)) || cacheKey.startsWith(this._getCacheKey(LOCK_KEY_PREFIX))) {
+      return true;
+    }
+    return !!this.writeBehind && cacheKey.startsWith(`{${this.writeBehind.options.namespace}}`);
+  }
+
+  /**
+   * Escape glob metacharacters so a literal prefix can be used in a MATCH pattern
+   * @private
+   */
+  _escapeGlob(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
   }
 
   /**
@@ -820,28 +1470,20 @@ class RedisClient {
    * @private
    */
   _serializeValue(value) {
-    if (value === undefined) {
-      return '__undefined__';
-    }
-    return JSON.stringify(value);
+    return this.serializer.serialize(value);
   }
 
   /**
-   * Parse a stored value
+   * Parse a stored value (framed or legacy JSON)
    * @private
    */
   _parseValue(value) {
-    if (value === null) return null;
-    if (value === '__undefined__') return undefined;
-    try {
-      return JSON.parse(value);
-    } catch (e) {
-      return value; // Return as-is if not JSON
-    }
+    return this.serializer.parse(value);
   }
 }
 
-// Export the CACHE_STRATEGY enum
+// Export the CACHE_STRATEGY and STORAGE_SOURCE enums
 RedisClient.STRATEGY = CACHE_STRATEGY;
+RedisClient.STORAGE_SOURCE = STORAGE_SOURCE;
 
 module.exports = RedisClient;
@@ -0,0 +1,262 @@
+const zlib = require('zlib');
+const msgpack = require('./msgpack');
+
+// Framed values start with a NUL byte, which can never start a legacy JSON string
+const FORMAT_MARKER = 0x00;
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 4;
+
+// Legacy marker written by the original JSON serializer for undefined values
+const LEGACY_UNDEFINED = '__undefined__';
+
+// Compression algorithms, identified by the fourth header byte
+const COMPRESSION = {
+  NONE: 'none',
+  GZIP: 'gzip',
+  BROTLI: 'brotli'
+};
+
+const COMPRESSION_IDS = {
+  [COMPRESSION.NONE]: 0,
+  [COMPRESSION.GZIP]: 1,
+  [COMPRESSION.BROTLI]: 2
+};
+
+// Write formats: 'legacy' keeps writing plain JSON strings so old readers keep working
+const WRITE_FORMAT = {
+  LEGACY: 'legacy',
+  V1: 'v1'
+};
+
+// Default serialization settings (overridable via config/redis.json "serialization")
+const DEFAULT_OPTIONS = {
+  codec: 'json',
+  compression: COMPRESSION.GZIP,
+  compressionThreshold: 1024,
+  writeFormat: WRITE_FORMAT.V1
+};
+
+// Property used by the JSON codec to tag values JSON cannot represent natively
+const TYPE_TAG = '__codec_type';
+
+/**
+ * JSON replacer that tags Dates, Buffers, BigInts, Maps, Sets and undefined
+ * (`this[key]` is used because Date and Buffer are converted by toJSON() before the replacer sees them)
+ */
+function jsonReplacer(key, value) {
+  const raw = this[key];
+
+  if (raw instanceof Date) return { [TYPE_TAG]: 'Date', value: raw.getTime() };
+  if (Buffer.isBuffer(raw)) return { [TYPE_TAG]: 'Buffer', value: raw.toString('base64') };
+  if (typeof raw === 'bigint') return { [TYPE_TAG]: 'BigInt', value: raw.toString() };
+  if (raw instanceof Map) return { [TYPE_TAG]: 'Map', value: [...raw.entries()] };
+  if (raw instanceof Set) return { [TYPE_TAG]: 'Set', value: [...raw] };
+
+  return value;
+}
+
+/**
+ * JSON reviver that restores values tagged by jsonReplacer
+ */
+function jsonReviver(key, value) {
+  if (!value || typeof value !== 'object' || typeof value[TYPE_TAG] !== 'string') {
+    return value;
+  }
+
+  switch (value[TYPE_TAG]) {
+    case 'Date': return new Date(value.value);
+    case 'Buffer': return Buffer.from(value.value, 'base64');
+    case 'BigInt': return BigInt(value.value);
+    case 'Map': return new Map(value.value);
+    case 'Set': return new Set(value.value);
+    case 'Undefined': return undefined;
+    default: return value;
+  }
+}
+
+// Built-in codecs. Ids are stored in the value header and must never be reused.
+const jsonCodec = {
+  id: 1,
+  name: 'json',
+  encode: (value) => Buffer.from(
+    value === undefined
+      ? JSON.stringify({ [TYPE_TAG]: 'Undefined' })
+      : JSON.stringify(value, jsonReplacer),
+    'utf8'
+  ),
+  decode: (buffer) => JSON.parse(buffer.toString('utf8'), jsonReviver)
+};
+
+const msgpackCodec = {
+  id: 2,
+  name: 'msgpack',
+  encode: (value) => msgpack.encode(value),
+  decode: (buffer) => msgpack.decode(buffer)
+};
+
+const codecsByName = new Map();
+const codecsById = new Map();
+
+/**
+ * Register a codec so it can be selected by name and decoded by id
+ * @param {Object} codec - Codec definition
+ * @param {number} codec.id - Unique id stored in the value header (1-255)
+ * @param {string} codec.name - Name used in configuration
+ * @param {Function} codec.encode - `(value) => Buffer`
+ * @param {Function} codec.decode - `(buffer) => value`
+ */
+function registerCodec(codec) {
+  if (!Number.isInteger(codec.id) || codec.id < 1 || codec.id > 255) {
+    throw new Error(`Codec id must be an integer between 1 and 255, got ${codec.id}`);
+  }
+  if (typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error(`Codec ${codec.name} must implement encode() and decode()`);
+  }
+
+  const existing = codecsById.get(codec.id);
+  if (existing && existing.name !== codec.name) {
+    throw new Error(`Codec id ${codec.id} is already used by ${existing.name}`);
+  }
+
+  codecsByName.set(codec.name, codec);
+  codecsById.set(codec.id, codec);
+}
+
+registerCodec(jsonCodec);
+registerCodec(msgpackCodec);
+
+/**
+ * Look up a registered codec
+ * @param {string} name - Codec name
+ * @returns {Object} Codec
+ */
+function getCodec(name) {
+  const codec = codecsByName.get(name);
+  if (!codec) {
+    throw new Error(`Unknown codec: ${name}`);
+  }
+  return codec;
+}
+
+function compress(algorithm, buffer) {
+  switch (algorithm) {
+    case COMPRESSION.GZIP: return zlib.gzipSync(buffer);
+    case COMPRESSION.BROTLI: return zlib.brotliCompressSync(buffer);
+    default: return buffer;
+  }
+}
+
+function decompress(compressionId, buffer) {
+  switch (compressionId) {
+    case COMPRESSION_IDS[COMPRESSION.NONE]: return buffer;
+    case COMPRESSION_IDS[COMPRESSION.GZIP]: return zlib.gunzipSync(buffer);
+    case COMPRESSION_IDS[COMPRESSION.BROTLI]: return zlib.brotliDecompressSync(buffer);
+    default: throw new Error(`Unknown compression id: ${compressionId}`);
+  }
+}
+
+class ValueSerializer {
+  /**
+   * Create a serializer for cache values
+   * @param {Object} options - Serializer options
+   * @param {string} [options.codec='json'] - Codec used for new writes
+   * @param {string} [options.compression='gzip'] - Compression for values above the threshold ('none', 'gzip', 'brotli')
+   * @param {number} [options.compressionThreshold=1024] - Minimum encoded size in bytes before compressing
+   * @param {string} [options.writeFormat='v1'] - 'legacy' writes plain JSON strings readable by older clients
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.codec = getCodec(this.options.codec);
+
+    if (COMPRESSION_IDS[this.options.compression] === undefined) {
+      throw new Error(`Unknown compression: ${this.options.compression}`);
+    }
+    if (!Object.values(WRITE_FORMAT).includes(this.options.writeFormat)) {
+      throw new Error(`Unknown write format: ${this.options.writeFormat}`);
+    }
+  }
+
+  /**
+   * Serialize a value for storage
+   * @param {any} value - Value to store
+   * @returns {Buffer|string} Framed buffer, or a JSON string in legacy mode
+   */
+  serialize(value) {
+    if (this.options.writeFormat === WRITE_FORMAT.LEGACY) {
+      return value === undefined ? LEGACY_UNDEFINED : JSON.stringify(value);
+    }
+
+    let payload = this.codec.encode(value);
+    let compression = COMPRESSION.NONE;
+
+    if (this.options.compression !== COMPRESSION.NONE && payload.length >= this.options.compressionThreshold) {
+      const compressed = compress(this.options.compression, payload);
+      // Keep the original if compression does not pay off
+      if (compressed.length < payload.length) {
+        payload = compressed;
+        compression = this.options.compression;
+      }
+    }
+
+    const header = Buffer.from([
+      FORMAT_MARKER,
+      FORMAT_VERSION,
+      this.codec.id,
+      COMPRESSION_IDS[compression]
+    ]);
+
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Parse a stored value, whichever format it was written in
+   * @param {Buffer|string|null} raw - Stored value
+   * @returns {any} Parsed value
+   */
+  parse(raw) {
+    if (raw === null || raw === undefined) return null;
+
+    const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(raw, 'utf8');
+
+    if (buffer.length < HEADER_SIZE || buffer[0] !== FORMAT_MARKER) {
+      return this._parseLegacy(buffer.toString('utf8'));
+    }
+
+    const version = buffer[1];
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported cache value format version: ${version}`);
+    }
+
+    const codec = codecsById.get(buffer[2]);
+    if (!codec) {
+      throw new Error(`Unknown codec id in cached value: ${buffer[2]}`);
+    }
+
+    return codec.decode(decompress(buffer[3], buffer.subarray(HEADER_SIZE)));
+  }
+
+  /**
+   * Parse a value written by the original JSON serializer
+   * @private
+   */
+  _parseLegacy(value) {
+    if (value === LEGACY_UNDEFINED) return undefined;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value; // Return as-is if not JSON
+    }
+  }
+}
+
+ValueSerializer.COMPRESSION = COMPRESSION;
+ValueSerializer.WRITE_FORMAT = WRITE_FORMAT;
+ValueSerializer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = {
+  ValueSerializer,
+  registerCodec,
+  getCodec,
+  COMPRESSION,
+  WRITE_FORMAT
+};
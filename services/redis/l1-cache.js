@@ -0,0 +1,243 @@
+// Eviction policies supported by the in-process cache
+const L1_POLICY = {
+  LRU: 'lru',
+  LFU: 'lfu'
+};
+
+// Default L1 settings (overridable via config/redis.json "l1")
+const DEFAULT_OPTIONS = {
+  policy: L1_POLICY.LRU,
+  maxEntries: 1000,
+  maxBytes: 8 * 1024 * 1024,
+  maxValueBytes: 64 * 1024,
+  ttl: 5000
+};
+
+class L1Cache {
+  /**
+   * Create a bounded in-process cache
+   * @param {Object} options - Cache options
+   * @param {string} [options.policy='lru'] - Eviction policy ('lru' or 'lfu')
+   * @param {number} [options.maxEntries] - Maximum number of entries
+   * @param {number} [options.maxBytes] - Maximum total size of all entries in bytes
+   * @param {number} [options.maxValueBytes] - Entries larger than this are never cached
+   * @param {number} [options.ttl] - Default time to live in milliseconds
+   * @param {Function} [options.onEvict] - Called with (key, reason) when an entry is evicted
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    if (!Object.values(L1_POLICY).includes(this.options.policy)) {
+      throw new Error(`Unknown L1 cache policy: ${this.options.policy}`);
+    }
+
+    this.onEvict = options.onEvict || (() => {});
+    this.entries = new Map();
+    this.bytes = 0;
+
+    // LFU bookkeeping: frequency -> keys (insertion order breaks ties by recency)
+    this.buckets = new Map();
+    this.minFreq = 0;
+
+    // Bumped on every invalidation so in-flight reads can tell they raced one
+    this.epoch = 0;
+  }
+
+  /**
+   * Number of cached entries
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Look up a key
+   * @param {string} key - Cache key
+   * @returns {{hit: boolean, value: any}} Lookup result
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return { hit: false, value: undefined };
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key, entry);
+      this.onEvict(key, 'expired');
+      return { hit: false, value: undefined };
+    }
+
+    this._touch(key, entry);
+    return { hit: true, value: entry.value };
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {Object} [options]
+   * @param {number} [options.size] - Size of the value in bytes (e.g. its serialized length)
+   * @param {number} [options.ttl] - Time to live in milliseconds
+   * @param {number} [options.epoch] - Epoch read before fetching the value; skipped if an invalidation happened since
+   * @returns {boolean} True if the value was cached
+   */
+  set(key, value, { size = 0, ttl = this.options.ttl, epoch } = {}) {
+    if (epoch !== undefined && epoch !== this.epoch) {
+      return false;
+    }
+
+    if (size > this.options.maxValueBytes || size > this.options.maxBytes || ttl <= 0) {
+      this.delete(key);
+      return false;
+    }
+
+    // Overwrites keep their access history
+    const existing = this.entries.get(key);
+    const freq = existing ? existing.freq : 0;
+    if (existing) {
+      this._remove(key, existing);
+    }
+
+    // Make room first so a new entry is never its own eviction victim
+    this._evictFor(size);
+
+    const entry = { value, size, expiresAt: Date.now() + ttl, freq };
+    this.entries.set(key, entry);
+    this.bytes += size;
+    if (freq > 0 && this.options.policy === L1_POLICY.LFU) {
+      this._bucket(freq).add(key);
+    }
+    this._touch(key, entry);
+
+    return true;
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key was cached
+   */
+  delete(key) {
+    this.epoch++;
+
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this._remove(key, entry);
+    return true;
+  }
+
+  /**
+   * Remove all keys
+   */
+  clear() {
+    this.epoch++;
+    this.entries.clear();
+    this.buckets.clear();
+    this.bytes = 0;
+    this.minFreq = 0;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Entry count, byte size and policy
+   */
+  getStats() {
+    return {
+      policy: this.options.policy,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.options.maxEntries,
+      maxBytes: this.options.maxBytes
+    };
+  }
+
+  /**
+   * Record an access for the eviction policy
+   * @private
+   */
+  _touch(key, entry) {
+    if (this.options.policy === L1_POLICY.LRU) {
+      // Re-inserting moves the key to the most recently used end
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return;
+    }
+
+    if (entry.freq > 0) {
+      const bucket = this.buckets.get(entry.freq);
+      bucket.delete(key);
+      if (bucket.size === 0) {
+        this.buckets.delete(entry.freq);
+        if (this.minFreq === entry.freq) this.minFreq++;
+      }
+    } else {
+      this.minFreq = 1;
+    }
+
+    entry.freq++;
+    this._bucket(entry.freq).add(key);
+  }
+
+  /**
+   * Get (or create) the key set for an LFU frequency
+   * @private
+   */
+  _bucket(freq) {
+    if (!this.buckets.has(freq)) {
+      this.buckets.set(freq, new Set());
+    }
+    return this.buckets.get(freq);
+  }
+
+  /**
+   * Drop an entry and its policy bookkeeping
+   * @private
+   */
+  _remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+
+    if (this.options.policy === L1_POLICY.LFU) {
+      const bucket = this.buckets.get(entry.freq);
+      if (bucket) {
+        bucket.delete(key);
+        if (bucket.size === 0) this.buckets.delete(entry.freq);
+      }
+    }
+  }
+
+  /**
+   * Pick the next entry to evict
+   * @private
+   */
+  _victim() {
+    if (this.options.policy === L1_POLICY.LRU) {
+      return this.entries.keys().next().value;
+    }
+
+    if (!this.buckets.has(this.minFreq)) {
+      this.minFreq = Math.min(...this.buckets.keys());
+    }
+    return this.buckets.get(this.minFreq).values().next().value;
+  }
+
+  /**
+   * Evict entries until a new entry of the given size fits both limits
+   * @private
+   */
+  _evictFor(size) {
+    while (this.entries.size > 0 &&
+           (this.entries.size >= this.options.maxEntries || this.bytes + size > this.options.maxBytes)) {
+      const key = this._victim();
+      this._remove(key, this.entries.get(key));
+      this.onEvict(key, 'capacity');
+    }
+  }
+}
+
+L1Cache.POLICY = L1_POLICY;
+L1Cache.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = L1Cache;
@@ -1,25 +1,56 @@
 const { EventEmitter } = require('events');
 const { performance } = require('perf_hooks');
 
+/**
+ * Build a zeroed metrics object
+ * @returns {Object} Fresh metrics state
+ */
+function createEmptyMetrics() {
+  return {
+    cache_hit: 0,
+    cache_miss: 0,
+    cache_coalesced: 0,
+    cache_early_refresh: 0,
+    cache_set: 0,
+    cache_del: 0,
+    cache_expire: 0,
+    invalidations: {
+      tag: 0,
+      pattern: 0,
+    },
+    command_total: 0,
+    command_errors: 0,
+    command_duration: {
+      sum: 0,
+      count: 0,
+      min: Number.MAX_SAFE_INTEGER,
+      max: 0,
+    },
+    l1: {
+      hit: 0,
+      miss: 0,
+      evictions: 0,
+      expirations: 0,
+      local_invalidations: 0,
+      remote_invalidations: 0,
+    },
+    write_behind: {
+      enqueued: 0,
+      coalesced: 0,
+      flushed: 0,
+      retried: 0,
+      dead_lettered: 0,
+      queue_depth: 0,
+      lag_ms: 0,
+    },
+    last_updated: new Date().toISOString(),
+  };
+}
+
 class RedisMetrics extends EventEmitter {
   constructor() {
     super();
-    this.metrics = {
-      cache_hit: 0,
-      cache_miss: 0,
-      cache_set: 0,
-      cache_del: 0,
-      cache_expire: 0,
-      command_total: 0,
-      command_errors: 0,
-      command_duration: {
-        sum: 0,
-        count: 0,
-        min: Number.MAX_SAFE_INTEGER,
-        max: 0,
-      },
-      last_updated: new Date().toISOString(),
-    };
+    this.metrics = createEmptyMetrics();
   }
 
   /**
@@ -40,6 +71,65 @@ class RedisMetrics extends EventEmitter {
     this.emit('metrics', { type: 'cache_miss' });
   }
 
+  /**
+   * Record a hit in the in-process L1 cache
+   */
+  recordL1Hit() {
+    this.metrics.l1.hit++;
+    this.emit('metrics', { type: 'l1_hit' });
+  }
+
+  /**
+   * Record a miss in the in-process L1 cache
+   */
+  recordL1Miss() {
+    this.metrics.l1.miss++;
+    this.emit('metrics', { type: 'l1_miss' });
+  }
+
+  /**
+   * Record an entry leaving the L1 cache
+   * @param {string} reason - 'capacity' or 'expired'
+   */
+  recordL1Eviction(reason) {
+    if (reason === 'expired') {
+      this.metrics.l1.expirations++;
+    } else {
+      this.metrics.l1.evictions++;
+    }
+    this.emit('metrics', { type: 'l1_eviction', reason });
+  }
+
+  /**
+   * Record L1 invalidations
+   * @param {number} count - Number of keys invalidated
+   * @param {boolean} remote - True if the invalidation came from another instance
+   */
+  recordL1Invalidation(count, remote = false) {
+    if (remote) {
+      this.metrics.l1.remote_invalidations += count;
+    } else {
+      this.metrics.l1.local_invalidations += count;
+    }
+    this.emit('metrics', { type: 'l1_invalidation', count, remote, timestamp: Date.now() });
+  }
+
+  /**
+   * Record a caller that shared another caller's in-flight load instead of calling the loader
+   */
+  recordCoalesced() {
+    this.metrics.cache_coalesced++;
+    this.emit('metrics', { type: 'cache_coalesced' });
+  }
+
+  /**
+   * Record a probabilistic early refresh of a key that has not expired yet
+   */
+  recordEarlyRefresh() {
+    this.metrics.cache_early_refresh++;
+    this.emit('metrics', { type: 'cache_early_refresh' });
+  }
+
   /**
    * Record a cache set operation
    * @param {string} key - The cache key
@@ -70,6 +160,21 @@ class RedisMetrics extends EventEmitter {
     });
   }
 
+  /**
+   * Record keys removed by a bulk invalidation
+   * @param {string} kind - 'tag' or 'pattern'
+   * @param {number} count - Number of keys deleted
+   */
+  recordInvalidation(kind, count) {
+    this.metrics.invalidations[kind] = (this.metrics.invalidations[kind] || 0) + count;
+    this.emit('metrics', {
+      type: 'cache_invalidation',
+      kind,
+      count,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Record command execution time
    * @param {string} command - The Redis command
@@ -113,6 +218,57 @@ class RedisMetrics extends EventEmitter {
     });
   }
 
+  /**
+   * Record a write queued by the write-behind pipeline
+   * @param {boolean} coalesced - True if the write replaced a pending write for the same key
+   */
+  recordWriteBehindEnqueue(coalesced = false) {
+    this.metrics.write_behind.enqueued++;
+    if (coalesced) {
+      this.metrics.write_behind.coalesced++;
+    }
+    this.emit('metrics', { type: 'write_behind_enqueue', coalesced });
+  }
+
+  /**
+   * Record writes persisted by the write-behind pipeline
+   * @param {number} count - Number of writes flushed
+   */
+  recordWriteBehindFlush(count) {
+    this.metrics.write_behind.flushed += count;
+    this.emit('metrics', { type: 'write_behind_flush', count, timestamp: Date.now() });
+  }
+
+  /**
+   * Record a failed write-behind attempt that will be retried
+   * @param {string} key - The cache key
+   */
+  recordWriteBehindRetry(key) {
+    this.metrics.write_behind.retried++;
+    this.emit('metrics', { type: 'write_behind_retry', key, timestamp: Date.now() });
+  }
+
+  /**
+   * Record a write moved to the dead-letter set
+   * @param {string} key - The cache key
+   */
+  recordWriteBehindDeadLetter(key) {
+    this.metrics.write_behind.dead_lettered++;
+    this.emit('metrics', { type: 'write_behind_dead_letter', key, timestamp: Date.now() });
+  }
+
+  /**
+   * Record the write-behind queue depth and lag
+   * @param {number} depth - Number of pending writes
+   * @param {number} lagMs - Age of the oldest due write in milliseconds
+   */
+  recordWriteBehindQueue(depth, lagMs) {
+    this.metrics.write_behind.queue_depth = depth;
+    this.metrics.write_behind.lag_ms = lagMs;
+    this.metrics.last_updated = new Date().toISOString();
+    this.emit('metrics', { type: 'write_behind_queue', depth, lagMs, timestamp: Date.now() });
+  }
+
   /**
    * Get all metrics
    * @returns {Object} Current metrics
@@ -120,6 +276,14 @@ class RedisMetrics extends EventEmitter {
   getMetrics() {
     return {
       ...this.metrics,
+      invalidations: { ...this.metrics.invalidations },
+      write_behind: { ...this.metrics.write_behind },
+      l1: {
+        ...this.metrics.l1,
+        hit_ratio: this.metrics.l1.hit + this.metrics.l1.miss > 0
+          ? Math.round((this.metrics.l1.hit / (this.metrics.l1.hit + this.metrics.l1.miss)) * 10000) / 100
+          : 0,
+      },
       command_duration: {
         ...this.metrics.command_duration,
         avg: this.metrics.command_duration.count > 0 
@@ -136,22 +300,7 @@ class RedisMetrics extends EventEmitter {
    * Reset all metrics
    */
   reset() {
-    this.metrics = {
-      cache_hit: 0,
-      cache_miss: 0,
-      cache_set: 0,
-      cache_del: 0,
-      cache_expire: 0,
-      command_total: 0,
-      command_errors: 0,
-      command_duration: {
-        sum: 0,
-        count: 0,
-        min: Number.MAX_SAFE_INTEGER,
-        max: 0,
-      },
-      last_updated: new Date().toISOString(),
-    };
+    this.metrics = createEmptyMetrics();
   }
 }
 
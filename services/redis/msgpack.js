@@ -0,0 +1,414 @@
+/**
+ * Minimal MessagePack encoder/decoder.
+ *
+ * Supports the full MessagePack type system plus extension types for values
+ * JSON cannot represent: Date (timestamp, -1), BigInt, undefined, Map and Set.
+ */
+
+// Extension type ids
+const EXT_TIMESTAMP = -1;
+const EXT_BIGINT = 1;
+const EXT_UNDEFINED = 2;
+const EXT_MAP = 3;
+const EXT_SET = 4;
+
+class Encoder {
+  constructor() {
+    this.buffer = Buffer.allocUnsafe(256);
+    this.offset = 0;
+  }
+
+  /**
+   * Make sure `size` more bytes fit in the buffer
+   * @private
+   */
+  _ensure(size) {
+    if (this.offset + size <= this.buffer.length) return;
+
+    let length = this.buffer.length * 2;
+    while (length < this.offset + size) length *= 2;
+
+    const next = Buffer.allocUnsafe(length);
+    this.buffer.copy(next, 0, 0, this.offset);
+    this.buffer = next;
+  }
+
+  _u8(value) {
+    this._ensure(1);
+    this.buffer.writeUInt8(value, this.offset);
+    this.offset += 1;
+  }
+
+  _u16(value) {
+    this._ensure(2);
+    this.buffer.writeUInt16BE(value, this.offset);
+    this.offset += 2;
+  }
+
+  _u32(value) {
+    this._ensure(4);
+    this.buffer.writeUInt32BE(value, this.offset);
+    this.offset += 4;
+  }
+
+  _bytes(bytes) {
+    this._ensure(bytes.length);
+    bytes.copy(this.buffer, this.offset);
+    this.offset += bytes.length;
+  }
+
+  encode(value) {
+    if (value === null) return this._u8(0xc0);
+    if (value === undefined) return this._ext(EXT_UNDEFINED, Buffer.alloc(0));
+    if (value === false) return this._u8(0xc2);
+    if (value === true) return this._u8(0xc3);
+
+    switch (typeof value) {
+      case 'number':
+        return this._number(value);
+      case 'bigint':
+        return this._ext(EXT_BIGINT, Buffer.from(value.toString(), 'utf8'));
+      case 'string':
+        return this._string(value);
+      case 'object':
+        break;
+      default:
+        throw new TypeError(`Cannot encode value of type ${typeof value}`);
+    }
+
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return this._binary(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+    }
+    if (value instanceof Date) return this._timestamp(value);
+    if (value instanceof Map) return this._ext(EXT_MAP, encode([...value.entries()]));
+    if (value instanceof Set) return this._ext(EXT_SET, encode([...value]));
+    if (Array.isArray(value)) return this._array(value);
+    if (typeof value.toJSON === 'function') return this.encode(value.toJSON());
+
+    return this._map(value);
+  }
+
+  _number(value) {
+    if (Number.isInteger(value) && Number.isSafeInteger(value)) {
+      if (value >= 0) {
+        if (value < 0x80) return this._u8(value);
+        if (value <= 0xff) { this._u8(0xcc); return this._u8(value); }
+        if (value <= 0xffff) { this._u8(0xcd); return this._u16(value); }
+        if (value <= 0xffffffff) { this._u8(0xce); return this._u32(value); }
+        this._u8(0xcf);
+        this._ensure(8);
+        this.buffer.writeBigUInt64BE(BigInt(value), this.offset);
+        this.offset += 8;
+        return undefined;
+      }
+
+      if (value >= -0x20) return this._u8(value & 0xff);
+      if (value >= -0x80) {
+        this._u8(0xd0);
+        this._ensure(1);
+        this.buffer.writeInt8(value, this.offset);
+        this.offset += 1;
+        return undefined;
+      }
+      if (value >= -0x8000) {
+        this._u8(0xd1);
+        this._ensure(2);
+        this.buffer.writeInt16BE(value, this.offset);
+        this.offset += 2;
+        return undefined;
+      }
+      if (value >= -0x80000000) {
+        this._u8(0xd2);
+        this._ensure(4);
+        this.buffer.writeInt32BE(value, this.offset);
+        this.offset += 4;
+        return undefined;
+      }
+      this._u8(0xd3);
+      this._ensure(8);
+      this.buffer.writeBigInt64BE(BigInt(value), this.offset);
+      this.offset += 8;
+      return undefined;
+    }
+
+    // Non-integers, NaN and Infinity
+    this._u8(0xcb);
+    this._ensure(8);
+    this.buffer.writeDoubleBE(value, this.offset);
+    this.offset += 8;
+    return undefined;
+  }
+
+  _string(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = bytes.length;
+
+    if (length < 32) {
+      this._u8(0xa0 | length);
+    } else if (length <= 0xff) {
+      this._u8(0xd9);
+      this._u8(length);
+    } else if (length <= 0xffff) {
+      this._u8(0xda);
+      this._u16(length);
+    } else {
+      this._u8(0xdb);
+      this._u32(length);
+    }
+    this._bytes(bytes);
+  }
+
+  _binary(bytes) {
+    const length = bytes.length;
+
+    if (length <= 0xff) {
+      this._u8(0xc4);
+      this._u8(length);
+    } else if (length <= 0xffff) {
+      this._u8(0xc5);
+      this._u16(length);
+    } else {
+      this._u8(0xc6);
+      this._u32(length);
+    }
+    this._bytes(bytes);
+  }
+
+  _array(values) {
+    const length = values.length;
+
+    if (length < 16) {
+      this._u8(0x90 | length);
+    } else if (length <= 0xffff) {
+      this._u8(0xdc);
+      this._u16(length);
+    } else {
+      this._u8(0xdd);
+      this._u32(length);
+    }
+    values.forEach(item => this.encode(item));
+  }
+
+  _map(object) {
+    // Match JSON: properties holding undefined or functions are skipped
+    const keys = Object.keys(object).filter(key =>
+      object[key] !== undefined && typeof object[key] !== 'function'
+    );
+    const length = keys.length;
+
+    if (length < 16) {
+      this._u8(0x80 | length);
+    } else if (length <= 0xffff) {
+      this._u8(0xde);
+      this._u16(length);
+    } else {
+      this._u8(0xdf);
+      this._u32(length);
+    }
+    keys.forEach(key => {
+      this._string(key);
+      this.encode(object[key]);
+    });
+  }
+
+  _timestamp(date) {
+    // timestamp 96: uint32 nanoseconds + int64 seconds
+    const millis = date.getTime();
+    const seconds = Math.floor(millis / 1000);
+    const nanoseconds = (millis - seconds * 1000) * 1e6;
+    const data = Buffer.allocUnsafe(12);
+    data.writeUInt32BE(nanoseconds, 0);
+    data.writeBigInt64BE(BigInt(seconds), 4);
+    this._ext(EXT_TIMESTAMP, data);
+  }
+
+  _ext(type, data) {
+    const length = data.length;
+    const fixed = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 }[length];
+
+    if (fixed) {
+      this._u8(fixed);
+    } else if (length <= 0xff) {
+      this._u8(0xc7);
+      this._u8(length);
+    } else if (length <= 0xffff) {
+      this._u8(0xc8);
+      this._u16(length);
+    } else {
+      this._u8(0xc9);
+      this._u32(length);
+    }
+    this._u8(type & 0xff);
+    this._bytes(data);
+  }
+
+  result() {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+class Decoder {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  _take(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new RangeError('Unexpected end of MessagePack data');
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  _u8() { return this.buffer.readUInt8(this._take(1)); }
+  _u16() { return this.buffer.readUInt16BE(this._take(2)); }
+  _u32() { return this.buffer.readUInt32BE(this._take(4)); }
+
+  _slice(length) {
+    const start = this._take(length);
+    return this.buffer.subarray(start, start + length);
+  }
+
+  decode() {
+    const byte = this._u8();
+
+    if (byte < 0x80) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if ((byte & 0xf0) === 0x80) return this._map(byte & 0x0f);
+    if ((byte & 0xf0) === 0x90) return this._array(byte & 0x0f);
+    if ((byte & 0xe0) === 0xa0) return this._slice(byte & 0x1f).toString('utf8');
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return Buffer.from(this._slice(this._u8()));
+      case 0xc5: return Buffer.from(this._slice(this._u16()));
+      case 0xc6: return Buffer.from(this._slice(this._u32()));
+      case 0xc7: return this._ext(this._u8());
+      case 0xc8: return this._ext(this._u16());
+      case 0xc9: return this._ext(this._u32());
+      case 0xca: return this.buffer.readFloatBE(this._take(4));
+      case 0xcb: return this.buffer.readDoubleBE(this._take(8));
+      case 0xcc: return this._u8();
+      case 0xcd: return this._u16();
+      case 0xce: return this._u32();
+      case 0xcf: return this._int64(this.buffer.readBigUInt64BE(this._take(8)));
+      case 0xd0: return this.buffer.readInt8(this._take(1));
+      case 0xd1: return this.buffer.readInt16BE(this._take(2));
+      case 0xd2: return this.buffer.readInt32BE(this._take(4));
+      case 0xd3: return this._int64(this.buffer.readBigInt64BE(this._take(8)));
+      case 0xd4: return this._ext(1);
+      case 0xd5: return this._ext(2);
+      case 0xd6: return this._ext(4);
+      case 0xd7: return this._ext(8);
+      case 0xd8: return this._ext(16);
+      case 0xd9: return this._slice(this._u8()).toString('utf8');
+      case 0xda: return this._slice(this._u16()).toString('utf8');
+      case 0xdb: return this._slice(this._u32()).toString('utf8');
+      case 0xdc: return this._array(this._u16());
+      case 0xdd: return this._array(this._u32());
+      case 0xde: return this._map(this._u16());
+      case 0xdf: return this._map(this._u32());
+      default:
+        throw new Error(`Invalid MessagePack byte 0x${byte.toString(16)}`);
+    }
+  }
+
+  // 64-bit integers outside the safe range come back as BigInt
+  _int64(value) {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+      ? Number(value)
+      : value;
+  }
+
+  _array(length) {
+    const values = new Array(length);
+    for (let i = 0; i < length; i++) {
+      values[i] = this.decode();
+    }
+    return values;
+  }
+
+  _map(length) {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+      const key = this.decode();
+      const value = this.decode();
+      if (key === '__proto__') {
+        // An own property, as JSON.parse makes it: assigning would replace the prototype
+        Object.defineProperty(object, key, { value, enumerable: true, configurable: true, writable: true });
+      } else {
+        object[key] = value;
+      }
+    }
+    return object;
+  }
+
+  _ext(length) {
+    const type = this.buffer.readInt8(this._take(1));
+    const data = this._slice(length);
+
+    switch (type) {
+      case EXT_TIMESTAMP:
+        return this._timestamp(data);
+      case EXT_BIGINT:
+        return BigInt(data.toString('utf8'));
+      case EXT_UNDEFINED:
+        return undefined;
+      case EXT_MAP:
+        return new Map(decode(data));
+      case EXT_SET:
+        return new Set(decode(data));
+      default:
+        throw new Error(`Unsupported MessagePack extension type ${type}`);
+    }
+  }
+
+  _timestamp(data) {
+    if (data.length === 4) {
+      return new Date(data.readUInt32BE(0) * 1000);
+    }
+    if (data.length === 8) {
+      // timestamp 64: 30-bit nanoseconds + 34-bit seconds
+      const high = data.readUInt32BE(0);
+      const low = data.readUInt32BE(4);
+      const seconds = (high & 0x3) * 0x100000000 + low;
+      return new Date(seconds * 1000 + Math.floor((high >>> 2) / 1e6));
+    }
+    const nanoseconds = data.readUInt32BE(0);
+    const seconds = Number(data.readBigInt64BE(4));
+    return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+  }
+}
+
+/**
+ * Encode a value as MessagePack
+ * @param {any} value - Value to encode
+ * @returns {Buffer} Encoded bytes
+ */
+function encode(value) {
+  const encoder = new Encoder();
+  encoder.encode(value);
+  return encoder.result();
+}
+
+/**
+ * Decode MessagePack bytes
+ * @param {Buffer|Uint8Array} buffer - Encoded bytes
+ * @returns {any} Decoded value
+ */
+function decode(buffer) {
+  const bytes = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  const decoder = new Decoder(bytes);
+  const value = decoder.decode();
+
+  if (decoder.offset !== bytes.length) {
+    throw new Error('Trailing bytes after MessagePack value');
+  }
+  return value;
+}
+
+module.exports = { encode, decode };
@@ -0,0 +1,446 @@
+const metrics = require('./metrics');
+
+// Default write-behind settings (overridable via config/redis.json "writeBehind")
+const DEFAULT_OPTIONS = {
+  namespace: 'write-behind',
+  batchSize: 100,
+  flushInterval: 1000,
+  leaseTimeout: 30000,
+  maxAttempts: 5,
+  closeTimeout: 5000,
+  backoff: {
+    initialDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.2
+  }
+};
+
+// All queue keys share one hash tag so the scripts stay on a single cluster slot
+const CLAIM_SCRIPT = `
+local due = ARGV[4] == '1' and '+inf' or ARGV[1]
+local fields = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', due, 'LIMIT', 0, tonumber(ARGV[2]))
+local out = {}
+for _, field in ipairs(fields) do
+  redis.call('ZADD', KEYS[1], ARGV[3], field)
+  table.insert(out, field)
+  table.insert(out, redis.call('HGET', KEYS[2], field))
+end
+return out
+`;
+
+const ACK_SCRIPT = `
+local current = redis.call('HGET', KEYS[2], ARGV[1])
+if current == ARGV[2] then
+  redis.call('ZREM', KEYS[1], ARGV[1])
+  redis.call('HDEL', KEYS[2], ARGV[1])
+  redis.call('HDEL', KEYS[3], ARGV[1])
+  redis.call('HDEL', KEYS[4], ARGV[1])
+  return 1
+end
+if current then
+  redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+end
+return 0
+`;
+
+const FAIL_SCRIPT = `
+local current = redis.call('HGET', KEYS[2], ARGV[1])
+if current ~= ARGV[2] then
+  if current then
+    redis.call('HDEL', KEYS[4], ARGV[1])
+    redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+  end
+  return 0
+end
+local attempts = redis.call('HINCRBY', KEYS[4], ARGV[1], 1)
+if attempts >= tonumber(ARGV[4]) then
+  redis.call('HSET', KEYS[5], ARGV[1], current)
+  redis.call('HSET', KEYS[6], ARGV[1], cjson.encode({
+    attempts = attempts,
+    error = ARGV[9],
+    enqueuedAt = tonumber(redis.call('HGET', KEYS[3], ARGV[1])),
+    failedAt = tonumber(ARGV[3])
+  }))
+  redis.call('ZREM', KEYS[1], ARGV[1])
+  redis.call('HDEL', KEYS[2], ARGV[1])
+  redis.call('HDEL', KEYS[3], ARGV[1])
+  redis.call('HDEL', KEYS[4], ARGV[1])
+  return -1
+end
+local delay = math.min(tonumber(ARGV[5]) * math.pow(tonumber(ARGV[7]), attempts - 1), tonumber(ARGV[6]))
+redis.call('ZADD', KEYS[1], tonumber(ARGV[3]) + delay * (1 + tonumber(ARGV[8])), ARGV[1])
+return attempts
+`;
+
+class WriteBehindQueue {
+  /**
+   * Create a durable write-behind queue stored in Redis
+   * @param {Object} redis - ioredis client (standalone or cluster)
+   * @param {Object} options - Queue options
+   * @param {Function} [options.writer] - Per-key writer `(key, value) => Promise`
+   * @param {Function} [options.batchWriter] - Batch writer `(items) => Promise`, called with a key-value object
+   * @param {Function} [options.serialize] - Value serializer returning a string or Buffer (default: JSON.stringify)
+   * @param {Function} [options.parse] - Value parser receiving a Buffer (default: JSON.parse)
+   * @param {number} [options.batchSize] - Maximum entries claimed per flush
+   * @param {number} [options.flushInterval] - Milliseconds between background flushes
+   * @param {number} [options.leaseTimeout] - Milliseconds a claimed entry stays invisible to other instances
+   * @param {number} [options.maxAttempts] - Attempts before an entry is moved to the dead-letter set
+   * @param {number} [options.closeTimeout] - Milliseconds close() spends draining the queue
+   * @param {Object} [options.backoff] - Retry backoff ({ initialDelay, maxDelay, factor, jitter })
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      backoff: { ...DEFAULT_OPTIONS.backoff, ...options.backoff }
+    };
+    this.writer = options.writer;
+    this.batchWriter = options.batchWriter;
+    this.serialize = options.serialize || JSON.stringify;
+    this.parse = options.parse || (raw => JSON.parse(raw.toString('utf8')));
+    this.timer = null;
+    this.flushing = null;
+    this.closed = false;
+
+    if (typeof this.writer !== 'function' && typeof this.batchWriter !== 'function') {
+      throw new Error('Write-behind queue requires a writer or batchWriter function');
+    }
+
+    const ns = `{${this.options.namespace}}`;
+    this.keys = {
+      queue: `${ns}:queue`,
+      values: `${ns}:values`,
+      enqueued: `${ns}:enqueued`,
+      attempts: `${ns}:attempts`,
+      deadValues: `${ns}:dead`,
+      deadMeta: `${ns}:dead-meta`
+    };
+
+    this._defineCommands();
+  }
+
+  /**
+   * Register the Lua scripts on the ioredis client
+   * @private
+   */
+  _defineCommands() {
+    if (typeof this.redis.writeBehindClaim === 'function') return;
+
+    this.redis.defineCommand('writeBehindClaim', { numberOfKeys: 2, lua: CLAIM_SCRIPT });
+    this.redis.defineCommand('writeBehindAck', { numberOfKeys: 4, lua: ACK_SCRIPT });
+    this.redis.defineCommand('writeBehindFail', { numberOfKeys: 6, lua: FAIL_SCRIPT });
+  }
+
+  /**
+   * Start the background flush loop
+   */
+  start() {
+    if (this.timer || this.closed) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => {
+        console.error('[Redis] Write-behind flush failed:', error);
+        metrics.recordError('write_behind', error);
+      });
+    }, this.options.flushInterval);
+
+    // Do not keep the process alive just for the flush loop
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Queue a write. Writes to a key that is already pending are coalesced
+   * so only the latest value reaches the writer.
+   * @param {string} key - Original (unprefixed) key
+   * @param {any} value - Value to persist
+   * @returns {Promise<boolean>} True if the write replaced a pending one
+   */
+  async enqueue(key, value) {
+    const [coalesced] = await this.enqueueMany({ [key]: value });
+    return coalesced;
+  }
+
+  /**
+   * Queue several writes in one round trip
+   * @param {Object} items - Key-value pairs to persist
+   * @returns {Promise<boolean[]>} Per-item flag, true if the write was coalesced
+   */
+  async enqueueMany(items) {
+    if (this.closed) {
+      throw new Error('Write-behind queue is closed');
+    }
+
+    const now = Date.now();
+    const entries = Object.entries(items);
+    const multi = this.redis.multi();
+
+    entries.forEach(([key, value]) => {
+      multi.hset(this.keys.values, key, this.serialize(value));
+      multi.hsetnx(this.keys.enqueued, key, now);
+      multi.hdel(this.keys.attempts, key);
+      multi.zadd(this.keys.queue, 'NX', now, key);
+    });
+
+    const results = await multi.exec();
+    const coalesced = entries.map((_, index) => {
+      // HSETNX returns 0 when an earlier write for the key is still pending
+      const [, inserted] = results[index * 4 + 1];
+      return inserted === 0;
+    });
+
+    coalesced.forEach(wasCoalesced => metrics.recordWriteBehindEnqueue(wasCoalesced));
+    return coalesced;
+  }
+
+  /**
+   * Claim due entries and hand them to the writer
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Also claim entries that are waiting on a retry backoff
+   * @returns {Promise<number>} Number of entries successfully written
+   */
+  async flush({ force = false } = {}) {
+    // Never run two flushes at once in the same process
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    this.flushing = this._flushBatch(force).finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * @private
+   */
+  async _flushBatch(force) {
+    const now = Date.now();
+    // Buffer variant so binary-encoded values survive the round trip
+    const claimed = await this.redis.writeBehindClaimBuffer(
+      this.keys.queue,
+      this.keys.values,
+      now,
+      this.options.batchSize,
+      now + this.options.leaseTimeout,
+      force ? '1' : '0'
+    );
+
+    const entries = [];
+    for (let i = 0; i < claimed.length; i += 2) {
+      // The value can disappear if another instance acked it in between
+      if (claimed[i + 1] !== null) {
+        entries.push({ key: claimed[i].toString(), raw: claimed[i + 1] });
+      }
+    }
+
+    let written = 0;
+    if (entries.length > 0) {
+      written = this.batchWriter
+        ? await this._writeBatch(entries)
+        : await this._writeEach(entries);
+    }
+
+    await this._reportQueueState();
+    return written;
+  }
+
+  /**
+   * @private
+   */
+  async _writeEach(entries) {
+    const outcomes = await Promise.all(entries.map(async (entry) => {
+      try {
+        await this.writer(entry.key, this.parse(entry.raw));
+        await this._ack(entry);
+        return true;
+      } catch (error) {
+        await this._fail(entry, error);
+        return false;
+      }
+    }));
+
+    return outcomes.filter(Boolean).length;
+  }
+
+  /**
+   * @private
+   */
+  async _writeBatch(entries) {
+    const items = {};
+    entries.forEach(entry => {
+      items[entry.key] = this.parse(entry.raw);
+    });
+
+    try {
+      await this.batchWriter(items);
+    } catch (error) {
+      await Promise.all(entries.map(entry => this._fail(entry, error)));
+      return 0;
+    }
+
+    await Promise.all(entries.map(entry => this._ack(entry)));
+    return entries.length;
+  }
+
+  /**
+   * Remove a written entry unless it was overwritten while the write was in flight
+   * @private
+   */
+  async _ack(entry) {
+    await this.redis.writeBehindAck(
+      this.keys.queue,
+      this.keys.values,
+      this.keys.enqueued,
+      this.keys.attempts,
+      entry.key,
+      entry.raw,
+      Date.now()
+    );
+    metrics.recordWriteBehindFlush(1);
+  }
+
+  /**
+   * Schedule a retry with backoff, or dead-letter the entry after maxAttempts
+   * @private
+   */
+  async _fail(entry, error) {
+    const { backoff, maxAttempts } = this.options;
+    const result = await this.redis.writeBehindFail(
+      this.keys.queue,
+      this.keys.values,
+      this.keys.enqueued,
+      this.keys.attempts,
+      this.keys.deadValues,
+      this.keys.deadMeta,
+      entry.key,
+      entry.raw,
+      Date.now(),
+      maxAttempts,
+      backoff.initialDelay,
+      backoff.maxDelay,
+      backoff.factor,
+      Math.random() * backoff.jitter,
+      error.message
+    );
+
+    if (result === -1) {
+      console.error(`[Redis] Write-behind gave up on key ${entry.key} after ${maxAttempts} attempts:`, error.message);
+      metrics.recordWriteBehindDeadLetter(entry.key);
+    } else if (result > 0) {
+      console.warn(`[Redis] Write-behind attempt ${result} failed for key ${entry.key}:`, error.message);
+      metrics.recordWriteBehindRetry(entry.key);
+    }
+  }
+
+  /**
+   * Publish queue depth and lag to the metrics module
+   * @private
+   */
+  async _reportQueueState() {
+    const state = await this.getQueueState();
+    metrics.recordWriteBehindQueue(state.depth, state.lagMs);
+  }
+
+  /**
+   * Get the number of pending writes and how far the oldest due entry is behind
+   * @returns {Promise<{depth: number, lagMs: number}>}
+   */
+  async getQueueState() {
+    const [[, depth], [, oldest]] = await this.redis.multi()
+      .zcard(this.keys.queue)
+      .zrange(this.keys.queue, 0, 0, 'WITHSCORES')
+      .exec();
+
+    const lagMs = oldest.length > 0 ? Math.max(0, Date.now() - Number(oldest[1])) : 0;
+    return { depth, lagMs };
+  }
+
+  /**
+   * List writes that exhausted their retries
+   * @returns {Promise<Array<{key: string, value: any, attempts: number, error: string, enqueuedAt: number, failedAt: number}>>}
+   */
+  async getDeadLetters() {
+    const [[, values], [, meta]] = await this.redis.multi()
+      .hgetallBuffer(this.keys.deadValues)
+      .hgetall(this.keys.deadMeta)
+      .exec();
+
+    return Object.entries(values).map(([key, raw]) => ({
+      key,
+      value: this.parse(raw),
+      ...(meta[key] ? JSON.parse(meta[key]) : {})
+    }));
+  }
+
+  /**
+   * Move dead-lettered writes back onto the queue
+   * @param {string[]} [keys] - Keys to replay (default: all)
+   * @returns {Promise<number>} Number of writes re-queued
+   */
+  async replayDeadLetters(keys = null) {
+    const deadLetters = await this.getDeadLetters();
+    const selected = keys ? deadLetters.filter(entry => keys.includes(entry.key)) : deadLetters;
+    if (selected.length === 0) return 0;
+
+    const items = {};
+    selected.forEach(entry => {
+      items[entry.key] = entry.value;
+    });
+
+    await this.enqueueMany(items);
+    await this.redis.multi()
+      .hdel(this.keys.deadValues, ...Object.keys(items))
+      .hdel(this.keys.deadMeta, ...Object.keys(items))
+      .exec();
+
+    return selected.length;
+  }
+
+  /**
+   * Stop the flush loop and drain pending writes until the queue is empty
+   * or closeTimeout elapses. Anything left stays in Redis for the next run.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const deadline = Date.now() + this.options.closeTimeout;
+
+    try {
+      if (this.flushing) await this.flushing;
+
+      // Only the first pass skips retry backoff, so a failing key is not
+      // burned through all of its attempts during shutdown
+      let force = true;
+      while (Date.now() < deadline) {
+        const { depth } = await this.getQueueState();
+        if (depth === 0) break;
+
+        const written = await this.flush({ force });
+        force = false;
+        if (written === 0) break;
+      }
+
+      const { depth } = await this.getQueueState();
+      if (depth > 0) {
+        console.warn(`[Redis] Write-behind closed with ${depth} pending writes; they will be flushed on next start`);
+      }
+    } catch (error) {
+      console.error('[Redis] Write-behind drain failed:', error);
+      metrics.recordError('write_behind', error);
+    }
+  }
+}
+
+WriteBehindQueue.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = WriteBehindQueue;
@@ -0,0 +1,236 @@
+const jwt = require('../auth/jwt');
+const { logger } = require('../telemetry');
+
+// Room actions checked by the authorization hook
+const ROOM_ACTION = {
+  JOIN: 'join',
+  PUBLISH: 'publish'
+};
+
+// Longest delay setTimeout accepts (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Error passed to Socket.IO `next()`: the client gets it as `connect_error`,
+ * with the code in `error.data`
+ * @private
+ */
+function createAuthError(message, code) {
+  const error = new Error(`Authentication error: ${message}`);
+  error.data = { code };
+  return error;
+}
+
+/**
+ * Access token of a handshake: `auth.token`, or a bearer Authorization header
+ * (for clients that cannot set `auth`)
+ * @param {Socket} socket
+ * @returns {string|null}
+ */
+function getHandshakeToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+
+  const [scheme, token] = (headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Socket.IO middleware verifying the handshake token through the JWT service
+ * and setting `socket.user` (null for anonymous clients)
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Reject clients without a token; defaults to
+ *   `REQUIRE_AUTH=true`, read on every handshake
+ * @returns {Function} `(socket, next)` middleware
+ */
+function createSocketAuth(options = {}) {
+  return async (socket, next) => {
+    const required = options.required !== undefined
+      ? options.required
+      : process.env.REQUIRE_AUTH === 'true';
+    const token = getHandshakeToken(socket);
+
+    socket.user = null;
+    if (!token) {
+      return required ? next(createAuthError('Token is required', 'AUTH_REQUIRED')) : next();
+    }
+
+    // A token that does not verify is rejected even when authentication is optional
+    try {
+      const { valid, payload, error } = await jwt.verifyToken(token, {
+        ignoreExpiration: false
+      });
+
+      if (!valid) {
+        logger.warn('Invalid WebSocket token', {
+          error,
+          remoteAddress: socket.handshake.address,
+          transport: 'websocket',
+          storage_source: 'websocket-server'
+        });
+        return next(createAuthError('Invalid or expired token', 'INVALID_TOKEN'));
+      }
+
+      if (payload.type === 'refresh') {
+        return next(createAuthError('Refresh tokens cannot be used for authentication', 'INVALID_TOKEN_TYPE'));
+      }
+
+      socket.user = {
+        id: payload.sub,
+        email: payload.email,
+        roles: payload.roles || [],
+        permissions: payload.permissions || [],
+        jti: payload.jti,
+        exp: payload.exp,
+        token
+      };
+      next();
+    } catch (error) {
+      logger.error('WebSocket authentication error', {
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      next(createAuthError('Authentication failed', 'AUTH_FAILED'));
+    }
+  };
+}
+
+/**
+ * Disconnect a socket when its token expires, after emitting `auth-expired`.
+ * Clients reconnect with a fresh token.
+ * @param {Socket} socket - Connected socket, with `socket.user`
+ * @returns {Function} Cancels the timer
+ */
+function watchTokenExpiry(socket) {
+  if (!socket.user || !socket.user.exp) return () => {};
+
+  let timer;
+  const check = () => {
+    const remaining = socket.user.exp * 1000 - Date.now();
+    if (remaining > 0) {
+      timer = setTimeout(check, Math.min(remaining, MAX_TIMER_DELAY));
+      return;
+    }
+
+    logger.info('WebSocket token expired, disconnecting', {
+      clientId: socket.clientId,
+      userId: socket.user.id,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    });
+    socket.emit('auth-expired', { code: 'TOKEN_EXPIRED', message: 'Access token expired' });
+    socket.disconnect(true);
+  };
+
+  check();
+  const cancel = () => clearTimeout(timer);
+  socket.once('disconnect', cancel);
+  return cancel;
+}
+
+/**
+ * Check a user against roles (any of) and permissions (all of), like authenticate()
+ * @param {Object|null} user - `socket.user`
+ * @param {Object} [requirement]
+ * @param {string[]} [requirement.roles]
+ * @param {string[]} [requirement.permissions]
+ * @param {boolean} [requirement.authenticated] - Require a user even without roles or permissions
+ * @returns {{allowed: boolean, code?: string, message?: string}}
+ */
+function checkAccess(user, requirement = {}) {
+  const { roles = [], permissions = [], authenticated = false } = requirement;
+
+  if (!user) {
+    if (authenticated || roles.length > 0 || permissions.length > 0) {
+      return { allowed: false, code: 'AUTH_REQUIRED', message: 'Authentication required' };
+    }
+    return { allowed: true };
+  }
+
+  if (roles.length > 0 && !roles.some(role => user.roles.includes(role))) {
+    return { allowed: false, code: 'INSUFFICIENT_PERMISSIONS', message: 'Insufficient permissions' };
+  }
+  if (!permissions.every(permission => user.permissions.includes(permission))) {
+    return { allowed: false, code: 'INSUFFICIENT_PERMISSIONS', message: 'Insufficient permissions' };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Create a room authorization hook from per-room rules:
+ *
+ *   {
+ *     'admin': { join: { roles: ['admin'] } },
+ *     'orders:*': { join: { authenticated: true }, publish: { permissions: ['orders:write'] } },
+ *     '*': { publish: { authenticated: true } }
+ *   }
+ *
+ * A pattern ending in `*` matches rooms starting with what precedes it. The most
+ * specific pattern applies; actions it does not list, and rooms no pattern
+ * matches, are open to everyone.
+ * @param {Object} [rules] - Room pattern => `{ join, publish }` requirements (see checkAccess)
+ * @returns {Function} `(socket, action, room) => {allowed, code?, message?}`
+ */
+function createRoomAuthorizer(rules = {}) {
+  // Exact names first, then the longest prefixes
+  const patterns = Object.keys(rules).sort((a, b) => {
+    const aWildcard = a.endsWith('*');
+    const bWildcard = b.endsWith('*');
+    if (aWildcard !== bWildcard) return aWildcard ? 1 : -1;
+    return b.length - a.length;
+  });
+
+  const matches = (pattern, room) => (pattern.endsWith('*')
+    ? room.startsWith(pattern.slice(0, -1))
+    : room === pattern);
+
+  return (socket, action, room) => {
+    const pattern = patterns.find(candidate => matches(candidate, room));
+    return checkAccess(socket.user, pattern ? rules[pattern][action] : undefined);
+  };
+}
+
+/**
+ * Run an authorization hook, accepting boolean or `{allowed}` results
+ * @param {Function} hook - `(socket, action, room) => boolean|Object|Promise`
+ * @param {Socket} socket
+ * @param {string} action - See ROOM_ACTION
+ * @param {string} room
+ * @returns {Promise<{allowed: boolean, code?: string, message?: string}>}
+ */
+async function authorizeRoom(hook, socket, action, room) {
+  if (typeof room !== 'string' || room.length === 0) {
+    return { allowed: false, code: 'INVALID_ROOM', message: 'Room must be a non-empty string' };
+  }
+
+  try {
+    const result = await hook(socket, action, room);
+    if (result === true || (result && result.allowed)) return { allowed: true };
+
+    return {
+      allowed: false,
+      code: (result && result.code) || 'INSUFFICIENT_PERMISSIONS',
+      message: (result && result.message) || 'Insufficient permissions'
+    };
+  } catch (error) {
+    logger.error('Room authorization hook failed', {
+      action,
+      room,
+      error: error.message,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    });
+    return { allowed: false, code: 'AUTHORIZATION_FAILED', message: 'Authorization failed' };
+  }
+}
+
+module.exports = {
+  ROOM_ACTION,
+  getHandshakeToken,
+  createSocketAuth,
+  watchTokenExpiry,
+  checkAccess,
+  createRoomAuthorizer,
+  authorizeRoom
+};
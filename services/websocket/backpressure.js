@@ -0,0 +1,342 @@
+const metrics = require('./metrics');
+const msgpack = require('../redis/msgpack');
+const { logger } = require('../telemetry');
+
+// What to do with a client whose outbound buffer is over the high watermark
+const SLOW_CONSUMER_POLICY = {
+  // Drop the oldest queued messages until the buffer is under the low watermark
+  DROP_OLDEST: 'drop-oldest',
+  // Drop queued messages superseded by a newer one on the same topic
+  COALESCE: 'coalesce',
+  DISCONNECT: 'disconnect'
+};
+
+const DEFAULT_RATE_LIMIT = {
+  // Per-client token buckets: `max` tokens per `windowMs`, bursts up to `burst`
+  events: {
+    message: { max: 10, windowMs: 1000, burst: 20 },
+    'room-message': { max: 10, windowMs: 1000, burst: 20 }
+  },
+  // Consecutive rejected events after which the client is disconnected (0 never does)
+  maxViolations: 50
+};
+
+const DEFAULT_BACKPRESSURE = {
+  policy: SLOW_CONSUMER_POLICY.DROP_OLDEST,
+  // A client is a slow consumer above highWatermark, and recovers under lowWatermark (bytes)
+  highWatermark: 1024 * 1024,
+  lowWatermark: 256 * 1024,
+  // Slow consumers are disconnected above this, whatever the policy (bytes)
+  maxBuffer: 8 * 1024 * 1024
+};
+
+// Socket.IO EVENT (type 2) or BINARY_EVENT (type 5, with its number of attachments, sent as
+// the following packets) packet: optional namespace, optional ack id, then the JSON arguments
+const EVENT_PACKET = /^(?:2|5(\d+)-)(\/[^,]*,)?(\d*)(\[[\s\S]*)$/;
+
+/**
+ * Token bucket of one client and event
+ */
+class TokenBucket {
+  /**
+   * @param {Object} rule - `{ max, windowMs, burst }`
+   */
+  constructor({ max, windowMs, burst = max }) {
+    this.rate = max / windowMs;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = Date.now();
+  }
+
+  /**
+   * Take a token
+   * @returns {number} 0 if allowed, otherwise ms until a token is available
+   */
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + Math.max(0, now - this.updated) * this.rate);
+    this.updated = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.rate);
+  }
+}
+
+/**
+ * Create a Socket.IO socket middleware factory enforcing per-client inbound limits.
+ * A rejected event is not handled: the client gets a `RATE_LIMITED` error through its
+ * acknowledgement callback, or a `rate-limited` event without one.
+ * @param {Object|false} [options] - See DEFAULT_RATE_LIMIT; `events` replaces the default limits.
+ *   false disables the limits.
+ * @returns {Function} `(socket) => (packet, next)`, for `socket.use()`
+ */
+function createRateLimiter(options = {}) {
+  if (options === false) {
+    return () => (packet, next) => next();
+  }
+  const { events, maxViolations } = { ...DEFAULT_RATE_LIMIT, ...options };
+
+  return (socket) => {
+    const buckets = new Map();
+    let violations = 0;
+
+    return ([event, ...args], next) => {
+      const rule = events[event];
+      if (!rule) return next();
+
+      if (!buckets.has(event)) buckets.set(event, new TokenBucket(rule));
+      const retryAfter = buckets.get(event).take();
+      if (retryAfter === 0) {
+        violations = 0;
+        return next();
+      }
+
+      violations++;
+      metrics.recordRateLimited(event);
+
+      if (maxViolations > 0 && violations >= maxViolations) {
+        logger.warn('Client disconnected for exceeding its rate limit', {
+          clientId: socket.clientId,
+          userId: socket.user && socket.user.id,
+          event,
+          violations,
+          transport: 'websocket',
+          storage_source: 'websocket-server'
+        });
+        metrics.recordRateLimitDisconnect();
+        socket.disconnect(true);
+        return undefined;
+      }
+
+      const response = {
+        status: 'error',
+        event,
+        code: 'RATE_LIMITED',
+        message: 'Too many messages, please slow down',
+        retryAfter
+      };
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        ack(response);
+      } else {
+        socket.emit('rate-limited', response);
+      }
+      return undefined;
+    };
+  };
+}
+
+/**
+ * Size of an engine.io packet
+ * @private
+ */
+function packetSize(packet) {
+  if (packet.data === undefined) return 1;
+  return typeof packet.data === 'string' ? Buffer.byteLength(packet.data) : packet.data.byteLength;
+}
+
+/**
+ * Watches the outbound buffer of a client and applies the slow-consumer policy
+ * as messages are queued, whatever sends them (handlers, broadcast(), sendToClient()).
+ */
+class OutboundMonitor {
+  /**
+   * @param {Socket} socket - Socket.IO socket
+   * @param {Object} options - See DEFAULT_BACKPRESSURE
+   */
+  constructor(socket, options) {
+    this.socket = socket;
+    this.conn = socket.conn;
+    this.options = options;
+    this.slow = false;
+    this.closing = false;
+    this.scheduled = false;
+    // First engine.io packet of a message => its topic, or null for messages that must not be dropped
+    this.topics = new WeakMap();
+    this.conn.on('packetCreate', () => this.schedule());
+  }
+
+  /**
+   * Check the buffer once engine.io has queued every packet of the current messages
+   * (binary messages are a header followed by their attachments)
+   */
+  schedule() {
+    if (this.scheduled || this.closing) return;
+    this.scheduled = true;
+    process.nextTick(() => {
+      this.scheduled = false;
+      this.check();
+    });
+  }
+
+  /**
+   * Bytes queued for the client: packets engine.io has not written yet, plus
+   * what the WebSocket has not sent yet
+   * @returns {number}
+   */
+  bufferedBytes() {
+    const { transport, writeBuffer } = this.conn;
+    const inFlight = transport && transport.socket && transport.socket.bufferedAmount;
+    return writeBuffer.reduce((total, packet) => total + packetSize(packet), inFlight || 0);
+  }
+
+  check() {
+    if (this.closing || this.conn.readyState === 'closed') return;
+    const { policy, highWatermark, lowWatermark, maxBuffer } = this.options;
+    const buffered = this.bufferedBytes();
+
+    if (buffered <= highWatermark) {
+      if (this.slow && buffered <= lowWatermark) {
+        this.slow = false;
+        metrics.recordRecovered();
+      }
+      return;
+    }
+
+    if (!this.slow) {
+      this.slow = true;
+      metrics.recordSlowConsumer(buffered);
+      logger.warn('Slow consumer', {
+        clientId: this.socket.clientId,
+        buffered,
+        policy,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+    }
+    metrics.recordBuffered(buffered);
+
+    if (policy === SLOW_CONSUMER_POLICY.DROP_OLDEST) {
+      this.dropOldest(buffered - lowWatermark);
+    } else if (policy === SLOW_CONSUMER_POLICY.COALESCE) {
+      this.coalesce();
+    }
+
+    if (policy === SLOW_CONSUMER_POLICY.DISCONNECT || this.bufferedBytes() > maxBuffer) {
+      this.disconnect(buffered);
+    }
+  }
+
+  /**
+   * Drop the oldest queued messages, up to `bytes`
+   * @param {number} bytes
+   */
+  dropOldest(bytes) {
+    let freed = 0;
+    let count = 0;
+    const kept = this.messages().filter(message => {
+      if (freed >= bytes || this.topicOf(message) === null) return true;
+      freed += message.reduce((total, packet) => total + packetSize(packet), 0);
+      count++;
+      return false;
+    });
+    this.conn.writeBuffer = kept.flat();
+    if (count > 0) metrics.recordDropped(count, freed);
+  }
+
+  /**
+   * Keep only the latest queued message of each topic
+   */
+  coalesce() {
+    const messages = this.messages();
+    const latest = new Map();
+    messages.forEach(message => latest.set(this.topicOf(message), message));
+
+    const kept = messages.filter(message => {
+      const topic = this.topicOf(message);
+      return topic === null || latest.get(topic) === message;
+    });
+    this.conn.writeBuffer = kept.flat();
+    if (kept.length < messages.length) metrics.recordCoalesced(messages.length - kept.length);
+  }
+
+  disconnect(buffered) {
+    this.closing = true;
+    metrics.recordSlowConsumerDisconnect(buffered);
+    logger.warn('Slow consumer disconnected', {
+      clientId: this.socket.clientId,
+      buffered,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    });
+    // Discards the buffer
+    this.conn.close(true);
+  }
+
+  /**
+   * Queued packets grouped by message: a binary event is its header and attachments
+   * @returns {Array<Object[]>}
+   */
+  messages() {
+    const { writeBuffer } = this.conn;
+    const messages = [];
+    for (let i = 0; i < writeBuffer.length; i++) {
+      const match = typeof writeBuffer[i].data === 'string' && EVENT_PACKET.exec(writeBuffer[i].data);
+      const attachments = match && match[1] ? Number(match[1]) : 0;
+      messages.push(writeBuffer.slice(i, i + 1 + attachments));
+      i += attachments;
+    }
+    return messages;
+  }
+
+  /**
+   * Topic of a queued message: namespace, event, and the `topic` or `room` of its payload
+   * (MessagePack payloads of binary events are decoded for it).
+   * Only events without an acknowledgement callback can be dropped; other messages
+   * (acknowledgements, pings, disconnects) are null.
+   * @param {Object[]} message - engine.io packets of the message
+   * @returns {string|symbol|null}
+   */
+  topicOf([packet, ...attachments]) {
+    if (this.topics.has(packet)) return this.topics.get(packet);
+
+    let topic = null;
+    const data = packet.type === 'message' && typeof packet.data === 'string' ? packet.data : '';
+    const match = EVENT_PACKET.exec(data);
+    if (match && !match[3]) {
+      try {
+        let [event, payload] = JSON.parse(match[4]);
+        if (payload && payload._placeholder && attachments[payload.num]) {
+          payload = msgpack.decode(attachments[payload.num].data);
+        }
+        const key = payload !== null && typeof payload === 'object' ? (payload.topic || payload.room || '') : '';
+        topic = `${match[2] || '/'}${event}:${key}`;
+      } catch (error) {
+        // A binary payload that is not MessagePack: droppable, but never coalesced
+        topic = Symbol('message');
+      }
+    }
+    this.topics.set(packet, topic);
+    return topic;
+  }
+}
+
+/**
+ * Create the slow-consumer policy of a server
+ * @param {Object|false} [options] - See DEFAULT_BACKPRESSURE; false disables it
+ * @returns {Function} `(socket) => OutboundMonitor|null`, applying the policy to a client
+ */
+function createOutboundMonitor(options = {}) {
+  if (options === false) {
+    return () => null;
+  }
+  const resolved = { ...DEFAULT_BACKPRESSURE, ...options };
+  if (!Object.values(SLOW_CONSUMER_POLICY).includes(resolved.policy)) {
+    throw new Error(`Unknown slow consumer policy: ${resolved.policy}`);
+  }
+  if (resolved.lowWatermark > resolved.highWatermark) {
+    throw new Error('lowWatermark must not be above highWatermark');
+  }
+  return socket => new OutboundMonitor(socket, resolved);
+}
+
+module.exports = {
+  SLOW_CONSUMER_POLICY,
+  TokenBucket,
+  OutboundMonitor,
+  createRateLimiter,
+  createOutboundMonitor
+};
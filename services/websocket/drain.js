@@ -0,0 +1,69 @@
+const DEFAULT_DRAIN = {
+  // Clients are told to reconnect at random times within this window, so they do not
+  // all land on the remaining nodes at once (ms)
+  jitter: 10000,
+  // Clients still waiting on acknowledgements are closed anyway after this (ms)
+  deadline: 30000,
+  // How often in-flight acknowledgements are checked (ms)
+  pollInterval: 100
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Drain one client: tell it to reconnect elsewhere, wait until it has no acknowledgement
+ * in flight (or the deadline), then close its connection. Closing the transport, rather
+ * than disconnecting the socket, lets Socket.IO clients reconnect on their own.
+ * @param {Socket} socket
+ * @param {Object} options
+ * @param {number} options.reconnectIn - When the client is closed (ms)
+ * @param {number} options.deadlineAt - Epoch ms after which in-flight acknowledgements are given up on
+ * @param {Function} options.pending - `(socket) => number` of acknowledgements in flight
+ * @param {number} options.pollInterval
+ * @returns {Promise<boolean>} False if acknowledgements were still in flight at the deadline
+ */
+async function drainSocket(socket, { reconnectIn, deadlineAt, pending, pollInterval }) {
+  socket.emit('server-draining', { reconnectIn });
+  await sleep(reconnectIn);
+
+  while (socket.connected && pending(socket) > 0 && Date.now() < deadlineAt) {
+    await sleep(Math.min(pollInterval, deadlineAt - Date.now()));
+  }
+  // The client may have reconnected elsewhere already
+  if (!socket.connected) return true;
+
+  const acked = pending(socket) === 0;
+  socket.conn.close();
+  return acked;
+}
+
+/**
+ * Drain clients, each at a random time within the jitter window
+ * @param {Iterable<Socket>} sockets
+ * @param {Function} pending - `(socket) => number` of acknowledgements in flight
+ * @param {Object} [options] - See DEFAULT_DRAIN
+ * @returns {Promise<{clients: number, timedOut: number}>}
+ */
+async function drainSockets(sockets, pending, options = {}) {
+  const { jitter, deadline, pollInterval } = { ...DEFAULT_DRAIN, ...options };
+  const deadlineAt = Date.now() + deadline;
+  const window = Math.min(jitter, deadline);
+
+  const results = await Promise.all([...sockets].map(socket => drainSocket(socket, {
+    reconnectIn: Math.floor(Math.random() * window),
+    deadlineAt,
+    pending,
+    pollInterval
+  })));
+
+  return {
+    clients: results.length,
+    timedOut: results.filter(acked => !acked).length
+  };
+}
+
+module.exports = {
+  DEFAULT_DRAIN,
+  drainSocket,
+  drainSockets
+};
@@ -0,0 +1,222 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const msgpack = require('../redis/msgpack');
+const { logger } = require('../telemetry');
+
+// How received payloads appear in the logs
+const PAYLOAD_LOG_MODE = {
+  FULL: 'full',
+  // Fields named in `redact` are replaced, at any depth
+  REDACTED: 'redacted',
+  // Only the payload size
+  NONE: 'none'
+};
+
+const DEFAULT_PAYLOAD_LOGGING = {
+  body: PAYLOAD_LOG_MODE.REDACTED,
+  redact: ['message', 'password', 'token', 'secret', 'authorization'],
+  // Share of received events that are logged (0 to 1)
+  sampleRate: 1,
+  level: 'info'
+};
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of a payload with the values of redacted fields replaced
+ * @private
+ */
+function redact(value, fields) {
+  if (Array.isArray(value)) return value.map(item => redact(item, fields));
+  if (value === null || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    fields.has(key.toLowerCase()) ? REDACTED : redact(field, fields)
+  ]));
+}
+
+/**
+ * Socket.IO event handlers with JSON Schema validated payloads.
+ *
+ * Invalid payloads never reach the handler: the client gets an `INVALID_PAYLOAD`
+ * error through its acknowledgement callback, or an `event-error` event without one.
+ * Binary events carry their payload as MessagePack in both directions; clients may
+ * still send them as JSON.
+ */
+class EventRouter {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.binaryEvents] - Events sent to clients as MessagePack
+   * @param {Object} [options.logging] - Payload logging, see DEFAULT_PAYLOAD_LOGGING
+   */
+  constructor(options = {}) {
+    this.ajv = new Ajv({ allErrors: true });
+    addFormats(this.ajv);
+    this.handlers = new Map();
+    // socket id => handlers still running, whose client may be waiting for their acknowledgement
+    this.inFlight = new Map();
+    this.binaryEvents = new Set(options.binaryEvents || []);
+    this.logging = { ...DEFAULT_PAYLOAD_LOGGING, ...options.logging };
+    this.redactFields = new Set(this.logging.redact.map(field => field.toLowerCase()));
+    if (!Object.values(PAYLOAD_LOG_MODE).includes(this.logging.body)) {
+      throw new Error(`Unknown payload log mode: ${this.logging.body}`);
+    }
+  }
+
+  /**
+   * Register the handler of an event, for sockets attached afterwards
+   * @param {string} event
+   * @param {Object} options
+   * @param {Object} options.schema - JSON Schema of the payload
+   * @param {boolean} [options.binary] - Send the event as MessagePack
+   * @param {Function} handler - `(socket, payload, ack)`, may be async
+   */
+  register(event, { schema, binary = false }, handler) {
+    if (this.handlers.has(event)) {
+      throw new Error(`Handler already registered for event: ${event}`);
+    }
+    this.handlers.set(event, { validate: this.ajv.compile(schema), handler });
+    if (binary) this.binaryEvents.add(event);
+  }
+
+  /**
+   * Listen to the registered events of a socket
+   * @param {Socket} socket
+   */
+  attach(socket) {
+    this.handlers.forEach((route, event) => {
+      socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+        this.dispatch(socket, event, route, args[0], ack).catch(error => {
+          logger.error('Event handler failed', {
+            clientId: socket.clientId,
+            event,
+            error: error.message,
+            stack: error.stack,
+            transport: 'websocket',
+            storage_source: 'websocket-server'
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Decode, validate and log a payload, then run the handler
+   * @private
+   */
+  async dispatch(socket, event, { validate, handler }, received, ack) {
+    const binary = Buffer.isBuffer(received) || received instanceof ArrayBuffer || ArrayBuffer.isView(received);
+    let payload = received;
+
+    if (binary && this.binaryEvents.has(event)) {
+      try {
+        payload = msgpack.decode(received);
+      } catch (error) {
+        this.reject(socket, event, ack, 'Payload is not valid MessagePack', []);
+        return;
+      }
+    }
+
+    if (!validate(payload)) {
+      this.reject(socket, event, ack, `Invalid payload for ${event}`, validate.errors.map(error => ({
+        path: error.instancePath,
+        message: error.message
+      })));
+      return;
+    }
+
+    this.log(socket, event, payload, binary ? received.byteLength : undefined);
+    this.inFlight.set(socket.id, this.pending(socket) + 1);
+    try {
+      await handler(socket, payload, ack);
+    } finally {
+      const count = this.pending(socket) - 1;
+      if (count > 0) {
+        this.inFlight.set(socket.id, count);
+      } else {
+        this.inFlight.delete(socket.id);
+      }
+    }
+  }
+
+  /**
+   * @param {Socket} socket
+   * @returns {number} Handlers of the socket still running
+   */
+  pending(socket) {
+    return this.inFlight.get(socket.id) || 0;
+  }
+
+  /**
+   * @private
+   */
+  reject(socket, event, ack, message, errors) {
+    logger.warn('Invalid event payload', {
+      clientId: socket.clientId,
+      event,
+      errors,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    });
+
+    const response = { status: 'error', event, code: 'INVALID_PAYLOAD', message, errors };
+    if (typeof ack === 'function') {
+      ack(response);
+    } else {
+      socket.emit('event-error', response);
+    }
+  }
+
+  /**
+   * Log a received payload, following the logging options
+   * @param {Socket} socket
+   * @param {string} event
+   * @param {*} payload - Decoded payload
+   * @param {number} [size] - Size on the wire of binary payloads
+   */
+  log(socket, event, payload, size) {
+    const { body, sampleRate, level } = this.logging;
+    if (sampleRate < 1 && Math.random() >= sampleRate) return;
+
+    const meta = {
+      clientId: socket.clientId,
+      event,
+      size: size !== undefined ? size : Buffer.byteLength(JSON.stringify(payload) || ''),
+      binary: size !== undefined,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    };
+    if (body === PAYLOAD_LOG_MODE.FULL) {
+      meta.data = payload;
+    } else if (body === PAYLOAD_LOG_MODE.REDACTED) {
+      meta.data = redact(payload, this.redactFields);
+    }
+    logger[level]('Event received', meta);
+  }
+
+  /**
+   * Payload of an event as sent to clients: MessagePack for binary events
+   * @param {string} event
+   * @param {*} data
+   * @returns {*}
+   */
+  encode(event, data) {
+    return this.binaryEvents.has(event) ? msgpack.encode(data) : data;
+  }
+}
+
+/**
+ * @param {Object} [options] - See EventRouter
+ * @returns {EventRouter}
+ */
+function createEventRouter(options) {
+  return new EventRouter(options);
+}
+
+module.exports = {
+  PAYLOAD_LOG_MODE,
+  EventRouter,
+  createEventRouter
+};
@@ -0,0 +1,185 @@
+const DEFAULT_OPTIONS = {
+  // Messages kept per room
+  maxMessages: 500,
+  // How long messages are kept (ms)
+  maxAge: 5 * 60 * 1000,
+  // How long a room keeps its sequence number after its last message (ms).
+  // Longer than maxAge, so clients resuming after a quiet period still see no reset.
+  seqTtl: 24 * 60 * 60 * 1000,
+  // Redis key prefix, under the client key prefix
+  keyPrefix: 'ws:room:'
+};
+
+// Assign the next sequence number, store the message and trim the history.
+// Both keys share a hash tag, so this also works on Redis Cluster.
+const APPEND_SCRIPT = `
+local seq = redis.call('INCR', KEYS[1])
+redis.call('ZADD', KEYS[2], seq, seq .. ':' .. ARGV[1])
+redis.call('ZREMRANGEBYRANK', KEYS[2], 0, -(tonumber(ARGV[2]) + 1))
+redis.call('PEXPIRE', KEYS[2], ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return seq
+`;
+
+/**
+ * Messages of a room after `lastSeq`, and whether some were lost
+ * @private
+ */
+function toResult(seq, entries, lastSeq, maxAge) {
+  const oldest = Date.now() - maxAge;
+  const messages = entries.filter(entry => new Date(entry.timestamp).getTime() >= oldest);
+
+  // A sequence number ahead of the room means the room started over
+  const reset = lastSeq > seq;
+  const from = reset ? 0 : lastSeq;
+  const firstSeq = messages.length ? messages[0].seq : seq + 1;
+
+  return {
+    seq,
+    messages: messages.filter(entry => entry.seq > from),
+    // Messages between lastSeq and the oldest one kept were trimmed or expired
+    truncated: reset || firstSeq > from + 1,
+    reset
+  };
+}
+
+/**
+ * Room history in Redis: survives the loss of the node that sent the messages
+ * and is shared by every node.
+ */
+class RedisRoomHistory {
+  /**
+   * @param {Redis|Redis.Cluster} client - ioredis client
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(client, options) {
+    this.client = client;
+    this.options = options;
+  }
+
+  /**
+   * Store a message and assign it the next sequence number of its room
+   * @param {string} room
+   * @param {Object} message - JSON-serializable message, with a `timestamp` (ISO string or epoch ms)
+   * @returns {Promise<number>} Sequence number
+   */
+  async append(room, message) {
+    const { maxMessages, maxAge, seqTtl } = this.options;
+    const [seqKey, historyKey] = this._keys(room);
+    const seq = await this.client.eval(
+      APPEND_SCRIPT, 2, seqKey, historyKey,
+      JSON.stringify(message), maxMessages, maxAge, Math.max(seqTtl, maxAge)
+    );
+    return Number(seq);
+  }
+
+  /**
+   * Messages of a room sent after `lastSeq`
+   * @param {string} room
+   * @param {number} lastSeq - Last sequence number the client received (0 for everything kept)
+   * @returns {Promise<{seq: number, messages: Object[], truncated: boolean, reset: boolean}>}
+   */
+  async since(room, lastSeq) {
+    const [seqKey, historyKey] = this._keys(room);
+    const seq = Number(await this.client.get(seqKey)) || 0;
+    // Read everything kept when the room started over
+    const from = lastSeq > seq ? 0 : lastSeq;
+    const members = await this.client.zrangebyscore(historyKey, `(${from}`, '+inf');
+
+    const entries = members.map(member => {
+      const separator = member.indexOf(':');
+      return { ...JSON.parse(member.slice(separator + 1)), seq: Number(member.slice(0, separator)) };
+    });
+    return toResult(seq, entries, lastSeq, this.options.maxAge);
+  }
+
+  /**
+   * @private
+   */
+  _keys(room) {
+    const tag = `${this.options.keyPrefix}{${room}}`;
+    return [`${tag}:seq`, `${tag}:history`];
+  }
+}
+
+/**
+ * Room history in process memory, for single-node deployments without Redis
+ */
+class MemoryRoomHistory {
+  constructor(options) {
+    this.options = options;
+    this.rooms = new Map();
+    this.nextSweep = 0;
+  }
+
+  async append(room, message) {
+    const { maxMessages, maxAge, seqTtl } = this.options;
+    this._sweep();
+    const state = this._get(room) || { seq: 0, messages: [] };
+
+    state.seq += 1;
+    state.messages.push({ ...message, seq: state.seq });
+    if (state.messages.length > maxMessages) state.messages.shift();
+    state.messagesExpireAt = Date.now() + maxAge;
+    state.expiresAt = Date.now() + Math.max(seqTtl, maxAge);
+    this.rooms.set(room, state);
+
+    return state.seq;
+  }
+
+  async since(room, lastSeq) {
+    const state = this._get(room) || { seq: 0, messages: [] };
+    return toResult(state.seq, state.messages, lastSeq, this.options.maxAge);
+  }
+
+  /**
+   * Expire rooms and messages as Redis would: a room's messages after maxAge without new
+   * ones, its sequence number after seqTtl
+   * @private
+   */
+  _expire(room, state, now) {
+    if (state.expiresAt <= now) {
+      this.rooms.delete(room);
+      return null;
+    }
+    if (state.messagesExpireAt <= now) state.messages = [];
+    return state;
+  }
+
+  /**
+   * Expire every room that went quiet, not only those read again. Runs from append(),
+   * at most once per maxAge.
+   * @private
+   */
+  _sweep() {
+    const now = Date.now();
+    if (now < this.nextSweep) return;
+    this.nextSweep = now + this.options.maxAge;
+    this.rooms.forEach((state, room) => this._expire(room, state, now));
+  }
+
+  /**
+   * @private
+   */
+  _get(room) {
+    const state = this.rooms.get(room);
+    return state ? this._expire(room, state, Date.now()) : null;
+  }
+}
+
+/**
+ * Create the room history store
+ * @param {Redis|Redis.Cluster|null} client - ioredis client; without one, history stays in memory
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {RedisRoomHistory|MemoryRoomHistory}
+ */
+function createRoomHistory(client, options = {}) {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  return client ? new RedisRoomHistory(client, resolved) : new MemoryRoomHistory(resolved);
+}
+
+module.exports = {
+  RedisRoomHistory,
+  MemoryRoomHistory,
+  createRoomHistory
+};
@@ -0,0 +1,133 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Build a zeroed metrics object
+ * @returns {Object} Fresh metrics state
+ */
+function createEmptyMetrics() {
+  return {
+    inbound: {
+      rate_limited: 0,
+      rate_limited_by_event: {},
+      disconnects: 0,
+    },
+    outbound: {
+      slow_consumers: 0,
+      recovered: 0,
+      dropped: 0,
+      dropped_bytes: 0,
+      coalesced: 0,
+      disconnects: 0,
+      max_buffered_bytes: 0,
+    },
+    last_updated: new Date().toISOString(),
+  };
+}
+
+class WebSocketMetrics extends EventEmitter {
+  constructor() {
+    super();
+    this.metrics = createEmptyMetrics();
+  }
+
+  /**
+   * Record an inbound event rejected by the client's rate limit
+   * @param {string} event - Socket.IO event name
+   */
+  recordRateLimited(event) {
+    const byEvent = this.metrics.inbound.rate_limited_by_event;
+    this.metrics.inbound.rate_limited++;
+    byEvent[event] = (byEvent[event] || 0) + 1;
+    this.emit('metrics', { type: 'rate_limited', event });
+  }
+
+  /**
+   * Record a client disconnected for exceeding its rate limit too often
+   */
+  recordRateLimitDisconnect() {
+    this.metrics.inbound.disconnects++;
+    this.emit('metrics', { type: 'rate_limit_disconnect' });
+  }
+
+  /**
+   * Record a client whose outbound buffer went over the high watermark
+   * @param {number} bytes - Buffered bytes
+   */
+  recordSlowConsumer(bytes) {
+    this.metrics.outbound.slow_consumers++;
+    this.recordBuffered(bytes);
+    this.emit('metrics', { type: 'slow_consumer', bytes });
+  }
+
+  /**
+   * Record a slow consumer whose outbound buffer went back under the low watermark
+   */
+  recordRecovered() {
+    this.metrics.outbound.recovered++;
+    this.emit('metrics', { type: 'slow_consumer_recovered' });
+  }
+
+  /**
+   * Record queued messages dropped to make room for newer ones
+   * @param {number} count - Number of messages
+   * @param {number} bytes - Their size
+   */
+  recordDropped(count, bytes) {
+    this.metrics.outbound.dropped += count;
+    this.metrics.outbound.dropped_bytes += bytes;
+    this.emit('metrics', { type: 'dropped', count, bytes });
+  }
+
+  /**
+   * Record queued messages replaced by a newer message on the same topic
+   * @param {number} count - Number of messages
+   */
+  recordCoalesced(count) {
+    this.metrics.outbound.coalesced += count;
+    this.emit('metrics', { type: 'coalesced', count });
+  }
+
+  /**
+   * Record a slow consumer disconnected
+   * @param {number} bytes - Buffered bytes
+   */
+  recordSlowConsumerDisconnect(bytes) {
+    this.metrics.outbound.disconnects++;
+    this.emit('metrics', { type: 'slow_consumer_disconnect', bytes });
+  }
+
+  /**
+   * Track the largest outbound buffer seen
+   * @param {number} bytes - Buffered bytes
+   */
+  recordBuffered(bytes) {
+    this.metrics.outbound.max_buffered_bytes = Math.max(this.metrics.outbound.max_buffered_bytes, bytes);
+  }
+
+  /**
+   * Get current metrics
+   * @returns {Object} Current metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      inbound: {
+        ...this.metrics.inbound,
+        rate_limited_by_event: { ...this.metrics.inbound.rate_limited_by_event },
+      },
+      outbound: { ...this.metrics.outbound },
+      last_updated: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Reset all metrics
+   */
+  reset() {
+    this.metrics = createEmptyMetrics();
+  }
+}
+
+// Export a singleton instance
+const metrics = new WebSocketMetrics();
+module.exports = metrics;
@@ -0,0 +1,294 @@
+const { logger } = require('../telemetry');
+
+// Membership changes broadcast to a room as `presence` events
+const PRESENCE_EVENT = {
+  JOIN: 'join',
+  LEAVE: 'leave',
+  // The member's node stopped refreshing it (crashed or lost Redis)
+  TIMEOUT: 'timeout'
+};
+
+const DEFAULT_OPTIONS = {
+  // Each node refreshes its members, and sweeps expired ones, this often (ms)
+  heartbeatInterval: 10000,
+  // Members not refreshed for this long are gone (ms). A few heartbeats, so a slow one is not a timeout.
+  ttl: 30000,
+  // Redis key prefix, under the client key prefix
+  keyPrefix: 'ws:presence:'
+};
+
+// Remove the members of a room whose node stopped refreshing them, and return them.
+// Atomic, so only one node reports each timeout.
+const SWEEP_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if #expired > 0 then
+  redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+end
+return expired
+`;
+
+/**
+ * Presence in Redis, shared by every node: one sorted set per room (member => expiry)
+ * and an index of rooms with members.
+ */
+class RedisPresenceStore {
+  /**
+   * @param {Redis|Redis.Cluster} client - ioredis client
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  constructor(client, options) {
+    this.client = client;
+    this.options = options;
+    this.roomsKey = `${options.keyPrefix}rooms`;
+  }
+
+  /**
+   * Add or refresh members of a room
+   * @param {string} room
+   * @param {string[]} members - Serialized members
+   * @param {number} expiresAt - Epoch ms
+   */
+  async add(room, members, expiresAt) {
+    const key = this._key(room);
+    const scored = members.flatMap(member => [expiresAt, member]);
+    // Separate commands: the keys may live on different cluster nodes
+    await Promise.all([
+      this.client.zadd(key, ...scored),
+      // Outlives its members, so a sweep still reports them after a crash
+      this.client.pexpire(key, this.options.ttl * 2),
+      this.client.zadd(this.roomsKey, expiresAt, room)
+    ]);
+  }
+
+  async remove(room, member) {
+    await this.client.zrem(this._key(room), member);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Serialized members that have not expired
+   */
+  list(room) {
+    return this.client.zrangebyscore(this._key(room), `(${Date.now()}`, '+inf');
+  }
+
+  /**
+   * Remove expired members of every room
+   * @returns {Promise<Array<{room: string, member: string}>>} Removed members
+   */
+  async sweep() {
+    const now = Date.now();
+    const rooms = await this.client.zrange(this.roomsKey, 0, -1);
+    const removed = [];
+
+    for (const room of rooms) {
+      const expired = await this.client.eval(SWEEP_SCRIPT, 1, this._key(room), now);
+      expired.forEach(member => removed.push({ room, member }));
+    }
+    // Rooms no node refreshed are empty
+    await this.client.zremrangebyscore(this.roomsKey, '-inf', now);
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  _key(room) {
+    return `${this.options.keyPrefix}room:{${room}}`;
+  }
+}
+
+/**
+ * Presence in process memory, for single-node deployments without Redis
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  async add(room, members, expiresAt) {
+    const entries = this.rooms.get(room) || new Map();
+    members.forEach(member => entries.set(member, expiresAt));
+    this.rooms.set(room, entries);
+  }
+
+  async remove(room, member) {
+    const entries = this.rooms.get(room);
+    if (!entries) return;
+    entries.delete(member);
+    if (entries.size === 0) this.rooms.delete(room);
+  }
+
+  async list(room) {
+    const now = Date.now();
+    const entries = this.rooms.get(room) || new Map();
+    return [...entries].filter(([, expiresAt]) => expiresAt > now).map(([member]) => member);
+  }
+
+  async sweep() {
+    const now = Date.now();
+    const removed = [];
+    this.rooms.forEach((entries, room) => {
+      entries.forEach((expiresAt, member) => {
+        if (expiresAt > now) return;
+        entries.delete(member);
+        removed.push({ room, member });
+      });
+      if (entries.size === 0) this.rooms.delete(room);
+    });
+    return removed;
+  }
+}
+
+/**
+ * Tracks which sockets of this node are in which rooms, keeps them alive in the
+ * store with heartbeats, and reports joins, leaves and timeouts.
+ */
+class Presence {
+  /**
+   * @param {RedisPresenceStore|MemoryPresenceStore} store
+   * @param {Object} options - See DEFAULT_OPTIONS, plus `nodeId`
+   * @param {Function} onChange - `(type, room, member)`, see PRESENCE_EVENT
+   */
+  constructor(store, options, onChange) {
+    this.store = store;
+    this.options = options;
+    this.onChange = onChange;
+    // socket id => Map(room => serialized member)
+    this.local = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Add a socket to the members of a room
+   * @param {Socket} socket
+   * @param {string} room
+   * @returns {Promise<Object|null>} The member, or null if the socket already was one or is disconnected
+   */
+  async join(socket, room) {
+    // leaveAll() already ran for a disconnected socket: nothing would remove the member
+    if (!socket.connected) return null;
+    const rooms = this.local.get(socket.id) || new Map();
+    if (rooms.has(room)) return null;
+
+    const member = {
+      id: socket.id,
+      clientId: socket.clientId,
+      userId: socket.user ? socket.user.id : null,
+      nodeId: this.options.nodeId,
+      joinedAt: new Date().toISOString()
+    };
+    rooms.set(room, JSON.stringify(member));
+    this.local.set(socket.id, rooms);
+
+    await this._run('join', () => this.store.add(room, [rooms.get(room)], Date.now() + this.options.ttl));
+    this.onChange(PRESENCE_EVENT.JOIN, room, member);
+    return member;
+  }
+
+  /**
+   * Remove a socket from the members of a room
+   * @param {Socket} socket
+   * @param {string} room
+   */
+  async leave(socket, room) {
+    const rooms = this.local.get(socket.id);
+    const member = rooms && rooms.get(room);
+    if (!member) return;
+
+    rooms.delete(room);
+    if (rooms.size === 0) this.local.delete(socket.id);
+
+    await this._run('leave', () => this.store.remove(room, member));
+    this.onChange(PRESENCE_EVENT.LEAVE, room, JSON.parse(member));
+  }
+
+  /**
+   * Remove a socket from every room (on disconnect)
+   * @param {Socket} socket
+   */
+  async leaveAll(socket) {
+    const rooms = this.local.get(socket.id);
+    if (!rooms) return;
+    await Promise.all([...rooms.keys()].map(room => this.leave(socket, room)));
+  }
+
+  /**
+   * Members of a room, on every node
+   * @param {string} room
+   * @returns {Promise<Object[]>}
+   */
+  async list(room) {
+    const members = await this.store.list(room);
+    return members.map(member => JSON.parse(member));
+  }
+
+  /**
+   * Refresh the members of this node, then remove and report the expired ones of every node
+   */
+  async heartbeat() {
+    const expiresAt = Date.now() + this.options.ttl;
+    const byRoom = new Map();
+    this.local.forEach(rooms => {
+      rooms.forEach((member, room) => byRoom.set(room, [...(byRoom.get(room) || []), member]));
+    });
+
+    await this._run('refresh', () => Promise.all(
+      [...byRoom].map(([room, members]) => this.store.add(room, members, expiresAt))
+    ));
+
+    const removed = await this._run('sweep', () => this.store.sweep());
+    (removed || []).forEach(({ room, member }) => {
+      this.onChange(PRESENCE_EVENT.TIMEOUT, room, JSON.parse(member));
+    });
+  }
+
+  /**
+   * Presence is best effort: store failures are logged, not thrown
+   * @private
+   */
+  async _run(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.error('Presence update failed', {
+        operation,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'websocket-presence'
+      });
+      return null;
+    }
+  }
+}
+
+/**
+ * Create the presence tracker of a node
+ * @param {Redis|Redis.Cluster|null} client - ioredis client; without one, presence stays in memory
+ * @param {Object} options - See DEFAULT_OPTIONS, plus `nodeId`
+ * @param {Function} onChange - `(type, room, member)`
+ * @returns {Presence}
+ */
+function createPresence(client, options, onChange) {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  const store = client ? new RedisPresenceStore(client, resolved) : new MemoryPresenceStore();
+  return new Presence(store, resolved, onChange);
+}
+
+module.exports = {
+  PRESENCE_EVENT,
+  Presence,
+  RedisPresenceStore,
+  MemoryPresenceStore,
+  createPresence
+};
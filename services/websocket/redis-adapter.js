@@ -0,0 +1,328 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { encode, decode } = require('../redis/msgpack');
+const { logger } = require('../telemetry');
+
+// How messages travel between nodes
+const ADAPTER_MODE = {
+  // One Redis stream per server: survives short disconnections (XREAD resumes
+  // from the last id) and gives offsets for connection state recovery
+  STREAMS: 'streams',
+  // Plain pub/sub channels: lower latency, messages sent while a node is
+  // disconnected are lost
+  PUBSUB: 'pubsub'
+};
+
+const DEFAULT_OPTIONS = {
+  mode: ADAPTER_MODE.STREAMS,
+  // Stream key (streams) or channel prefix (pubsub), under the Redis key prefix
+  name: 'socket.io',
+  // Approximate number of entries kept in the stream
+  maxLen: 10000,
+  // Entries read per XREAD, and how long it blocks (ms)
+  readCount: 100,
+  blockTime: 5000,
+  // Delay before reading again after a failed XREAD (ms)
+  retryDelay: 1000,
+  // Nodes announce themselves this often, and are forgotten after this long without a message (ms)
+  heartbeatInterval: 5000,
+  heartbeatTimeout: 10000
+};
+
+/**
+ * Socket.IO adapter relaying broadcasts, room changes and server-side
+ * requests between nodes through Redis
+ */
+class RedisAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {Namespace} nsp - Socket.IO namespace
+   * @param {StreamsTransport|PubSubTransport} transport - Shared by the namespaces of a server
+   * @param {Object} options - Heartbeat options
+   */
+  constructor(nsp, transport, options) {
+    super(nsp, options);
+    this.transport = transport;
+    transport.register(this);
+    // Socket.IO does not call init() on the adapters it creates: announce this node
+    this.init();
+  }
+
+  doPublish(message) {
+    return this.transport.publish(this.nsp.name, message);
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.transport.publish(this.nsp.name, response, requesterUid);
+  }
+
+  close() {
+    super.close();
+    this.transport.unregister(this);
+  }
+}
+
+/**
+ * Messages of every namespace go through one stream; each node reads it with
+ * a blocking XREAD on a dedicated connection.
+ */
+class StreamsTransport {
+  constructor(client, options) {
+    this.client = client;
+    this.options = options;
+    this.adapters = new Map();
+    this.reader = null;
+    // Id of the last entry read; null until the first read pins where to start
+    this.offset = null;
+  }
+
+  register(adapter) {
+    this.adapters.set(adapter.nsp.name, adapter);
+    if (!this.reader) this._start();
+  }
+
+  unregister(adapter) {
+    if (this.adapters.get(adapter.nsp.name) !== adapter) return;
+    this.adapters.delete(adapter.nsp.name);
+    if (this.adapters.size === 0) this._stop();
+  }
+
+  /**
+   * @param {string} nsp - Namespace name
+   * @param {Object} message - Cluster message or response
+   * @param {string} [target] - Uid of the node a response is for
+   * @returns {Promise<string>} Stream entry id, the message offset
+   */
+  publish(nsp, message, target) {
+    const fields = ['nsp', nsp, 'data', encode(message)];
+    if (target) fields.push('target', target);
+    return this.client.xadd(this.options.name, 'MAXLEN', '~', this.options.maxLen, '*', ...fields);
+  }
+
+  /**
+   * @private
+   */
+  _start() {
+    // Blocking reads hold their connection, so use a dedicated one
+    const reader = this.client.duplicate();
+    this.reader = reader;
+    reader.on('error', (error) => {
+      logger.error('Redis adapter reader error', {
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'redis-adapter'
+      });
+    });
+    this._read(reader);
+  }
+
+  /**
+   * @private
+   */
+  _stop() {
+    const { reader } = this;
+    this.reader = null;
+    if (reader) reader.disconnect();
+  }
+
+  /**
+   * Read the stream until the reader is replaced or stopped
+   * @private
+   */
+  async _read(reader) {
+    const { name, readCount, blockTime, retryDelay } = this.options;
+
+    while (this.reader === reader) {
+      let result;
+      try {
+        // Start after the newest entry once, rather than re-reading '$': entries added
+        // while no XREAD is pending (timeouts, retries) would otherwise be skipped
+        if (this.offset === null) this.offset = await this._lastId(reader);
+        result = await reader.xreadBuffer('COUNT', readCount, 'BLOCK', blockTime, 'STREAMS', name, this.offset);
+      } catch (error) {
+        if (this.reader !== reader) return;
+        logger.warn('Redis adapter failed to read stream, retrying', {
+          error: error.message,
+          stream: name,
+          transport: 'websocket',
+          storage_source: 'redis-adapter'
+        });
+        await new Promise(resolve => setTimeout(resolve, retryDelay).unref());
+        continue;
+      }
+
+      // Null when BLOCK timed out without new entries
+      if (!result || this.reader !== reader) continue;
+      result[0][1].forEach(([id, fields]) => {
+        this.offset = id.toString();
+        this._dispatch(this.offset, fields);
+      });
+    }
+  }
+
+  /**
+   * Id of the newest stream entry, or 0-0 if the stream is empty
+   * @private
+   */
+  async _lastId(reader) {
+    const [last] = await reader.xrevrange(this.options.name, '+', '-', 'COUNT', 1);
+    return last ? last[0] : '0-0';
+  }
+
+  /**
+   * @private
+   */
+  _dispatch(id, fields) {
+    const entry = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      entry[fields[i].toString()] = fields[i + 1];
+    }
+
+    const adapter = entry.nsp && this.adapters.get(entry.nsp.toString());
+    if (!adapter) return;
+
+    try {
+      const message = decode(entry.data);
+      if (!entry.target) {
+        adapter.onMessage(message, id);
+      } else if (entry.target.toString() === adapter.uid) {
+        adapter.onResponse(message);
+      }
+    } catch (error) {
+      logger.warn('Redis adapter ignored a malformed message', {
+        id,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'redis-adapter'
+      });
+    }
+  }
+}
+
+/**
+ * Messages go through one channel per namespace, responses through one
+ * channel per namespace and node.
+ */
+class PubSubTransport {
+  constructor(client, options) {
+    this.client = client;
+    this.options = options;
+    // Channels are not prefixed by ioredis, so scope them by key prefix ourselves
+    this.prefix = `${options.keyPrefix}${options.name}`;
+    this.channels = new Map();
+    this.subscriber = null;
+  }
+
+  register(adapter) {
+    if (!this.subscriber) this._start();
+
+    const nsp = adapter.nsp.name;
+    const channels = {
+      [this._channel(nsp)]: message => adapter.onMessage(message, ''),
+      [this._channel(nsp, adapter.uid)]: message => adapter.onResponse(message)
+    };
+    Object.entries(channels).forEach(([channel, handler]) => this.channels.set(channel, handler));
+    adapter.channels = Object.keys(channels);
+
+    this.subscriber.subscribe(...adapter.channels).catch(error => {
+      logger.error('Redis adapter failed to subscribe', {
+        nsp,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'redis-adapter'
+      });
+    });
+  }
+
+  unregister(adapter) {
+    if (!adapter.channels || !this.subscriber) return;
+
+    adapter.channels.forEach(channel => this.channels.delete(channel));
+    if (this.channels.size === 0) {
+      this.subscriber.disconnect();
+      this.subscriber = null;
+    } else {
+      this.subscriber.unsubscribe(...adapter.channels).catch(() => {});
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} Always empty: channels have no offsets
+   */
+  async publish(nsp, message, target) {
+    await this.client.publish(this._channel(nsp, target), encode(message));
+    return '';
+  }
+
+  /**
+   * @private
+   */
+  _channel(nsp, uid) {
+    return uid ? `${this.prefix}#${nsp}#${uid}#` : `${this.prefix}#${nsp}#`;
+  }
+
+  /**
+   * @private
+   */
+  _start() {
+    // Subscribed connections cannot run other commands, so use a dedicated one
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('messageBuffer', (channel, payload) => {
+      const handler = this.channels.get(channel.toString());
+      if (!handler) return;
+
+      try {
+        handler(decode(payload));
+      } catch (error) {
+        logger.warn('Redis adapter ignored a malformed message', {
+          channel: channel.toString(),
+          error: error.message,
+          transport: 'websocket',
+          storage_source: 'redis-adapter'
+        });
+      }
+    });
+    this.subscriber.on('error', (error) => {
+      logger.error('Redis adapter subscriber error', {
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'redis-adapter'
+      });
+    });
+  }
+}
+
+/**
+ * Create a Socket.IO adapter factory, for `io.adapter()`
+ * @param {Redis|Redis.Cluster} client - ioredis client (e.g. `RedisClient#client`), duplicated for reading
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @param {string} [options.keyPrefix] - Prefix of pub/sub channels, defaults to the client key prefix
+ * @returns {Function} Adapter constructor
+ */
+function createRedisAdapter(client, options = {}) {
+  const resolved = {
+    ...DEFAULT_OPTIONS,
+    keyPrefix: client.options.keyPrefix || '',
+    ...options
+  };
+
+  if (!Object.values(ADAPTER_MODE).includes(resolved.mode)) {
+    throw new Error(`Unknown Redis adapter mode '${resolved.mode}'`);
+  }
+
+  const transport = resolved.mode === ADAPTER_MODE.PUBSUB
+    ? new PubSubTransport(client, resolved)
+    : new StreamsTransport(client, resolved);
+  const heartbeat = {
+    heartbeatInterval: resolved.heartbeatInterval,
+    heartbeatTimeout: resolved.heartbeatTimeout
+  };
+
+  return function (nsp) {
+    return new RedisAdapter(nsp, transport, heartbeat);
+  };
+}
+
+module.exports = {
+  ADAPTER_MODE,
+  RedisAdapter,
+  createRedisAdapter
+};
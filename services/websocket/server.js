@@ -2,29 +2,192 @@ const http = require('http');
 const { Server } = require('socket.io');
 const { WebPubSubServiceClient } = require('@azure/web-pubsub');
 const { setupWebPubSubAdapter } = require('./webpubsub');
+const { createRedisAdapter } = require('./redis-adapter');
+const RedisClient = require('../redis/client');
+const { serviceRegistry } = require('../registry');
+const {
+  ROOM_ACTION,
+  createSocketAuth,
+  watchTokenExpiry,
+  createRoomAuthorizer,
+  authorizeRoom
+} = require('./auth');
+const { createRoomHistory } = require('./history');
+const { createPresence } = require('./presence');
+const { createRateLimiter, createOutboundMonitor } = require('./backpressure');
+const { createEventRouter } = require('./events');
+const { drainSockets } = require('./drain');
+const { healthService } = require('../health');
+const metrics = require('./metrics');
 const { logger } = require('../telemetry');
 const { v4: uuidv4 } = require('uuid');
 
+// How messages reach clients connected to other nodes
+const PUBSUB_VARIANT = {
+  AZURE: 'azure',
+  REDIS: 'redis',
+  STANDALONE: 'standalone'
+};
+
+const ROOM_SCHEMA = { type: 'string', minLength: 1, maxLength: 256 };
+
+// Payloads of the built-in client events
+const EVENT_SCHEMAS = {
+  message: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: {}
+    }
+  },
+  // `room`, or `{ room, lastSeq }`
+  join: {
+    oneOf: [
+      ROOM_SCHEMA,
+      {
+        type: 'object',
+        required: ['room'],
+        properties: {
+          room: ROOM_SCHEMA,
+          lastSeq: { type: 'integer', minimum: 0 }
+        }
+      }
+    ]
+  },
+  leave: ROOM_SCHEMA,
+  'room-message': {
+    type: 'object',
+    required: ['room', 'message'],
+    properties: {
+      room: ROOM_SCHEMA,
+      message: {},
+      receipts: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Write a JSON response
+ * @private
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
 class WebSocketServer {
+  /**
+   * @param {http.Server} [server] - HTTP server to attach to
+   * @param {Object} [options]
+   * @param {boolean} [options.requireAuth] - Reject clients without a token (defaults to `REQUIRE_AUTH=true`)
+   * @param {Object} [options.rooms] - Per-room join/publish rules (see createRoomAuthorizer)
+   * @param {Function} [options.authorizeRoom] - Custom hook `(socket, action, room) => boolean|{allowed, code, message}`,
+   *   may be async; replaces `rooms`
+   * @param {Object} [options.history] - Room history retention (`maxMessages`, `maxAge`, see history.js).
+   *   Kept in Redis when the server has a Redis client, in memory otherwise.
+   * @param {number} [options.receiptTimeout=5000] - How long senders asking for receipts wait for them (ms)
+   * @param {Object} [options.presence] - Presence `heartbeatInterval` and `ttl` (see presence.js), kept
+   *   in Redis when the server has a Redis client, in memory otherwise
+   * @param {Object|false} [options.rateLimit] - Per-client token buckets on inbound events
+   *   (`events`: `{ message: { max, windowMs, burst } }`, `maxViolations`, see backpressure.js); false disables them
+   * @param {Object|false} [options.backpressure] - Slow-consumer `policy` ('drop-oldest', 'coalesce' or
+   *   'disconnect') and outbound buffer `highWatermark`, `lowWatermark` and `maxBuffer` in bytes; false disables it
+   * @param {string[]} [options.binaryEvents] - Events sent to clients as MessagePack, e.g. `['room-message']`
+   * @param {Object} [options.payloadLogging] - How received payloads are logged: `body` ('full', 'redacted'
+   *   or 'none'), `redact` (field names), `sampleRate` (0 to 1) and `level` (see events.js)
+   * @param {Object} [options.drain] - Default `jitter` and `deadline` of drain() (see drain.js)
+   * @param {HealthService} [options.healthService] - Health service whose readiness fails while draining
+   *   (defaults to the one of services/health.js)
+   */
   constructor(server, options = {}) {
     this.port = options.port || process.env.WS_PORT || 3002;
+    this.ownsServer = !server;
     this.server = server || http.createServer();
+    // Registered before Socket.IO attaches, which then only passes on requests outside /socket.io.
+    // A caller-supplied server keeps its own routing and mounts handleRequest() itself.
+    if (this.ownsServer) {
+      this.server.on('request', (req, res) => this.handleRequest(req, res));
+    }
+    const { allowRequest, ...socketIoOptions } = options.socketIoOptions || {};
     this.io = new Server(this.server, {
       cors: {
         origin: process.env.WS_CORS_ORIGIN || '*',
         methods: ['GET', 'POST']
       },
-      ...options.socketIoOptions
+      ...socketIoOptions,
+      // New connections are refused while draining; existing ones are not affected
+      allowRequest: (req, callback) => {
+        if (this.draining) return callback('Server is draining', false);
+        return allowRequest ? allowRequest(req, callback) : callback(null, true);
+      }
     });
+    this.draining = false;
+    this.drainPromise = null;
+    this.drainOptions = options.drain;
+    this.healthService = options.healthService || healthService;
+    this.healthService.registerReadinessCheck('websocket', () => this.getReadiness());
     
     this.clients = new Map();
+    this.requireAuth = options.requireAuth;
+    this.authorizeRoom = options.authorizeRoom || createRoomAuthorizer(options.rooms);
+    this.redisClient = options.redisClient || null;
+    this.ownsRedisClient = false;
+    this.rateLimiter = createRateLimiter(options.rateLimit);
+    this.monitorOutbound = createOutboundMonitor(options.backpressure);
+    this.events = createEventRouter({ binaryEvents: options.binaryEvents, logging: options.payloadLogging });
     this.initializeMiddlewares();
     this.initializeHandlers();
     this.initializePubSub();
+    // After initializePubSub(), which may create the Redis client
+    this.history = createRoomHistory(this.redisClient && this.redisClient.client, options.history);
+    this.receiptTimeout = options.receiptTimeout || 5000;
+    this.nodeId = uuidv4();
+    this.presence = createPresence(
+      this.redisClient && this.redisClient.client,
+      { ...options.presence, nodeId: this.nodeId },
+      (type, room, member) => this.io.to(room).emit('presence', {
+        type,
+        room,
+        member,
+        timestamp: new Date().toISOString()
+      })
+    );
+    this.presence.start();
+  }
+
+  /**
+   * Pick the pub/sub variant from the `webpubsub` service of the registry:
+   * variant `redis` uses the Redis adapter, `azure` (or `default`) Azure Web PubSub.
+   * Without an enabled service, Azure is used when its connection string is set.
+   * @returns {{variant: string, config: Object}}
+   */
+  getPubSubVariant() {
+    let config = {};
+    try {
+      if (serviceRegistry.isEnabled('webpubsub')) {
+        config = serviceRegistry.getServiceConfig('webpubsub');
+        return {
+          variant: config.variant === PUBSUB_VARIANT.REDIS ? PUBSUB_VARIANT.REDIS : PUBSUB_VARIANT.AZURE,
+          config
+        };
+      }
+    } catch (error) {
+      // Registry not initialized: fall back to the environment
+    }
+
+    return {
+      variant: process.env.AZURE_WEB_PUBSUB_CONNECTION_STRING ? PUBSUB_VARIANT.AZURE : PUBSUB_VARIANT.STANDALONE,
+      config
+    };
   }
 
   async initializePubSub() {
-    if (process.env.AZURE_WEB_PUBSUB_CONNECTION_STRING) {
+    const { variant, config } = this.getPubSubVariant();
+    this.pubsubVariant = variant;
+
+    if (variant === PUBSUB_VARIANT.REDIS) {
+      this.initializeRedisAdapter(config.redis);
+    } else if (variant === PUBSUB_VARIANT.AZURE) {
       try {
         const serviceClient = new WebPubSubServiceClient(
           process.env.AZURE_WEB_PUBSUB_CONNECTION_STRING,
@@ -41,16 +204,40 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Relay messages between nodes through Redis, using the connection settings of
+   * config/redis.json (standalone or cluster) unless a client was passed in
+   * @param {Object} [options] - Redis adapter options (`mode`: 'streams' or 'pubsub', see redis-adapter.js)
+   */
+  initializeRedisAdapter(options = {}) {
+    try {
+      if (!this.redisClient) {
+        this.redisClient = new RedisClient();
+        this.ownsRedisClient = true;
+      }
+
+      this.io.adapter(createRedisAdapter(this.redisClient.client, options));
+      logger.info('Redis adapter initialized', {
+        mode: options.mode || 'streams',
+        transport: 'websocket',
+        storage_source: 'redis-adapter'
+      });
+    } catch (error) {
+      logger.error('Failed to initialize Redis adapter, running in standalone mode', {
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'redis-adapter'
+      });
+    }
+  }
+
   initializeMiddlewares() {
-    // Authentication middleware
+    // Authentication middleware: verifies the handshake token and sets socket.user
+    this.io.use(createSocketAuth({ required: this.requireAuth }));
+
     this.io.use((socket, next) => {
-      const token = socket.handshake.auth.token;
       const clientId = socket.handshake.query.clientId || uuidv4();
       
-      if (process.env.REQUIRE_AUTH === 'true' && !token) {
-        return next(new Error('Authentication error: Token is required'));
-      }
-      
       socket.clientId = clientId;
       this.clients.set(clientId, socket);
       
@@ -59,72 +246,27 @@ class WebSocketServer {
   }
 
   initializeHandlers() {
+    this.registerEvents();
+
     this.io.on('connection', (socket) => {
       const { clientId } = socket;
       logger.info(`Client connected: ${clientId}`, { 
         clientId,
         transport: socket.conn.transport.name,
         remoteAddress: socket.handshake.address,
-        userAgent: socket.handshake.headers['user-agent']
+        userAgent: socket.handshake.headers['user-agent'],
+        userId: socket.user && socket.user.id
       });
 
-      // Handle custom events
-      socket.on('message', (data) => {
-        logger.info('Message received', { 
-          clientId,
-          event: 'message',
-          data,
-          transport: 'websocket',
-          storage_source: 'websocket-server'
-        });
-        
-        // Broadcast to all clients except sender
-        socket.broadcast.emit('message', {
-          from: clientId,
-          message: data.message,
-          timestamp: new Date().toISOString()
-        });
-      });
+      // Clients reconnect with a fresh token
+      watchTokenExpiry(socket);
 
-      // Join room
-      socket.on('join', (room) => {
-        socket.join(room);
-        logger.info(`Client ${clientId} joined room ${room}`, { 
-          clientId, 
-          room,
-          transport: 'websocket',
-          storage_source: 'websocket-server'
-        });
-      });
-
-      // Leave room
-      socket.on('leave', (room) => {
-        socket.leave(room);
-        logger.info(`Client ${clientId} left room ${room}`, { 
-          clientId, 
-          room,
-          transport: 'websocket',
-          storage_source: 'websocket-server'
-        });
-      });
+      // Inbound rate limits, and the slow-consumer policy for everything sent to the client
+      socket.use(this.rateLimiter(socket));
+      socket.outbound = this.monitorOutbound(socket);
 
-      // Room message
-      socket.on('room-message', ({ room, message }) => {
-        logger.info('Room message received', { 
-          clientId,
-          room,
-          message,
-          transport: 'websocket',
-          storage_source: 'websocket-server'
-        });
-        
-        this.io.to(room).emit('room-message', {
-          from: clientId,
-          room,
-          message,
-          timestamp: new Date().toISOString()
-        });
-      });
+      // Validated event handlers (see registerEvents())
+      this.events.attach(socket);
 
       // Disconnect handler
       socket.on('disconnect', (reason) => {
@@ -136,6 +278,7 @@ class WebSocketServer {
         });
         
         this.clients.delete(clientId);
+        this.presence.leaveAll(socket);
       });
 
       // Error handler
@@ -161,6 +304,312 @@ class WebSocketServer {
     });
   }
 
+  /**
+   * Register the handlers of the built-in client events
+   */
+  registerEvents() {
+    this.registerEvent('message', { schema: EVENT_SCHEMAS.message }, (socket, data) => {
+      // Broadcast to all clients except sender
+      socket.broadcast.emit('message', this.events.encode('message', {
+        from: socket.clientId,
+        message: data.message,
+        timestamp: new Date().toISOString()
+      }));
+    });
+
+    // Join room: `room`, or `{ room, lastSeq }` to also get the messages sent after lastSeq
+    this.registerEvent('join', { schema: EVENT_SCHEMAS.join }, async (socket, payload, ack) => {
+      const { room, lastSeq } = typeof payload === 'object' ? payload : { room: payload };
+      if (!(await this.checkRoomAccess(socket, ROOM_ACTION.JOIN, room, ack))) return;
+      // The client may have left during the check: its disconnect already cleared its presence
+      if (!socket.connected) return;
+
+      socket.join(room);
+      logger.info(`Client ${socket.clientId} joined room ${room}`, {
+        clientId: socket.clientId,
+        room,
+        lastSeq,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      await this.presence.join(socket, room);
+
+      if (lastSeq === undefined) {
+        if (typeof ack === 'function') ack({ status: 'ok', room });
+        return;
+      }
+      await this.replayRoomHistory(socket, room, lastSeq, ack);
+    });
+
+    this.registerEvent('leave', { schema: EVENT_SCHEMAS.leave }, async (socket, room) => {
+      socket.leave(room);
+      logger.info(`Client ${socket.clientId} left room ${room}`, {
+        clientId: socket.clientId,
+        room,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      await this.presence.leave(socket, room);
+    });
+
+    this.registerEvent('room-message', { schema: EVENT_SCHEMAS['room-message'] }, async (socket, { room, message, receipts }, ack) => {
+      if (!(await this.checkRoomAccess(socket, ROOM_ACTION.PUBLISH, room, ack))) return;
+      await this.sendRoomMessage(socket, { room, message, receipts }, ack);
+    });
+  }
+
+  /**
+   * Handle a client event. The payload is validated against `schema` first: invalid ones
+   * get an `INVALID_PAYLOAD` error through the acknowledgement callback, or an
+   * `event-error` event. Applies to clients connecting afterwards.
+   * @param {string} event
+   * @param {Object} options - `schema` (JSON Schema of the payload), `binary` (send the event as MessagePack)
+   * @param {Function} handler - `(socket, payload, ack)`, may be async
+   */
+  registerEvent(event, options, handler) {
+    this.events.register(event, options, handler);
+  }
+
+  /**
+   * Run the room authorization hook; a denied client gets the reason through its
+   * acknowledgement callback, or an `unauthorized` event without one
+   * @param {Socket} socket
+   * @param {string} action - 'join' or 'publish'
+   * @param {string} room
+   * @param {Function} [ack] - Client acknowledgement callback
+   * @returns {Promise<boolean>} Whether the action is allowed
+   */
+  async checkRoomAccess(socket, action, room, ack) {
+    const { allowed, code, message } = await authorizeRoom(this.authorizeRoom, socket, action, room);
+    if (allowed) return true;
+
+    logger.warn('Room access denied', {
+      clientId: socket.clientId,
+      userId: socket.user && socket.user.id,
+      action,
+      room,
+      code,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    });
+
+    this.respond(socket, ack, 'unauthorized', { status: 'error', action, room, code, message });
+    return false;
+  }
+
+  /**
+   * Number a room message, store it in the room history and send it to the room.
+   * With `receipts` and an acknowledgement callback, the sender is acknowledged once
+   * the other members acknowledged it (or after `receiptTimeout`), with their count.
+   * @param {Socket} socket - Sender
+   * @param {Object} payload - `{ room, message, receipts }`
+   * @param {Function} [ack] - Sender acknowledgement callback
+   */
+  async sendRoomMessage(socket, { room, message, receipts }, ack) {
+    const data = {
+      from: socket.clientId,
+      room,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    // Numbered before it is sent, so every message a client gets can be resumed from
+    try {
+      data.seq = await this.history.append(room, data);
+    } catch (error) {
+      logger.error('Failed to store room message', {
+        clientId: socket.clientId,
+        room,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      this.respond(socket, ack, 'room-error', {
+        status: 'error',
+        room,
+        code: 'HISTORY_UNAVAILABLE',
+        message: 'Message could not be stored, please retry'
+      });
+      return;
+    }
+
+    const payload = this.events.encode('room-message', data);
+    if (!receipts || typeof ack !== 'function') {
+      this.io.to(room).emit('room-message', payload);
+      if (typeof ack === 'function') ack({ status: 'ok', room, seq: data.seq });
+      return;
+    }
+
+    // Members acknowledge through the callback their `room-message` listener receives
+    if (socket.rooms.has(room)) socket.emit('room-message', payload);
+    this.io.to(room).except(socket.id).timeout(this.receiptTimeout).emit('room-message', payload, (error, responses) => {
+      ack({ status: 'ok', room, seq: data.seq, received: responses.length, timedOut: Boolean(error) });
+    });
+  }
+
+  /**
+   * Send a client the messages of a room it missed, as a `room-history` event or through
+   * its acknowledgement callback: `{ room, seq, messages, truncated, reset }`.
+   * The client joined first, so messages sent meanwhile may arrive twice: clients drop
+   * those with a `seq` they already have.
+   * @param {Socket} socket
+   * @param {string} room
+   * @param {number} lastSeq - Last sequence number the client received (0 for everything kept)
+   * @param {Function} [ack]
+   */
+  async replayRoomHistory(socket, room, lastSeq, ack) {
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      this.respond(socket, ack, 'room-error', {
+        status: 'error',
+        room,
+        code: 'INVALID_LAST_SEQ',
+        message: 'lastSeq must be a non-negative integer'
+      });
+      return;
+    }
+
+    try {
+      const history = await this.history.since(room, lastSeq);
+      this.respond(socket, ack, 'room-history', { status: 'ok', room, ...history });
+    } catch (error) {
+      logger.error('Failed to read room history', {
+        clientId: socket.clientId,
+        room,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      this.respond(socket, ack, 'room-error', {
+        status: 'error',
+        room,
+        code: 'HISTORY_UNAVAILABLE',
+        message: 'Room history is unavailable'
+      });
+    }
+  }
+
+  /**
+   * Members of a room, on every node
+   * @param {string} room
+   * @returns {Promise<Object[]>} `{ id, clientId, userId, nodeId, joinedAt }` per connection
+   */
+  getPresence(room) {
+    return this.presence.list(room);
+  }
+
+  /**
+   * HTTP requests outside /socket.io: `GET /metrics` (rate limiting and slow consumers),
+   * `GET /ready` (the readiness of services/health.js, which fails while draining), and
+   * `GET /presence/:room`. The caller authenticates like a Socket.IO client (bearer token)
+   * and needs the right to join the room. Handles the requests of the server it creates;
+   * with a caller-supplied server, mount it as middleware: `app.use((req, res, next) => ws.handleRequest(req, res, next))`.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Function} [next] - Called for other paths (404 without it)
+   * @returns {Promise<void>} Never rejects: failures are logged and answered with 500
+   */
+  handleRequest(req, res, next) {
+    return this._handleRequest(req, res, next).catch((error) => {
+      logger.error('HTTP request failed', {
+        path: req.url,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      if (!res.headersSent) {
+        sendJson(res, 500, { status: 'error', code: 'INTERNAL_ERROR', message: 'Internal server error' });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _handleRequest(req, res, next) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/metrics' && req.method === 'GET') {
+      sendJson(res, 200, metrics.getMetrics());
+      return;
+    }
+    if (pathname === '/ready' && req.method === 'GET') {
+      const readiness = await this.healthService.getReadinessStatus();
+      sendJson(res, readiness.status === 'ready' ? 200 : 503, readiness);
+      return;
+    }
+
+    const match = /^\/presence\/([^/]+)\/?$/.exec(pathname);
+
+    if (!match) {
+      if (next) {
+        next();
+      } else {
+        sendJson(res, 404, { status: 'error', code: 'NOT_FOUND', message: 'Not found' });
+      }
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { status: 'error', code: 'METHOD_NOT_ALLOWED', message: 'Method not allowed' }, { Allow: 'GET' });
+      return;
+    }
+
+    let room;
+    try {
+      room = decodeURIComponent(match[1]);
+    } catch (error) {
+      sendJson(res, 400, { status: 'error', code: 'INVALID_ROOM', message: 'Invalid room name' });
+      return;
+    }
+
+    // Same checks as a socket joining the room
+    const caller = { handshake: { auth: {}, headers: req.headers, address: req.socket.remoteAddress } };
+    const authError = await new Promise(resolve => createSocketAuth({ required: this.requireAuth })(caller, resolve));
+    if (authError) {
+      sendJson(res, 401, { status: 'error', code: authError.data.code, message: authError.message });
+      return;
+    }
+
+    const { allowed, code, message } = await authorizeRoom(this.authorizeRoom, caller, ROOM_ACTION.JOIN, room);
+    if (!allowed) {
+      sendJson(res, code === 'AUTH_REQUIRED' ? 401 : 403, { status: 'error', code, message });
+      return;
+    }
+
+    try {
+      const members = await this.getPresence(room);
+      sendJson(res, 200, { room, count: members.length, members });
+    } catch (error) {
+      logger.error('Failed to read presence', {
+        room,
+        error: error.message,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      sendJson(res, 503, { status: 'error', code: 'PRESENCE_UNAVAILABLE', message: 'Presence is unavailable' });
+    }
+  }
+
+  /**
+   * Answer a client through its acknowledgement callback, or with an event without one
+   * @param {Socket} socket
+   * @param {Function} [ack]
+   * @param {string} event
+   * @param {Object} response
+   */
+  respond(socket, ack, event, response) {
+    if (typeof ack === 'function') {
+      ack(response);
+    } else {
+      socket.emit(event, response);
+    }
+  }
+
+  /**
+   * Send an event to every client. Clients over their outbound high watermark get it
+   * through the slow-consumer policy; `coalesce` replaces their queued messages with the
+   * same event and `data.topic` (or `data.room`).
+   * @param {string} event
+   * @param {Object} data
+   */
   broadcast(event, data) {
     this.io.emit(event, {
       ...data,
@@ -170,9 +619,16 @@ class WebSocketServer {
     });
   }
 
+  /**
+   * Send an event to one client, through the slow-consumer policy like broadcast()
+   * @param {string} clientId
+   * @param {string} event
+   * @param {Object} data
+   * @returns {boolean} False if the client is not connected, or is being disconnected as a slow consumer
+   */
   sendToClient(clientId, event, data) {
     const socket = this.clients.get(clientId);
-    if (socket) {
+    if (socket && !(socket.outbound && socket.outbound.closing)) {
       socket.emit(event, {
         ...data,
         timestamp: new Date().toISOString(),
@@ -184,6 +640,50 @@ class WebSocketServer {
     return false;
   }
 
+  /**
+   * Readiness check of the health service: not ready while draining
+   * @returns {{ready: boolean, status: string, connections: number}}
+   */
+  getReadiness() {
+    return {
+      ready: !this.draining,
+      status: this.draining ? 'draining' : 'ready',
+      connections: this.clients.size
+    };
+  }
+
+  /**
+   * Move clients to other nodes before shutting down: refuse new connections, fail the
+   * readiness check, tell each client (`server-draining` event, `{ reconnectIn }`) to
+   * reconnect at a random time within `jitter`, and close it then, once it has no
+   * acknowledgement in flight or at the `deadline`.
+   * @param {Object} [options] - `jitter` and `deadline` in ms, see drain.js
+   * @returns {Promise<{clients: number, timedOut: number}>}
+   */
+  drain(options = {}) {
+    if (this.drainPromise) return this.drainPromise;
+    this.draining = true;
+
+    const sockets = [...this.io.of('/').sockets.values()];
+    logger.info('Draining WebSocket server', {
+      clients: sockets.length,
+      transport: 'websocket',
+      storage_source: 'websocket-server'
+    });
+
+    // In flight: handlers the client awaits, and server emits awaiting the client's acknowledgement
+    const pending = socket => this.events.pending(socket) + socket.acks.size;
+    this.drainPromise = drainSockets(sockets, pending, { ...this.drainOptions, ...options }).then(result => {
+      logger.info('WebSocket server drained', {
+        ...result,
+        transport: 'websocket',
+        storage_source: 'websocket-server'
+      });
+      return result;
+    });
+    return this.drainPromise;
+  }
+
   start() {
     return new Promise((resolve) => {
       this.server.listen(this.port, () => {
@@ -197,16 +697,32 @@ class WebSocketServer {
     });
   }
 
-  async stop() {
+  /**
+   * Stop the server, draining it first
+   * @param {Object} [options] - drain() options; `drain: false` closes every client at once
+   */
+  async stop(options = {}) {
+    const { drain = true, ...drainOptions } = options;
+    if (drain) {
+      await this.drain(drainOptions);
+    }
+    this.draining = true;
+    this.presence.stop();
+
     // Close all client connections
     for (const [clientId, socket] of this.clients.entries()) {
       socket.disconnect(true);
       this.clients.delete(clientId);
     }
 
-    // Close the server
+    // Close the server (and the adapters, which publish their departure)
     if (this.io) {
-      this.io.close();
+      await this.io.close();
+    }
+
+    if (this.redisClient && this.ownsRedisClient) {
+      await this.redisClient.close();
+      this.redisClient = null;
     }
 
     if (this.server) {
@@ -240,3 +756,4 @@ if (require.main === module) {
 }
 
 module.exports = WebSocketServer;
+module.exports.PUBSUB_VARIANT = PUBSUB_VARIANT;
@@ -62,19 +62,26 @@ function loadResults() {
   return results;
 }
 
+/**
+ * Name of a run in the report: its label (e.g. hedging-on), else its variant
+ */
+function getVariantName(result) {
+  return result.metadata.label || result.metadata.variant || path.basename(result.file, '.json');
+}
+
 /**
  * Generate comparison report
  */
 function generateReport(results) {
   const report = {
     timestamp: new Date().toISOString(),
-    comparedVariants: results.map(r => r.metadata.variant || 'unknown'),
+    comparedVariants: results.map(getVariantName),
     comparisons: {}
   };
   
   // Compare latency metrics
   report.comparisons.latency = results.map(result => ({
-    variant: result.metadata.variant || path.basename(result.file, '.json'),
+    variant: getVariantName(result),
     avg: result.summary?.latency?.avg || 0,
     p50: result.summary?.latency?.p50 || 0,
     p90: result.summary?.latency?.p90 || 0,
@@ -86,7 +93,7 @@ function generateReport(results) {
   
   // Compare success rates and cache hits
   report.comparisons.successRates = results.map(result => ({
-    variant: result.metadata.variant || path.basename(result.file, '.json'),
+    variant: getVariantName(result),
     totalRequests: result.summary?.totalRequests || 0,
     successfulRequests: result.summary?.successfulRequests || 0,
     successRate: result.summary?.successfulRequests && result.summary?.totalRequests 
@@ -108,7 +115,7 @@ function generateReport(results) {
   report.comparisons.storageSources = Array.from(allStorageSources).map(source => {
     const sourceData = { source };
     results.forEach(result => {
-      const variant = result.metadata.variant || path.basename(result.file, '.json');
+      const variant = getVariantName(result);
       const count = result.summary?.storageSources?.[source] || 0;
       const total = result.summary?.successfulRequests || 1;
       sourceData[variant] = {
@@ -119,6 +126,18 @@ function generateReport(results) {
     return sourceData;
   });
   
+  // Compare gateway request hedging (runs without hedges are left out)
+  report.comparisons.hedging = results
+    .filter(result => result.summary?.hedging)
+    .map(result => ({
+      variant: getVariantName(result),
+      hedged: result.summary.hedging.hedged,
+      hedgeRate: result.summary.hedging.hedgeRate,
+      hedgeWinRate: result.summary.hedging.hedgeWinRate,
+      p95: result.summary?.latency?.p95 || 0,
+      p99: result.summary?.latency?.p99 || 0,
+    }));
+  
   return report;
 }
 
@@ -206,6 +225,30 @@ function formatConsoleReport(report) {
     output.push('');
   }
   
+  // Hedging Table, to compare tail latency with and without hedging
+  if (report.comparisons.hedging.some(variant => variant.hedged > 0)) {
+    const hedgingTable = new Table({
+      head: ['Variant', 'Hedged', 'Hedge Rate', 'Hedge Win Rate', 'p95 (ms)', 'p99 (ms)'],
+      style: { head: ['cyan'] },
+      colAligns: ['left', 'right', 'right', 'right', 'right', 'right']
+    });
+    
+    report.comparisons.hedging.forEach(variant => {
+      hedgingTable.push([
+        variant.variant,
+        variant.hedged,
+        `${variant.hedgeRate.toFixed(2)}%`,
+        `${variant.hedgeWinRate.toFixed(2)}%`,
+        variant.p95.toFixed(2),
+        variant.p99.toFixed(2)
+      ]);
+    });
+    
+    output.push(chalk.bold('🔀 Request Hedging'));
+    output.push(hedgingTable.toString());
+    output.push('');
+  }
+  
   // Add ASCII chart for latency comparison
   if (report.comparisons.latency.length > 0) {
     output.push(chalk.bold('📈 Latency Distribution (p50, p90, p95, p99)'));
@@ -285,6 +328,12 @@ function saveReport(report, format) {
         rows.push(`cache,hit_rate,${variant.variant},${variant.cacheHitRate}`);
       });
       
+      // Add hedging data
+      report.comparisons.hedging.forEach(variant => {
+        rows.push(`hedging,rate,${variant.variant},${variant.hedgeRate}`);
+        rows.push(`hedging,win_rate,${variant.variant},${variant.hedgeWinRate}`);
+      });
+      
       content = rows.join('\n');
       extension = '.csv';
     } else {
@@ -25,6 +25,9 @@ program
   .option('-c, --concurrency <number>', 'Number of concurrent requests', '10')
   .option('-n, --requests <number>', 'Number of requests per test', '100')
   .option('--base-url <url>', 'Base URL of the API', 'http://localhost:3001')
+  .option('-m, --method <method>', 'HTTP method (only GET/HEAD requests can be hedged by the gateway)', 'POST')
+  .option('-p, --path <path>', 'Request path', '/api/benchmark')
+  .option('-l, --label <name>', 'Name for this run in comparisons (e.g. hedging-on)')
   .parse(process.argv);
 
 const options = program.opts();
@@ -60,6 +63,9 @@ const results = {
     testId: uuidv4(),
     startTime: new Date().toISOString(),
     variant: options.variant,
+    label: options.label,
+    method: options.method.toUpperCase(),
+    path: options.path,
     concurrency: parseInt(options.concurrency),
     totalRequests: parseInt(options.requests),
   },
@@ -71,6 +77,12 @@ const results = {
     totalDuration: 0,
     storageSources: {},
     cacheHitRate: 0,
+    hedging: {
+      hedged: 0,
+      hedgeWins: 0,
+      hedgeRate: 0,
+      hedgeWinRate: 0,
+    },
     latency: {
       min: Number.MAX_SAFE_INTEGER,
       max: 0,
@@ -100,17 +112,26 @@ async function makeRequest() {
   const startTime = performance.now();
   
   try {
-    const response = await http.post('/api/benchmark', {
-      ...TEST_DATA,
-      variant: options.variant,
-      requestId,
+    const method = options.method.toUpperCase();
+    const body = { ...TEST_DATA, variant: options.variant, requestId };
+    const response = await http.request({
+      method,
+      url: options.path,
+      // Hedgeable requests carry no body, so send the test data as query parameters
+      ...(['GET', 'HEAD'].includes(method)
+        ? { params: { variant: options.variant, requestId } }
+        : { data: body }),
     });
     
     const endTime = performance.now();
     const duration = endTime - startTime;
     
     const storageSource = response.headers['x-storage-source'] || 'unknown';
-    const cacheHit = response.headers['x-cache-hit'] === 'true';
+    // Services report x-cache-hit; the API gateway's response cache reports x-cache (HIT, MISS or STALE)
+    const cacheHit = response.headers['x-cache-hit'] === 'true'
+      || ['HIT', 'STALE'].includes(response.headers['x-cache']);
+    // Set by the API gateway when it sent a hedge: which attempt answered
+    const hedge = response.headers['x-gateway-hedge'] || 'none';
     
     const result = {
       requestId,
@@ -119,6 +140,7 @@ async function makeRequest() {
       duration,
       storageSource,
       cacheHit,
+      hedge,
       success: response.status >= 200 && response.status < 300,
     };
     
@@ -132,6 +154,7 @@ async function makeRequest() {
       duration: endTime - startTime,
       storageSource: 'error',
       cacheHit: false,
+      hedge: 'none',
       success: false,
       error: error.message,
     };
@@ -182,12 +205,16 @@ function calculateStats() {
   // Count storage sources and cache hits
   const storageSources = {};
   let cacheHits = 0;
+  let hedged = 0;
+  let hedgeWins = 0;
   
   results.requests.forEach(req => {
     if (req.success) {
       storageSources[req.storageSource] = (storageSources[req.storageSource] || 0) + 1;
       if (req.cacheHit) cacheHits++;
     }
+    if (req.hedge && req.hedge !== 'none') hedged++;
+    if (req.hedge === 'hedge') hedgeWins++;
   });
   
   // Update summary
@@ -198,6 +225,12 @@ function calculateStats() {
     totalDuration: results.requests.reduce((sum, req) => sum + req.duration, 0),
     storageSources,
     cacheHitRate: latencies.length > 0 ? (cacheHits / latencies.length) * 100 : 0,
+    hedging: {
+      hedged,
+      hedgeWins,
+      hedgeRate: (hedged / results.requests.length) * 100,
+      hedgeWinRate: hedged > 0 ? (hedgeWins / hedged) * 100 : 0,
+    },
     latency: {
       min: Math.min(...latencies),
       max: Math.max(...latencies),
@@ -223,6 +256,7 @@ function printSummary() {
   console.log(`Successful:    ${summary.successfulRequests} (${((summary.successfulRequests / summary.totalRequests) * 100).toFixed(1)}%)`);
   console.log(`Failed:        ${summary.failedRequests} (${((summary.failedRequests / summary.totalRequests) * 100).toFixed(1)}%)`);
   console.log(`Cache Hit:     ${summary.cacheHitRate.toFixed(1)}%`);
+  console.log(`Hedged:        ${summary.hedging.hedged} (${summary.hedging.hedgeRate.toFixed(1)}%), hedge won ${summary.hedging.hedgeWinRate.toFixed(1)}%`);
   
   console.log('\n⏱  Latency (ms)');
   console.log('------------------');
@@ -247,6 +281,7 @@ function printSummary() {
 async function runBenchmark() {
   console.log(`🚀 Starting benchmark for variant: ${options.variant}`);
   console.log(`🔗 Base URL: ${options.baseUrl}`);
+  console.log(`📨 Request: ${options.method.toUpperCase()} ${options.path}`);
   console.log(`🔁 Concurrency: ${options.concurrency}`);
   console.log(`📊 Requests: ${options.requests}`);
   console.log('\nRunning benchmark...');
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+const { program } = require('commander');
+const dbPool = require('../../services/database/pool');
+
+// Command line interface
+program
+  .name('failover-test')
+  .description('Run queries through the primary pool while the primary is stopped and started')
+  .option('-d, --duration <seconds>', 'How long to run', '120')
+  .option('-r, --rate <number>', 'Queries per second', '5')
+  .option('--writes', 'Run idempotent writes instead of reads')
+  .parse(process.argv);
+
+const options = program.opts();
+const counts = { ok: 0, errors: 0 };
+// Each write inserts its own row; a retry on the new primary hits the same key and does nothing
+const run = `${process.pid}-${Date.now()}`;
+let sequence = 0;
+
+const log = (message) => console.log(`${new Date().toISOString()} ${message}`);
+
+dbPool.on('failover-detected', ({ host, port, error }) => log(`failover-detected ${host}:${port} (${error.code || error.message})`));
+dbPool.on('primary-changed', ({ host, port, previous }) => log(`primary-changed ${previous.host}:${previous.port} -> ${host}:${port}`));
+dbPool.on('failover-failed', ({ attempts }) => log(`failover-failed after ${attempts} attempts`));
+
+async function runQuery() {
+  try {
+    if (options.writes) {
+      await dbPool.writeQuery(
+        'INSERT INTO failover_test_writes (run, seq) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [run, ++sequence],
+        { idempotent: true }
+      );
+    } else {
+      await dbPool.readQuery('SELECT 1 AS test');
+    }
+    counts.ok++;
+  } catch (error) {
+    counts.errors++;
+    log(`query failed: ${error.code || ''} ${error.message}`);
+  }
+}
+
+// Main function
+async function main() {
+  if (options.writes) {
+    await dbPool.writeQuery(`CREATE TABLE IF NOT EXISTS failover_test_writes (
+      run TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      written_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (run, seq)
+    )`);
+  }
+
+  const interval = setInterval(runQuery, 1000 / parseInt(options.rate, 10));
+  const report = setInterval(() => {
+    log(`ok=${counts.ok} errors=${counts.errors} ${JSON.stringify(dbPool.getHealth().primary)}`);
+  }, 1000);
+
+  await new Promise(resolve => setTimeout(resolve, parseInt(options.duration, 10) * 1000));
+
+  clearInterval(interval);
+  clearInterval(report);
+  await dbPool.close();
+  log(`done: ok=${counts.ok} errors=${counts.errors}`);
+  process.exit(counts.errors > 0 ? 1 : 0);
+}
+
+main();
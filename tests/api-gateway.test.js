@@ -1,6 +1,9 @@
 const request = require('supertest');
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const ApiGateway = require('../services/api-gateway');
 const { logger } = require('../services/api-gateway/middleware/logging');
@@ -138,6 +141,54 @@ describe('API Gateway', () => {
     });
   });
   
+  describe('WebSocket sessions', () => {
+    let routesFile;
+    
+    beforeEach(() => {
+      routesFile = path.join(os.tmpdir(), `gateway-routes-${process.pid}.yaml`);
+      fs.writeFileSync(routesFile, `
+routes:
+  - name: api
+    path: /api
+    target: http://localhost:3001
+  - name: realtime
+    path: /socket.io
+    target: http://localhost:3001
+    stripPrefix: false
+    websocket:
+      maxPollingRequests: 1
+`);
+    });
+    
+    afterEach(() => {
+      fs.unlinkSync(routesFile);
+    });
+    
+    it('should only take session requests under the WebSocket route out of the global limit', async () => {
+      const rateLimit = require('../services/api-gateway/middleware/rateLimit');
+      const globalLimit = jest.spyOn(rateLimit, 'global').mockImplementation((req, res) => (
+        res.status(429).json({ status: 'error', message: 'Too many requests' })
+      ));
+      
+      apiGateway = new ApiGateway({ routesFile, watchRoutes: false });
+      apiGateway.webSockets.get('realtime').sticky.remember('abc123', 'ws-1');
+      const app = apiGateway.app;
+      
+      // A known sid on another route is still limited by IP
+      await request(app).get('/api/health?sid=abc123').expect(429);
+      expect(globalLimit).toHaveBeenCalledTimes(1);
+      
+      // Polling requests of the session are limited per session instead
+      const first = await request(app).get('/socket.io/?EIO=4&transport=polling&sid=abc123');
+      expect(first.status).not.toBe(429);
+      const second = await request(app).get('/socket.io/?EIO=4&transport=polling&sid=abc123').expect(429);
+      expect(second.body).toHaveProperty('message', 'Too many polling requests for this session');
+      expect(globalLimit).toHaveBeenCalledTimes(1);
+      
+      globalLimit.mockRestore();
+    });
+  });
+  
   describe('Error Handling', () => {
     it('should return 404 for unknown routes', async () => {
       apiGateway = new ApiGateway();
@@ -0,0 +1,179 @@
+const { CircuitBreaker } = require('../services/api-gateway/upstream/circuitBreaker');
+const { RetryBudget } = require('../services/api-gateway/upstream/retryBudget');
+const metrics = require('../services/api-gateway/metrics');
+
+// Send `count` requests through the breaker with the given outcome
+const send = (breaker, count, outcome) => {
+  for (let i = 0; i < count; i++) {
+    const finish = breaker.begin();
+    if (finish) finish(outcome);
+  }
+};
+
+describe('Upstream Policies', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    metrics.reset();
+  });
+
+  describe('CircuitBreaker', () => {
+    const options = { minimumRequests: 4, failureThreshold: 0.5, window: 10000, openDuration: 5000 };
+
+    it('should open when the failure ratio reaches the threshold', () => {
+      const breaker = new CircuitBreaker('api', options);
+      const onChange = jest.fn();
+      breaker.on('stateChange', onChange);
+
+      send(breaker, 2, 'success');
+      send(breaker, 1, 'failure');
+      expect(breaker.state).toBe('closed');
+
+      send(breaker, 1, 'failure');
+      expect(breaker.state).toBe('open');
+      expect(onChange).toHaveBeenCalledWith({ from: 'closed', to: 'open' });
+      expect(breaker.begin()).toBeNull();
+      expect(breaker.getRetryAfter()).toBe(5000);
+    });
+
+    it('should not open below the minimum number of requests', () => {
+      const breaker = new CircuitBreaker('api', options);
+
+      send(breaker, 3, 'failure');
+
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should forget failures outside the rolling window', () => {
+      const breaker = new CircuitBreaker('api', options);
+
+      send(breaker, 3, 'failure');
+      jest.advanceTimersByTime(11000);
+      send(breaker, 1, 'failure');
+
+      expect(breaker.state).toBe('closed');
+      expect(breaker.getStatus()).toMatchObject({ requests: 1, failures: 1 });
+    });
+
+    it('should close after a successful half-open probe', () => {
+      const breaker = new CircuitBreaker('api', options);
+      send(breaker, 4, 'failure');
+
+      jest.advanceTimersByTime(5000);
+      const probe = breaker.begin();
+      expect(breaker.state).toBe('half-open');
+      // Only one probe at a time
+      expect(breaker.begin()).toBeNull();
+
+      probe('success');
+      expect(breaker.state).toBe('closed');
+      expect(breaker.getStatus().requests).toBe(0);
+    });
+
+    it('should re-open after a failed half-open probe', () => {
+      const breaker = new CircuitBreaker('api', options);
+      send(breaker, 4, 'failure');
+
+      jest.advanceTimersByTime(5000);
+      breaker.begin()('failure');
+
+      expect(breaker.state).toBe('open');
+      expect(breaker.getRetryAfter()).toBe(5000);
+    });
+
+    it('should free the probe slot when a probe is abandoned', () => {
+      const breaker = new CircuitBreaker('api', options);
+      send(breaker, 4, 'failure');
+
+      jest.advanceTimersByTime(5000);
+      breaker.begin()('ignore');
+
+      expect(breaker.state).toBe('half-open');
+      expect(breaker.begin()).not.toBeNull();
+    });
+
+    it('should not keep buckets of a route that never fails', () => {
+      const breaker = new CircuitBreaker('api', options);
+
+      for (let i = 0; i < 100; i++) {
+        send(breaker, 1, 'success');
+        jest.advanceTimersByTime(1000);
+      }
+
+      expect(breaker.buckets.length).toBeLessThanOrEqual(11);
+    });
+
+    it('should only count each request once', () => {
+      const breaker = new CircuitBreaker('api', options);
+      const finish = breaker.begin();
+
+      finish('failure');
+      finish('failure');
+
+      expect(breaker.getStatus().failures).toBe(1);
+    });
+  });
+
+  describe('RetryBudget', () => {
+    it('should allow retries up to the ratio plus the floor', () => {
+      const budget = new RetryBudget({ ratio: 0.1, minPerSecond: 0, window: 10000 });
+
+      for (let i = 0; i < 20; i++) budget.recordRequest();
+
+      expect(budget.tryRetry()).toBe(true);
+      expect(budget.tryRetry()).toBe(true);
+      expect(budget.tryRetry()).toBe(false);
+    });
+
+    it('should allow a minimum number of retries on quiet routes', () => {
+      const budget = new RetryBudget({ ratio: 0, minPerSecond: 0.2, window: 10000 });
+
+      expect(budget.tryRetry()).toBe(true);
+      expect(budget.tryRetry()).toBe(true);
+      expect(budget.tryRetry()).toBe(false);
+    });
+
+    it('should not keep buckets of a route that never retries', () => {
+      const budget = new RetryBudget({ window: 10000 });
+
+      for (let i = 0; i < 100; i++) {
+        budget.recordRequest();
+        jest.advanceTimersByTime(1000);
+      }
+
+      expect(budget.buckets.length).toBeLessThanOrEqual(11);
+    });
+
+    it('should replenish as the window slides', () => {
+      const budget = new RetryBudget({ ratio: 0, minPerSecond: 0.1, window: 10000 });
+
+      expect(budget.tryRetry()).toBe(true);
+      expect(budget.tryRetry()).toBe(false);
+
+      jest.advanceTimersByTime(11000);
+      expect(budget.tryRetry()).toBe(true);
+    });
+  });
+
+  describe('Gateway metrics', () => {
+    it('should track circuit state changes per route', () => {
+      metrics.recordRequest('api');
+      metrics.recordUpstreamError('api', true);
+      metrics.recordCircuitStateChange('api', 'closed', 'open');
+      metrics.recordCircuitRejection('api');
+
+      expect(metrics.getMetrics().routes.api).toMatchObject({
+        requests: 1,
+        upstream_errors: 1,
+        timeouts: 1,
+        circuit_rejections: 1,
+        circuit_state: 'open',
+        circuit_transitions: { open: 1 },
+      });
+    });
+  });
+});
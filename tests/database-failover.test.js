@@ -0,0 +1,110 @@
+const { FailoverManager, isConnectionError, isNotSent, parseHosts } = require('../services/database/failover');
+
+const refused = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' });
+
+// Server state by host: 'primary', 'standby' or 'down'
+const createCluster = (servers) => {
+  const pools = [];
+  const createPool = jest.fn(({ host }) => {
+    const pool = {
+      host,
+      query: jest.fn(() => (servers[host] === 'down'
+        ? Promise.reject(refused())
+        : Promise.resolve({ rows: [{ in_recovery: servers[host] === 'standby' }] }))),
+      end: jest.fn(() => Promise.resolve())
+    };
+    pools.push(pool);
+    return pool;
+  });
+  return { createPool, pools };
+};
+
+describe('Database failover', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should tell connection failures from other errors', () => {
+    expect(isConnectionError(refused())).toBe(true);
+    expect(isConnectionError(Object.assign(new Error('terminating connection'), { code: '57P01' }))).toBe(true);
+    expect(isConnectionError(new Error('Connection terminated unexpectedly'))).toBe(true);
+    expect(isConnectionError(Object.assign(new Error('syntax error'), { code: '42601' }))).toBe(false);
+
+    expect(isNotSent(refused())).toBe(true);
+    expect(isNotSent(new Error('Connection terminated unexpectedly'))).toBe(false);
+
+    expect(parseHosts(['db-1:5433', 'db-2', { host: 'db-3', port: '6432' }])).toEqual([
+      { host: 'db-1', port: 5433 },
+      { host: 'db-2', port: 5432 },
+      { host: 'db-3', port: 6432 }
+    ]);
+  });
+
+  it('should move to the host that is no longer in recovery', async () => {
+    const { createPool, pools } = createCluster({ 'db-1': 'down', 'db-2': 'standby', 'db-3': 'primary' });
+    const manager = new FailoverManager({ hosts: parseHosts(['db-1', 'db-2', 'db-3']), createPool });
+    const detected = jest.fn();
+    const changed = jest.fn();
+    manager.on('failover-detected', detected);
+    manager.on('primary-changed', changed);
+
+    // Queries failing together share one failover
+    const [pool, samePool] = await Promise.all([manager.recover(refused()), manager.recover(refused())]);
+
+    expect(pool).toBe(samePool);
+    expect(pool.host).toBe('db-3');
+    expect(detected).toHaveBeenCalledTimes(1);
+    expect(detected.mock.calls[0][0]).toMatchObject({ host: 'db-1', port: 5432 });
+    expect(changed).toHaveBeenCalledWith(expect.objectContaining({ pool, host: 'db-3', previous: { host: 'db-1', port: 5432 } }));
+    // The standby's probe pool is closed, the new primary's is kept
+    expect(pools.find(probe => probe.host === 'db-2').end).toHaveBeenCalled();
+    expect(pool.end).not.toHaveBeenCalled();
+    expect(manager.getStatus()).toMatchObject({ status: 'healthy', host: 'db-3', failovers: 1 });
+  });
+
+  it('should wait for a single primary to come back', async () => {
+    jest.useFakeTimers();
+    const servers = { localhost: 'down' };
+    const { createPool } = createCluster(servers);
+    const manager = new FailoverManager({ hosts: parseHosts(['localhost']), createPool, retryDelay: 100 });
+
+    const recovered = manager.recover(refused());
+    await jest.advanceTimersByTimeAsync(100 + 200);
+    expect(manager.getStatus().status).toBe('failing_over');
+
+    servers.localhost = 'primary';
+    await jest.advanceTimersByTimeAsync(400);
+
+    expect((await recovered).host).toBe('localhost');
+    expect(createPool).toHaveBeenCalledTimes(4);
+    expect(manager.getStatus().status).toBe('healthy');
+  });
+
+  it('should give up after the configured number of rounds', async () => {
+    jest.useFakeTimers();
+    const { createPool } = createCluster({ 'db-1': 'down', 'db-2': 'standby' });
+    const manager = new FailoverManager({ hosts: parseHosts(['db-1', 'db-2']), createPool, maxAttempts: 3, retryDelay: 100 });
+    const failed = jest.fn();
+    manager.on('failover-failed', failed);
+
+    const recovered = manager.recover(refused());
+    const rejection = expect(recovered).rejects.toThrow('ECONNREFUSED');
+    await jest.advanceTimersByTimeAsync(300);
+    await rejection;
+
+    expect(createPool).toHaveBeenCalledTimes(6);
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ attempts: 3 }));
+    expect(manager.getStatus().status).toBe('unavailable');
+  });
+
+  it('should fail over when the primary was demoted', async () => {
+    const servers = { 'db-1': 'standby', 'db-2': 'primary' };
+    const { createPool } = createCluster(servers);
+    const manager = new FailoverManager({ hosts: parseHosts(['db-1', 'db-2']), createPool });
+    const changed = new Promise(resolve => manager.on('primary-changed', resolve));
+
+    expect(await manager.checkPrimary(createPool({ host: 'db-1' }))).toBe(false);
+
+    expect((await changed).host).toBe('db-2');
+  });
+});
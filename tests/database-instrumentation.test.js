@@ -0,0 +1,148 @@
+const { StatementCache } = require('../services/database/statements');
+const { SlowQueryLog } = require('../services/database/slow-query');
+const metrics = require('../services/database/metrics');
+
+const createClient = (plan) => ({
+  query: jest.fn((text) => Promise.resolve(text.startsWith('EXPLAIN') ? { rows: [{ 'QUERY PLAN': plan }] } : {})),
+  release: jest.fn()
+});
+
+describe('Database query instrumentation', () => {
+  describe('Prepared statements', () => {
+    const select = 'SELECT * FROM users WHERE id = $1';
+
+    it('should prepare queries with parameters once they ran often enough', () => {
+      const cache = new StatementCache({ prepareAfter: 3 });
+
+      expect(cache.nameFor(select, [1])).toBeNull();
+      expect(cache.nameFor(select, [2])).toBeNull();
+      const name = cache.nameFor(select, [3]);
+
+      expect(name).toMatch(/^stmt_[0-9a-f]{16}$/);
+      expect(cache.nameFor(select, [4])).toBe(name);
+      expect(new StatementCache().nameFor(select, [1], true)).toBe(name);
+      expect(cache.nameFor(select, [5], false)).toBeNull();
+      // May hold several statements
+      expect(cache.nameFor('SELECT 1; SELECT 2', [], true)).toBeNull();
+    });
+
+    it('should stop naming statements at the per-connection limit', () => {
+      const cache = new StatementCache({ prepareAfter: 1, maxStatements: 2 });
+
+      expect(cache.nameFor('SELECT $1::int', [1])).not.toBeNull();
+      expect(cache.nameFor('SELECT $1::text', ['a'])).not.toBeNull();
+      expect(cache.nameFor('SELECT $1::bool', [true])).toBeNull();
+
+      // Forgotten statements stay counted, as connections still hold them
+      cache.forget('SELECT $1::int');
+      expect(cache.nameFor('SELECT $1::int', [1])).toBeNull();
+      expect(cache.nameFor('SELECT $1::bool', [true])).toBeNull();
+    });
+  });
+
+  describe('Slow-query log', () => {
+    const logger = { warn: jest.fn() };
+    const query = {
+      queryName: 'getUser',
+      text: ' SELECT * FROM users WHERE id = $1 ',
+      params: [42],
+      loggedParams: [42],
+      durationMs: 1200,
+      rowCount: 1
+    };
+
+    beforeEach(() => {
+      logger.warn.mockClear();
+    });
+
+    it('should only log when enabled and over the threshold', () => {
+      expect(new SlowQueryLog({}, { logger }).isSlow(10000)).toBe(false);
+
+      const log = new SlowQueryLog({ enabled: true, thresholdMs: 100 }, { logger });
+      expect(log.isSlow(99)).toBe(false);
+      expect(log.isSlow(100)).toBe(true);
+    });
+
+    it('should log the plan from EXPLAIN ANALYZE, rolled back', async () => {
+      const plan = [{ Plan: { 'Node Type': 'Seq Scan' } }];
+      const client = createClient(plan);
+      const log = new SlowQueryLog({ enabled: true }, { connect: async () => client, logger });
+
+      const entry = await log.record(query);
+
+      expect(entry).toMatchObject({ queryName: 'getUser', durationMs: 1200, query: 'SELECT * FROM users WHERE id = $1', plan });
+      expect(logger.warn).toHaveBeenCalledWith(entry, 'Slow query');
+      expect(client.query.mock.calls.map(([text]) => text)).toEqual([
+        'BEGIN READ ONLY',
+        'SET LOCAL statement_timeout = 30000',
+        `EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${query.text}`,
+        'ROLLBACK'
+      ]);
+      expect(client.query.mock.calls[2][1]).toEqual([42]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should explain on the pool that ran the query', async () => {
+      const primary = createClient([]);
+      const replica = createClient([{ Plan: { 'Node Type': 'Index Scan' } }]);
+      const replicaPool = {};
+      const connect = jest.fn(async pool => (pool === replicaPool ? replica : primary));
+      const log = new SlowQueryLog({ enabled: true }, { connect, logger });
+
+      const entry = await log.record({ ...query, pool: replicaPool });
+
+      expect(connect).toHaveBeenCalledWith(replicaPool);
+      expect(entry.plan).toEqual([{ Plan: { 'Node Type': 'Index Scan' } }]);
+      expect(primary.query).not.toHaveBeenCalled();
+      expect(replica.release).toHaveBeenCalled();
+    });
+
+    it('should explain a query name once per interval and leave writes alone', async () => {
+      const client = createClient([]);
+      const log = new SlowQueryLog({ enabled: true, explainInterval: 60000 }, { connect: async () => client, logger });
+
+      await log.record(query);
+      const again = await log.record(query);
+      const write = await log.record({ ...query, queryName: 'addUser', text: 'INSERT INTO users (name) VALUES ($1)' });
+
+      expect(again.plan).toBeUndefined();
+      expect(write.plan).toBeUndefined();
+      expect(logger.warn).toHaveBeenCalledTimes(3);
+      expect(client.query.mock.calls.filter(([text]) => text.startsWith('EXPLAIN'))).toHaveLength(1);
+    });
+
+    it('should log the query when EXPLAIN fails', async () => {
+      const log = new SlowQueryLog({ enabled: true }, {
+        connect: () => Promise.reject(new Error('timeout exceeded when trying to connect')),
+        logger
+      });
+
+      expect(await log.record(query)).toMatchObject({ queryName: 'getUser', explainError: 'timeout exceeded when trying to connect' });
+    });
+  });
+
+  describe('Duration histograms', () => {
+    beforeEach(() => {
+      metrics.reset();
+    });
+
+    it('should count durations per query name in cumulative buckets', () => {
+      [3, 8, 40, 400, 20000].forEach(ms => metrics.recordQuery('getUser', ms, { prepared: true }));
+      metrics.recordQuery('getUser', 30, { error: true });
+      metrics.recordQuery('listOrders', 1);
+
+      const { buckets, queries } = metrics.getMetrics();
+      const { duration } = queries.getUser;
+
+      expect(queries.getUser).toMatchObject({ count: 6, errors: 1, prepared: 5 });
+      expect(buckets[duration.buckets.length - 1]).toBe('+Inf');
+      expect(duration.buckets[buckets.indexOf(5)]).toBe(1);
+      expect(duration.buckets[buckets.indexOf(50)]).toBe(4);
+      expect(duration.buckets[buckets.indexOf(10000)]).toBe(5);
+      expect(duration.buckets[buckets.length - 1]).toBe(6);
+      expect(duration.p50).toBe(50);
+      expect(duration.p99).toBe(20000);
+      expect(queries.listOrders.count).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { ReplicaRouter, MAX_LSN, parseLsn } = require('../services/database/routing');
+
+// Row of REPLICA_STATUS_QUERY
+const replica = (replayLsn, replayAge, receiveLsn = replayLsn) => ({
+  replay_lsn: replayLsn,
+  receive_lsn: receiveLsn,
+  replay_age_seconds: replayAge
+});
+
+const createPool = (status) => ({
+  query: jest.fn(() => (status instanceof Error ? Promise.reject(status) : Promise.resolve({ rows: [status] })))
+});
+
+describe('Replica read routing', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new ReplicaRouter({ maxLagSeconds: 5 });
+  });
+
+  it('should compare LSNs numerically', () => {
+    expect(parseLsn('16/B374D848') > parseLsn('16/B374D84')).toBe(true);
+    expect(parseLsn('17/0') > parseLsn('16/FFFFFFFF')).toBe(true);
+    expect(parseLsn(MAX_LSN) > parseLsn('FFFF/0')).toBe(true);
+  });
+
+  it('should leave out replicas that are unchecked, failing or lagging', async () => {
+    const lagging = createPool(replica('0/10', '30.5'));
+    const failing = createPool(new Error('connection refused'));
+    const healthy = createPool(replica('0/18', '0.2'));
+    const pools = [lagging, failing, healthy];
+
+    expect(router.select(pools)).toEqual({ pool: null, reason: 'replicas_lagging' });
+
+    const states = await router.check(pools, '0/20');
+
+    expect(states.map(state => state.healthy)).toEqual([true, false, true]);
+    expect(states[0].lagSeconds).toBe(30.5);
+    expect(router.select(pools)).toEqual({ pool: healthy, reason: 'replica' });
+    expect(router.select([])).toEqual({ pool: null, reason: 'no_replicas' });
+  });
+
+  it('should see the lag of a replica whose WAL receiver stopped', async () => {
+    // Replayed everything it received, a minute ago
+    const stalled = createPool(replica('0/10', '60'));
+    const idle = createPool(replica('0/20', '60'));
+    const starting = createPool(replica('0/8', null, '0/20'));
+
+    const states = await router.check([stalled, idle, starting], '0/20');
+
+    expect(states.map(state => state.lagSeconds)).toEqual([60, 0, Infinity]);
+    expect(router.select([stalled, starting])).toEqual({ pool: null, reason: 'replicas_lagging' });
+
+    // Without the primary's position, only against the WAL it received
+    expect((await router.check([stalled]))[0].lagSeconds).toBe(0);
+    expect((await router.check([starting]))[0].lagSeconds).toBe(Infinity);
+  });
+
+  it('should prefer the replica with the lowest latency', async () => {
+    const pools = [createPool(replica('0/10', '60')), createPool(replica('0/10', '60'))];
+    await router.check(pools);
+
+    router.recordLatency(pools[0], 50);
+    router.recordLatency(pools[1], 10);
+    expect(router.select(pools).pool).toBe(pools[1]);
+
+    // Moving average: the newest sample weighs 30%
+    router.recordLatency(pools[1], 100);
+    expect(router.state(pools[1]).latency).toBeGreaterThan(30);
+    expect(router.state(pools[1]).latency).toBeLessThan(35);
+    expect(router.select(pools).pool).toBe(pools[0]);
+  });
+
+  it('should send reads after a write to replicas that replayed it', async () => {
+    const behind = createPool(replica('0/3000', '0.5'));
+    const caughtUp = createPool(replica('0/5000', '1'));
+    const pools = [behind, caughtUp];
+    await router.check(pools, '0/5000');
+    router.recordLatency(behind, 1);
+    router.recordLatency(caughtUp, 100);
+
+    expect(router.select(pools, {}).pool).toBe(behind);
+    expect(router.select(pools, { lsn: '0/4000' }).pool).toBe(caughtUp);
+    expect(router.select(pools, { lsn: '0/6000' })).toEqual({ pool: null, reason: 'read_your_writes' });
+    expect(router.select(pools, { lsn: MAX_LSN }).pool).toBeNull();
+  });
+});
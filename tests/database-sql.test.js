@@ -0,0 +1,158 @@
+const sql = require('../services/database/sql');
+
+jest.mock('../services/database/pool', () => ({ connect: jest.fn() }));
+jest.mock('../services/logger', () => ({
+  child: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() })
+}), { virtual: true });
+jest.mock('../config', () => ({ database: {} }), { virtual: true });
+
+// COPY FROM STDIN stream that keeps what it is sent, or fails after `failAfter` chunks
+jest.mock('pg-copy-streams', () => ({
+  from: jest.fn((text) => {
+    const { Writable } = jest.requireActual('stream');
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        callback(chunks.length > stream.failAfter ? new Error('invalid input syntax') : null);
+      },
+      final(callback) {
+        stream.rowCount = chunks.length;
+        callback();
+      }
+    });
+    return Object.assign(stream, { text, chunks, failAfter: Infinity });
+  })
+}), { virtual: true });
+
+describe('SQL builder', () => {
+  it('should quote identifiers so column names cannot inject SQL', () => {
+    expect(sql.quoteIdentifier('user_id')).toBe('"user_id"');
+    expect(sql.quoteIdentifier('name"); DROP TABLE users; --')).toBe('"name""); DROP TABLE users; --"');
+    expect(sql.quoteTable('sales.orders')).toBe('"sales"."orders"');
+    expect(() => sql.quoteIdentifier('')).toThrow('Invalid identifier');
+    expect(() => sql.quoteIdentifier('a\0b')).toThrow('Invalid identifier');
+    expect(() => sql.quoteTable('a.b.c')).toThrow('Invalid table name');
+
+    const { text, values } = sql.buildInsert('users', { 'email" TEXT); DROP TABLE users; --': 'x' });
+    expect(text).toBe('INSERT INTO "users" ("email"" TEXT); DROP TABLE users; --") VALUES ($1) RETURNING *');
+    expect(values).toEqual(['x']);
+  });
+
+  it('should insert several rows, with DEFAULT for missing columns', () => {
+    const { text, values } = sql.buildInsert('items', [
+      { sku: 'A1', quantity: 5 },
+      { sku: 'B2', note: 'fragile' }
+    ], { returning: 'id, sku' });
+
+    expect(text).toBe(
+      'INSERT INTO "items" ("sku", "quantity", "note") VALUES ($1, $2, DEFAULT), ($3, DEFAULT, $4) RETURNING "id", "sku"'
+    );
+    expect(values).toEqual(['A1', 5, 'B2', 'fragile']);
+  });
+
+  it('should build upserts', () => {
+    const rows = [{ sku: 'A1', warehouse: 'north', quantity: 5 }];
+
+    expect(sql.buildInsert('stock', rows, { onConflict: { target: ['sku', 'warehouse'] }, returning: null }).text).toBe(
+      'INSERT INTO "stock" ("sku", "warehouse", "quantity") VALUES ($1, $2, $3) ' +
+      'ON CONFLICT ("sku", "warehouse") DO UPDATE SET "quantity" = EXCLUDED."quantity"'
+    );
+    expect(sql.buildInsert('stock', rows, { onConflict: { constraint: 'stock_pkey', update: ['quantity'] } }).text)
+      .toContain('ON CONFLICT ON CONSTRAINT "stock_pkey" DO UPDATE SET "quantity" = EXCLUDED."quantity" RETURNING *');
+    expect(sql.buildInsert('stock', rows, { onConflict: { update: false } }).text).toContain('ON CONFLICT DO NOTHING');
+    expect(() => sql.buildInsert('stock', rows, { onConflict: { update: ['quantity'] } })).toThrow('conflict target');
+  });
+
+  it('should build updates and deletes that require a condition', () => {
+    expect(sql.buildUpdate('users', { name: 'Ann', bio: undefined }, { id: 7, deleted_at: null })).toEqual({
+      text: 'UPDATE "users" SET "name" = $1 WHERE "id" = $2 AND "deleted_at" IS NULL RETURNING *',
+      values: ['Ann', 7]
+    });
+    expect(sql.buildDelete('sessions', { user_id: [1, 2] }, { returning: ['id'] })).toEqual({
+      text: 'DELETE FROM "sessions" WHERE "user_id" = ANY($1) RETURNING "id"',
+      values: [[1, 2]]
+    });
+    expect(() => sql.buildDelete('sessions', {})).toThrow('A WHERE condition is required');
+    expect(() => sql.buildUpdate('users', {}, { id: 1 })).toThrow('Nothing to update');
+  });
+
+  it('should seek past the cursor for keyset pagination', () => {
+    const orderBy = [{ column: 'created_at', direction: 'desc' }, 'id'];
+
+    expect(sql.buildKeysetQuery('orders', { orderBy, limit: 20 })).toEqual({
+      text: 'SELECT * FROM "orders" ORDER BY "created_at" DESC, "id" ASC LIMIT $1',
+      values: [20]
+    });
+
+    const cursor = sql.encodeCursor({ id: 42, created_at: '2024-05-01T10:00:00.000Z', total: 10 }, orderBy);
+    const after = sql.decodeCursor(cursor);
+    expect(after).toEqual(['2024-05-01T10:00:00.000Z', 42]);
+
+    expect(sql.buildKeysetQuery('orders', { orderBy, after, where: { status: 'paid' }, columns: ['id', 'created_at'] })).toEqual({
+      text: 'SELECT "id", "created_at" FROM "orders" WHERE "status" = $1 AND ' +
+        '(("created_at" < $2) OR ("created_at" = $2 AND "id" > $3)) ' +
+        'ORDER BY "created_at" DESC, "id" ASC LIMIT $4',
+      values: ['paid', '2024-05-01T10:00:00.000Z', 42, 50]
+    });
+    expect(() => sql.decodeCursor('not a cursor')).toThrow('Invalid cursor');
+    expect(() => sql.buildKeysetQuery('orders', { orderBy: { column: 'id', direction: 'up' } })).toThrow('Invalid sort direction');
+  });
+
+  it('should encode rows for COPY', () => {
+    const columns = ['id', 'note', 'tags', 'data', 'created_at', 'deleted_at'];
+
+    expect(sql.copyStatement('events', columns))
+      .toBe('COPY "events" ("id", "note", "tags", "data", "created_at", "deleted_at") FROM STDIN');
+    expect(sql.encodeCopyRow({
+      id: 1,
+      note: 'tab\there\nnew line \\ backslash',
+      tags: { a: 1 },
+      data: Buffer.from([0xde, 0xad]),
+      created_at: new Date('2024-05-01T10:00:00Z'),
+      deleted_at: null
+    }, columns)).toBe('1\ttab\\there\\nnew line \\\\ backslash\t{"a":1}\t\\\\xdead\t2024-05-01T10:00:00.000Z\t\\N\n');
+  });
+
+  it('should encode arrays for COPY as array literals', () => {
+    expect(sql.encodeCopyRow({ ids: [1, 2], tags: ['a b', 'say "hi"', null], grid: [[1, 2], [3, 4]], data: { ids: [1] } },
+      ['ids', 'tags', 'grid', 'data']))
+      .toBe('{1,2}\t{"a b","say \\\\"hi\\\\"",NULL}\t{{1,2},{3,4}}\t{"ids":[1]}\n');
+  });
+
+  describe('Bulk load', () => {
+    const dbPool = require('../services/database/pool');
+    const { from } = require('pg-copy-streams');
+    const query = require('../services/database/query');
+    let client;
+
+    beforeEach(() => {
+      // pg hands back the stream it is given to run
+      client = { query: jest.fn(stream => stream), release: jest.fn() };
+      dbPool.connect.mockResolvedValue(client);
+    });
+
+    it('should stream rows through COPY FROM STDIN', async () => {
+      async function* rows() {
+        yield { id: 1, tags: ['a', 'b'] };
+        yield { id: 2, tags: null };
+      }
+
+      expect(await query.copyFrom('events', ['id', 'tags'], rows())).toBe(2);
+
+      const stream = from.mock.results[0].value;
+      expect(stream.text).toBe('COPY "events" ("id", "tags") FROM STDIN');
+      expect(stream.chunks.join('')).toBe('1\t{"a","b"}\n2\t\\N\n');
+      expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    it('should not reuse the connection of a failed load', async () => {
+      client.query.mockImplementation((stream) => Object.assign(stream, { failAfter: 1 }));
+
+      const error = await query.copyFrom('events', ['id'], [{ id: 1 }, { id: 'x' }]).catch(e => e);
+
+      expect(error.message).toBe('invalid input syntax');
+      expect(client.release).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { beginStatement, runTransaction } = require('../services/database/transaction');
+
+const serializationFailure = () => Object.assign(new Error('could not serialize access'), { code: '40001' });
+
+// Client whose queries fail with the error `failures` returns for them, if any
+const createClient = (log, failures = () => null) => ({
+  query: jest.fn(async (text) => {
+    log.push(text);
+    const error = failures(text);
+    if (error) throw error;
+    return { rows: [] };
+  }),
+  release: jest.fn()
+});
+
+describe('Database transactions', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should begin with the isolation level and access mode', () => {
+    expect(beginStatement({})).toBe('BEGIN');
+    expect(beginStatement({ isolationLevel: 'serializable', readOnly: true, deferrable: true }))
+      .toBe('BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE');
+    expect(beginStatement({ isolationLevel: 'REPEATABLE_READ' })).toBe('BEGIN ISOLATION LEVEL REPEATABLE READ');
+    expect(() => beginStatement({ isolationLevel: 'SERIALIZABLE; DROP TABLE users' })).toThrow('Unknown isolation level');
+  });
+
+  it('should set the statement timeout and commit', async () => {
+    const log = [];
+    const client = createClient(log);
+
+    const result = await runTransaction(async () => client, async (tx) => {
+      await tx.query('UPDATE stock SET quantity = quantity - 1 WHERE sku = $1', ['A1']);
+      return 'done';
+    }, { isolationLevel: 'SERIALIZABLE', statementTimeout: 2000 });
+
+    expect(result).toBe('done');
+    expect(log).toEqual([
+      'BEGIN ISOLATION LEVEL SERIALIZABLE',
+      'SET LOCAL statement_timeout = 2000',
+      'UPDATE stock SET quantity = quantity - 1 WHERE sku = $1',
+      'COMMIT'
+    ]);
+    expect(client.release).toHaveBeenCalledWith(undefined);
+  });
+
+  it('should roll back nested transactions to their savepoint only', async () => {
+    const log = [];
+    const client = createClient(log, text => (text === 'INSERT reservation' ? new Error('duplicate key') : null));
+
+    const result = await runTransaction(async () => client, async (tx) => {
+      await tx.query('UPDATE stock');
+      const reserved = await tx.transaction(async (inner) => {
+        await inner.query('INSERT reservation');
+      }).catch(() => false);
+      await tx.transaction(async (inner) => {
+        await inner.transaction(innermost => innermost.query('INSERT audit'));
+      });
+      return reserved;
+    });
+
+    expect(result).toBe(false);
+    expect(log).toEqual([
+      'BEGIN',
+      'UPDATE stock',
+      'SAVEPOINT sp_1_1',
+      'INSERT reservation',
+      'ROLLBACK TO SAVEPOINT sp_1_1',
+      'SAVEPOINT sp_1_2',
+      'SAVEPOINT sp_2_1',
+      'INSERT audit',
+      'RELEASE SAVEPOINT sp_2_1',
+      'RELEASE SAVEPOINT sp_1_2',
+      'COMMIT'
+    ]);
+  });
+
+  it('should run again after serialization failures and deadlocks, with jittered backoff', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const log = [];
+    let commits = 0;
+    const client = createClient(log, text => {
+      if (text === 'UPDATE stock' && log.filter(entry => entry === 'UPDATE stock').length === 1) {
+        return Object.assign(new Error('deadlock detected'), { code: '40P01' });
+      }
+      if (text === 'COMMIT' && ++commits === 1) return serializationFailure();
+      return null;
+    });
+    const callback = jest.fn(async (tx) => {
+      // Caught by the callback: the transaction still runs again
+      await tx.transaction(inner => inner.query('UPDATE stock')).catch(() => {});
+    });
+    const onRetry = jest.fn();
+
+    const done = runTransaction(async () => client, callback, { backoff: { initialDelay: 20, jitter: 1 } }, onRetry);
+    await jest.advanceTimersByTimeAsync(30 + 60);
+    await done;
+
+    expect(callback).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([error, retry, delay]) => [error.code, retry, delay])).toEqual([
+      ['40P01', 1, 30],
+      ['40001', 2, 60]
+    ]);
+    // No rollback to the savepoint of a transaction that runs again
+    expect(log).not.toContain('ROLLBACK TO SAVEPOINT sp_1_1');
+    expect(log.filter(entry => entry === 'ROLLBACK')).toHaveLength(2);
+    expect(client.release).toHaveBeenCalledTimes(3);
+  });
+
+  it('should give up after maxRetries and not retry other errors', async () => {
+    const client = createClient([], text => (text === 'UPDATE stock' ? serializationFailure() : null));
+    const update = tx => tx.query('UPDATE stock');
+
+    const error = await runTransaction(async () => client, update, { maxRetries: 2, backoff: { initialDelay: 1 } })
+      .catch(e => e);
+    expect(error.code).toBe('40001');
+    expect(error.attempts).toBe(3);
+
+    const failing = jest.fn(async () => {
+      throw new Error('out of stock');
+    });
+    await expect(runTransaction(async () => client, failing)).rejects.toThrow('out of stock');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not hand a client that failed to roll back to the pool', async () => {
+    const broken = new Error('Connection terminated unexpectedly');
+    const client = createClient([], text => (text === 'SELECT 1' || text === 'ROLLBACK' ? broken : null));
+
+    await expect(runTransaction(async () => client, tx => tx.query('SELECT 1'))).rejects.toBe(broken);
+    expect(client.release).toHaveBeenCalledWith(broken);
+  });
+});
@@ -0,0 +1,572 @@
+const { EventEmitter } = require('events');
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+// Redis scripts run on Lua 5.1, which still has math.pow; fengari is Lua 5.3
+const LUA_PRELUDE = 'math.pow = function(a, b) return a ^ b end';
+
+const str = value => (Buffer.isBuffer(value) ? value.toString() : String(value));
+const buf = value => (Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+
+/**
+ * Parse a sorted set range bound: -inf, +inf, 5 or (5 (exclusive)
+ */
+function scoreBound(bound) {
+  const text = str(bound);
+  const exclusive = text.startsWith('(');
+  const value = Number((exclusive ? text.slice(1) : text).replace(/inf$/i, 'Infinity'));
+  return { value, exclusive };
+}
+
+/**
+ * Match a key against a SCAN glob pattern
+ */
+function globMatch(pattern, key) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') source += `\\${pattern[++i]}`;
+    else if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[.+^${}()|[\]]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 's').test(key);
+}
+
+/**
+ * Hash a key to a cluster node, honouring {hash tags}
+ */
+function keySlot(key) {
+  const tag = /\{([^}]+)\}/.exec(key);
+  let hash = 0;
+  for (const char of tag ? tag[1] : key) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Convert a reply to what ioredis returns: strings, or Buffers for the *Buffer variants
+ */
+function toReply(result, binary) {
+  if (Buffer.isBuffer(result)) return binary ? result : result.toString();
+  if (Array.isArray(result)) return result.map(item => toReply(item, binary));
+  if (result && typeof result === 'object') {
+    return Object.fromEntries(Object.entries(result).map(([field, value]) => [field, toReply(value, binary)]));
+  }
+  return result;
+}
+
+/**
+ * Push a command reply onto the Lua stack the way Redis does (nil becomes false)
+ */
+function pushReply(L, result) {
+  if (result === null || result === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof result === 'number') {
+    lua.lua_pushinteger(L, result);
+  } else if (Array.isArray(result)) {
+    lua.lua_createtable(L, result.length, 0);
+    result.forEach((item, index) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else {
+    lua.lua_pushstring(L, new Uint8Array(buf(result)));
+  }
+}
+
+/**
+ * Read a script's return value the way Redis does (numbers truncated, false becomes nil)
+ */
+function readReply(L, index) {
+  const at = lua.lua_absindex(L, index);
+  switch (lua.lua_type(L, at)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, at));
+    case lua.LUA_TSTRING:
+      return Buffer.from(lua.lua_tolstring(L, at));
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, at) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const items = [];
+      for (let i = 1; lua.lua_rawgeti(L, at, i) !== lua.LUA_TNIL; i++) {
+        items.push(readReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pop(L, 1);
+      return items;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read a flat Lua table of strings and numbers into an object, for cjson.encode
+ */
+function readObject(L, index) {
+  const object = {};
+  lua.lua_pushnil(L);
+  while (lua.lua_next(L, index) !== 0) {
+    const field = lua.lua_tojsstring(L, -2);
+    object[field] = lua.lua_type(L, -1) === lua.LUA_TNUMBER ? lua.lua_tonumber(L, -1) : lua.lua_tojsstring(L, -1);
+    lua.lua_pop(L, 1);
+  }
+  return object;
+}
+
+/**
+ * In-memory Redis for tests. Runs Lua scripts (eval, defineCommand) for real on fengari,
+ * with redis.call bound to the same data, so script logic is exercised as Redis would run it.
+ */
+class FakeRedis extends EventEmitter {
+  /**
+   * @param {Object} [options] - ioredis options; only keyPrefix is used
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.status = 'ready';
+    this.data = new Map();
+    this.scripts = {};
+    this.commands = {
+      get: ([key]) => this._read(key, 'string'),
+      set: ([key, value, ...options]) => {
+        const flags = options.map(str).map(option => option.toUpperCase());
+        const exists = this._read(key, 'string') !== null;
+        if ((flags.includes('NX') && exists) || (flags.includes('XX') && !exists)) return null;
+
+        const ex = flags.indexOf('EX');
+        const px = flags.indexOf('PX');
+        const ttl = ex >= 0 ? Number(options[ex + 1]) * 1000 : px >= 0 ? Number(options[px + 1]) : null;
+        this.data.set(str(key), { type: 'string', value: buf(value), expiresAt: ttl ? Date.now() + ttl : null });
+        return 'OK';
+      },
+      del: keys => keys.filter(key => this._entry(key) && this.data.delete(str(key))).length,
+      unlink: keys => this.commands.del(keys),
+      exists: keys => keys.filter(key => this._entry(key)).length,
+      expire: ([key, seconds]) => this._expire(key, Number(seconds) * 1000),
+      pexpire: ([key, ms]) => this._expire(key, Number(ms)),
+      persist: ([key]) => {
+        const entry = this._entry(key);
+        if (!entry || entry.expiresAt === null) return 0;
+        entry.expiresAt = null;
+        return 1;
+      },
+      ttl: ([key]) => {
+        const pttl = this.commands.pttl([key]);
+        return pttl < 0 ? pttl : Math.round(pttl / 1000);
+      },
+      pttl: ([key]) => {
+        const entry = this._entry(key);
+        if (!entry) return -2;
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+      },
+      hget: ([key, field]) => this._hash(key).get(str(field)) || null,
+      hset: ([key, ...pairs]) => {
+        const hash = this._hash(key, true);
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+          if (!hash.has(str(pairs[i]))) added++;
+          hash.set(str(pairs[i]), buf(pairs[i + 1]));
+        }
+        return added;
+      },
+      hsetnx: ([key, field, value]) => {
+        const hash = this._hash(key, true);
+        if (hash.has(str(field))) return 0;
+        hash.set(str(field), buf(value));
+        return 1;
+      },
+      hdel: ([key, ...fields]) => this._remove(key, 'hash', fields),
+      hincrby: ([key, field, increment]) => {
+        const hash = this._hash(key, true);
+        const value = Number(str(hash.get(str(field)) || 0)) + Number(increment);
+        hash.set(str(field), buf(value));
+        return value;
+      },
+      hgetall: ([key]) => Object.fromEntries(this._hash(key)),
+      zadd: ([key, ...args]) => {
+        const flags = [];
+        while (['NX', 'XX'].includes(str(args[0]).toUpperCase())) flags.push(str(args.shift()).toUpperCase());
+        const zset = this._zset(key, true);
+        let added = 0;
+        for (let i = 0; i < args.length; i += 2) {
+          const member = str(args[i + 1]);
+          if (flags.includes('NX') && zset.has(member)) continue;
+          if (flags.includes('XX') && !zset.has(member)) continue;
+          if (!zset.has(member)) added++;
+          zset.set(member, Number(str(args[i])));
+        }
+        return added;
+      },
+      zrem: ([key, ...members]) => this._remove(key, 'zset', members),
+      zcard: ([key]) => this._zset(key).size,
+      zscore: ([key, member]) => {
+        const score = this._zset(key).get(str(member));
+        return score === undefined ? null : String(score);
+      },
+      zrange: ([key, start, stop, withScores]) => {
+        const entries = this._sorted(key);
+        const from = Number(start) < 0 ? entries.length + Number(start) : Number(start);
+        const to = Number(stop) < 0 ? entries.length + Number(stop) : Number(stop);
+        return this._members(entries.slice(from, to + 1), withScores);
+      },
+      zrangebyscore: ([key, min, max, ...options]) => {
+        const lower = scoreBound(min);
+        const upper = scoreBound(max);
+        let entries = this._sorted(key).filter(([, score]) =>
+          (lower.exclusive ? score > lower.value : score >= lower.value) &&
+          (upper.exclusive ? score < upper.value : score <= upper.value));
+
+        const flags = options.map(option => str(option).toUpperCase());
+        const limit = flags.indexOf('LIMIT');
+        if (limit >= 0) {
+          const offset = Number(options[limit + 1]);
+          const count = Number(options[limit + 2]);
+          entries = entries.slice(offset, count < 0 ? undefined : offset + count);
+        }
+        return this._members(entries, flags.includes('WITHSCORES') ? 'WITHSCORES' : null);
+      },
+      sadd: ([key, ...members]) => {
+        const set = this._set(key, true);
+        const added = members.filter(member => !set.has(str(member)));
+        added.forEach(member => set.add(str(member)));
+        return added.length;
+      },
+      srem: ([key, ...members]) => this._remove(key, 'set', members),
+      smembers: ([key]) => [...this._set(key)],
+      sscan: ([key, cursor, ...options]) => this._scan([...this._set(key)], cursor, options),
+      scan: ([cursor, ...options]) => this._scan([...this.data.keys()].filter(key => this._entry(key)), cursor, options),
+      publish: () => 0
+    };
+  }
+
+  /**
+   * Run a Redis command by name, synchronously
+   * @param {string} command - Command name (case-insensitive)
+   * @param {Array} args - Command arguments
+   * @returns {*} Raw reply, bulk strings as Buffers
+   */
+  call(command, args) {
+    const name = command.toLowerCase();
+    if (this.scripts[name]) {
+      const { numberOfKeys, lua: script } = this.scripts[name];
+      return this._runScript(script, args.slice(0, numberOfKeys), args.slice(numberOfKeys));
+    }
+    if (name === 'eval') {
+      const numberOfKeys = Number(args[1]);
+      return this._runScript(str(args[0]), args.slice(2, 2 + numberOfKeys), args.slice(2 + numberOfKeys));
+    }
+    if (!this.commands[name]) {
+      throw new Error(`ERR unknown command '${command}'`);
+    }
+    return this.commands[name](args);
+  }
+
+  /**
+   * Register a script as a command, like ioredis
+   * @param {string} name - Command name
+   * @param {Object} definition - { numberOfKeys, lua }
+   */
+  defineCommand(name, definition) {
+    this.scripts[name.toLowerCase()] = definition;
+    this._addCommand(this, name);
+  }
+
+  /**
+   * Positions of the key arguments of a command
+   * @param {string} name - Lowercase command name
+   * @param {Array} args - Command arguments
+   * @returns {number[]}
+   */
+  keyIndexes(name, args) {
+    const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+    if (name === 'eval') return range(2, 2 + Number(args[1]));
+    if (this.scripts[name]) return range(0, this.scripts[name].numberOfKeys);
+    if (['del', 'exists', 'unlink'].includes(name)) return range(0, args.length);
+    if (['scan', 'publish'].includes(name)) return [];
+    return [0];
+  }
+
+  /**
+   * Queue commands and run them together, like ioredis multi() and pipeline()
+   * @returns {Object} Chainable command queue with exec()
+   */
+  multi() {
+    const queued = [];
+    const batch = {
+      exec: async () => queued.map(({ name, args }) => {
+        try {
+          const command = name.replace(/Buffer$/, '');
+          return [null, toReply(this.call(command, this._prefixed(command, args)), name.endsWith('Buffer'))];
+        } catch (error) {
+          return [error, null];
+        }
+      })
+    };
+    this._commandNames().forEach(name => {
+      [name, `${name}Buffer`].forEach(method => {
+        batch[method] = (...args) => {
+          queued.push({ name: method, args });
+          return batch;
+        };
+      });
+    });
+    return batch;
+  }
+
+  pipeline() {
+    return this.multi();
+  }
+
+  /**
+   * Another connection to the same data, like ioredis duplicate()
+   * @returns {FakeRedis}
+   */
+  duplicate() {
+    const connection = new FakeRedis(this.options);
+    connection.data = this.data;
+    return connection;
+  }
+
+  async subscribe(...channels) {
+    return channels.length;
+  }
+
+  async quit() {
+    this.status = 'end';
+    return 'OK';
+  }
+
+  /**
+   * @private
+   */
+  _commandNames() {
+    return [...Object.keys(this.commands), 'eval', ...Object.keys(this.scripts)];
+  }
+
+  /**
+   * Expose a command and its Buffer variant as async methods
+   * @private
+   */
+  _addCommand(target, name) {
+    target[name] = async (...args) => toReply(this.call(name, this._prefixed(name, args)), false);
+    target[`${name}Buffer`] = async (...args) => toReply(this.call(name, this._prefixed(name, args)), true);
+  }
+
+  /**
+   * Add the keyPrefix to key arguments, as ioredis does (SCAN patterns and replies are left alone)
+   * @private
+   */
+  _prefixed(name, args) {
+    const prefix = this.options.keyPrefix;
+    if (!prefix) return args;
+    const indexes = this.keyIndexes(name.toLowerCase(), args);
+    return args.map((arg, index) => (indexes.includes(index) ? `${prefix}${str(arg)}` : arg));
+  }
+
+  /**
+   * Look up a key, dropping it if it expired
+   * @private
+   */
+  _entry(key) {
+    const entry = this.data.get(str(key));
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(str(key));
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * @private
+   */
+  _read(key, type) {
+    const entry = this._entry(key);
+    if (!entry) return null;
+    if (entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry.value;
+  }
+
+  /**
+   * Get a collection, creating it if asked to; an empty one otherwise
+   * @private
+   */
+  _collection(key, type, create, empty) {
+    const value = this._read(key, type);
+    if (value) return value;
+    if (!create) return empty;
+    const created = empty;
+    this.data.set(str(key), { type, value: created, expiresAt: null });
+    return created;
+  }
+
+  /**
+   * @private
+   */
+  _hash(key, create = false) {
+    return this._collection(key, 'hash', create, new Map());
+  }
+
+  /**
+   * @private
+   */
+  _set(key, create = false) {
+    return this._collection(key, 'set', create, new Set());
+  }
+
+  /**
+   * @private
+   */
+  _zset(key, create = false) {
+    return this._collection(key, 'zset', create, new Map());
+  }
+
+  /**
+   * Remove members of a hash or sorted set, deleting the key once it is empty
+   * @private
+   */
+  _remove(key, type, members) {
+    const collection = this._collection(key, type, false, new Map());
+    const removed = members.filter(member => collection.delete(str(member))).length;
+    if (collection.size === 0) this.data.delete(str(key));
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  _expire(key, ms) {
+    const entry = this._entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ms;
+    return 1;
+  }
+
+  /**
+   * One SCAN/SSCAN page: COUNT items from the cursor, then filtered by MATCH
+   * @private
+   */
+  _scan(items, cursor, options) {
+    const flags = options.map(option => str(option).toUpperCase());
+    const match = flags.indexOf('MATCH');
+    const count = flags.indexOf('COUNT');
+    const from = Number(cursor);
+    const to = from + (count >= 0 ? Number(options[count + 1]) : 10);
+    const page = items.slice(from, to);
+    return [
+      to >= items.length ? '0' : String(to),
+      match >= 0 ? page.filter(item => globMatch(str(options[match + 1]), item)) : page
+    ];
+  }
+
+  /**
+   * Sorted set entries ordered by score, then member
+   * @private
+   */
+  _sorted(key) {
+    return [...this._zset(key)].sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  /**
+   * @private
+   */
+  _members(entries, withScores) {
+    return withScores && str(withScores).toUpperCase() === 'WITHSCORES'
+      ? entries.flatMap(([member, score]) => [member, String(score)])
+      : entries.map(([member]) => member);
+  }
+
+  /**
+   * Run a Lua script with KEYS, ARGV, redis.call and cjson.encode
+   * @private
+   */
+  _runScript(script, keys, args) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+
+    const setArray = (name, values) => {
+      pushReply(L, values.map(buf));
+      lua.lua_setglobal(L, to_luastring(name));
+    };
+    setArray('KEYS', keys);
+    setArray('ARGV', args);
+
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, (state) => {
+      const argv = [];
+      for (let i = 1; i <= lua.lua_gettop(state); i++) {
+        argv.push(Buffer.from(lua.lua_tolstring(state, i)));
+      }
+      try {
+        pushReply(state, this.call(str(argv[0]), argv.slice(1)));
+      } catch (error) {
+        lua.lua_pushstring(state, to_luastring(error.message));
+        return lua.lua_error(state);
+      }
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, (state) => {
+      lua.lua_pushstring(state, to_luastring(JSON.stringify(readObject(state, 1))));
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('encode'));
+    lua.lua_setglobal(L, to_luastring('cjson'));
+
+    const source = to_luastring(`${LUA_PRELUDE}\n${script}`);
+    if (lauxlib.luaL_loadstring(L, source) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw new Error(lua.lua_tojsstring(L, -1));
+    }
+    return readReply(L, -1);
+  }
+}
+
+/**
+ * Create an in-memory Redis client with every command exposed as an async method
+ * @param {Object} [options] - ioredis options; only keyPrefix is used
+ * @returns {FakeRedis}
+ */
+function createFakeRedis(options) {
+  const redis = new FakeRedis(options);
+  redis._commandNames().forEach(name => redis._addCommand(redis, name));
+  return redis;
+}
+
+/**
+ * Create an in-memory Redis Cluster client that spreads keys over several masters.
+ * Commands whose keys live on different masters fail with CROSSSLOT, as on a real cluster.
+ * @param {Object} [options] - ioredis options; only keyPrefix is used
+ * @param {number} [masterCount=3]
+ * @returns {FakeRedis} Client with isCluster and nodes('master')
+ */
+function createFakeCluster(options, masterCount = 3) {
+  const masters = Array.from({ length: masterCount }, () => createFakeRedis());
+  const cluster = createFakeRedis(options);
+  const runHere = cluster.call.bind(cluster);
+
+  cluster.isCluster = true;
+  cluster.nodes = () => masters;
+  cluster.disconnect = () => {};
+  // Scripts run here and route each redis.call by its key
+  cluster.call = (command, args) => {
+    const name = command.toLowerCase();
+    if (name === 'eval' || cluster.scripts[name]) return runHere(command, args);
+
+    const nodes = [...new Set(cluster.keyIndexes(name, args).map(index => masters[keySlot(str(args[index])) % masterCount]))];
+    if (nodes.length > 1) {
+      throw new Error('CROSSSLOT Keys in request don\'t hash to the same slot');
+    }
+    return (nodes[0] || masters[0]).call(command, args);
+  };
+
+  return cluster;
+}
+
+module.exports = { FakeRedis, createFakeCluster, createFakeRedis };
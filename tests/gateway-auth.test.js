@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { ApiKeyStore, hashApiKey, generateApiKey } = require('../services/api-gateway/auth/apiKeyStore');
+const { JwtVerifier } = require('../services/api-gateway/auth/jwtVerifier');
+const { signIdentity, verifyIdentityHeaders } = require('../services/api-gateway/auth/identity');
+const { createAuthPolicy } = require('../services/api-gateway/middleware/auth');
+const metrics = require('../services/api-gateway/metrics');
+
+// Mock logger to avoid cluttering test output
+jest.mock('../services/api-gateway/middleware/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const signToken = (payload = {}, options = {}) => jwt.sign(
+  { sub: 'user-1', email: 'user@example.com', roles: ['analyst'], permissions: ['read'], ...payload },
+  privateKey,
+  { algorithm: 'RS256', issuer: 'OptimaCore', audience: 'optima-client', expiresIn: '5m', ...options }
+);
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    set: jest.fn((name, value) => { res.headers[name] = value; return res; }),
+    status: jest.fn(code => { res.statusCode = code; return res; }),
+    json: jest.fn(body => { res.body = body; return res; }),
+  };
+  return res;
+};
+
+describe('Gateway Authentication', () => {
+  let dir;
+  let keyFile;
+
+  const writeKeys = (keys) => fs.writeFileSync(keyFile, JSON.stringify({ keys }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-auth-'));
+    keyFile = path.join(dir, 'api-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    metrics.reset();
+  });
+
+  describe('ApiKeyStore', () => {
+    it('should verify keys by hash and report disabled and expired keys', () => {
+      const active = generateApiKey();
+      const expired = generateApiKey();
+      const disabled = generateApiKey();
+      writeKeys([
+        { id: 'active', hash: active.hash, scopes: ['reports:read'] },
+        { id: 'expired', hash: expired.hash, expiresAt: '2020-01-01T00:00:00Z' },
+        { id: 'disabled', hash: disabled.hash, disabled: true },
+      ]);
+
+      const store = new ApiKeyStore({ file: keyFile });
+      expect(store.load()).toBe(3);
+
+      expect(active.key).toMatch(/^optk_/);
+      expect(store.verify(active.key)).toEqual({ valid: true, key: expect.objectContaining({ id: 'active', scopes: ['reports:read'] }) });
+      expect(store.verify(expired.key)).toMatchObject({ valid: false, reason: 'expired' });
+      expect(store.verify(disabled.key)).toMatchObject({ valid: false, reason: 'disabled' });
+      expect(store.verify('optk_unknown')).toEqual({ valid: false, reason: 'unknown' });
+      expect(store.list()[0]).not.toHaveProperty('hash');
+    });
+
+    it('should keep the current keys when the file is invalid', () => {
+      const { key, hash } = generateApiKey();
+      writeKeys([{ id: 'active', hash }]);
+      const store = new ApiKeyStore({ file: keyFile });
+      store.load();
+
+      writeKeys([{ id: 'dup', hash }, { id: 'dup', hash: hashApiKey('other') }]);
+      expect(store.reload()).toEqual({ success: false, error: expect.stringContaining('duplicate key id') });
+
+      writeKeys([{ id: 'plain', hash: 'not-a-hash' }]);
+      expect(store.reload().success).toBe(false);
+      expect(store.verify(key).valid).toBe(true);
+    });
+  });
+
+  describe('JwtVerifier', () => {
+    it('should accept access tokens signed with the public key', async () => {
+      const verifier = new JwtVerifier({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+
+      const result = await verifier.verify(signToken());
+
+      expect(result).toEqual({ valid: true, payload: expect.objectContaining({ sub: 'user-1' }) });
+    });
+
+    it('should reject refresh tokens, other audiences and other keys', async () => {
+      const verifier = new JwtVerifier({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+      expect((await verifier.verify(signToken({ type: 'refresh' }))).valid).toBe(false);
+      expect((await verifier.verify(signToken({}, { audience: 'someone-else' }))).valid).toBe(false);
+      expect((await verifier.verify(jwt.sign({ sub: 'x' }, other.privateKey, { algorithm: 'RS256' }))).valid).toBe(false);
+      expect(await verifier.verify('not.a.token')).toEqual({ valid: false, error: 'Malformed token' });
+    });
+
+    it('should fetch keys from a JWKS endpoint and refetch for unknown key ids', async () => {
+      const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig' }] };
+      let requests = 0;
+      const server = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(jwks));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const verifier = new JwtVerifier({
+          jwksUri: `http://127.0.0.1:${server.address().port}/jwks.json`,
+          jwksRefetchInterval: 0,
+        });
+
+        expect((await verifier.verify(signToken({}, { keyid: 'k1' }))).valid).toBe(true);
+        expect((await verifier.verify(signToken({}, { keyid: 'k1' }))).valid).toBe(true);
+        expect(requests).toBe(1);
+
+        // Key rotation: the new kid is not cached yet
+        jwks.keys.push({ ...rotated.publicKey.export({ format: 'jwk' }), kid: 'k2' });
+        const token = jwt.sign({ sub: 'user-2' }, rotated.privateKey, {
+          algorithm: 'RS256', issuer: 'OptimaCore', audience: 'optima-client', keyid: 'k2',
+        });
+        expect((await verifier.verify(token)).valid).toBe(true);
+        expect(requests).toBe(2);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('Identity headers', () => {
+    const identity = { type: 'both', subject: 'user-1', roles: ['analyst'], apiKey: 'reporting', scopes: ['reports:read'] };
+    const sign = () => signIdentity(identity, { method: 'GET', url: '/reports/daily' }, 'secret');
+    const asRequest = (headers, method = 'GET') => ({ method, headers: { 'x-original-url': '/reports/daily', ...headers } });
+
+    it('should verify headers signed by the gateway', () => {
+      const result = verifyIdentityHeaders(asRequest(sign()), { secret: 'secret' });
+
+      expect(result).toEqual({
+        valid: true,
+        identity: expect.objectContaining({ type: 'both', subject: 'user-1', roles: ['analyst'], apiKey: 'reporting' }),
+      });
+    });
+
+    it('should reject tampered, replayed or expired headers', () => {
+      const headers = sign();
+
+      expect(verifyIdentityHeaders(asRequest({ ...headers, 'x-auth-roles': 'admin' }), { secret: 'secret' }).valid).toBe(false);
+      expect(verifyIdentityHeaders(asRequest(headers, 'DELETE'), { secret: 'secret' }).valid).toBe(false);
+      expect(verifyIdentityHeaders(asRequest(headers), { secret: 'other' }).valid).toBe(false);
+      expect(verifyIdentityHeaders(asRequest(headers), { secret: 'secret', maxAge: -1 })).toEqual({
+        valid: false,
+        error: 'Identity signature expired',
+      });
+      expect(verifyIdentityHeaders(asRequest({}), { secret: 'secret' }).valid).toBe(false);
+    });
+  });
+
+  describe('createAuthPolicy', () => {
+    let apiKeys;
+    let apiKey;
+    let verifier;
+
+    const run = async (policy, headers) => {
+      const req = { headers };
+      const res = createResponse();
+      const next = jest.fn();
+      await policy(req, res, next);
+      return { req, res, next };
+    };
+
+    beforeEach(() => {
+      const generated = generateApiKey();
+      apiKey = generated.key;
+      writeKeys([{ id: 'reporting', hash: generated.hash, scopes: ['reports:read'] }]);
+      apiKeys = new ApiKeyStore({ file: keyFile });
+      apiKeys.load();
+      verifier = new JwtVerifier({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+    });
+
+    it('should require a valid API key with the route scopes', async () => {
+      const policy = createAuthPolicy({ route: 'reports', mode: 'apiKey', scopes: ['reports:read'] }, { apiKeys });
+
+      const missing = await run(policy, {});
+      expect(missing.res.statusCode).toBe(401);
+      expect(missing.res.headers['WWW-Authenticate']).toMatch(/^ApiKey/);
+      expect(missing.res.body.code).toBe('API_KEY_REQUIRED');
+
+      expect((await run(policy, { 'x-api-key': 'optk_wrong' })).res.body.code).toBe('INVALID_API_KEY');
+
+      const { req, next } = await run(policy, { 'x-api-key': apiKey });
+      expect(next).toHaveBeenCalled();
+      expect(req.identity).toEqual({ type: 'apiKey', apiKey: 'reporting', scopes: ['reports:read'] });
+
+      const writer = createAuthPolicy({ route: 'reports', mode: 'apiKey', scopes: ['reports:write'] }, { apiKeys });
+      expect((await run(writer, { 'x-api-key': apiKey })).res.statusCode).toBe(403);
+      expect(metrics.getMetrics().routes.reports.auth_rejections).toEqual({ unauthorized: 2, forbidden: 1 });
+    });
+
+    it('should require a bearer token with an accepted role and every permission', async () => {
+      const policy = createAuthPolicy(
+        { route: 'reports', mode: 'jwt', roles: ['analyst', 'admin'], permissions: ['read'] },
+        { jwt: verifier }
+      );
+
+      const { req, next } = await run(policy, { authorization: `Bearer ${signToken()}` });
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual(expect.objectContaining({ id: 'user-1', roles: ['analyst'] }));
+      expect(req.identity).toEqual(expect.objectContaining({ type: 'jwt', subject: 'user-1' }));
+
+      const unauthorized = await run(policy, { authorization: `Bearer ${signToken({ type: 'refresh' })}` });
+      expect(unauthorized.res.statusCode).toBe(401);
+      expect(unauthorized.res.headers['WWW-Authenticate']).toMatch(/^Bearer/);
+
+      expect((await run(policy, { authorization: `Bearer ${signToken({ roles: ['guest'] })}` })).res.statusCode).toBe(403);
+      expect((await run(policy, { authorization: `Bearer ${signToken({ permissions: [] })}` })).res.statusCode).toBe(403);
+    });
+
+    it('should require both credentials in both mode', async () => {
+      const policy = createAuthPolicy({ route: 'reports', mode: 'both' }, { apiKeys, jwt: verifier });
+      const token = signToken();
+
+      expect((await run(policy, { authorization: `Bearer ${token}` })).res.statusCode).toBe(401);
+      expect((await run(policy, { 'x-api-key': apiKey })).res.statusCode).toBe(401);
+
+      const { req, next } = await run(policy, { authorization: `Bearer ${token}`, 'x-api-key': apiKey });
+      expect(next).toHaveBeenCalled();
+      expect(req.identity).toEqual(expect.objectContaining({ type: 'both', subject: 'user-1', apiKey: 'reporting' }));
+    });
+  });
+});
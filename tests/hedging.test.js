@@ -0,0 +1,209 @@
+const { HedgePolicy, HedgedRequest, LatencyTracker } = require('../services/api-gateway/upstream/hedging');
+const { UpstreamPool } = require('../services/api-gateway/upstream/pool');
+const metrics = require('../services/api-gateway/metrics');
+
+// Fake upstream attempts that the test resolves or rejects by hand
+const createUpstreams = () => {
+  const sent = [];
+  const send = jest.fn((upstream) => {
+    const attempt = { upstream, abort: jest.fn() };
+    attempt.response = new Promise((resolve, reject) => {
+      attempt.respond = (statusCode = 200) => resolve({ statusCode, destroy: jest.fn() });
+      attempt.fail = (code) => reject(Object.assign(new Error(code), { code }));
+    });
+    sent.push(attempt);
+    return attempt;
+  });
+  return { sent, send };
+};
+
+const target = (url) => ({ upstream: { url }, release: jest.fn() });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Request Hedging', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    metrics.reset();
+  });
+
+  describe('LatencyTracker', () => {
+    it('should report percentiles over the most recent samples only', () => {
+      const tracker = new LatencyTracker(100);
+
+      for (let i = 1; i <= 100; i++) tracker.record(i);
+      expect(tracker.percentile(0.95)).toBe(96);
+
+      for (let i = 0; i < 100; i++) tracker.record(1000);
+      expect(tracker.count).toBe(100);
+      expect(tracker.percentile(0.5)).toBe(1000);
+    });
+
+    it('should re-sort after enough new samples or time, not on every read', () => {
+      jest.useFakeTimers();
+      const tracker = new LatencyTracker(100);
+
+      for (let i = 1; i <= 100; i++) tracker.record(i);
+      expect(tracker.percentile(0.95)).toBe(96);
+
+      for (let i = 0; i < 10; i++) tracker.record(1000);
+      expect(tracker.percentile(0.95)).toBe(96);
+
+      jest.advanceTimersByTime(1000);
+      expect(tracker.percentile(0.95)).toBe(1000);
+
+      for (let i = 0; i < 50; i++) tracker.record(1);
+      expect(tracker.percentile(0)).toBe(1);
+    });
+  });
+
+  describe('HedgePolicy', () => {
+    it('should only hedge body-less requests with the configured methods', () => {
+      const policy = new HedgePolicy();
+
+      expect(policy.isEligible({ method: 'GET', headers: {} })).toBe(true);
+      expect(policy.isEligible({ method: 'POST', headers: {} })).toBe(false);
+      expect(policy.isEligible({ method: 'GET', headers: { 'content-length': '12' } })).toBe(false);
+    });
+
+    it('should use a fixed delay, bounded by minDelay', () => {
+      expect(new HedgePolicy({ delay: '50' }).getDelay()).toBe(50);
+      expect(new HedgePolicy({ delay: 1, minDelay: 10 }).getDelay()).toBe(10);
+    });
+
+    it('should wait for enough samples before using the p95 delay', () => {
+      const policy = new HedgePolicy({ delay: 'p95' });
+
+      for (let i = 1; i < 20; i++) policy.tracker.record(i * 10);
+      expect(policy.getDelay()).toBeNull();
+
+      policy.tracker.record(200);
+      expect(policy.getDelay()).toBe(200);
+    });
+  });
+
+  describe('HedgedRequest', () => {
+    it('should not hedge when the primary answers within the delay', async () => {
+      const { sent, send } = createUpstreams();
+      const acquireHedge = jest.fn();
+      const primary = target('http://a');
+      const hedged = new HedgedRequest({ send, acquireHedge, delay: 50 });
+
+      const result = hedged.start(primary);
+      sent[0].respond(200);
+
+      await expect(result).resolves.toMatchObject({ winner: 'primary', hedged: false });
+      await wait(60);
+      expect(acquireHedge).not.toHaveBeenCalled();
+      expect(primary.release).toHaveBeenCalledWith(false);
+    });
+
+    it('should send a hedge after the delay and keep the first response', async () => {
+      const { sent, send } = createUpstreams();
+      const primary = target('http://a');
+      const hedge = target('http://b');
+      const hedged = new HedgedRequest({ send, acquireHedge: () => hedge, delay: 10 });
+
+      const result = hedged.start(primary);
+      await wait(20);
+      expect(sent).toHaveLength(2);
+
+      sent[1].respond(200);
+      const { winner, hedged: wasHedged, upstream } = await result;
+
+      expect(winner).toBe('hedge');
+      expect(wasHedged).toBe(true);
+      expect(upstream.url).toBe('http://b');
+      // The slow primary is cancelled, not counted as a failure
+      expect(sent[0].abort).toHaveBeenCalled();
+      expect(primary.release).toHaveBeenCalledWith(false, true);
+      expect(hedge.release).toHaveBeenCalledWith(false);
+    });
+
+    it('should hedge straight away when the primary fails', async () => {
+      const { sent, send } = createUpstreams();
+      const primary = target('http://a');
+      const hedged = new HedgedRequest({ send, acquireHedge: () => target('http://b'), delay: null });
+      const onFailed = jest.fn();
+      hedged.on('attemptFailed', onFailed);
+
+      const result = hedged.start(primary);
+      sent[0].fail('ECONNREFUSED');
+      await wait(0);
+      sent[1].respond(200);
+
+      await expect(result).resolves.toMatchObject({ winner: 'hedge' });
+      expect(primary.release).toHaveBeenCalledWith(true);
+      expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ role: 'primary' }));
+    });
+
+    it('should fail with the last error when every attempt fails', async () => {
+      const { sent, send } = createUpstreams();
+      const hedged = new HedgedRequest({ send, acquireHedge: () => target('http://b'), delay: 10 });
+
+      const result = hedged.start(target('http://a'));
+      await wait(20);
+      sent[0].fail('ECONNRESET');
+      sent[1].fail('ETIMEDOUT');
+
+      await expect(result).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    });
+
+    it('should fail when the primary fails and no hedge is available', async () => {
+      const { sent, send } = createUpstreams();
+      const hedged = new HedgedRequest({ send, acquireHedge: () => null, delay: 10 });
+
+      const result = hedged.start(target('http://a'));
+      sent[0].fail('ECONNREFUSED');
+
+      await expect(result).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    });
+
+    it('should abort every attempt when cancelled', async () => {
+      const { sent, send } = createUpstreams();
+      const hedged = new HedgedRequest({ send, acquireHedge: () => target('http://b'), delay: 10 });
+
+      hedged.start(target('http://a'));
+      await wait(20);
+      hedged.cancel();
+
+      expect(sent.every(attempt => attempt.abort.mock.calls.length === 1)).toBe(true);
+    });
+  });
+
+  describe('Hedge targets', () => {
+    it('should pick a different upstream for the hedge', () => {
+      const pool = new UpstreamPool('api', ['http://a:3001', 'http://b:3001']);
+      const primary = pool.acquire();
+
+      expect(pool.acquire({ exclude: [primary] })).not.toBe(primary);
+      expect(pool.acquire({ exclude: pool.upstreams })).toBeNull();
+    });
+
+    it('should not record latency for cancelled attempts', () => {
+      const pool = new UpstreamPool('api', ['http://a:3001']);
+      const upstream = pool.acquire();
+
+      pool.release(upstream, null);
+
+      expect(upstream.outstanding).toBe(0);
+      expect(upstream.latencyEwma).toBeNull();
+    });
+  });
+
+  describe('Gateway metrics', () => {
+    it('should report hedge and hedge-win rates per route', () => {
+      for (let i = 0; i < 10; i++) metrics.recordRequest('api');
+      metrics.recordHedge('api');
+      metrics.recordHedge('api');
+      metrics.recordHedgeWin('api');
+
+      expect(metrics.getMetrics().routes.api).toMatchObject({
+        hedges: 2,
+        hedge_wins: 1,
+        hedge_rate: 0.2,
+        hedge_win_rate: 0.5,
+      });
+    });
+  });
+});
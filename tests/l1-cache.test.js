@@ -0,0 +1,119 @@
+const L1Cache = require('../services/redis/l1-cache');
+
+describe('L1 Cache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('LRU policy', () => {
+    it('should return cached values', () => {
+      const cache = new L1Cache({ policy: 'lru', maxEntries: 10 });
+      cache.set('a', '{"v":1}', { size: 7 });
+
+      expect(cache.lookup('a')).toEqual({ hit: true, value: '{"v":1}' });
+      expect(cache.lookup('missing')).toEqual({ hit: false, value: undefined });
+    });
+
+    it('should evict the least recently used entry', () => {
+      const onEvict = jest.fn();
+      const cache = new L1Cache({ policy: 'lru', maxEntries: 2, onEvict });
+
+      cache.set('a', '1');
+      cache.set('b', '2');
+      cache.lookup('a');
+      cache.set('c', '3');
+
+      expect(cache.lookup('b').hit).toBe(false);
+      expect(cache.lookup('a').hit).toBe(true);
+      expect(cache.lookup('c').hit).toBe(true);
+      expect(onEvict).toHaveBeenCalledWith('b', 'capacity');
+    });
+
+    it('should respect the byte limit', () => {
+      const cache = new L1Cache({ maxEntries: 100, maxBytes: 10, maxValueBytes: 10 });
+
+      cache.set('a', 'xxxxxx', { size: 6 });
+      cache.set('b', 'yyyyyy', { size: 6 });
+
+      expect(cache.lookup('a').hit).toBe(false);
+      expect(cache.getStats().bytes).toBe(6);
+    });
+
+    it('should skip values larger than maxValueBytes', () => {
+      const cache = new L1Cache({ maxValueBytes: 4 });
+
+      expect(cache.set('big', 'xxxxxxxx', { size: 8 })).toBe(false);
+      expect(cache.size).toBe(0);
+    });
+  });
+
+  describe('LFU policy', () => {
+    it('should evict the least frequently used entry', () => {
+      const cache = new L1Cache({ policy: 'lfu', maxEntries: 2 });
+
+      cache.set('a', '1');
+      cache.set('b', '2');
+      cache.lookup('a');
+      cache.lookup('a');
+      cache.lookup('b');
+      cache.set('c', '3');
+
+      expect(cache.lookup('b').hit).toBe(false);
+      expect(cache.lookup('a').hit).toBe(true);
+      expect(cache.lookup('c').hit).toBe(true);
+    });
+
+    it('should keep access history when a key is overwritten', () => {
+      const cache = new L1Cache({ policy: 'lfu', maxEntries: 2 });
+
+      cache.set('a', '1');
+      cache.lookup('a');
+      cache.lookup('a');
+      cache.set('a', '2');
+      cache.set('b', '3');
+      cache.set('c', '4');
+
+      expect(cache.lookup('a')).toEqual({ hit: true, value: '2' });
+      expect(cache.lookup('b').hit).toBe(false);
+    });
+  });
+
+  describe('Expiry and invalidation', () => {
+    it('should expire entries after their TTL', () => {
+      jest.useFakeTimers();
+      const onEvict = jest.fn();
+      const cache = new L1Cache({ ttl: 1000, onEvict });
+
+      cache.set('a', '1');
+      jest.advanceTimersByTime(1001);
+
+      expect(cache.lookup('a').hit).toBe(false);
+      expect(onEvict).toHaveBeenCalledWith('a', 'expired');
+    });
+
+    it('should not cache a value read before an invalidation', () => {
+      const cache = new L1Cache();
+      const epoch = cache.epoch;
+
+      cache.delete('a');
+
+      expect(cache.set('a', 'stale', { epoch })).toBe(false);
+      expect(cache.lookup('a').hit).toBe(false);
+    });
+
+    it('should clear all entries', () => {
+      const cache = new L1Cache();
+      cache.set('a', '1', { size: 1 });
+      cache.set('b', '2', { size: 1 });
+
+      cache.clear();
+
+      expect(cache.size).toBe(0);
+      expect(cache.getStats().bytes).toBe(0);
+    });
+  });
+
+  it('should reject unknown policies', () => {
+    expect(() => new L1Cache({ policy: 'fifo' })).toThrow('Unknown L1 cache policy: fifo');
+  });
+});
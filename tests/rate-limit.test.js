@@ -0,0 +1,255 @@
+const { logger } = require('../services/api-gateway/middleware/logging');
+const rateLimit = require('../services/api-gateway/middleware/rateLimit');
+const { MemoryRateLimitStore, normalizeRule } = require('../services/api-gateway/middleware/rateLimitStore');
+
+// Mock logger to avoid cluttering test output
+jest.mock('../services/api-gateway/middleware/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const createRequest = (overrides = {}) => ({
+  ip: '10.0.0.1',
+  baseUrl: '/api',
+  headers: {},
+  ...overrides,
+});
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+  };
+  res.set = jest.fn((name, value) => {
+    if (typeof name === 'object') Object.assign(res.headers, name);
+    else res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+// Run a middleware and resolve with whether it called next()
+const run = async (middleware, req, res = createResponse()) => {
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+describe('Rate Limiting', () => {
+  afterEach(async () => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+    await rateLimit.closeRateLimitStores();
+  });
+
+  describe('MemoryRateLimitStore', () => {
+    let store;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-01T00:00:00.000Z'));
+      store = new MemoryRateLimitStore();
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    it('should allow up to the limit within a sliding window', async () => {
+      const rule = normalizeRule({ limit: 3, windowMs: 1000 });
+
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await store.consume('k', rule));
+      }
+
+      expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+      expect(results[2].remaining).toBe(0);
+      expect(results[3].retryAfterMs).toBeGreaterThan(0);
+    });
+
+    it('should weight the previous window when sliding', async () => {
+      const rule = normalizeRule({ limit: 4, windowMs: 1000 });
+
+      for (let i = 0; i < 4; i++) await store.consume('k', rule);
+
+      // Halfway through the next window, half of the previous window still counts
+      jest.advanceTimersByTime(1500);
+      const first = await store.consume('k', rule);
+      const second = await store.consume('k', rule);
+      const third = await store.consume('k', rule);
+
+      expect([first.allowed, second.allowed, third.allowed]).toEqual([true, true, false]);
+    });
+
+    it('should refill a token bucket over time', async () => {
+      const rule = normalizeRule({ algorithm: 'token-bucket', limit: 10, windowMs: 1000, burst: 2 });
+
+      expect((await store.consume('k', rule)).allowed).toBe(true);
+      expect((await store.consume('k', rule)).allowed).toBe(true);
+
+      const denied = await store.consume('k', rule);
+      expect(denied.allowed).toBe(false);
+      expect(denied.limit).toBe(2);
+      expect(denied.retryAfterMs).toBe(100);
+
+      jest.advanceTimersByTime(100);
+      expect((await store.consume('k', rule)).allowed).toBe(true);
+    });
+
+    it('should keep separate keys independent', async () => {
+      const rule = normalizeRule({ limit: 1, windowMs: 1000 });
+
+      expect((await store.consume('a', rule)).allowed).toBe(true);
+      expect((await store.consume('b', rule)).allowed).toBe(true);
+      expect((await store.consume('a', rule)).allowed).toBe(false);
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => normalizeRule({ algorithm: 'leaky', limit: 1, windowMs: 1 }))
+        .toThrow('Unknown rate limit algorithm: leaky');
+      expect(() => normalizeRule({ limit: 0, windowMs: 1000 }))
+        .toThrow('Rate limit rules require a positive limit and windowMs');
+    });
+  });
+
+  describe('Middleware', () => {
+    it('should reject requests over the limit with 429 and Retry-After', async () => {
+      const limiter = rateLimit.createRateLimiter({ name: 'test', windowMs: 60000, max: 2 });
+
+      await run(limiter, createRequest());
+      await run(limiter, createRequest());
+      const { passed, res } = await run(limiter, createRequest());
+
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['Retry-After']).toBeDefined();
+      expect(res.headers['RateLimit-Limit']).toBe('2');
+      expect(res.headers['RateLimit-Remaining']).toBe('0');
+      expect(res.body).toMatchObject({ status: 'error', message: 'Too many requests, please try again later' });
+    });
+
+    it('should limit route requests per user before API key and IP', async () => {
+      const limiter = rateLimit.createRouteRateLimiter({ name: 'users', max: 1 });
+
+      const alice = await run(limiter, createRequest({ user: { id: 'alice' } }));
+      const bob = await run(limiter, createRequest({ user: { id: 'bob' } }));
+      const aliceAgain = await run(limiter, createRequest({ user: { id: 'alice' } }));
+
+      expect(alice.passed).toBe(true);
+      expect(bob.passed).toBe(true);
+      expect(aliceAgain.passed).toBe(false);
+    });
+
+    it('should only limit API key requests and expose the key', async () => {
+      const withoutKey = createRequest();
+      expect((await run(rateLimit.apiKey, withoutKey)).passed).toBe(true);
+      expect(withoutKey.apiKey).toBeUndefined();
+
+      const withKey = createRequest({ headers: { 'x-api-key': 'secret' } });
+      const { passed, res } = await run(rateLimit.apiKey, withKey);
+
+      expect(passed).toBe(true);
+      expect(withKey.apiKey).toBe('secret');
+      expect(res.headers['X-RateLimit-Limit']).toBe('100');
+    });
+
+    it('should limit unverified API keys by IP', async () => {
+      const limiter = rateLimit.createRouteRateLimiter({ name: 'keys', max: 1 });
+
+      const verified = await run(limiter, createRequest({ identity: { apiKey: 'reporting' } }));
+      // A made-up key per request does not get a fresh limit
+      const first = await run(limiter, createRequest({ headers: { 'x-api-key': 'made-up-1' } }));
+      const second = await run(limiter, createRequest({ headers: { 'x-api-key': 'made-up-2' } }));
+
+      expect(verified.passed).toBe(true);
+      expect(first.passed).toBe(true);
+      expect(second.passed).toBe(false);
+    });
+
+    it('should skip requests without any configured identity', async () => {
+      const limiter = rateLimit.createRateLimiter({ name: 'keys', keyBy: ['apiKey'], windowMs: 1000, max: 1 });
+      const { passed, res } = await run(limiter, createRequest());
+
+      expect(passed).toBe(true);
+      expect(res.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Redis store', () => {
+    const createRedisClient = (impl) => ({
+      client: {
+        status: 'ready',
+        defineCommand: jest.fn(),
+        rateLimitSlidingWindow: jest.fn(impl),
+        rateLimitTokenBucket: jest.fn(impl),
+      },
+    });
+
+    it('should consume from Redis when it is ready', async () => {
+      const redisClient = createRedisClient(async () => [0, 0, 2500, 5000]);
+      rateLimit.useRedisClient(redisClient);
+
+      const limiter = rateLimit.createRateLimiter({ name: 'shared', windowMs: 60000, max: 5 });
+      const { passed, res } = await run(limiter, createRequest());
+
+      expect(redisClient.client.rateLimitSlidingWindow)
+        .toHaveBeenCalledWith('ratelimit:shared:ip:10.0.0.1', 60000, 5, 1);
+      expect(passed).toBe(false);
+      expect(res.headers['Retry-After']).toBe('3');
+    });
+
+    it('should fall back to local limits when Redis fails', async () => {
+      rateLimit.useRedisClient(createRedisClient(async () => {
+        throw new Error('ECONNRESET');
+      }));
+
+      const limiter = rateLimit.createRateLimiter({ name: 'fallback', windowMs: 60000, max: 1 });
+      const first = await run(limiter, createRequest());
+      const second = await run(limiter, createRequest());
+
+      expect(first.passed).toBe(true);
+      expect(second.passed).toBe(false);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back when Redis is not ready', async () => {
+      const redisClient = createRedisClient(async () => [1, 0, 0, 0]);
+      redisClient.client.status = 'reconnecting';
+      rateLimit.useRedisClient(redisClient);
+
+      const limiter = rateLimit.createRateLimiter({ name: 'offline', windowMs: 60000, max: 1 });
+      const { passed } = await run(limiter, createRequest());
+
+      expect(passed).toBe(true);
+      expect(redisClient.client.rateLimitSlidingWindow).not.toHaveBeenCalled();
+    });
+
+    it('should time out slow Redis calls', async () => {
+      rateLimit.useRedisClient(createRedisClient(() => new Promise(() => {})), { timeout: 10 });
+
+      const limiter = rateLimit.createRateLimiter({ name: 'slow', windowMs: 60000, max: 1 });
+      const { passed } = await run(limiter, createRequest());
+
+      expect(passed).toBe(true);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Redis rate limit store failed, falling back to local limits',
+        { error: 'Rate limit store timed out after 10ms' }
+      );
+    });
+  });
+});
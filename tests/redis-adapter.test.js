@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const { createRedisAdapter } = require('../services/websocket/redis-adapter');
+
+// Mock the logger
+jest.mock('../services/telemetry', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// In-memory stand-in for the ioredis commands the adapter uses; duplicates share the data
+class FakeRedis extends EventEmitter {
+  constructor(broker = { entries: [], subscribers: new Set(), readers: new Set(), sequence: 0, failedReads: 0 }) {
+    super();
+    this.broker = broker;
+    this.options = { keyPrefix: 'optima:' };
+    this.channels = new Set();
+    this.pending = null;
+  }
+
+  duplicate() {
+    return new FakeRedis(this.broker);
+  }
+
+  async xadd(key, ...args) {
+    const fields = args.slice(args.indexOf('*') + 1).map(field => Buffer.from(field));
+    const id = `${++this.broker.sequence}-0`;
+    this.broker.entries.push([Buffer.from(id), fields]);
+    this.broker.readers.forEach(reader => reader());
+    return id;
+  }
+
+  async xrevrange() {
+    const last = this.broker.entries[this.broker.entries.length - 1];
+    return last ? [[last[0].toString(), last[1].map(String)]] : [];
+  }
+
+  xreadBuffer(...args) {
+    if (this.broker.failedReads > 0) {
+      this.broker.failedReads--;
+      return Promise.reject(new Error('read ECONNRESET'));
+    }
+
+    const block = args[args.indexOf('BLOCK') + 1];
+    const offset = args[args.length - 1];
+    const after = offset === '$' ? this.broker.sequence : parseInt(offset, 10);
+
+    return new Promise((resolve, reject) => {
+      const done = (result) => {
+        clearTimeout(timer);
+        this.broker.readers.delete(check);
+        this.pending = null;
+        resolve(result);
+      };
+      const check = () => {
+        const entries = this.broker.entries.filter(([id]) => parseInt(id.toString(), 10) > after);
+        if (entries.length) done([[Buffer.from('socket.io'), entries]]);
+      };
+      const timer = setTimeout(() => done(null), block);
+      this.pending = (error) => {
+        clearTimeout(timer);
+        this.broker.readers.delete(check);
+        reject(error);
+      };
+      this.broker.readers.add(check);
+      check();
+    });
+  }
+
+  async publish(channel, message) {
+    this.broker.subscribers.forEach(subscriber => {
+      if (subscriber.channels.has(channel)) {
+        setImmediate(() => subscriber.emit('messageBuffer', Buffer.from(channel), message));
+      }
+    });
+    return 1;
+  }
+
+  async subscribe(...channels) {
+    channels.forEach(channel => this.channels.add(channel));
+    this.broker.subscribers.add(this);
+  }
+
+  async unsubscribe(...channels) {
+    channels.forEach(channel => this.channels.delete(channel));
+  }
+
+  disconnect() {
+    this.broker.subscribers.delete(this);
+    if (this.pending) this.pending(new Error('Connection is closed.'));
+  }
+}
+
+const waitFor = async (condition, timeout = 2000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Redis Socket.IO adapter', () => {
+  let servers = [];
+
+  const createCluster = (options, { failedReads = 0 } = {}) => {
+    const redis = new FakeRedis();
+    redis.broker.failedReads = failedReads;
+    servers = [1, 2].map(() => new Server(createServer(), { adapter: createRedisAdapter(redis, { blockTime: 100, ...options }) }));
+    return redis;
+  };
+
+  // Nodes learn about each other from heartbeats
+  const connected = () => waitFor(() => servers.every(io => io.of('/').adapter.nodesMap.size === 1));
+
+  afterEach(async () => {
+    await Promise.all(servers.map(io => io.close()));
+    servers = [];
+  });
+
+  describe.each(['streams', 'pubsub'])('in %s mode', (mode) => {
+    it('should relay server-side events to the other node', async () => {
+      createCluster({ mode });
+      await connected();
+      const received = [];
+      servers[1].on('cache:invalidate', (...args) => received.push(args));
+
+      servers[0].serverSideEmit('cache:invalidate', 'users', { id: 42 });
+
+      await waitFor(() => received.length === 1);
+      expect(received[0]).toEqual(['users', { id: 42 }]);
+    });
+
+    it('should route responses back to the requesting node', async () => {
+      createCluster({ mode });
+      await connected();
+      servers[1].on('status', (callback) => callback({ node: 2 }));
+
+      const responses = await new Promise((resolve, reject) => {
+        servers[0].serverSideEmit('status', (error, result) => (error ? reject(error) : resolve(result)));
+      });
+
+      expect(responses).toEqual([{ node: 2 }]);
+      expect(await servers[0].fetchSockets()).toEqual([]);
+    });
+  });
+
+  it('should keep stream offsets as message offsets', async () => {
+    const redis = createCluster();
+    await connected();
+
+    const offset = await servers[0].of('/').adapter.doPublish({ type: 99, nsp: '/' });
+
+    expect(offset).toBe(redis.broker.entries[redis.broker.entries.length - 1][0].toString());
+  });
+
+  it('should not skip entries published before the first read succeeds', async () => {
+    // Both nodes announce themselves while their first XREAD is failing
+    const redis = createCluster({ retryDelay: 50 }, { failedReads: 2 });
+
+    await connected();
+    expect(redis.broker.failedReads).toBe(0);
+  });
+
+  it('should stop reading once every namespace is closed', async () => {
+    const redis = createCluster();
+    await connected();
+
+    await Promise.all(servers.map(io => io.close()));
+
+    expect(redis.broker.readers.size).toBe(0);
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => createRedisAdapter(new FakeRedis(), { mode: 'kafka' })).toThrow("Unknown Redis adapter mode 'kafka'");
+  });
+});
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RedisClient = require('../services/redis/client');
+const metrics = require('../services/redis/metrics');
+
+jest.mock('ioredis', () => {
+  const { createFakeCluster, createFakeRedis } = require('./fake-redis');
+  const Redis = jest.fn(options => createFakeRedis(options));
+  Redis.Cluster = jest.fn((nodes, options) => createFakeCluster(options));
+  return Redis;
+});
+
+describe('Redis client', () => {
+  const configPath = path.join(os.tmpdir(), `redis-client-test-${process.pid}.json`);
+
+  const createClient = (options) => {
+    const cache = new RedisClient({ strategy: RedisClient.STRATEGY.READ_THROUGH, ...options });
+    cache.client.emit('connect');
+    return cache;
+  };
+
+  // config/redis.json with the given key prefixes, optionally in cluster mode
+  const withConfig = ({ keyPrefix, connectionPrefix = '', cluster = false }) => {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/redis.json'), 'utf8'));
+    config.keyPrefix = keyPrefix;
+    config.connection.keyPrefix = connectionPrefix;
+    config.cluster.enabled = cluster;
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  };
+
+  // Loader whose calls stay pending until resolve() is called
+  const createLoader = () => {
+    const pending = [];
+    const loader = jest.fn(key => new Promise(resolve => pending.push(resolve)));
+    loader.resolve = value => pending.shift()(value);
+    return loader;
+  };
+
+  let errors;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    metrics.reset();
+    errors = [];
+    metrics.on('error', error => errors.push(error));
+  });
+
+  afterEach(() => {
+    metrics.removeAllListeners('error');
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(configPath, { force: true });
+  });
+
+  describe('Read-through stampede protection', () => {
+    it('should share one loader call between concurrent misses', async () => {
+      const loader = createLoader();
+      const cache = createClient({ loader });
+
+      const first = cache.getWithSource('product:1');
+      const second = cache.getWithSource('product:1');
+      await new Promise(setImmediate);
+      loader.resolve({ id: 1 });
+
+      expect(await first).toEqual({ value: { id: 1 }, source: RedisClient.STORAGE_SOURCE.ORIGIN });
+      expect(await second).toEqual({ value: { id: 1 }, source: RedisClient.STORAGE_SOURCE.ORIGIN });
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(loader).toHaveBeenCalledWith('product:1');
+      expect(metrics.getMetrics().cache_coalesced).toBe(1);
+      expect(cache.inflight.size).toBe(0);
+
+      expect(await cache.getWithSource('product:1')).toEqual({ value: { id: 1 }, source: RedisClient.STORAGE_SOURCE.L2 });
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('should call the loader for every miss when coalescing is off', async () => {
+      const loader = jest.fn(async () => ({ id: 1 }));
+      const cache = createClient({ loader, stampede: { coalesce: false } });
+
+      await Promise.all([cache.get('product:1'), cache.get('product:1')]);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+      expect(metrics.getMetrics().cache_coalesced).toBe(0);
+    });
+
+    it('should forget a failed load so the next miss retries', async () => {
+      const loader = jest.fn()
+        .mockRejectedValueOnce(new Error('origin unavailable'))
+        .mockResolvedValue({ id: 1 });
+      const cache = createClient({ loader });
+
+      await expect(cache.get('product:1')).rejects.toThrow('origin unavailable');
+      expect(cache.inflight.size).toBe(0);
+      expect(await cache.get('product:1')).toEqual({ id: 1 });
+    });
+
+    describe('with the distributed lock', () => {
+      const lock = { enabled: true, ttl: 5000, waitTimeout: 200, retryDelay: 5 };
+
+      it('should load under the lock and release it', async () => {
+        const loader = jest.fn(async () => {
+          expect(await cache.client.pttl('__lock:product:1')).toBeGreaterThan(0);
+          return { id: 1 };
+        });
+        const cache = createClient({ loader, stampede: { lock } });
+
+        expect(await cache.get('product:1')).toEqual({ id: 1 });
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(await cache.client.exists('__lock:product:1')).toBe(0);
+      });
+
+      it('should not release a lock another instance took over', async () => {
+        const cache = createClient({
+          loader: async () => {
+            // Our lock expired during a slow load and another instance took it
+            await cache.client.set('__lock:product:1', 'other-instance', 'PX', 5000);
+            return { id: 1 };
+          },
+          stampede: { lock }
+        });
+
+        await cache.get('product:1');
+
+        expect(await cache.client.get('__lock:product:1')).toBe('other-instance');
+      });
+
+      it('should wait for the instance holding the lock instead of loading', async () => {
+        const loader = jest.fn(async () => ({ id: 1, from: 'us' }));
+        const cache = createClient({ loader, stampede: { lock } });
+        await cache.client.set('__lock:product:1', 'other-instance', 'PX', 5000);
+        setTimeout(() => cache.client.set('product:1', JSON.stringify({ id: 1, from: 'them' })), 20);
+
+        expect(await cache.getWithSource('product:1'))
+          .toEqual({ value: { id: 1, from: 'them' }, source: RedisClient.STORAGE_SOURCE.L2 });
+        expect(loader).not.toHaveBeenCalled();
+        expect(metrics.getMetrics().cache_coalesced).toBe(1);
+      });
+
+      it('should load anyway when the lock holder takes too long', async () => {
+        const loader = jest.fn(async () => ({ id: 1 }));
+        const cache = createClient({ loader, stampede: { lock: { ...lock, waitTimeout: 20 } } });
+        await cache.client.set('__lock:product:1', 'other-instance', 'PX', 5000);
+
+        expect(await cache.get('product:1')).toEqual({ id: 1 });
+        expect(loader).toHaveBeenCalledTimes(1);
+        // Still held by the other instance
+        expect(await cache.client.get('__lock:product:1')).toBe('other-instance');
+      });
+
+      it('should fail open when the lock cannot be taken', async () => {
+        const loader = jest.fn(async () => ({ id: 1 }));
+        const cache = createClient({ loader, stampede: { lock } });
+        const set = cache.client.set;
+        cache.client.set = jest.fn((key, ...args) => (key.startsWith('__lock:')
+          ? Promise.reject(new Error('READONLY You can\'t write against a read only replica'))
+          : set(key, ...args)));
+
+        expect(await cache.get('product:1')).toEqual({ id: 1 });
+        expect(errors.map(({ command }) => command)).toEqual(['lock']);
+      });
+    });
+
+    describe('early refresh (XFetch)', () => {
+      const seed = (cache, value, ttlMs) => cache.client.set('product:1', JSON.stringify(value), 'PX', ttlMs);
+
+      it('should refresh in the background as expiry approaches', async () => {
+        const loader = createLoader();
+        const cache = createClient({ loader });
+        await seed(cache, { version: 1 }, 1000);
+        cache.loaderDurationMs = 2000;
+        // -2000ms * ln(0.5) = 1386ms, beyond the 1000ms left
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        expect(await cache.get('product:1')).toEqual({ version: 1 });
+        expect(metrics.getMetrics().cache_early_refresh).toBe(1);
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        // Readers keep getting the cached value without starting another refresh
+        expect(await cache.get('product:1')).toEqual({ version: 1 });
+        expect(metrics.getMetrics().cache_early_refresh).toBe(1);
+
+        const refresh = cache.inflight.get('product:1');
+        loader.resolve({ version: 2 });
+        await refresh;
+        expect(await cache.get('product:1')).toEqual({ version: 2 });
+      });
+
+      it('should not refresh keys far from expiry or without a TTL', async () => {
+        const loader = jest.fn(async () => ({ version: 2 }));
+        const cache = createClient({ loader });
+        cache.loaderDurationMs = 100;
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        await seed(cache, { version: 1 }, 60000);
+        expect(await cache.get('product:1')).toEqual({ version: 1 });
+
+        await cache.client.set('product:1', JSON.stringify({ version: 1 }));
+        expect(await cache.get('product:1')).toEqual({ version: 1 });
+
+        expect(loader).not.toHaveBeenCalled();
+        expect(metrics.getMetrics().cache_early_refresh).toBe(0);
+      });
+
+      it('should not refresh early when it is disabled', async () => {
+        const loader = jest.fn(async () => ({ version: 2 }));
+        const cache = createClient({ loader, stampede: { earlyRefresh: { enabled: false } } });
+        await seed(cache, { version: 1 }, 1000);
+        cache.loaderDurationMs = 2000;
+        jest.spyOn(Math, 'random').mockReturnValue(0.001);
+
+        expect(await cache.get('product:1')).toEqual({ version: 1 });
+        expect(loader).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('L1 cache', () => {
+    const createL1Client = (options) => {
+      const cache = createClient({ l1: { enabled: true, ttl: 5000 }, ...options });
+      cache.subscriber.emit('ready');
+      return cache;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should not keep an L2 hit past its Redis TTL', async () => {
+      const cache = createL1Client({ strategy: RedisClient.STRATEGY.CACHE_ASIDE });
+      await cache.client.set('product:1', JSON.stringify({ id: 1 }), 'PX', 1000);
+      await cache.client.set('product:2', JSON.stringify({ id: 2 }));
+
+      expect(await cache.getWithSource('product:1')).toEqual({ value: { id: 1 }, source: RedisClient.STORAGE_SOURCE.L2 });
+      expect(await cache.getWithSource('product:2')).toMatchObject({ source: RedisClient.STORAGE_SOURCE.L2 });
+      expect(await cache.getWithSource('product:1')).toMatchObject({ source: RedisClient.STORAGE_SOURCE.L1 });
+
+      jest.advanceTimersByTime(1001);
+      expect(await cache.getWithSource('product:1')).toEqual({ value: null, source: null });
+      // Without a Redis TTL, the L1 TTL applies
+      expect(await cache.getWithSource('product:2')).toMatchObject({ source: RedisClient.STORAGE_SOURCE.L1 });
+    });
+
+    it('should bound read-through hits by the TTL left in Redis', async () => {
+      const loader = jest.fn(async key => ({ key }));
+      const cache = createL1Client({ loader });
+      await cache.client.set('product:1', JSON.stringify({ key: 'cached' }), 'PX', 1000);
+
+      expect(await cache.getWithSource('product:1')).toEqual({ value: { key: 'cached' }, source: RedisClient.STORAGE_SOURCE.L2 });
+      jest.advanceTimersByTime(1001);
+
+      expect(await cache.getWithSource('product:1')).toEqual({ value: { key: 'product:1' }, source: RedisClient.STORAGE_SOURCE.ORIGIN });
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Tag and pattern invalidation', () => {
+    it('should register its scripts instead of sending them with every call', async () => {
+      const cache = createClient({ loader: async () => ({ id: 1 }), stampede: { lock: { enabled: true } } });
+      jest.spyOn(cache.client, 'eval');
+
+      await cache.set('product:1', { id: 1 }, 60, { tags: ['product'] });
+      await cache.get('product:2');
+
+      expect(typeof cache.client.cacheTagKey).toBe('function');
+      expect(typeof cache.client.cacheReleaseLock).toBe('function');
+      expect(cache.client.eval).not.toHaveBeenCalled();
+      expect(await cache.client.exists('__lock:product:2')).toBe(0);
+    });
+
+    it('should delete tagged keys and keep tag sets as long as their longest-lived member', async () => {
+      const cache = createClient({
+        configPath: withConfig({ keyPrefix: 'shop', connectionPrefix: 'optima:' }),
+        strategy: RedisClient.STRATEGY.CACHE_ASIDE
+      });
+
+      await cache.set('product:1', { id: 1 }, 60, { tags: ['product'] });
+      await cache.set('product:2', { id: 2 }, 600, { tags: ['product', 'featured'] });
+      await cache.set('product:3', { id: 3 }, 30, { tags: ['product'] });
+
+      expect(await cache.client.ttl('shop:__tag:product')).toBe(600);
+      expect([...cache.client.data.keys()]).toContain('optima:shop:__tag:product');
+
+      expect(await cache.invalidateTag('product')).toBe(3);
+      expect(await cache.client.exists('shop:product:1', 'shop:product:2', 'shop:product:3', 'shop:__tag:product')).toBe(0);
+      expect(await cache.invalidateTags(['featured', 'missing'])).toBe(0);
+      expect(await cache.client.exists('shop:__tag:featured')).toBe(0);
+      expect(metrics.getMetrics().invalidations.tag).toBe(3);
+    });
+
+    it('should not delete load locks held by a loader', async () => {
+      const loader = createLoader();
+      const cache = createClient({ loader, stampede: { lock: { enabled: true, ttl: 5000 } } });
+      await cache.set('user:2', { id: 2 }, 60);
+
+      const loading = cache.get('user:1');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(await cache.invalidatePattern('user:*')).toBe(1);
+      expect(await cache.invalidatePattern('*')).toBe(0);
+
+      expect(await cache.client.exists('__lock:user:1')).toBe(1);
+      loader.resolve({ id: 1 });
+      expect(await loading).toEqual({ id: 1 });
+    });
+
+    it('should match the connection prefix literally and leave internal keys alone', async () => {
+      const cache = createClient({
+        configPath: withConfig({ connectionPrefix: 'cache[eu]:' }),
+        strategy: RedisClient.STRATEGY.WRITE_BEHIND,
+        writer: jest.fn(async () => {}),
+        writeBehind: { flushInterval: 60000 }
+      });
+      // Written by another application, without our prefix
+      cache.client.call('set', ['cachee:product:1', 'theirs']);
+
+      await cache.set('product:1', { id: 1 }, 60, { tags: ['product'] });
+      await cache.set('product:2', { id: 2 }, 60);
+      jest.spyOn(cache.client, 'scan');
+
+      expect(await cache.invalidatePattern('*')).toBe(2);
+      expect(cache.client.scan).toHaveBeenCalledWith('0', 'MATCH', 'cache\\[eu\\]:*', 'COUNT', 500);
+      expect([...cache.client.data.keys()].sort()).toEqual([
+        'cache[eu]:__tag:product',
+        'cache[eu]:{write-behind}:enqueued',
+        'cache[eu]:{write-behind}:queue',
+        'cache[eu]:{write-behind}:values',
+        'cachee:product:1'
+      ]);
+      expect(metrics.getMetrics().invalidations.pattern).toBe(2);
+      await cache.close();
+    });
+
+    it('should scan every master in cluster mode', async () => {
+      const cache = createClient({
+        configPath: withConfig({ connectionPrefix: 'optima:', cluster: true }),
+        strategy: RedisClient.STRATEGY.CACHE_ASIDE
+      });
+      const masters = cache.client.nodes('master');
+
+      for (let id = 1; id <= 6; id++) {
+        await cache.set(`product:${id}`, { id }, 60);
+      }
+      await cache.set('order:1', { id: 1 }, 60);
+      expect(masters.every(node => node.data.size > 0)).toBe(true);
+
+      expect(await cache.invalidatePattern('product:*')).toBe(6);
+      expect(masters.flatMap(node => [...node.data.keys()])).toEqual(['optima:order:1']);
+      await expect(cache.invalidatePattern('')).rejects.toThrow('A non-empty pattern is required');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const zlib = require('zlib');
+const { ValueSerializer, registerCodec, getCodec } = require('../services/redis/codecs');
+const msgpack = require('../services/redis/msgpack');
+
+describe('Redis Value Codecs', () => {
+  const sample = {
+    name: 'widget',
+    count: 42,
+    ratio: 0.5,
+    tags: ['a', 'b'],
+    createdAt: new Date('2024-01-02T03:04:05.000Z'),
+    blob: Buffer.from([1, 2, 3]),
+    big: 12345678901234567890n,
+    lookup: new Map([['x', 1], ['y', 2]]),
+    unique: new Set([1, 2, 3]),
+    nested: { missing: undefined, empty: null }
+  };
+
+  describe.each(['json', 'msgpack'])('%s codec', (codec) => {
+    it('should round-trip rich types', () => {
+      const serializer = new ValueSerializer({ codec, compression: 'none' });
+      const parsed = serializer.parse(serializer.serialize(sample));
+
+      expect(parsed.createdAt).toBeInstanceOf(Date);
+      expect(parsed.createdAt.getTime()).toBe(sample.createdAt.getTime());
+      expect(Buffer.isBuffer(parsed.blob)).toBe(true);
+      expect(parsed.blob.equals(sample.blob)).toBe(true);
+      expect(parsed.big).toBe(sample.big);
+      expect(parsed.lookup).toEqual(sample.lookup);
+      expect(parsed.unique).toEqual(sample.unique);
+      expect(parsed.tags).toEqual(['a', 'b']);
+      expect(parsed.nested.empty).toBeNull();
+    });
+
+    it('should round-trip undefined', () => {
+      const serializer = new ValueSerializer({ codec });
+      expect(serializer.parse(serializer.serialize(undefined))).toBeUndefined();
+    });
+
+    it('should read values written with another codec', () => {
+      const writer = new ValueSerializer({ codec });
+      const reader = new ValueSerializer({ codec: codec === 'json' ? 'msgpack' : 'json' });
+
+      expect(reader.parse(writer.serialize({ id: 1 }))).toEqual({ id: 1 });
+    });
+  });
+
+  describe('Framing', () => {
+    it('should prefix values with the format header', () => {
+      const buffer = new ValueSerializer({ codec: 'msgpack' }).serialize('hi');
+
+      expect([...buffer.subarray(0, 4)]).toEqual([0x00, 1, getCodec('msgpack').id, 0]);
+    });
+
+    it('should compress values above the threshold', () => {
+      const serializer = new ValueSerializer({ compression: 'gzip', compressionThreshold: 100 });
+      const value = { text: 'x'.repeat(1000) };
+      const buffer = serializer.serialize(value);
+
+      expect(buffer[3]).toBe(1);
+      expect(buffer.length).toBeLessThan(200);
+      expect(zlib.gunzipSync(buffer.subarray(4)).length).toBeGreaterThan(1000);
+      expect(serializer.parse(buffer)).toEqual(value);
+    });
+
+    it('should support brotli compression', () => {
+      const serializer = new ValueSerializer({ compression: 'brotli', compressionThreshold: 10 });
+      const value = 'y'.repeat(500);
+
+      expect(serializer.parse(serializer.serialize(value))).toBe(value);
+    });
+
+    it('should leave small values uncompressed', () => {
+      const buffer = new ValueSerializer({ compressionThreshold: 1024 }).serialize({ id: 1 });
+      expect(buffer[3]).toBe(0);
+    });
+
+    it('should reject unknown format versions', () => {
+      const serializer = new ValueSerializer();
+      const buffer = serializer.serialize(1);
+      buffer[1] = 9;
+
+      expect(() => serializer.parse(buffer)).toThrow('Unsupported cache value format version: 9');
+    });
+  });
+
+  describe('Legacy values', () => {
+    it('should parse plain JSON written by older clients', () => {
+      const serializer = new ValueSerializer();
+
+      expect(serializer.parse('{"id":1}')).toEqual({ id: 1 });
+      expect(serializer.parse(Buffer.from('[1,2]'))).toEqual([1, 2]);
+      expect(serializer.parse('__undefined__')).toBeUndefined();
+      expect(serializer.parse('not json')).toBe('not json');
+      expect(serializer.parse(null)).toBeNull();
+    });
+
+    it('should write plain JSON in legacy mode', () => {
+      const serializer = new ValueSerializer({ writeFormat: 'legacy' });
+
+      expect(serializer.serialize({ id: 1 })).toBe('{"id":1}');
+      expect(serializer.serialize(undefined)).toBe('__undefined__');
+    });
+  });
+
+  describe('Custom codecs', () => {
+    it('should register and use a custom codec', () => {
+      registerCodec({
+        id: 200,
+        name: 'upper-text',
+        encode: (value) => Buffer.from(String(value).toUpperCase()),
+        decode: (buffer) => buffer.toString()
+      });
+
+      const serializer = new ValueSerializer({ codec: 'upper-text' });
+      expect(serializer.parse(serializer.serialize('hello'))).toBe('HELLO');
+    });
+
+    it('should not allow a codec id to be reused', () => {
+      expect(() => registerCodec({
+        id: 1,
+        name: 'other',
+        encode: () => Buffer.alloc(0),
+        decode: () => null
+      })).toThrow('Codec id 1 is already used by json');
+    });
+
+    it('should reject unknown codecs and compression', () => {
+      expect(() => new ValueSerializer({ codec: 'xml' })).toThrow('Unknown codec: xml');
+      expect(() => new ValueSerializer({ compression: 'lz4' })).toThrow('Unknown compression: lz4');
+    });
+  });
+
+  describe('MessagePack', () => {
+    it('should encode integers, strings and arrays compactly', () => {
+      expect([...msgpack.encode(1)]).toEqual([0x01]);
+      expect([...msgpack.encode('a')]).toEqual([0xa1, 0x61]);
+      expect([...msgpack.encode([true, null])]).toEqual([0x92, 0xc3, 0xc0]);
+    });
+
+    it('should decode a __proto__ key as a plain property', () => {
+      // {"__proto__": {"isAdmin": true}} as a fixmap, written by hand
+      const payload = Buffer.concat([
+        Buffer.from([0x81, 0xa9]), Buffer.from('__proto__'),
+        Buffer.from([0x81, 0xa7]), Buffer.from('isAdmin'), Buffer.from([0xc3]),
+      ]);
+      const decoded = msgpack.decode(payload);
+
+      expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+      expect(decoded.isAdmin).toBeUndefined();
+      expect(Object.keys(decoded)).toEqual(['__proto__']);
+      expect(decoded).toEqual(JSON.parse('{"__proto__":{"isAdmin":true}}'));
+    });
+
+    it('should round-trip large and negative numbers', () => {
+      const values = [-1, -129, 70000, -70000, 2 ** 40, -(2 ** 40), 1.5, 'é'.repeat(300)];
+      values.forEach(value => expect(msgpack.decode(msgpack.encode(value))).toEqual(value));
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const http = require('http');
+const { ResponseCache } = require('../services/api-gateway/cache/responseCache');
+const {
+  parseCacheControl,
+  getFreshnessLifetime,
+  getUncacheableReason,
+  isNotModified,
+} = require('../services/api-gateway/cache/cacheControl');
+const metrics = require('../services/api-gateway/metrics');
+
+// Mock logger to avoid cluttering test output
+jest.mock('../services/api-gateway/middleware/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// In-memory stand-in for RedisClient (values round-trip through JSON like the real codec)
+const createClient = () => {
+  const data = new Map();
+  return {
+    connected: true,
+    data,
+    getWithSource: jest.fn(async key => (
+      data.has(key) ? { value: JSON.parse(data.get(key)), source: 'redis-l2' } : { value: null, source: null }
+    )),
+    set: jest.fn(async (key, value) => {
+      data.set(key, JSON.stringify(value));
+      return true;
+    }),
+    del: jest.fn(async key => data.delete(key)),
+  };
+};
+
+// Pretend every stored entry was stored `seconds` earlier
+const ageEntries = (client, seconds) => {
+  client.data.forEach((raw, key) => {
+    const value = JSON.parse(raw);
+    if (value.storedAt) value.storedAt -= seconds * 1000;
+    client.data.set(key, JSON.stringify(value));
+  });
+};
+
+const createRequest = (headers = {}, method = 'GET') => ({ method, originalUrl: '/catalog/items', headers });
+
+const createResponse = () => ({
+  headersSent: false,
+  writeHead: jest.fn(function () { this.headersSent = true; }),
+  end: jest.fn(),
+});
+
+describe('Response Cache', () => {
+  let server;
+  let upstream;
+  let client;
+  let cache;
+
+  // Upstream answers with whatever the test sets in `upstream`
+  const fetchUpstream = (headers = {}, method = 'GET') => new Promise((resolve, reject) => {
+    http.request(`http://127.0.0.1:${server.address().port}/items`, { method, headers }, resolve)
+      .on('error', reject)
+      .end();
+  });
+
+  // Run a request through the cache middleware; resolves with how it was answered
+  const request = async (req, res = createResponse()) => {
+    const next = jest.fn();
+    await cache.handle(req, res, next);
+    return { req, res, next };
+  };
+
+  // Proxy a missed request: fetch from the upstream, let the cache capture it, drain it like the proxy would
+  const proxy = async (req) => {
+    const response = await fetchUpstream(req.headers);
+    cache.capture(req, response);
+    response.resume();
+    await new Promise(resolve => response.on('close', resolve));
+    await new Promise(resolve => setImmediate(resolve));
+    return response;
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      upstream.requests.push(req.headers);
+      upstream.methods.push(req.method);
+      res.writeHead(upstream.status, upstream.headers);
+      res.end(upstream.body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    upstream = {
+      status: 200,
+      headers: { 'cache-control': 'max-age=60', etag: '"v1"', 'content-type': 'application/json' },
+      body: '{"items":[]}',
+      requests: [],
+      methods: [],
+    };
+    client = createClient();
+    cache = new ResponseCache('catalog', client, {
+      revalidate: (req, headers, method) => fetchUpstream(headers, method),
+    });
+  });
+
+  afterEach(() => {
+    metrics.reset();
+  });
+
+  describe('Cache-Control', () => {
+    it('should parse directives and prefer s-maxage for shared caches', () => {
+      const directives = parseCacheControl('public, max-age=60, s-maxage="30", no-transform');
+
+      expect(directives).toEqual({ public: true, 'max-age': '60', 's-maxage': '30', 'no-transform': true });
+      expect(getFreshnessLifetime({}, directives)).toBe(30);
+      expect(getFreshnessLifetime({
+        date: 'Mon, 01 Jan 2024 00:00:00 GMT',
+        expires: 'Mon, 01 Jan 2024 00:02:00 GMT',
+      }, {})).toBe(120);
+    });
+
+    it('should refuse responses a shared cache must not store', () => {
+      const response = (headers, statusCode = 200) => ({ statusCode, headers });
+
+      expect(getUncacheableReason(response({ 'cache-control': 'max-age=60' }))).toBeNull();
+      expect(getUncacheableReason(response({ 'cache-control': 'private, max-age=60' }))).toBe('cache-control');
+      expect(getUncacheableReason(response({ 'cache-control': 'max-age=60', 'set-cookie': ['a=1'] }))).toBe('set-cookie');
+      expect(getUncacheableReason(response({}))).toBe('no-lifetime');
+      expect(getUncacheableReason(response({ 'cache-control': 'max-age=60' }, 500))).toBe('status');
+      expect(getUncacheableReason(
+        response({ 'cache-control': 'max-age=60' }),
+        { headers: { authorization: 'Bearer token' } }
+      )).toBe('authorization');
+    });
+
+    it('should match validators with weak comparison', () => {
+      const entry = { headers: { etag: 'W/"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } };
+
+      expect(isNotModified({ 'if-none-match': '"v0", "v1"' }, entry)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"v2"' }, entry)).toBe(false);
+      expect(isNotModified({ 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' }, entry)).toBe(true);
+    });
+  });
+
+  describe('ResponseCache', () => {
+    it('should store a cacheable response and serve it as a hit', async () => {
+      const miss = await request(createRequest());
+      expect(miss.next).toHaveBeenCalled();
+
+      const response = await proxy(miss.req);
+      expect(response.headers['x-cache']).toBe('MISS');
+
+      const { res, next } = await request(createRequest());
+      expect(next).not.toHaveBeenCalled();
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+        'x-cache': 'HIT',
+        'x-storage-source': 'redis-l2',
+        'content-length': '12',
+      }));
+      expect(res.end.mock.calls[0][0].toString()).toBe('{"items":[]}');
+      expect(metrics.getMetrics().routes.catalog.cache).toEqual({ hit: 1, miss: 1, stale: 0 });
+    });
+
+    it('should not store responses marked no-store', async () => {
+      upstream.headers['cache-control'] = 'no-store';
+
+      await proxy((await request(createRequest())).req);
+
+      expect(client.set).not.toHaveBeenCalled();
+    });
+
+    it('should answer 304 when the client already has the cached version', async () => {
+      await proxy((await request(createRequest())).req);
+
+      const { res } = await request(createRequest({ 'if-none-match': '"v1"' }));
+
+      expect(res.writeHead).toHaveBeenCalledWith(304, expect.objectContaining({ etag: '"v1"', 'x-cache': 'HIT' }));
+      expect(res.end).toHaveBeenCalledWith();
+    });
+
+    it('should keep one entry per Vary combination', async () => {
+      upstream.headers.vary = 'Accept-Language';
+
+      await proxy((await request(createRequest({ 'accept-language': 'en' }))).req);
+
+      expect((await request(createRequest({ 'accept-language': 'en' }))).next).not.toHaveBeenCalled();
+      expect((await request(createRequest({ 'accept-language': 'fr' }))).next).toHaveBeenCalled();
+    });
+
+    it('should serve stale and revalidate in the background within stale-while-revalidate', async () => {
+      upstream.headers['cache-control'] = 'max-age=60, stale-while-revalidate=30';
+      await proxy((await request(createRequest())).req);
+      ageEntries(client, 70);
+
+      upstream.status = 304;
+      upstream.body = undefined;
+      const { res, next } = await request(createRequest());
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'x-cache': 'STALE' }));
+
+      // The conditional revalidation refreshes the entry
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(upstream.requests[1]['if-none-match']).toBe('"v1"');
+      const refreshed = await request(createRequest());
+      expect(refreshed.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'x-cache': 'HIT' }));
+    });
+
+    it('should revalidate a HEAD hit with a GET and keep the body for GET clients', async () => {
+      upstream.headers['cache-control'] = 'max-age=60, stale-while-revalidate=30';
+      await proxy((await request(createRequest())).req);
+      ageEntries(client, 70);
+
+      upstream.headers.etag = '"v2"';
+      upstream.body = '{"items":[1]}';
+      const head = await request(createRequest({}, 'HEAD'));
+      expect(head.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'x-cache': 'STALE' }));
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(upstream.methods).toEqual(['GET', 'GET']);
+      const { res } = await request(createRequest());
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'x-cache': 'HIT', etag: '"v2"' }));
+      expect(res.end.mock.calls[0][0].toString()).toBe('{"items":[1]}');
+    });
+
+    it('should not store a body-less revalidation response', async () => {
+      upstream.headers['cache-control'] = 'max-age=60, stale-while-revalidate=30';
+      cache.options.revalidate = (req, headers) => fetchUpstream(headers, 'HEAD');
+      await proxy((await request(createRequest())).req);
+      ageEntries(client, 70);
+
+      upstream.headers.etag = '"v2"';
+      await request(createRequest({}, 'HEAD'));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const { res } = await request(createRequest());
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'x-cache': 'STALE', etag: '"v1"' }));
+      expect(res.end.mock.calls[0][0].toString()).toBe('{"items":[]}');
+    });
+
+    it('should go upstream once stale-while-revalidate has passed', async () => {
+      upstream.headers['cache-control'] = 'max-age=60, stale-while-revalidate=30';
+      await proxy((await request(createRequest())).req);
+      ageEntries(client, 100);
+
+      expect((await request(createRequest())).next).toHaveBeenCalled();
+    });
+
+    it('should serve stale responses on upstream errors within stale-if-error', async () => {
+      upstream.headers['cache-control'] = 'max-age=60, stale-if-error=300';
+      await proxy((await request(createRequest())).req);
+      ageEntries(client, 120);
+
+      const { req, next } = await request(createRequest());
+      expect(next).toHaveBeenCalled();
+
+      const res = createResponse();
+      expect(cache.serveStaleIfError(req, res)).toBe(true);
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'x-cache': 'STALE' }));
+
+      ageEntries(client, 300);
+      const expired = (await request(createRequest())).req;
+      expect(cache.serveStaleIfError(expired, createResponse())).toBe(false);
+    });
+
+    it('should skip cached responses when the client sends no-cache', async () => {
+      await proxy((await request(createRequest())).req);
+
+      expect((await request(createRequest({ 'cache-control': 'no-cache' }))).next).toHaveBeenCalled();
+    });
+
+    it('should proxy as a miss when Redis is unavailable', async () => {
+      client.getWithSource.mockRejectedValue(new Error('Connection is closed'));
+
+      const { next, req } = await request(createRequest());
+
+      expect(next).toHaveBeenCalled();
+      expect(req.cache.entry).toBeNull();
+    });
+
+    it('should invalidate the URL after a successful unsafe request', async () => {
+      await proxy((await request(createRequest())).req);
+
+      cache.capture(createRequest({}, 'DELETE'), { statusCode: 204, headers: {} });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect((await request(createRequest())).next).toHaveBeenCalled();
+    });
+  });
+});
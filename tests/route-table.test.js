@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RouteTable } = require('../services/api-gateway/routes');
+
+// Mock logger to avoid cluttering test output
+jest.mock('../services/api-gateway/middleware/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const ROUTES = `
+routes:
+  - name: frontend
+    path: /
+    target: http://localhost:3000
+  - name: api
+    path: /api
+    target: \${TEST_API_URL:http://localhost:3001}
+    methods: [GET, POST]
+    timeout: 5000
+    headers:
+      request:
+        set:
+          x-gateway: optima
+        remove: [cookie]
+    rateLimit:
+      max: 10
+      windowMs: 1000
+`;
+
+describe('Route Table', () => {
+  let dir;
+  let file;
+  let table;
+
+  const writeRoutes = (content) => fs.writeFileSync(file, content);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+    file = path.join(dir, 'routes.yaml');
+    writeRoutes(ROUTES);
+    table = new RouteTable({ file, debounce: 10, build: jest.fn(routes => ({ routes })) });
+  });
+
+  afterEach(() => {
+    table.unwatch();
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.TEST_API_URL;
+  });
+
+  it('should load, validate and order routes by specificity', () => {
+    const snapshot = table.load();
+
+    expect(snapshot.version).toBe(1);
+    expect(snapshot.routes.map(route => route.name)).toEqual(['api', 'frontend']);
+    expect(table.build).toHaveBeenCalledWith(snapshot.routes);
+  });
+
+  it('should apply defaults and expand environment variables', () => {
+    process.env.TEST_API_URL = 'http://api.internal:8080';
+    const [api, frontend] = table.load().routes;
+
+    expect(api.target).toBe('http://api.internal:8080');
+    expect(api.timeout).toBe(5000);
+    expect(frontend.timeout).toBe(30000);
+    expect(frontend.stripPrefix).toBe(true);
+  });
+
+  it('should accept JSON route files', () => {
+    file = path.join(dir, 'routes.json');
+    fs.writeFileSync(file, JSON.stringify({
+      routes: [{ name: 'api', path: '/api', target: 'http://localhost:3001' }],
+    }));
+    table = new RouteTable({ file, build: routes => routes });
+
+    expect(table.load().routes).toHaveLength(1);
+  });
+
+  it('should reject invalid route tables', () => {
+    writeRoutes('routes:\n  - name: api\n    path: api\n    target: not a url\n    methods: [FETCH]\n');
+
+    expect(() => table.load()).toThrow('Invalid route table');
+  });
+
+  it('should reject duplicate route names', () => {
+    writeRoutes(`${ROUTES}\n  - name: api\n    path: /v2\n    target: http://localhost:3005\n`);
+
+    expect(() => table.load()).toThrow('duplicate route name "api"');
+  });
+
+  it('should accept a pool of targets instead of a single target', () => {
+    writeRoutes([
+      'routes:',
+      '  - name: api',
+      '    path: /api',
+      '    targets: [http://a:3001, { url: "http://b:3001", weight: 2 }]',
+      '    loadBalancing: { healthCheck: { interval: 1000 } }',
+    ].join('\n'));
+
+    const [api] = table.load().routes;
+    expect(api.targets).toHaveLength(2);
+    expect(api.loadBalancing.strategy).toBe('round-robin');
+
+    writeRoutes('routes:\n  - name: api\n    path: /api\n    target: http://a:3001\n    targets: [http://b:3001]\n');
+    expect(() => table.load()).toThrow('Invalid route table');
+  });
+
+  it('should accept a fixed or p95 hedging delay', () => {
+    writeRoutes('routes:\n  - name: api\n    path: /api\n    target: http://a:3001\n    hedging: { delay: 50 }\n');
+    expect(table.load().routes[0].hedging.delay).toBe('50');
+
+    writeRoutes('routes:\n  - name: api\n    path: /api\n    target: http://a:3001\n    hedging: {}\n');
+    expect(table.load().routes[0].hedging.delay).toBe('p95');
+
+    writeRoutes('routes:\n  - name: api\n    path: /api\n    target: http://a:3001\n    hedging: { delay: p99 }\n');
+    expect(() => table.load()).toThrow('Invalid route table');
+  });
+
+  it('should keep the current routes when a reload fails', () => {
+    table.load();
+    const previous = table.current;
+    const onFailure = jest.fn();
+    table.on('reloadFailed', onFailure);
+
+    writeRoutes('routes: nope');
+    const result = table.reload();
+
+    expect(result.success).toBe(false);
+    expect(table.current).toBe(previous);
+    expect(onFailure).toHaveBeenCalled();
+  });
+
+  it('should swap routers without affecting in-flight requests', () => {
+    const first = jest.fn((req, res, next) => next());
+    const second = jest.fn((req, res, next) => next());
+    table.build = jest.fn()
+      .mockReturnValueOnce(first)
+      .mockReturnValueOnce(second);
+
+    table.load();
+    const inFlight = table.current.router;
+    expect(table.reload()).toEqual({ success: true, version: 2, routes: 2 });
+
+    table.handle({}, {}, () => {});
+
+    expect(inFlight).toBe(first);
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(first).not.toHaveBeenCalled();
+  });
+
+  it('should reload when the file changes', async () => {
+    table.load();
+    table.watch();
+
+    const reloaded = new Promise(resolve => table.once('reload', resolve));
+    writeRoutes('routes:\n  - name: only\n    path: /only\n    target: http://localhost:3009\n');
+
+    const snapshot = await reloaded;
+    expect(snapshot.routes.map(route => route.name)).toEqual(['only']);
+  });
+});
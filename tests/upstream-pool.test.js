@@ -0,0 +1,145 @@
+const { UpstreamPool } = require('../services/api-gateway/upstream/pool');
+const { HealthChecker } = require('../services/api-gateway/upstream/healthCheck');
+const { logger } = require('../services/api-gateway/middleware/logging');
+
+// Mock logger to avoid cluttering test output
+jest.mock('../services/api-gateway/middleware/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const TARGETS = ['http://a:3001', 'http://b:3001', 'http://c:3001'];
+
+// Acquire and immediately release `count` times, returning the picked URLs
+const pick = (pool, count) => Array.from({ length: count }, () => {
+  const upstream = pool.acquire();
+  pool.release(upstream, 10);
+  return upstream.url;
+});
+
+describe('Upstream Pool', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Strategies', () => {
+    it('should rotate through targets with round-robin', () => {
+      const pool = new UpstreamPool('api', TARGETS);
+
+      expect(pick(pool, 6)).toEqual([...TARGETS, ...TARGETS]);
+    });
+
+    it('should honour weights with round-robin', () => {
+      const pool = new UpstreamPool('api', [
+        { url: 'http://a:3001', weight: 3 },
+        { url: 'http://b:3001', weight: 1 },
+      ]);
+
+      const picks = pick(pool, 8);
+      expect(picks.filter(url => url === 'http://a:3001')).toHaveLength(6);
+      // Smooth: the light target is not starved for long runs
+      expect(picks.slice(0, 4)).toContain('http://b:3001');
+    });
+
+    it('should prefer the target with the fewest outstanding requests', () => {
+      const pool = new UpstreamPool('api', TARGETS, { strategy: 'least-outstanding' });
+
+      const first = pool.acquire();
+      const second = pool.acquire();
+      const third = pool.acquire();
+      expect(new Set([first.url, second.url, third.url]).size).toBe(3);
+
+      pool.release(second, 5);
+      expect(pool.acquire()).toBe(second);
+    });
+
+    it('should steer traffic away from slow targets with ewma', () => {
+      const pool = new UpstreamPool('api', TARGETS.slice(0, 2), { strategy: 'ewma' });
+      const [fast, slow] = pool.upstreams;
+
+      pool.release(pool.acquire(), 10);
+      pool.release(pool.acquire(), 500);
+      expect(fast.latencyEwma).toBe(10);
+      expect(slow.latencyEwma).toBe(500);
+
+      expect(pick(pool, 5).every(url => url === fast.url)).toBe(true);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => new UpstreamPool('api', TARGETS, { strategy: 'random' }))
+        .toThrow('Unknown load balancing strategy: random');
+    });
+  });
+
+  describe('Health', () => {
+    it('should skip unhealthy targets and return null when none are left', () => {
+      const pool = new UpstreamPool('api', TARGETS.slice(0, 2));
+      const [a, b] = pool.upstreams;
+
+      pool.setHealthy(a, false);
+      expect(pick(pool, 3)).toEqual([b.url, b.url, b.url]);
+
+      pool.setHealthy(b, false);
+      expect(pool.acquire()).toBeNull();
+    });
+
+    it('should eject and re-admit targets based on probe results', async () => {
+      const results = { 'http://a:3001/health': 200, 'http://b:3001/ready': 200 };
+      const probe = jest.fn(async (url) => {
+        if (results[url] instanceof Error) throw results[url];
+        return results[url];
+      });
+      const pool = new UpstreamPool('api', ['http://a:3001'], {
+        healthCheck: { unhealthyThreshold: 2, healthyThreshold: 2, probe },
+      });
+      const [upstream] = pool.upstreams;
+
+      results['http://a:3001/health'] = new Error('ECONNREFUSED');
+      await pool.healthChecker.checkAll();
+      expect(upstream.healthy).toBe(true);
+      await pool.healthChecker.checkAll();
+      expect(upstream.healthy).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Upstream ejected', expect.objectContaining({ route: 'api' }));
+
+      results['http://a:3001/health'] = 200;
+      await pool.healthChecker.checkAll();
+      expect(upstream.healthy).toBe(false);
+      await pool.healthChecker.checkAll();
+      expect(upstream.healthy).toBe(true);
+    });
+
+    it('should treat error status codes as failures', async () => {
+      const probe = jest.fn(async () => 503);
+      const checker = new HealthChecker(new UpstreamPool('api', ['http://a:3001']), {
+        path: '/ready',
+        unhealthyThreshold: 1,
+        probe,
+      });
+
+      await checker.checkAll();
+
+      expect(probe).toHaveBeenCalledWith('http://a:3001/ready', 2000);
+      expect(checker.pool.upstreams[0].healthy).toBe(false);
+      expect(checker.getState(checker.pool.upstreams[0]).lastError).toBe('Unexpected status 503');
+    });
+
+    it('should report pool status', () => {
+      const pool = new UpstreamPool('api', TARGETS.slice(0, 2), { strategy: 'least-outstanding' });
+      pool.setHealthy(pool.upstreams[1], false);
+
+      expect(pool.getStatus()).toMatchObject({
+        strategy: 'least-outstanding',
+        healthy: 1,
+        total: 2,
+        healthChecks: false,
+        targets: [
+          { url: 'http://a:3001', healthy: true, outstanding: 0 },
+          { url: 'http://b:3001', healthy: false },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { EventEmitter } = require('events');
+const jwt = require('../services/auth/jwt');
+const {
+  createSocketAuth,
+  watchTokenExpiry,
+  createRoomAuthorizer,
+  authorizeRoom
+} = require('../services/websocket/auth');
+
+// The JWT service loads its keys from Key Vault on import
+jest.mock('../services/auth/jwt', () => ({
+  verifyToken: jest.fn()
+}));
+
+// Mock the logger
+jest.mock('../services/telemetry', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const createSocket = (handshake = {}, user = null) => {
+  const socket = new EventEmitter();
+  socket.handshake = { auth: {}, headers: {}, ...handshake };
+  socket.user = user;
+  socket.disconnect = jest.fn();
+  jest.spyOn(socket, 'emit');
+  return socket;
+};
+
+const user = (overrides = {}) => ({ id: 'user-1', roles: ['user'], permissions: ['read'], ...overrides });
+
+const runMiddleware = async (middleware, socket) => {
+  const next = jest.fn();
+  await middleware(socket, next);
+  return next.mock.calls[0][0];
+};
+
+describe('WebSocket authentication', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REQUIRE_AUTH;
+  });
+
+  describe('createSocketAuth', () => {
+    it('should verify the handshake token and set socket.user', async () => {
+      jwt.verifyToken.mockResolvedValue({
+        valid: true,
+        payload: { sub: 'user-1', email: 'user@example.com', roles: ['admin'], jti: 'abc', exp: 2000000000 }
+      });
+      const socket = createSocket({ auth: { token: 'token-1' } });
+
+      expect(await runMiddleware(createSocketAuth(), socket)).toBeUndefined();
+      expect(jwt.verifyToken).toHaveBeenCalledWith('token-1', { ignoreExpiration: false });
+      expect(socket.user).toEqual(expect.objectContaining({ id: 'user-1', roles: ['admin'], permissions: [], exp: 2000000000 }));
+    });
+
+    it('should accept a bearer Authorization header', async () => {
+      jwt.verifyToken.mockResolvedValue({ valid: true, payload: { sub: 'user-1' } });
+
+      await runMiddleware(createSocketAuth(), createSocket({ headers: { authorization: 'Bearer token-2' } }));
+
+      expect(jwt.verifyToken).toHaveBeenCalledWith('token-2', expect.any(Object));
+    });
+
+    it('should require a token only when authentication is required', async () => {
+      const anonymous = createSocket();
+      expect(await runMiddleware(createSocketAuth(), anonymous)).toBeUndefined();
+      expect(anonymous.user).toBeNull();
+
+      process.env.REQUIRE_AUTH = 'true';
+      const error = await runMiddleware(createSocketAuth(), createSocket());
+      expect(error.message).toBe('Authentication error: Token is required');
+      expect(error.data).toEqual({ code: 'AUTH_REQUIRED' });
+
+      expect(await runMiddleware(createSocketAuth({ required: false }), createSocket())).toBeUndefined();
+    });
+
+    it('should reject invalid and refresh tokens', async () => {
+      jwt.verifyToken.mockResolvedValueOnce({ valid: false, error: 'jwt expired' });
+      expect((await runMiddleware(createSocketAuth(), createSocket({ auth: { token: 'expired' } }))).data)
+        .toEqual({ code: 'INVALID_TOKEN' });
+
+      jwt.verifyToken.mockResolvedValueOnce({ valid: true, payload: { sub: 'user-1', type: 'refresh' } });
+      expect((await runMiddleware(createSocketAuth(), createSocket({ auth: { token: 'refresh' } }))).data)
+        .toEqual({ code: 'INVALID_TOKEN_TYPE' });
+    });
+  });
+
+  describe('watchTokenExpiry', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should disconnect the socket when its token expires', () => {
+      const socket = createSocket({}, user({ exp: Math.floor(Date.now() / 1000) + 60 }));
+      watchTokenExpiry(socket);
+
+      jest.advanceTimersByTime(59000);
+      expect(socket.disconnect).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(socket.emit).toHaveBeenCalledWith('auth-expired', expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+
+    it('should stop watching once the socket disconnects', () => {
+      const socket = createSocket({}, user({ exp: Math.floor(Date.now() / 1000) + 60 }));
+      watchTokenExpiry(socket);
+
+      socket.emit('disconnect', 'client namespace disconnect');
+      jest.advanceTimersByTime(60000);
+
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('room authorization', () => {
+    const authorize = createRoomAuthorizer({
+      admin: { join: { roles: ['admin'] } },
+      'orders:*': { join: { authenticated: true }, publish: { permissions: ['orders:write', 'read'] } },
+      'orders:public': { join: {} },
+      '*': { publish: { authenticated: true } }
+    });
+
+    it('should apply the most specific rule with authenticate() semantics', () => {
+      const member = createSocket({}, user());
+      const admin = createSocket({}, user({ roles: ['user', 'admin'] }));
+      const anonymous = createSocket();
+
+      expect(authorize(member, 'join', 'admin')).toMatchObject({ allowed: false, code: 'INSUFFICIENT_PERMISSIONS' });
+      expect(authorize(admin, 'join', 'admin').allowed).toBe(true);
+
+      expect(authorize(anonymous, 'join', 'orders:eu')).toMatchObject({ allowed: false, code: 'AUTH_REQUIRED' });
+      expect(authorize(anonymous, 'join', 'orders:public').allowed).toBe(true);
+      expect(authorize(member, 'publish', 'orders:eu').allowed).toBe(false);
+      expect(authorize(createSocket({}, user({ permissions: ['read', 'orders:write'] })), 'publish', 'orders:eu').allowed).toBe(true);
+
+      expect(authorize(anonymous, 'join', 'lobby').allowed).toBe(true);
+      expect(authorize(anonymous, 'publish', 'lobby').allowed).toBe(false);
+    });
+
+    it('should leave every room open without rules', () => {
+      expect(createRoomAuthorizer()(createSocket(), 'publish', 'anything').allowed).toBe(true);
+    });
+
+    it('should normalize hook results and fail closed', async () => {
+      const socket = createSocket({}, user());
+
+      expect(await authorizeRoom(async () => true, socket, 'join', 'lobby')).toEqual({ allowed: true });
+      expect(await authorizeRoom(() => false, socket, 'join', 'lobby')).toMatchObject({ allowed: false, code: 'INSUFFICIENT_PERMISSIONS' });
+      expect(await authorizeRoom(() => { throw new Error('down'); }, socket, 'join', 'lobby'))
+        .toMatchObject({ allowed: false, code: 'AUTHORIZATION_FAILED' });
+      expect(await authorizeRoom(() => true, socket, 'join', { $ne: null })).toMatchObject({ allowed: false, code: 'INVALID_ROOM' });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { EventEmitter } = require('events');
+const { createRateLimiter, createOutboundMonitor, SLOW_CONSUMER_POLICY } = require('../services/websocket/backpressure');
+const metrics = require('../services/websocket/metrics');
+const msgpack = require('../services/redis/msgpack');
+
+// Mock the logger
+jest.mock('../services/telemetry', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// engine.io connection whose transport is not writable: packets stay in writeBuffer
+const createSocket = () => {
+  const conn = new EventEmitter();
+  conn.writeBuffer = [];
+  conn.transport = { socket: { bufferedAmount: 0 } };
+  conn.close = jest.fn();
+  // One message (a binary event is its header and attachments), then the end of the tick
+  conn.send = (...packets) => {
+    packets.forEach(data => {
+      const packet = { type: 'message', data };
+      conn.emit('packetCreate', packet);
+      conn.writeBuffer.push(packet);
+    });
+    jest.runAllTicks();
+  };
+  return { clientId: 'client-1', conn, emit: jest.fn(), disconnect: jest.fn() };
+};
+
+const event = (name, payload) => `2${JSON.stringify([name, payload])}`;
+const queued = (socket) => socket.conn.writeBuffer.map(packet => JSON.parse(packet.data.slice(1))[1].n);
+
+describe('WebSocket backpressure', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    metrics.reset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createRateLimiter', () => {
+    const send = (middleware, packet) => {
+      const next = jest.fn();
+      middleware(packet, next);
+      return next;
+    };
+
+    it('should let bursts through, then reject until tokens refill', () => {
+      const socket = createSocket();
+      const middleware = createRateLimiter({ events: { message: { max: 2, windowMs: 1000, burst: 3 } } })(socket);
+
+      const results = [1, 2, 3, 4].map(() => send(middleware, ['message', {}]).mock.calls.length);
+      expect(results).toEqual([1, 1, 1, 0]);
+      expect(socket.emit).toHaveBeenCalledWith('rate-limited', expect.objectContaining({
+        event: 'message',
+        code: 'RATE_LIMITED',
+        retryAfter: 500
+      }));
+
+      jest.advanceTimersByTime(500);
+      expect(send(middleware, ['message', {}])).toHaveBeenCalled();
+      expect(send(middleware, ['join', 'lobby'])).toHaveBeenCalled();
+      expect(metrics.getMetrics().inbound).toMatchObject({ rate_limited: 1, rate_limited_by_event: { message: 1 } });
+    });
+
+    it('should answer through the acknowledgement and disconnect repeat offenders', () => {
+      const socket = createSocket();
+      const middleware = createRateLimiter({
+        events: { 'room-message': { max: 1, windowMs: 1000, burst: 1 } },
+        maxViolations: 2
+      })(socket);
+      const ack = jest.fn();
+
+      send(middleware, ['room-message', {}]);
+      send(middleware, ['room-message', {}, ack]);
+      expect(ack).toHaveBeenCalledWith(expect.objectContaining({ status: 'error', code: 'RATE_LIMITED' }));
+      expect(socket.disconnect).not.toHaveBeenCalled();
+
+      send(middleware, ['room-message', {}]);
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+      expect(metrics.getMetrics().inbound.disconnects).toBe(1);
+    });
+  });
+
+  describe('createOutboundMonitor', () => {
+    const options = { highWatermark: 100, lowWatermark: 50, maxBuffer: 1000 };
+
+    it('should leave clients under the high watermark alone', () => {
+      const socket = createSocket();
+      createOutboundMonitor(options)(socket);
+
+      socket.conn.send(event('tick', { n: 1 }));
+      socket.conn.send(event('tick', { n: 2 }));
+
+      expect(queued(socket)).toEqual([1, 2]);
+      expect(metrics.getMetrics().outbound.slow_consumers).toBe(0);
+    });
+
+    it('should drop the oldest messages down to the low watermark, but not acknowledgements', () => {
+      const socket = createSocket();
+      createOutboundMonitor({ highWatermark: 60, lowWatermark: 30, policy: SLOW_CONSUMER_POLICY.DROP_OLDEST })(socket);
+      socket.conn.writeBuffer.push({ type: 'message', data: '31["ok"]' });
+
+      // 17 bytes each: the fourth goes over the high watermark
+      for (let n = 1; n <= 5; n++) socket.conn.send(event('tick', { n }));
+
+      expect(socket.conn.writeBuffer.map(packet => packet.data)).toEqual(['31["ok"]', event('tick', { n: 4 }), event('tick', { n: 5 })]);
+      expect(metrics.getMetrics().outbound).toMatchObject({ slow_consumers: 1, dropped: 3, dropped_bytes: 51 });
+      expect(socket.conn.close).not.toHaveBeenCalled();
+    });
+
+    it('should keep only the latest message per topic', () => {
+      const socket = createSocket();
+      createOutboundMonitor({ ...options, policy: SLOW_CONSUMER_POLICY.COALESCE })(socket);
+
+      socket.conn.send(event('price', { topic: 'EUR', n: 1 }));
+      socket.conn.send(event('price', { topic: 'USD', n: 2 }));
+      socket.conn.send(event('price', { topic: 'EUR', n: 3 }));
+      socket.conn.send(event('price', { topic: 'EUR', n: 4 }));
+
+      expect(queued(socket)).toEqual([2, 4]);
+      expect(metrics.getMetrics().outbound.coalesced).toBe(2);
+    });
+
+    it('should coalesce MessagePack events, attachments included', () => {
+      const socket = createSocket();
+      createOutboundMonitor({ ...options, policy: SLOW_CONSUMER_POLICY.COALESCE })(socket);
+      const header = '51-["room-message",{"_placeholder":true,"num":0}]';
+
+      socket.conn.send(header, msgpack.encode({ room: 'lobby', message: 'a'.repeat(30) }));
+      socket.conn.send(header, msgpack.encode({ room: 'orders', message: 'b'.repeat(30) }));
+      socket.conn.send(header, msgpack.encode({ room: 'lobby', message: 'c'.repeat(30) }));
+
+      const rooms = socket.conn.writeBuffer.filter(packet => Buffer.isBuffer(packet.data)).map(packet => msgpack.decode(packet.data).room);
+      expect(socket.conn.writeBuffer).toHaveLength(4);
+      expect(rooms).toEqual(['orders', 'lobby']);
+      expect(metrics.getMetrics().outbound.coalesced).toBe(1);
+    });
+
+    it('should disconnect slow consumers, and any client over maxBuffer', () => {
+      const socket = createSocket();
+      createOutboundMonitor({ ...options, policy: SLOW_CONSUMER_POLICY.DISCONNECT })(socket);
+      socket.conn.transport.socket.bufferedAmount = 200;
+
+      socket.conn.send(event('tick', { n: 1 }));
+      socket.conn.send(event('tick', { n: 2 }));
+
+      expect(socket.conn.close).toHaveBeenCalledTimes(1);
+      expect(socket.conn.close).toHaveBeenCalledWith(true);
+
+      const coalescing = createSocket();
+      createOutboundMonitor({ ...options, policy: SLOW_CONSUMER_POLICY.COALESCE })(coalescing);
+      coalescing.conn.transport.socket.bufferedAmount = 2000;
+      coalescing.conn.send(event('tick', { n: 1 }));
+
+      expect(coalescing.conn.close).toHaveBeenCalledWith(true);
+      expect(metrics.getMetrics().outbound.disconnects).toBe(2);
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => createOutboundMonitor({ policy: 'ignore' })).toThrow('Unknown slow consumer policy: ignore');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { drainSockets } = require('../services/websocket/drain');
+
+const createSocket = (id) => {
+  const socket = {
+    id,
+    connected: true,
+    pending: 0,
+    emit: jest.fn(),
+    conn: { close: jest.fn(() => { socket.connected = false; }) }
+  };
+  return socket;
+};
+
+const pending = socket => socket.pending;
+
+describe('WebSocket drain', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should tell clients to reconnect at jittered times and close them then', async () => {
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0.1).mockReturnValueOnce(0.6);
+    const sockets = [createSocket('a'), createSocket('b')];
+
+    const drained = drainSockets(sockets, pending, { jitter: 1000, deadline: 5000 });
+
+    expect(sockets[0].emit).toHaveBeenCalledWith('server-draining', { reconnectIn: 100 });
+    expect(sockets[1].emit).toHaveBeenCalledWith('server-draining', { reconnectIn: 600 });
+
+    await jest.advanceTimersByTimeAsync(100);
+    expect(sockets[0].conn.close).toHaveBeenCalled();
+    expect(sockets[1].conn.close).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(await drained).toEqual({ clients: 2, timedOut: 0 });
+  });
+
+  it('should wait for in-flight acknowledgements up to the deadline', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const sockets = [createSocket('a'), createSocket('b')];
+    sockets[0].pending = 1;
+    sockets[1].pending = 1;
+
+    const drained = drainSockets(sockets, pending, { jitter: 1000, deadline: 2000, pollInterval: 100 });
+
+    await jest.advanceTimersByTimeAsync(500);
+    sockets[0].pending = 0;
+    await jest.advanceTimersByTimeAsync(100);
+    expect(sockets[0].conn.close).toHaveBeenCalled();
+    expect(sockets[1].conn.close).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1400);
+    expect(sockets[1].conn.close).toHaveBeenCalled();
+    expect(await drained).toEqual({ clients: 2, timedOut: 1 });
+  });
+
+  it('should leave clients that already reconnected alone', async () => {
+    const socket = createSocket('a');
+    const drained = drainSockets([socket], pending, { jitter: 1000 });
+    socket.connected = false;
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(await drained).toEqual({ clients: 1, timedOut: 0 });
+    expect(socket.conn.close).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+const { EventEmitter } = require('events');
+const { createEventRouter, PAYLOAD_LOG_MODE } = require('../services/websocket/events');
+const msgpack = require('../services/redis/msgpack');
+const { logger } = require('../services/telemetry');
+
+// Mock the logger
+jest.mock('../services/telemetry', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const schema = {
+  type: 'object',
+  required: ['room', 'message'],
+  properties: {
+    room: { type: 'string', minLength: 1 },
+    message: {},
+    receipts: { type: 'boolean' }
+  }
+};
+
+const createSocket = () => {
+  const socket = new EventEmitter();
+  socket.clientId = 'client-1';
+  const emit = socket.emit.bind(socket);
+  socket.send = (...args) => emit(...args);
+  socket.emit = jest.fn();
+  return socket;
+};
+
+// Let the async dispatch run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WebSocket event router', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler = jest.fn();
+  });
+
+  const attach = (options, eventOptions = {}) => {
+    const router = createEventRouter(options);
+    router.register('room-message', { schema, ...eventOptions }, handler);
+    const socket = createSocket();
+    router.attach(socket);
+    return { router, socket };
+  };
+
+  it('should pass valid payloads and the acknowledgement to the handler', async () => {
+    const { socket } = attach();
+    const ack = jest.fn();
+
+    socket.send('room-message', { room: 'lobby', message: 'hi' }, ack);
+    await flush();
+
+    expect(handler).toHaveBeenCalledWith(socket, { room: 'lobby', message: 'hi' }, ack);
+  });
+
+  it('should reject invalid payloads with a structured error', async () => {
+    const { socket } = attach();
+    const ack = jest.fn();
+
+    socket.send('room-message', { room: '', receipts: 'yes' });
+    socket.send('room-message', 'lobby', ack);
+    await flush();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(socket.emit).toHaveBeenCalledWith('event-error', {
+      status: 'error',
+      event: 'room-message',
+      code: 'INVALID_PAYLOAD',
+      message: 'Invalid payload for room-message',
+      errors: expect.arrayContaining([
+        { path: '', message: "must have required property 'message'" },
+        { path: '/room', message: 'must NOT have fewer than 1 characters' },
+        { path: '/receipts', message: 'must be boolean' }
+      ])
+    });
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PAYLOAD', errors: [{ path: '', message: 'must be object' }] }));
+  });
+
+  it('should decode and encode MessagePack for binary events', async () => {
+    const { router, socket } = attach({}, { binary: true });
+
+    socket.send('room-message', msgpack.encode({ room: 'lobby', message: { price: 1.5 } }));
+    socket.send('room-message', Buffer.from([0xc1]));
+    await flush();
+
+    expect(handler).toHaveBeenCalledWith(socket, { room: 'lobby', message: { price: 1.5 } }, undefined);
+    expect(socket.emit).toHaveBeenCalledWith('event-error', expect.objectContaining({ message: 'Payload is not valid MessagePack' }));
+    expect(msgpack.decode(router.encode('room-message', { seq: 1 }))).toEqual({ seq: 1 });
+    expect(router.encode('join', { room: 'lobby' })).toEqual({ room: 'lobby' });
+  });
+
+  it('should redact payloads in the logs', async () => {
+    const { socket } = attach();
+
+    socket.send('room-message', { room: 'lobby', message: 'secret plans', meta: { Token: 'abc' } });
+    await flush();
+
+    expect(logger.info).toHaveBeenCalledWith('Event received', expect.objectContaining({
+      event: 'room-message',
+      size: 64,
+      data: { room: 'lobby', message: '[REDACTED]', meta: { Token: '[REDACTED]' } }
+    }));
+  });
+
+  it('should sample and level payload logs', async () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValueOnce(0.9).mockReturnValueOnce(0.1);
+    const { socket } = attach({ logging: { body: PAYLOAD_LOG_MODE.NONE, sampleRate: 0.5, level: 'debug' } });
+
+    socket.send('room-message', { room: 'lobby', message: 'a' });
+    socket.send('room-message', { room: 'lobby', message: 'b' });
+    await flush();
+    random.mockRestore();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(logger.info).not.toHaveBeenCalled();
+    expect(logger.debug).toHaveBeenCalledTimes(1);
+    expect(logger.debug.mock.calls[0][1]).not.toHaveProperty('data');
+  });
+});
@@ -0,0 +1,109 @@
+const { createRoomHistory, RedisRoomHistory, MemoryRoomHistory } = require('../services/websocket/history');
+
+const message = (text, timestamp = new Date().toISOString()) => ({ from: 'client-1', room: 'lobby', message: text, timestamp });
+
+describe('WebSocket room history', () => {
+  describe('MemoryRoomHistory', () => {
+    let history;
+
+    beforeEach(() => {
+      history = createRoomHistory(null, { maxMessages: 3 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should number messages per room', async () => {
+      expect(history).toBeInstanceOf(MemoryRoomHistory);
+      expect(await history.append('lobby', message('a'))).toBe(1);
+      expect(await history.append('lobby', message('b'))).toBe(2);
+      expect(await history.append('other', message('c'))).toBe(1);
+    });
+
+    it('should return the gap after lastSeq', async () => {
+      await Promise.all(['a', 'b', 'c'].map(text => history.append('lobby', message(text))));
+
+      const result = await history.since('lobby', 1);
+
+      expect(result).toEqual({ seq: 3, messages: [expect.objectContaining({ seq: 2, message: 'b' }), expect.objectContaining({ seq: 3 })], truncated: false, reset: false });
+      expect(await history.since('lobby', 3)).toEqual({ seq: 3, messages: [], truncated: false, reset: false });
+    });
+
+    it('should report messages lost to trimming or age', async () => {
+      for (const text of ['a', 'b', 'c', 'd']) {
+        await history.append('lobby', message(text));
+      }
+      const trimmed = await history.since('lobby', 0);
+      expect(trimmed.messages.map(entry => entry.seq)).toEqual([2, 3, 4]);
+      expect(trimmed.truncated).toBe(true);
+
+      const aged = createRoomHistory(null, { maxAge: 1000 });
+      await aged.append('lobby', message('old', Date.now() - 2000));
+      await aged.append('lobby', message('new'));
+      expect(await aged.since('lobby', 0)).toMatchObject({ seq: 2, messages: [expect.objectContaining({ seq: 2 })], truncated: true });
+    });
+
+    it('should drop the messages and rooms that went quiet', async () => {
+      jest.useFakeTimers();
+      const quiet = createRoomHistory(null, { maxAge: 1000, seqTtl: 5000 });
+      await quiet.append('lobby', message('a'));
+      await quiet.append('orders', message('b'));
+
+      jest.advanceTimersByTime(1000);
+      await quiet.append('other', message('c'));
+      // Only the sequence number is left, without anyone reading the room again
+      expect(quiet.rooms.get('lobby')).toMatchObject({ seq: 1, messages: [] });
+
+      jest.advanceTimersByTime(5000);
+      await quiet.append('other', message('d'));
+      expect([...quiet.rooms.keys()]).toEqual(['other']);
+    });
+
+    it('should tell clients ahead of the room that it started over', async () => {
+      await history.append('lobby', message('a'));
+
+      expect(await history.since('lobby', 40)).toMatchObject({
+        seq: 1,
+        messages: [expect.objectContaining({ seq: 1 })],
+        truncated: true,
+        reset: true
+      });
+    });
+  });
+
+  describe('RedisRoomHistory', () => {
+    it('should append through one script on hash-tagged keys', async () => {
+      const client = { eval: jest.fn().mockResolvedValue(7) };
+      const history = createRoomHistory(client, { maxMessages: 100, maxAge: 60000 });
+
+      expect(history).toBeInstanceOf(RedisRoomHistory);
+      expect(await history.append('orders:eu', message('a'))).toBe(7);
+      expect(client.eval).toHaveBeenCalledWith(
+        expect.stringContaining('INCR'), 2, 'ws:room:{orders:eu}:seq', 'ws:room:{orders:eu}:history',
+        expect.any(String), 100, 60000, 24 * 60 * 60 * 1000
+      );
+    });
+
+    it('should read the messages after lastSeq', async () => {
+      const client = {
+        get: jest.fn().mockResolvedValue('5'),
+        zrangebyscore: jest.fn().mockResolvedValue([
+          `4:${JSON.stringify(message('d'))}`,
+          `5:${JSON.stringify(message('time: 12:00'))}`
+        ])
+      };
+      const history = createRoomHistory(client);
+
+      const result = await history.since('lobby', 3);
+
+      expect(client.zrangebyscore).toHaveBeenCalledWith('ws:room:{lobby}:history', '(3', '+inf');
+      expect(result).toEqual({
+        seq: 5,
+        messages: [expect.objectContaining({ seq: 4, message: 'd' }), expect.objectContaining({ seq: 5, message: 'time: 12:00' })],
+        truncated: false,
+        reset: false
+      });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { createPresence, RedisPresenceStore, MemoryPresenceStore } = require('../services/websocket/presence');
+
+// Mock the logger
+jest.mock('../services/telemetry', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const socket = (id, userId = null) => ({ id, clientId: `client-${id}`, user: userId ? { id: userId } : null, connected: true });
+
+describe('WebSocket presence', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Presence', () => {
+    // Two nodes sharing one store, as they would share Redis
+    const createNodes = () => {
+      const store = new MemoryPresenceStore();
+      const events = [];
+      const nodes = ['node-1', 'node-2'].map(nodeId => {
+        const presence = createPresence(null, { nodeId, heartbeatInterval: 1000, ttl: 3000 }, (type, room, member) => {
+          events.push({ nodeId, type, room, id: member.id });
+        });
+        presence.store = store;
+        return presence;
+      });
+      return { nodes, events };
+    };
+
+    it('should list the members of a room on every node', async () => {
+      const { nodes, events } = createNodes();
+
+      await nodes[0].join(socket('a', 'user-1'), 'lobby');
+      await nodes[1].join(socket('b'), 'lobby');
+      expect(await nodes[0].join(socket('a', 'user-1'), 'lobby')).toBeNull();
+
+      expect(await nodes[1].list('lobby')).toEqual([
+        expect.objectContaining({ id: 'a', clientId: 'client-a', userId: 'user-1', nodeId: 'node-1' }),
+        expect.objectContaining({ id: 'b', userId: null, nodeId: 'node-2' })
+      ]);
+      expect(events.map(event => event.type)).toEqual(['join', 'join']);
+    });
+
+    it('should report leaves, including every room on disconnect', async () => {
+      const { nodes, events } = createNodes();
+      await nodes[0].join(socket('a'), 'lobby');
+      await nodes[0].join(socket('a'), 'orders');
+
+      await nodes[0].leaveAll(socket('a'));
+
+      expect(await nodes[0].list('lobby')).toEqual([]);
+      expect(events.filter(event => event.type === 'leave').map(event => event.room)).toEqual(['lobby', 'orders']);
+      expect(nodes[0].local.size).toBe(0);
+    });
+
+    it('should not add a socket that already disconnected', async () => {
+      const { nodes, events } = createNodes();
+
+      expect(await nodes[0].join({ ...socket('a'), connected: false }, 'lobby')).toBeNull();
+
+      expect(nodes[0].local.size).toBe(0);
+      expect(await nodes[0].list('lobby')).toEqual([]);
+      expect(events).toEqual([]);
+    });
+
+    it('should keep members alive with heartbeats and time out those of a crashed node', async () => {
+      const { nodes, events } = createNodes();
+      await nodes[0].join(socket('a'), 'lobby');
+      await nodes[1].join(socket('b'), 'lobby');
+
+      // node-2 crashes: only node-1 keeps refreshing and sweeping
+      for (let i = 0; i < 4; i++) {
+        jest.advanceTimersByTime(1000);
+        await nodes[0].heartbeat();
+      }
+
+      expect((await nodes[0].list('lobby')).map(member => member.id)).toEqual(['a']);
+      expect(events).toContainEqual({ nodeId: 'node-1', type: 'timeout', room: 'lobby', id: 'b' });
+    });
+  });
+
+  describe('RedisPresenceStore', () => {
+    it('should sweep each indexed room atomically', async () => {
+      const member = JSON.stringify({ id: 'b' });
+      const client = {
+        zrange: jest.fn().mockResolvedValue(['lobby', 'orders']),
+        eval: jest.fn().mockResolvedValueOnce([member]).mockResolvedValueOnce([]),
+        zremrangebyscore: jest.fn().mockResolvedValue(1)
+      };
+      const store = new RedisPresenceStore(client, { keyPrefix: 'ws:presence:', ttl: 30000 });
+
+      expect(await store.sweep()).toEqual([{ room: 'lobby', member }]);
+      expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('ZREMRANGEBYSCORE'), 1, 'ws:presence:room:{lobby}', Date.now());
+      expect(client.zremrangebyscore).toHaveBeenCalledWith('ws:presence:rooms', '-inf', Date.now());
+    });
+
+    it('should expire room keys after their members', async () => {
+      const client = { zadd: jest.fn(), pexpire: jest.fn() };
+      const store = new RedisPresenceStore(client, { keyPrefix: 'ws:presence:', ttl: 30000 });
+
+      await store.add('lobby', ['m1', 'm2'], 1000);
+
+      expect(client.zadd).toHaveBeenCalledWith('ws:presence:room:{lobby}', 1000, 'm1', 1000, 'm2');
+      expect(client.pexpire).toHaveBeenCalledWith('ws:presence:room:{lobby}', 60000);
+      expect(client.zadd).toHaveBeenCalledWith('ws:presence:rooms', 1000, 'lobby');
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const http = require('http');
+const { PassThrough } = require('stream');
+const { UpstreamPool } = require('../services/api-gateway/upstream/pool');
+const { FrameLimiter, createCloseFrame } = require('../services/api-gateway/websocket/frames');
+const { StickySessions, getUpstreamId } = require('../services/api-gateway/websocket/sticky');
+const { WebSocketProxy } = require('../services/api-gateway/websocket/proxy');
+const metrics = require('../services/api-gateway/metrics');
+const rateLimit = require('../services/api-gateway/middleware/rateLimit');
+
+// Mock logger to avoid cluttering test output
+jest.mock('../services/api-gateway/middleware/logging', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Masked binary frame, as a client sends it
+const clientFrame = (payload) => {
+  const header = payload.length < 126
+    ? Buffer.from([0x82, 0x80 | payload.length])
+    : Buffer.from([0x82, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  // All-zero mask: the payload goes through unchanged
+  return Buffer.concat([header, Buffer.alloc(4), payload]);
+};
+
+describe('WebSocket proxying', () => {
+  afterEach(() => {
+    metrics.reset();
+  });
+
+  describe('FrameLimiter', () => {
+    const run = (chunks, maxFrameSize) => {
+      const limiter = new FrameLimiter({ maxFrameSize });
+      const output = [];
+      const tooLarge = jest.fn();
+      limiter.on('data', chunk => output.push(chunk));
+      limiter.on('frameTooLarge', tooLarge);
+      chunks.forEach(chunk => limiter.write(chunk));
+      return { output: Buffer.concat(output), tooLarge };
+    };
+
+    it('should pass frames through when they are split across chunks', () => {
+      const frames = Buffer.concat([clientFrame(Buffer.alloc(10, 1)), clientFrame(Buffer.alloc(300, 2))]);
+      // Split inside the second frame's extended length
+      const { output, tooLarge } = run([frames.subarray(0, 18), frames.subarray(18, 20), frames.subarray(20)], 300);
+
+      expect(output.equals(frames)).toBe(true);
+      expect(tooLarge).not.toHaveBeenCalled();
+    });
+
+    it('should stop at the first frame over the limit', () => {
+      const { output, tooLarge } = run([clientFrame(Buffer.alloc(10)), clientFrame(Buffer.alloc(200))], 100);
+
+      expect(tooLarge).toHaveBeenCalledWith(200);
+      expect(output.length).toBe(16);
+    });
+  });
+
+  describe('StickySessions', () => {
+    let pool;
+    let sticky;
+
+    beforeEach(() => {
+      pool = new UpstreamPool('realtime', ['http://ws-1:3002', 'http://ws-2:3002']);
+      sticky = new StickySessions();
+    });
+
+    const handshake = (req, upstream, body = '0{"sid":"abc123","upgrades":["websocket"]}') => {
+      const proxyRes = new PassThrough();
+      proxyRes.statusCode = 200;
+      proxyRes.headers = {};
+      sticky.bindHandshake(req, proxyRes, upstream, '/socket.io');
+      proxyRes.end(body);
+      proxyRes.resume();
+      return proxyRes;
+    };
+
+    it('should bind a session by cookie and by sid', async () => {
+      const upstream = pool.upstreams[1];
+      const proxyRes = handshake({ url: '/?EIO=4&transport=polling', headers: {} }, upstream);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(proxyRes.headers['set-cookie']).toEqual([
+        `gateway_upstream=${getUpstreamId(upstream)}; Path=/socket.io; HttpOnly; SameSite=Lax`,
+      ]);
+
+      const bySid = { url: '/?EIO=4&transport=polling&sid=abc123', headers: {} };
+      const byCookie = { url: '/?EIO=4&transport=websocket', headers: { cookie: `a=1; gateway_upstream=${getUpstreamId(upstream)}` } };
+      expect(sticky.hasSession(bySid)).toBe(true);
+      expect(sticky.acquire(bySid, pool)).toBe(upstream);
+      expect(sticky.acquire(byCookie, pool)).toBe(upstream);
+    });
+
+    it('should move a session whose upstream is unhealthy', () => {
+      const upstream = pool.upstreams[0];
+      sticky.remember('abc123', getUpstreamId(upstream));
+      pool.setHealthy(upstream, false);
+
+      expect(sticky.acquire({ url: '/?sid=abc123', headers: {} }, pool)).toBe(pool.upstreams[1]);
+    });
+
+    it('should clear the cookie when a handshake is refused', () => {
+      const upstream = pool.upstreams[0];
+      const proxyRes = new PassThrough();
+      proxyRes.statusCode = 403;
+      proxyRes.headers = {};
+      const req = { url: '/?EIO=4&transport=polling', headers: { cookie: `gateway_upstream=${getUpstreamId(upstream)}` } };
+
+      sticky.bindHandshake(req, proxyRes, upstream, '/socket.io');
+      proxyRes.end('{"code":4,"message":"Server is draining"}');
+
+      expect(proxyRes.headers['set-cookie']).toEqual(['gateway_upstream=; Path=/socket.io; Max-Age=0; HttpOnly; SameSite=Lax']);
+      expect(sticky.sessions.size).toBe(0);
+    });
+
+    it('should ignore cookies in sid mode and forget expired sessions', () => {
+      sticky.configure({ mode: 'sid', ttl: -1 });
+      const cookie = `gateway_upstream=${getUpstreamId(pool.upstreams[1])}`;
+      sticky.remember('abc123', getUpstreamId(pool.upstreams[1]));
+
+      expect(sticky.getBoundUpstreamId({ url: '/?sid=abc123', headers: { cookie } })).toBeNull();
+    });
+  });
+
+  describe('WebSocketProxy', () => {
+    let upstreamServer;
+    let gatewayServer;
+    let pool;
+    let proxy;
+
+    // Upstream that accepts the upgrade and echoes every byte back
+    beforeAll(async () => {
+      upstreamServer = http.createServer((req, res) => {
+        if (req.url === '/ready') {
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end('{"status":"ready"}');
+          return;
+        }
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end('{"code":1,"message":"Session ID unknown"}');
+      });
+      upstreamServer.on('upgrade', (req, socket) => {
+        if (req.url.includes('sid=unknown')) {
+          socket.end('HTTP/1.1 400 Bad Request\r\nContent-Length: 2\r\n\r\n{}');
+          return;
+        }
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+        socket.pipe(socket);
+      });
+      await new Promise(resolve => upstreamServer.listen(0, '127.0.0.1', resolve));
+
+      gatewayServer = http.createServer();
+      gatewayServer.on('upgrade', (req, socket, head) => proxy.handleUpgrade(req, socket, head, {
+        pool,
+        cookiePath: '/socket.io',
+        connect: upstream => http.request(`${upstream.url}${req.url}`, { headers: req.headers }),
+      }));
+      await new Promise(resolve => gatewayServer.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => gatewayServer.close(resolve));
+      await new Promise(resolve => upstreamServer.close(resolve));
+    });
+
+    beforeEach(() => {
+      pool = new UpstreamPool('realtime', [`http://127.0.0.1:${upstreamServer.address().port}`]);
+      proxy = new WebSocketProxy('realtime', { maxConnectionsPerIp: 2, maxFrameSize: 100, idleTimeout: 1000 });
+    });
+
+    afterEach(() => {
+      proxy.closeAll();
+    });
+
+    // Open a connection through the gateway; resolves with the 101 response and socket, or the rejection
+    const connect = (url = '/socket.io/?EIO=4&transport=websocket', headers = {}) => new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: gatewayServer.address().port,
+        path: url,
+        headers: { connection: 'Upgrade', upgrade: 'websocket', ...headers },
+      });
+      req.on('upgrade', (res, socket) => resolve({ res, socket }));
+      req.on('response', res => resolve({ res }));
+      req.on('error', reject);
+      req.end();
+    });
+
+    const read = socket => new Promise(resolve => socket.once('data', resolve));
+    const closed = socket => new Promise(resolve => socket.once('close', resolve));
+
+    it('should relay frames both ways and set the stickiness cookie', async () => {
+      const { res, socket } = await connect();
+
+      expect(res.statusCode).toBe(101);
+      expect(res.headers['set-cookie'][0]).toMatch(/^gateway_upstream=[0-9a-f]{16};/);
+
+      const frame = clientFrame(Buffer.from('hello'));
+      socket.write(frame);
+      expect((await read(socket)).equals(frame)).toBe(true);
+      expect(metrics.getMetrics().routes.realtime.websocket).toMatchObject({ connections: 1, opened: 1 });
+
+      socket.destroy();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(proxy.connections.size).toBe(0);
+      expect(pool.upstreams[0].outstanding).toBe(0);
+    });
+
+    it('should pass on upstream refusals', async () => {
+      const { res } = await connect('/socket.io/?EIO=4&transport=websocket&sid=unknown');
+
+      expect(res.statusCode).toBe(400);
+      expect(proxy.connections.size).toBe(0);
+    });
+
+    it('should limit connections per client address', async () => {
+      const first = await connect();
+      const second = await connect();
+      const third = await connect();
+
+      expect(third.res.statusCode).toBe(429);
+      expect(metrics.getMetrics().routes.realtime.websocket.rejected).toBe(1);
+
+      first.socket.destroy();
+      second.socket.destroy();
+    });
+
+    it('should close connections sending frames over the limit', async () => {
+      const { socket } = await connect();
+      const done = closed(socket);
+
+      socket.write(clientFrame(Buffer.alloc(200)));
+
+      expect((await read(socket)).equals(createCloseFrame(1009, 'Frame too large'))).toBe(true);
+      await done;
+      expect(metrics.getMetrics().routes.realtime.websocket.oversized_frames).toBe(1);
+    });
+
+    it('should move clients off a draining upstream', async () => {
+      // Refuses new connections and fails readiness, as a WebSocketServer does while it drains
+      const drainingServer = http.createServer((req, res) => {
+        res.writeHead(503, { 'content-type': 'application/json' });
+        res.end('{"status":"draining"}');
+      });
+      drainingServer.on('upgrade', (req, socket) => {
+        socket.end('HTTP/1.1 403 Forbidden\r\nContent-Length: 2\r\n\r\n{}');
+      });
+      await new Promise(resolve => drainingServer.listen(0, '127.0.0.1', resolve));
+
+      pool = new UpstreamPool('realtime', [
+        `http://127.0.0.1:${drainingServer.address().port}`,
+        `http://127.0.0.1:${upstreamServer.address().port}`,
+      ], { healthCheck: { path: '/ready', unhealthyThreshold: 1 } });
+      const [draining, next] = pool.upstreams;
+      const cookie = `gateway_upstream=${getUpstreamId(draining)}`;
+
+      // The refusal unbinds the client before the health check has noticed
+      const refused = await connect(undefined, { cookie });
+      expect(refused.res.statusCode).toBe(403);
+      expect(refused.res.headers['set-cookie']).toEqual(['gateway_upstream=; Path=/socket.io; Max-Age=0; HttpOnly; SameSite=Lax']);
+
+      // Once /ready fails, even a client that kept the cookie reconnects to the next upstream
+      await pool.healthChecker.checkAll();
+      expect(draining.healthy).toBe(false);
+      const { res, socket } = await connect(undefined, { cookie });
+      expect(res.statusCode).toBe(101);
+      expect(res.headers['set-cookie']).toEqual([`gateway_upstream=${getUpstreamId(next)}; Path=/socket.io; HttpOnly; SameSite=Lax`]);
+
+      socket.destroy();
+      await new Promise(resolve => drainingServer.close(resolve));
+    });
+
+    it('should limit long-polling requests per session', async () => {
+      proxy = new WebSocketProxy('realtime', { maxPollingRequests: 2 });
+      const poll = sid => new Promise((resolve) => {
+        const res = { set: () => res, status: (code) => { res.statusCode = code; return res; }, json: () => resolve(res.statusCode) };
+        proxy.limitPolling({ url: `/socket.io/?EIO=4&transport=polling&sid=${sid}`, headers: {} }, res, () => resolve(200));
+      });
+
+      expect(await poll('abc123')).toBe(200);
+      expect(await poll('abc123')).toBe(200);
+      expect(await poll('abc123')).toBe(429);
+      // Other sessions from the same address have their own budget
+      expect(await poll('def456')).toBe(200);
+      await rateLimit.closeRateLimitStores();
+    });
+
+    it('should close idle connections', async () => {
+      const { socket } = await connect();
+
+      expect((await read(socket)).equals(createCloseFrame(1001, 'Idle timeout'))).toBe(true);
+      expect(metrics.getMetrics().routes.realtime.websocket.idle_closed).toBe(1);
+      socket.destroy();
+    });
+  });
+});
@@ -1,5 +1,5 @@
 const { Server } = require('socket.io');
-const { createServer } = require('http');
+const { createServer, get } = require('http');
 const WebSocketServer = require('../services/websocket/server');
 const { WebPubSubServiceClient } = require('@azure/web-pubsub');
 const { v4: uuidv4 } = require('uuid');
@@ -230,6 +230,66 @@ describe('WebSocket Server', () => {
     });
   });
   
+  test('should leave HTTP requests of a caller-supplied server to its own handlers', async () => {
+    const appServer = createServer((req, res) => {
+      res.writeHead(204);
+      res.end();
+    });
+    const appWsServer = new WebSocketServer(appServer, { port: 3004 });
+    await new Promise(resolve => appServer.listen(3004, resolve));
+    
+    // Not answered twice: the app's handler owns /metrics and /ready on its server
+    const status = await new Promise((resolve, reject) => {
+      get('http://localhost:3004/metrics', (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    expect(status).toBe(204);
+    
+    // Mounted by the caller, unknown paths fall through to the next handler
+    const next = jest.fn();
+    await appWsServer.handleRequest({ url: '/other', method: 'GET', headers: {} }, {}, next);
+    expect(next).toHaveBeenCalled();
+    
+    await appWsServer.stop();
+    appServer.close();
+  });
+  
+  test('should not keep the presence of a client that left during the room access check', async () => {
+    let allow;
+    const authorizeRoom = jest.fn(() => new Promise(resolve => {
+      allow = resolve;
+    }));
+    const appServer = createServer();
+    const appWsServer = new WebSocketServer(appServer, { port: 3005, authorizeRoom });
+    await new Promise(resolve => appServer.listen(3005, resolve));
+    
+    const client = require('socket.io-client')('http://localhost:3005', {
+      query: { clientId: 'leaving-client' },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false
+    });
+    await new Promise(resolve => client.on('connect', resolve));
+    
+    client.emit('join', testRoom);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(authorizeRoom).toHaveBeenCalled();
+    
+    // Disconnect while the hook is pending, then let the join go on
+    client.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    allow(true);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    expect(appWsServer.presence.local.size).toBe(0);
+    expect(await appWsServer.getPresence(testRoom)).toEqual([]);
+    
+    await appWsServer.stop();
+    appServer.close();
+  });
+  
   test('should initialize Web PubSub adapter when configured', async () => {
     // Mock the Web PubSub service client
     const mockServiceClient = {
@@ -0,0 +1,144 @@
+const WriteBehindQueue = require('../services/redis/write-behind');
+const metrics = require('../services/redis/metrics');
+const { createFakeRedis } = require('./fake-redis');
+
+describe('Write-behind queue', () => {
+  const start = new Date('2024-05-01T10:00:00Z').getTime();
+  let redis;
+
+  const createQueue = (options) => new WriteBehindQueue(redis, { namespace: 'wb', ...options });
+  const scoreOf = key => redis.zscore('{wb}:queue', key).then(Number);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: start });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    redis = createFakeRedis();
+    metrics.reset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should coalesce writes to a pending key', async () => {
+    const writer = jest.fn(async () => {});
+    const queue = createQueue({ writer });
+
+    expect(await queue.enqueue('user:1', { name: 'Ann' })).toBe(false);
+    jest.advanceTimersByTime(100);
+    expect(await queue.enqueueMany({ 'user:1': { name: 'Bob' }, 'user:2': { name: 'Cy' } })).toEqual([true, false]);
+
+    // Coalesced writes keep their place in the queue
+    expect(await scoreOf('user:1')).toBe(start);
+    expect(await queue.flush()).toBe(2);
+    expect(writer.mock.calls).toEqual([['user:1', { name: 'Bob' }], ['user:2', { name: 'Cy' }]]);
+    expect(await queue.getQueueState()).toEqual({ depth: 0, lagMs: 0 });
+    expect(metrics.getMetrics().write_behind).toMatchObject({ enqueued: 3, coalesced: 1, flushed: 2 });
+  });
+
+  it('should keep a key queued when it is overwritten during the write', async () => {
+    const queue = createQueue({
+      writer: jest.fn(async (key, value) => {
+        if (value.version === 1) await queue.enqueue(key, { version: 2 });
+      })
+    });
+
+    await queue.enqueue('order:7', { version: 1 });
+    expect(await queue.flush()).toBe(1);
+
+    // The ack only removes the value that was written
+    expect(await queue.getQueueState()).toEqual({ depth: 1, lagMs: 0 });
+    expect(await queue.flush()).toBe(1);
+    expect(queue.writer).toHaveBeenLastCalledWith('order:7', { version: 2 });
+    expect(await queue.getQueueState()).toEqual({ depth: 0, lagMs: 0 });
+  });
+
+  it('should hide claimed entries from other flushes until the lease expires', async () => {
+    let finish;
+    const writer = jest.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const queue = createQueue({ writer, leaseTimeout: 30000 });
+    const other = createQueue({ writer });
+
+    await queue.enqueue('a', 1);
+    const flushing = queue.flush();
+    await Promise.resolve();
+
+    expect(await other.flush()).toBe(0);
+    expect(writer).toHaveBeenCalledTimes(1);
+    expect(await scoreOf('a')).toBe(start + 30000);
+    finish();
+    expect(await flushing).toBe(1);
+  });
+
+  it('should retry failed writes with exponential backoff', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const writer = jest.fn().mockRejectedValue(new Error('database unavailable'));
+    const queue = createQueue({ writer, backoff: { initialDelay: 500, factor: 2, jitter: 0.2 } });
+
+    await queue.enqueue('a', 1);
+    expect(await queue.flush()).toBe(0);
+    // 500ms plus half of the 20% jitter
+    expect(await scoreOf('a')).toBe(start + 550);
+
+    expect(await queue.flush()).toBe(0);
+    expect(writer).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(550);
+    await queue.flush();
+    expect(await scoreOf('a')).toBe(start + 550 + 1100);
+    expect(metrics.getMetrics().write_behind.retried).toBe(2);
+
+    // A new value starts over from the first attempt
+    await queue.enqueue('a', 2);
+    expect(await redis.hget('{wb}:attempts', 'a')).toBeNull();
+    writer.mockResolvedValue();
+    expect(await queue.flush({ force: true })).toBe(1);
+    expect(writer).toHaveBeenLastCalledWith('a', 2);
+  });
+
+  it('should dead-letter writes after maxAttempts and replay them', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const batchWriter = jest.fn().mockRejectedValue(new Error('constraint violation'));
+    const queue = createQueue({ batchWriter, maxAttempts: 2 });
+
+    await queue.enqueueMany({ a: 1, b: 2 });
+    await queue.flush();
+    jest.advanceTimersByTime(1000);
+    await queue.flush({ force: true });
+
+    expect(await queue.getQueueState()).toEqual({ depth: 0, lagMs: 0 });
+    expect(await queue.getDeadLetters()).toEqual([
+      { key: 'a', value: 1, attempts: 2, error: 'constraint violation', enqueuedAt: start, failedAt: start + 1000 },
+      { key: 'b', value: 2, attempts: 2, error: 'constraint violation', enqueuedAt: start, failedAt: start + 1000 }
+    ]);
+    expect(metrics.getMetrics().write_behind).toMatchObject({ retried: 2, dead_lettered: 2 });
+
+    batchWriter.mockResolvedValue();
+    expect(await queue.replayDeadLetters(['b'])).toBe(1);
+    expect((await queue.getDeadLetters()).map(entry => entry.key)).toEqual(['a']);
+    expect(await queue.flush()).toBe(1);
+    expect(batchWriter).toHaveBeenLastCalledWith({ b: 2 });
+  });
+
+  it('should drain pending writes on close without burning through retries', async () => {
+    const writer = jest.fn(async (key) => {
+      if (key === 'broken') throw new Error('database unavailable');
+    });
+    const queue = createQueue({ writer });
+
+    await queue.enqueue('broken', 0);
+    await queue.flush();
+    await queue.enqueueMany({ a: 1, b: 2 });
+    await queue.close();
+
+    // The first pass also takes the key waiting on its backoff, once
+    expect(writer.mock.calls.map(([key]) => key)).toEqual(['broken', 'a', 'b', 'broken']);
+    expect(await queue.getQueueState()).toMatchObject({ depth: 1 });
+    expect(console.warn).toHaveBeenLastCalledWith(expect.stringContaining('closed with 1 pending writes'));
+    await expect(queue.enqueue('c', 3)).rejects.toThrow('Write-behind queue is closed');
+  });
+});